@@ -1,19 +1,49 @@
 import express from "express";
 import cors from "cors";
-import multer from "multer";
 import { createClient } from "@supabase/supabase-js";
 import Stripe from "stripe";
 import previewRouter from './routes/preview.js';
+import decor8WebhookRouter from './routes/decor8Webhook.js';
 import planRouter from './routes/plan.js';
 import entitlementsRouter from './routes/entitlements.js';
 import healthRouter, { healthGet, liveGet, readyGet, fullGet, healthHead } from './routes/health.js';
 import versionRouter, { versionGet, versionHead } from './routes/version.js';
 import iosRouter from './routes/ios.js';
 import projectsRouter from './routes/projects.js';
+import billingWebhookRouter from './routes/billingWebhook.js';
+import shareRouter from './routes/share.js';
 import { thumb } from './lib/image.js';
+import { requireAuth, requireProjectOwner } from './lib/auth.js';
+import {
+  getEntitlements, defaultEntitlements, tierProfilePatch, isTier,
+  commitReservation, releaseReservation, extendReservation, releaseExpiredReservations
+} from './services/entitlements.js';
+import { requireCredit } from './lib/quota.js';
+import { registerJobHandler, startJobWorker, enqueueJob, getJob, latestJobFor, jobView } from './services/jobQueue.js';
+import { enqueueMeasureJob, measureJobHandler, MEASURE_JOB, MEASURE_ACTIVE } from './services/measureJobs.js';
+import { previewJobHandler, activePreviewJob, PREVIEW_JOB } from './services/previewService.js';
+import { preparePlan, upgradePlan, planCounts } from './lib/planSchema.js';
+import { diffPlans } from './lib/planDiff.js';
+import { planEstimation, costOptionsFromQuery } from './lib/planCost.js';
+import { getOwnedTools, setOwnedTools } from './services/ownedTools.js';
+import { buildShoppingList, shoppingListCsv, shoppingListHtml } from './lib/shoppingList.js';
+import { optimizeCuts, renderCutLayoutSvg } from './lib/cutList.js';
+import { ensureCutLayout } from './services/cutLayouts.js';
+import { acceptImageUpload } from './services/projectImages.js';
+import { addPhoto, listPhotos, photoStorageKeys } from './services/projectPhotos.js';
+import { sweepExpiredUploads } from './services/directUploads.js';
+import { latestScanContext, planScanStatus } from './services/scanContext.js';
+import { buildStubPlan } from './lib/stubPlan.js';
+import { recordPlanVersion, listPlanVersions, getPlanVersion } from './services/planVersions.js';
+import { transitionProject, recordInitialStatus, assertClientStatus } from './services/projectLifecycle.js';
 
 const app = express();
-app.use(cors({ origin: (o, cb)=>cb(null,true), methods: ['GET','POST','PATCH','OPTIONS'] }));
+app.use(cors({ origin: (o, cb)=>cb(null,true), methods: ['GET','POST','PATCH','PUT','DELETE','OPTIONS'] }));
+
+// Stripe and Decor8 webhooks need the raw body for signature checks - mount before express.json()
+app.use('/api/billing/webhook', billingWebhookRouter);
+app.use('/api/webhooks/decor8', decor8WebhookRouter);
+
 app.use(express.json({ limit: '10kb' }));
 
 // Request logging
@@ -31,13 +61,13 @@ app.use((req, _res, next) => {
 // --- ROUTE MOUNTS (make sure these exist in Production) ---
 app.use('/preview', previewRouter);
 app.use('/plan', planRouter);
-app.use('/entitlements', entitlementsRouter);
+app.use('/entitlements', requireAuth, entitlementsRouter);
 app.use('/health', healthRouter);
 app.use('/version', versionRouter);
 app.use('/api/ios', iosRouter);
-app.use('/api/projects', projectsRouter);
+app.use('/api/projects', requireAuth, projectsRouter);
+app.use('/s', shareRouter);
 
-const upload = multer({ storage: multer.memoryStorage() });
 
 // Fail fast if Supabase service role key is missing
 const SUPABASE_URL = process.env.SUPABASE_URL;
@@ -69,9 +99,6 @@ if (process.env.STRIPE_SECRET_KEY) {
   console.warn('[WARN] STRIPE_SECRET_KEY not set - billing endpoints will return errors');
 }
 
-// Dev user the app uses in preview
-const DEV_USER = '00000000-0000-0000-0000-000000000001';
-
 // Utility to compute base URL for redirect fallbacks
 function getBaseUrl(req) {
   const proto = req.headers['x-forwarded-proto'] || req.protocol;
@@ -79,20 +106,6 @@ function getBaseUrl(req) {
   return `${proto}://${host}`;
 }
 
-// Helper to resolve user_id safely for dev/testing
-function resolveUserId(raw) {
-  const id = (raw || '').trim();
-  if (!id || id === 'auto') return TEST_USER_ID || null;
-  return id;
-}
-
-// Resolver util to extract user_id from req
-function resolveUserIdFrom(req) {
-  const raw = (req.query.user_id || req.body?.user_id || req.params?.user_id || '').trim();
-  if (!raw || raw === 'auto') return process.env.TEST_USER_ID;
-  return raw;
-}
-
 // Helper to get project by ID
 async function getProjectById(id) {
   const { data, error } = await supabase.from('projects').select('*').eq('id', id).maybeSingle();
@@ -100,23 +113,6 @@ async function getProjectById(id) {
   return data || null;
 }
 
-// Helper to get project for user (with ownership check)
-async function getProjectForUser(projectId, userId) {
-  const { data, error } = await supabase
-    .from('projects')
-    .select('id, user_id, preview_status, preview_job_id, preview_url, input_image_url')
-    .eq('id', projectId)
-    .maybeSingle();
-  if (error || !data) return null;
-  if (data.user_id !== userId) return null;
-  return data;
-}
-
-// Helper to update preview state
-async function updatePreviewState(projectId, patch) {
-  return supabase.from('projects').update(patch).eq('id', projectId).select('id').maybeSingle();
-}
-
 // Normalize helpers
 function norm(x, fallback = '') { 
   return (x ?? fallback).toString().trim(); 
@@ -130,9 +126,6 @@ function normBudget(x) {
   return (x || '$$').toString(); 
 }
 
-// Dev bypass constant
-const DEV_BYPASS = process.env.NODE_ENV !== 'production' && process.env.DEV_NO_QUOTA === '1';
-
 // Ensure there is an auth.users row; required before touching `profiles`
 async function ensureAuthUserExists(supabase, userId, email) {
   if (!userId) return { ok: false, error: 'missing_test_user_id' };
@@ -155,48 +148,6 @@ async function ensureAuthUserExists(supabase, userId, email) {
   }
 }
 
-// --- ENTITLEMENTS CONFIG ---
-const TIER_RULES = {
-  free:   { quota: process.env.DEV_NO_QUOTA ? 999 : 2,  preview: false },
-  casual: { quota: 5,  preview: true  },
-  pro:    { quota: 25, preview: true  },
-};
-
-async function getEntitlements(userId) {
-  try {
-    const { data, error } = await supabase
-      .from('profiles')
-      .select('subscription_tier, plan_tier')
-      .eq('user_id', userId)
-      .maybeSingle();
-    
-    if (error) throw error;
-    
-    const tier = data?.subscription_tier || data?.plan_tier || 'free';
-    const quota = tier === 'pro' ? 25 : tier === 'casual' ? 5 : (process.env.DEV_NO_QUOTA ? 999 : 2);
-    
-    // Count user's projects
-    const { count } = await supabase
-      .from('projects')
-      .select('id', { count: 'exact', head: true })
-      .eq('user_id', userId);
-    const used = count || 0;
-    const remaining = Math.max(0, quota - used);
-    
-    return { 
-      tier, 
-      remaining, 
-      previewAllowed: tier === 'pro' || tier === 'casual'
-    };
-  } catch (e) {
-    if (DEV_BYPASS) {
-      console.warn('[ENTS] bypassing entitlements in dev', e?.message || e);
-      return { tier: 'free', remaining: 999, previewAllowed: false, devBypass: true };
-    }
-    throw e;
-  }
-}
-
 async function ensureProfile(supabase, userId) {
   // Try to read existing
   let { data: prof, error: profErr } = await supabase
@@ -222,139 +173,84 @@ async function ensureProfile(supabase, userId) {
   return prof;
 }
 
-// Middleware to check preview/build quota (for preview and build endpoints only)
-async function requirePreviewOrBuildQuota(req, res, next) {
-  try {
-    let userId = resolveUserIdFrom(req);
-    if (!userId) return res.status(403).json({ ok: false, error: 'no_user' });
-    req.user_id = userId;
-
-    let ent;
-    try {
-      ent = await getEntitlements(userId);
-    } catch (err) {
-      ent = { tier: 'free', remaining: 2, previewAllowed: false };
-    }
-
-    req.entitlements = ent;
-    next();
-  } catch (e) {
-    console.log('[ERROR] requirePreviewOrBuildQuota:', e.message);
-    res.status(500).json({ ok: false, error: String(e) });
-  }
-}
-
 // --- Feature Flags -----------------------------------------------------------
-const PREVIEW_PROVIDER = process.env.PREVIEW_PROVIDER || 'stub'; // 'decor8' or 'stub'
 const PLAN_PROVIDER = process.env.PLAN_PROVIDER || 'stub';       // 'openai' or 'stub'
 const SUGGESTIONS_PROVIDER = process.env.SUGGESTIONS_PROVIDER || 'stub'; // 'stub' | 'openai'
 const SUGGESTIONS_OPENAI_MODEL = process.env.SUGGESTIONS_OPENAI_MODEL || 'gpt-4o-mini';
 const SUGGESTIONS_OPENAI_BASE = process.env.SUGGESTIONS_OPENAI_BASE || 'https://api.openai.com/v1';
 
-// --- Decor8 helpers ----------------------------------------------------------
-const DECOR8_BASE_URL = process.env.DECOR8_BASE_URL || 'https://api.decor8.ai';
-const DECOR8_API_KEY  = process.env.DECOR8_API_KEY;
-
-async function callDecor8Generate({ input_image_url, room_type, design_style }) {
-  // Minimal, known-good body. Add optional fields later.
-  const body = {
-    input_image_url,           // MUST be a public URL
-    room_type,                 // e.g. "livingroom"
-    design_style,              // e.g. "minimalist"
-    num_images: 1
-  };
-
-  const res = await fetch(`${DECOR8_BASE_URL}/generate_designs_for_room`, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${DECOR8_API_KEY}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(body)
-  });
-
-  const text = await res.text();
-  let data;
-  try { data = JSON.parse(text); } catch { data = { raw: text }; }
-
-  if (!res.ok) {
-    const msg = data?.error || data?.message || `Decor8 ${res.status}`;
-    const err = new Error(msg);
-    err.status = res.status;
-    err.data = data;
-    throw err;
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+// Well under the job lock timeout (JOB_LOCK_TIMEOUT_S, 300s), so a hung call fails and retries
+// instead of the lock expiring and a second worker running the same plan job
+const PLAN_OPENAI_TIMEOUT_MS = Number(process.env.PLAN_OPENAI_TIMEOUT_MS || 120 * 1000);
+
+// Prompt text for plan generation. `input` comes from buildPlanInput().
+function buildPlanPrompt({ name, goal, budget, skill_level, measurements, room }) {
+  const lines = [
+    'Generate a detailed DIY project plan in JSON format for the following:',
+    `Project: ${name || '(untitled)'}`,
+    `Goal: ${goal || name || '(unspecified)'}`,
+    `Budget: ${budget || '(unspecified)'}  ($ = under $100, $$ = $100-500, $$$ = over $500)`,
+    `Skill Level: ${skill_level || 'intermediate'}`
+  ];
+  if (measurements) {
+    lines.push(`Measured space (inches, from an AR room scan): ${JSON.stringify(measurements)}`);
   }
-  return data; // expected: { error: "", message: "...", info: { images: [...] } }
-}
-
-async function callDecor8Status(jobId) {
-  if (!jobId) throw new Error('jobId required');
-  
-  const res = await fetch(`${DECOR8_BASE_URL}/job_status/${jobId}`, {
-    method: 'GET',
-    headers: {
-      'Authorization': `Bearer ${DECOR8_API_KEY}`,
-      'Content-Type': 'application/json'
-    }
-  });
-
-  const text = await res.text();
-  let data;
-  try { data = JSON.parse(text); } catch { data = { raw: text }; }
-
-  if (!res.ok) {
-    const msg = data?.error || data?.message || `Decor8 status ${res.status}`;
-    const err = new Error(msg);
-    err.status = res.status;
-    err.data = data;
-    throw err;
+  if (room) {
+    lines.push(`Room (inches, from the RoomPlan scan; clear_spans_in are wall stretches free of doors, windows and furniture): ${JSON.stringify(room)}`);
   }
-  
-  // Expected response: { status: 'queued'|'running'|'done'|'failed', url?: string }
-  return data;
+  if (measurements || room) {
+    lines.push('Size every material quantity, cut and step to these real dimensions instead of generic sizes.');
+  }
+  lines.push('', 'If a photo is attached, use it to infer the room, existing finishes and constraints.', '');
+  lines.push(`Return a JSON object with exactly this structure (plan schema v1, numbers as JSON numbers):
+{
+  "schema_version": 1,
+  "overview": { "title": "Project Title", "summary": "One sentence", "est_time": "X hours", "est_cost": "$NNN", "skill": "beginner|intermediate|advanced", "notes": null, "assumptions": ["..."] },
+  "materials": [{ "name": "item", "qty": 1, "unit": "ea|sheet|box|lb|ft", "unit_price": 0.0, "subtotal": 0.0, "notes": null }],
+  "tools": [{ "name": "tool", "optional": false, "have": false, "rent_price": null, "buy_price": null, "notes": null }],
+  "cuts": [{ "item": "part", "material": "3/4in plywood", "size": "W x H x T in", "qty": 1, "notes": null }],
+  "steps": [{ "order": 1, "title": "Short title", "text": "Step details", "duration_min": 30, "depends_on": [], "notes": null }],
+  "safety": ["..."],
+  "tips": ["..."]
+}`);
+  return lines.join('\n');
 }
 
-// --- OpenAI helpers ----------------------------------------------------------
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-
-async function callOpenAIGeneratePlan({ description, budget, skill_level }) {
-  const prompt = `Generate a detailed DIY project plan in JSON format for the following:
-Description: ${description}
-Budget: ${budget}
-Skill Level: ${skill_level}
+async function callOpenAIGeneratePlan(input) {
+  const prompt = buildPlanPrompt(input);
+  const userContent = input.photo_url
+    ? [{ type: 'text', text: prompt }, { type: 'image_url', image_url: { url: input.photo_url } }]
+    : prompt;
 
-Return a JSON object with this structure:
-{
-  "title": "Project Title",
-  "materials": ["item1", "item2", ...],
-  "tools": ["tool1", "tool2", ...],
-  "steps": [
-    {"step": 1, "title": "Step title", "description": "Step details"},
-    ...
-  ],
-  "estimatedTime": "X hours",
-  "difficulty": "beginner|intermediate|advanced"
-}`;
-
-  const res = await fetch('https://api.openai.com/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${OPENAI_API_KEY}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      model: 'gpt-4o-mini',
-      messages: [
-        { role: 'system', content: 'You are a DIY project planning assistant. Return only valid JSON.' },
-        { role: 'user', content: prompt }
-      ],
-      temperature: 0.7,
-      response_format: { type: "json_object" }
-    })
-  });
+  let res, data;
+  try {
+    res = await fetch('https://api.openai.com/v1/chat/completions', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${OPENAI_API_KEY}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        model: 'gpt-4o-mini',
+        messages: [
+          { role: 'system', content: 'You are a DIY project planning assistant. Return only valid JSON.' },
+          { role: 'user', content: userContent }
+        ],
+        temperature: 0.7,
+        response_format: { type: "json_object" }
+      }),
+      signal: AbortSignal.timeout(PLAN_OPENAI_TIMEOUT_MS)
+    });
+    data = await res.json();
+  } catch (e) {
+    // No `status`, so the plan job retries it with backoff
+    if (e.name === 'TimeoutError' || e.name === 'AbortError') {
+      throw Object.assign(new Error(`OpenAI request timed out after ${PLAN_OPENAI_TIMEOUT_MS}ms`), { code: 'provider_timeout' });
+    }
+    throw e;
+  }
 
-  const data = await res.json();
-  
   if (!res.ok) {
     const msg = data?.error?.message || `OpenAI ${res.status}`;
     const err = new Error(msg);
@@ -377,91 +273,55 @@ app.get('/', (req, res) => res.json({
 }));
 
 // --- Entitlements endpoint ---
-// GET /me/entitlements/:userId
-app.get('/me/entitlements/:userId', async (req, res) => {
-  const defaults = { tier: 'Free', quota: 2, remaining: 2, previewAllowed: false };
-  try {
-    const userId = req.params.userId?.trim();
-    if (!userId) return res.json({ ok: true, ...defaults });
-
-    // attempt lookup; if not found, fall back
-    const { data: profile, error } = await supabase
-      .from('profiles')
-      .select('subscription_tier, plan_quota_monthly, plan_credits_used_month')
-      .eq('user_id', userId)
-      .maybeSingle();
-
-    if (error || !profile) return res.json({ ok: true, ...defaults });
-
-    const tier = profile.subscription_tier || 'Free';
-    const quota = profile.plan_quota_monthly ?? (tier === 'Pro' ? 25 : tier === 'Casual' ? 5 : 2);
-    const used  = profile.plan_credits_used_month ?? 0;
-    const remaining = Math.max(0, quota - used);
-
-    return res.json({ ok: true, tier, quota, remaining, previewAllowed: tier !== 'Free' });
-  } catch {
-    return res.json({ ok: true, tier: 'Free', quota: 2, remaining: 2, previewAllowed: false });
+// Shared by the three /me/entitlements routes; numbers come from services/entitlements.js
+async function meEntitlementsGet(req, res) {
+  const userId = req.user.id;
+  if (req.params.userId && req.params.userId.trim() !== userId) {
+    return res.status(403).json({ ok: false, error: 'forbidden' });
   }
-});
-
-app.get('/api/me/entitlements/:userId', async (req, res) => {
-  const defaults = { tier: 'Free', quota: 2, remaining: 2, previewAllowed: false };
+  let ent;
   try {
-    const userId = req.params.userId?.trim();
-    if (!userId) return res.json({ ok: true, ...defaults });
-
-    // attempt lookup; if not found, fall back
-    const { data: profile, error } = await supabase
-      .from('profiles')
-      .select('subscription_tier, plan_quota_monthly, plan_credits_used_month')
-      .eq('user_id', userId)
-      .maybeSingle();
+    ent = await getEntitlements(userId);
+  } catch (e) {
+    console.warn('[entitlements] lookup failed, using defaults:', e.message || e);
+    ent = defaultEntitlements();
+  }
+  const { tier, quota, used, remaining, previewAllowed, previewVariants, credits_month_key } = ent;
+  return res.json({ ok: true, tier, quota, used, remaining, previewAllowed, previewVariants, credits_month_key });
+}
 
-    if (error || !profile) return res.json({ ok: true, ...defaults });
+// GET /me/entitlements/:userId (path param must match the authenticated user)
+app.get('/me/entitlements/:userId', requireAuth, meEntitlementsGet);
+app.get('/api/me/entitlements/:userId', requireAuth, meEntitlementsGet);
 
-    const tier = profile.subscription_tier || 'Free';
-    const quota = profile.plan_quota_monthly ?? (tier === 'Pro' ? 25 : tier === 'Casual' ? 5 : 2);
-    const used  = profile.plan_credits_used_month ?? 0;
-    const remaining = Math.max(0, quota - used);
+// GET /me/entitlements (authenticated user)
+app.get('/me/entitlements', requireAuth, meEntitlementsGet);
 
-    return res.json({ ok: true, tier, quota, remaining, previewAllowed: tier !== 'Free' });
-  } catch {
-    return res.json({ ok: true, tier: 'Free', quota: 2, remaining: 2, previewAllowed: false });
-  }
+// --- Owned tools (skipped by the cost engine and shopping list) ---
+app.get('/api/me/owned-tools', requireAuth, async (req, res) => {
+  return res.json({ ok: true, tools: await getOwnedTools(req.user.id) });
 });
 
-// GET /me/entitlements (query param version)
-app.get('/me/entitlements', async (req, res) => {
-  const defaults = { tier: 'Free', quota: 2, remaining: 2, previewAllowed: false };
+// PUT /api/me/owned-tools { tools: ["Drill", "Level"] } - replaces the list
+app.put('/api/me/owned-tools', requireAuth, async (req, res) => {
+  const { tools } = req.body || {};
+  if (!Array.isArray(tools) || tools.length > 200) {
+    return res.status(400).json({ ok: false, error: 'invalid_tools' });
+  }
   try {
-    const userId = req.query.user_id?.trim();
-    if (!userId) return res.json({ ok: true, ...defaults });
-
-    // attempt lookup; if not found, fall back
-    const { data: profile, error } = await supabase
-      .from('profiles')
-      .select('subscription_tier, plan_quota_monthly, plan_credits_used_month')
-      .eq('user_id', userId)
-      .maybeSingle();
-
-    if (error || !profile) return res.json({ ok: true, ...defaults });
-
-    const tier = profile.subscription_tier || 'Free';
-    const quota = profile.plan_quota_monthly ?? (tier === 'Pro' ? 25 : tier === 'Casual' ? 5 : 2);
-    const used  = profile.plan_credits_used_month ?? 0;
-    const remaining = Math.max(0, quota - used);
-
-    return res.json({ ok: true, tier, quota, remaining, previewAllowed: tier !== 'Free' });
-  } catch {
-    return res.json({ ok: true, tier: 'Free', quota: 2, remaining: 2, previewAllowed: false });
+    return res.json({ ok: true, tools: await setOwnedTools(req.user.id, tools) });
+  } catch (e) {
+    console.error('[owned tools] update error', e);
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
   }
 });
 
 // --- Billing endpoints ---
 // POST /api/billing/checkout - Create Stripe checkout session
-app.post('/api/billing/checkout', async (req, res) => {
+app.post('/api/billing/checkout', requireAuth, async (req, res) => {
   try {
-    const { tier, user_id } = req.body || {};
+    const { tier } = req.body || {};
+    const user_id = req.user.id;
     
     if (!tier || !['casual', 'pro'].includes(tier)) {
       return res.status(404).json({ ok: false, error: 'unknown_tier' });
@@ -483,9 +343,9 @@ app.post('/api/billing/checkout', async (req, res) => {
       success_url,
       cancel_url,
       allow_promotion_codes: true,
-      client_reference_id: user_id || 'anon',
-      metadata: { user_id: user_id || 'anon', tier },
-      subscription_data: { metadata: { user_id: user_id || 'anon', tier } },
+      client_reference_id: user_id,
+      metadata: { user_id, tier },
+      subscription_data: { metadata: { user_id, tier } },
     });
 
     console.info('[billing] checkout created', { tier, user_id, url: session.url });
@@ -497,21 +357,18 @@ app.post('/api/billing/checkout', async (req, res) => {
 });
 
 // POST /api/billing/portal - Create Stripe billing portal session
-app.post('/api/billing/portal', async (req, res) => {
+app.post('/api/billing/portal', requireAuth, async (req, res) => {
   try {
-    const { user_id, customer_id } = req.body || {};
-    let customerId = (customer_id || '').trim();
+    const user_id = req.user.id;
 
-    // Look up by user_id if customer_id not provided
-    if (!customerId && user_id) {
-      const { data: prof, error } = await supabase
-        .from('profiles')
-        .select('stripe_customer_id')
-        .eq('user_id', user_id)
-        .maybeSingle();
-      if (error) throw error;
-      customerId = (prof && prof.stripe_customer_id) ? String(prof.stripe_customer_id).trim() : '';
-    }
+    // Only the caller's own Stripe customer can open a portal session
+    const { data: prof, error } = await supabase
+      .from('profiles')
+      .select('stripe_customer_id')
+      .eq('user_id', user_id)
+      .maybeSingle();
+    if (error) throw error;
+    const customerId = (prof && prof.stripe_customer_id) ? String(prof.stripe_customer_id).trim() : '';
 
     if (!customerId) {
       console.info('[billing] portal: no customer id', { user_id });
@@ -550,16 +407,17 @@ app.post('/api/billing/portal', async (req, res) => {
   }
 });
 
-// POST /api/billing/upgrade - Dev stub for manual tier upgrades
-app.post('/api/billing/upgrade', async (req, res) => {
+// POST /api/billing/upgrade - Dev stub for manual tier upgrades. Skips Stripe and the quota
+// ledger, so production only changes tiers through the billing webhook.
+app.post('/api/billing/upgrade', requireAuth, async (req, res) => {
+  if (process.env.NODE_ENV === 'production') {
+    return res.status(404).json({ ok: false, error: 'not_found' });
+  }
   try {
-    const { tier, user_id } = req.body || {};
-    
-    if (!user_id) {
-      return res.status(400).json({ ok: false, error: 'missing_user_id' });
-    }
+    const { tier } = req.body || {};
+    const user_id = req.user.id;
 
-    if (!tier || !['free', 'casual', 'pro'].includes(tier)) {
+    if (!isTier(tier)) {
       return res.status(404).json({ ok: false, error: 'unknown_tier' });
     }
 
@@ -568,7 +426,7 @@ app.post('/api/billing/upgrade', async (req, res) => {
     // Upsert: insert if doesn't exist, update if exists
     const { error } = await supabase
       .from('profiles')
-      .upsert({ user_id, plan_tier: tier }, { onConflict: 'user_id' });
+      .upsert({ user_id, ...tierProfilePatch(tier) }, { onConflict: 'user_id' });
 
     if (error) {
       console.error('[ERROR] Upgrade failed:', error.message);
@@ -752,9 +610,9 @@ async function makeDesignSuggestions(payload) {
 }
 
 // --- Projects: LIST ---
-app.get('/api/projects', async (req, res) => {
+app.get('/api/projects', requireAuth, async (req, res) => {
   try {
-    const user_id = req.query.user_id || DEV_USER;
+    const user_id = req.user.id;
     const { data, error } = await supabase
       .from('projects')
       .select('id,name,status,input_image_url,preview_url')
@@ -769,9 +627,9 @@ app.get('/api/projects', async (req, res) => {
 
 // --- Projects: CARDS (Lightweight List) ---
 // NOTE: Must come BEFORE /:id route to avoid "cards" being treated as an ID
-app.get('/api/projects/cards', async (req, res) => {
+app.get('/api/projects/cards', requireAuth, async (req, res) => {
   try {
-    const user_id = req.query.user_id || DEV_USER;
+    const user_id = req.user.id;
     
     const rawLimit = parseInt(req.query.limit);
     const rawOffset = parseInt(req.query.offset);
@@ -781,16 +639,17 @@ app.get('/api/projects/cards', async (req, res) => {
 
     const { data, error} = await supabase
       .from('projects')
-      .select('id,name,status,preview_url,updated_at')
+      .select('id,name,status,preview_url,preview_meta,updated_at')
       .eq('user_id', user_id)
       .order('updated_at', { ascending: false })
       .range(offset, offset + limit - 1);
 
     if (error) throw error;
 
-    const items = (data || []).map(project => ({
+    // Rehosted previews carry a stored 640px thumbnail
+    const items = (data || []).map(({ preview_meta, ...project }) => ({
       ...project,
-      preview_thumb_url: thumb(project.preview_url, 640, 70)
+      preview_thumb_url: preview_meta?.thumb_url || thumb(project.preview_url, 640, 70)
     }));
 
     res.json({ ok: true, items });
@@ -800,7 +659,7 @@ app.get('/api/projects/cards', async (req, res) => {
 });
 
 // --- Projects: GET ONE ---
-app.get('/api/projects/:id', async (req, res) => {
+app.get('/api/projects/:id', requireAuth, requireProjectOwner, async (req, res) => {
   try {
     const { id } = req.params;
     const { data, error } = await supabase
@@ -818,14 +677,10 @@ app.get('/api/projects/:id', async (req, res) => {
 
 // --- Projects: CREATE ---
 // NEVER gated - project creation is always allowed regardless of tier
-app.post('/api/projects', async (req, res) => {
+app.post('/api/projects', requireAuth, async (req, res) => {
   try {
-    const { user_id, name, budget, skill, skill_level } = req.body || {};
-
-    // Require user_id from the app
-    if (!user_id) {
-      return res.status(400).json({ ok: false, error: 'user_id required' });
-    }
+    const { name, budget, skill, skill_level } = req.body || {};
+    const user_id = req.user.id;
 
     // Map skill → skill_level if present
     const skillLevel = skill_level || skill;
@@ -860,6 +715,7 @@ app.post('/api/projects', async (req, res) => {
       return res.status(422).json({ ok: false, error: 'insert_failed' });
     }
 
+    await recordInitialStatus(inserted.id, 'draft', { actor: { type: 'user', id: user_id } });
     console.log(`[POST /api/projects] user_id=${user_id}, project_id=${inserted.id}`);
     return res.json({ ok: true, item: inserted });
   } catch (e) {
@@ -869,32 +725,13 @@ app.post('/api/projects', async (req, res) => {
 });
 
 // --- Projects: PATCH (update with whitelist) ---
-app.patch('/api/projects/:projectId', async (req, res) => {
+app.patch('/api/projects/:projectId', requireAuth, requireProjectOwner, async (req, res) => {
   try {
     const projectId = req.params.projectId;
-    const userId = (req.body?.user_id || req.query?.user_id || '').trim();
-    
-    if (!userId) {
-      return res.status(400).json({ ok: false, error: 'user_id_required' });
-    }
+    const userId = req.user.id;
     
     console.log('[projects PATCH] start', { projectId, user_id: userId });
     
-    // Load project and verify ownership
-    const { data: proj, error: projError } = await supabase
-      .from('projects')
-      .select('id, user_id')
-      .eq('id', projectId)
-      .maybeSingle();
-    
-    if (projError) throw projError;
-    if (!proj) {
-      return res.status(404).json({ ok: false, error: 'project_not_found' });
-    }
-    if (proj.user_id !== userId) {
-      return res.status(403).json({ ok: false, error: 'forbidden' });
-    }
-    
     // Whitelist fields
     const whitelist = ['status', 'name', 'preview_url'];
     const updates = {};
@@ -910,18 +747,28 @@ app.patch('/api/projects/:projectId', async (req, res) => {
       return res.status(400).json({ ok: false, error: 'no_updatable_fields_provided' });
     }
     
-    // Always bump updated_at
-    updates.updated_at = new Date().toISOString();
-    
-    // Update project
-    const { data: updated, error: updateError } = await supabase
+    // Status changes go through the lifecycle (409 for a move it does not allow); only `ready`
+    // and `active` can be asked for, the rest belong to the preview and plan jobs
+    if ('status' in updates) {
+      const { status, ...rest } = updates;
+      assertClientStatus(status);
+      await transitionProject(projectId, status, { actor: { type: 'user', id: userId }, reason: 'client_update', patch: rest });
+    } else {
+      // Always bump updated_at
+      updates.updated_at = new Date().toISOString();
+      const { error: updateError } = await supabase
+        .from('projects')
+        .update(updates)
+        .eq('id', projectId);
+      if (updateError) throw updateError;
+    }
+
+    const { data: updated, error: readError } = await supabase
       .from('projects')
-      .update(updates)
-      .eq('id', projectId)
       .select('id, user_id, name, status, preview_url, updated_at, created_at')
+      .eq('id', projectId)
       .maybeSingle();
-    
-    if (updateError) throw updateError;
+    if (readError) throw readError;
     
     console.log('[projects PATCH] updated', { 
       id: updated.id, 
@@ -931,6 +778,7 @@ app.patch('/api/projects/:projectId', async (req, res) => {
     
     return res.json({ ok: true, item: updated });
   } catch (e) {
+    if (e.status) return res.status(e.status).json({ ok: false, error: e.code, message: e.message, hint: e.hint });
     console.error('[projects PATCH] error:', e.message);
     return res.status(500).json({ ok: false, error: 'server_error' });
   }
@@ -938,13 +786,9 @@ app.patch('/api/projects/:projectId', async (req, res) => {
 
 // --- Demo Project: CREATE OR FETCH ---
 // POST /api/demo-project - Creates or returns existing demo project for user
-app.post('/api/demo-project', async (req, res) => {
+app.post('/api/demo-project', requireAuth, async (req, res) => {
   try {
-    const user_id = (req.body?.user_id || '').trim();
-    
-    if (!user_id) {
-      return res.status(400).json({ ok: false, error: 'missing_user_id' });
-    }
+    const user_id = req.user.id;
     
     console.log('[POST /api/demo-project] user_id=', user_id);
     
@@ -982,34 +826,37 @@ app.post('/api/demo-project', async (req, res) => {
     
     // 3) Define demo project data
     const demoPlanJson = {
-      summary: {
+      schema_version: 1,
+      overview: {
         title: 'Modern Floating Shelves',
+        summary: 'Build clean, minimalist shelves with concealed brackets.',
         est_time: '3-4 hours',
         est_cost: '$85',
-        overview: 'Build clean, minimalist shelves with concealed brackets.',
-        difficulty: 'intermediate'
+        skill: 'intermediate',
+        notes: null,
+        assumptions: []
       },
       materials: [
-        { name: `Birch plywood 3/4" (4x8)`, qty: 1, unit: 'sheet', cost: '$68', subtotal: 68 },
-        { name: 'Edge banding 3/4"', qty: 1, unit: 'ea', cost: '$7.50', subtotal: 7.5 },
-        { name: 'Wood screws 2.5"', qty: 1, unit: 'box', cost: '$9.50', subtotal: 9.5 }
+        { name: `Birch plywood 3/4" (4x8)`, qty: 1, unit: 'sheet', unit_price: 68, subtotal: 68, notes: null },
+        { name: 'Edge banding 3/4"', qty: 1, unit: 'ea', unit_price: 7.5, subtotal: 7.5, notes: null },
+        { name: 'Wood screws 2.5"', qty: 1, unit: 'box', unit_price: 9.5, subtotal: 9.5, notes: null }
       ],
       tools: [
-        { name: 'Circular saw', optional: false },
-        { name: 'Drill', optional: false },
-        { name: 'Level', optional: false },
-        { name: 'Miter saw', optional: true }
+        { name: 'Circular saw', optional: false, have: false, rent_price: null, buy_price: null, notes: null },
+        { name: 'Drill', optional: false, have: false, rent_price: null, buy_price: null, notes: null },
+        { name: 'Level', optional: false, have: false, rent_price: null, buy_price: null, notes: null },
+        { name: 'Miter saw', optional: true, have: false, rent_price: null, buy_price: null, notes: null }
       ],
       cuts: [
-        { board: 'Birch plywood', dims: '48" x 10"', qty: 2 },
-        { board: 'Birch plywood', dims: '12" x 10"', qty: 4 }
+        { item: 'Shelf', material: 'Birch plywood', size: '48" x 10"', qty: 2, notes: null },
+        { item: 'Bracket cover', material: 'Birch plywood', size: '12" x 10"', qty: 4, notes: null }
       ],
       steps: [
-        { order: 1, title: 'Cut shelves', detail: 'Cut plywood to size using circular saw', duration: 45 },
-        { order: 2, title: 'Apply edge banding', detail: 'Iron on edge banding to all exposed edges', duration: 30 },
-        { order: 3, title: 'Locate studs', detail: 'Use stud finder to mark wall studs', duration: 15 },
-        { order: 4, title: 'Install brackets', detail: 'Mount floating shelf brackets to studs', duration: 60 },
-        { order: 5, title: 'Attach shelves', detail: 'Slide shelves onto brackets and secure', duration: 30 }
+        { order: 1, title: 'Cut shelves', text: 'Cut plywood to size using circular saw', duration_min: 45, depends_on: [], notes: null },
+        { order: 2, title: 'Apply edge banding', text: 'Iron on edge banding to all exposed edges', duration_min: 30, depends_on: [1], notes: null },
+        { order: 3, title: 'Locate studs', text: 'Use stud finder to mark wall studs', duration_min: 15, depends_on: [], notes: null },
+        { order: 4, title: 'Install brackets', text: 'Mount floating shelf brackets to studs', duration_min: 60, depends_on: [3], notes: null },
+        { order: 5, title: 'Attach shelves', text: 'Slide shelves onto brackets and secure', duration_min: 30, depends_on: [2, 4], notes: null }
       ],
       safety: [
         'Wear safety glasses when cutting',
@@ -1019,7 +866,9 @@ app.post('/api/demo-project', async (req, res) => {
       tips: [
         'Pre-drill screw holes to prevent splitting',
         'Use a level to ensure shelves are perfectly horizontal'
-      ]
+      ],
+      estimation: null,
+      meta: { source: 'demo' }
     };
     
     // 4) Create demo project with all required fields
@@ -1060,6 +909,8 @@ app.post('/api/demo-project', async (req, res) => {
       return res.status(500).json({ ok: false, error: 'insert_failed', details: 'no_id_returned' });
     }
     
+    await appendPlanVersion(created.id, demoPlanJson, { source: 'demo', authorId: user_id });
+    await recordInitialStatus(created.id, 'plan_ready', { actor: { type: 'user', id: user_id }, reason: 'demo_created' });
     console.log('[demo-project] Created new demo:', created.id);
     return res.json({ ok: true, item: created, existed: false });
   } catch (e) {
@@ -1076,14 +927,10 @@ app.post('/api/demo-project', async (req, res) => {
 });
 
 // --- Events: CREATE ---
-app.post('/api/events', async (req, res) => {
+app.post('/api/events', requireAuth, async (req, res) => {
   try {
-    const { user_id, project_id, event_type, props } = req.body || {};
-
-    // Validate user_id (must be UUID)
-    if (!user_id || typeof user_id !== 'string' || user_id.trim().length === 0) {
-      return res.status(400).json({ ok: false, error: 'missing_user_id' });
-    }
+    const { project_id, event_type, props } = req.body || {};
+    const user_id = req.user.id;
 
     // Validate event_type (must be non-empty string)
     if (!event_type || typeof event_type !== 'string' || event_type.trim().length === 0) {
@@ -1114,205 +961,54 @@ app.post('/api/events', async (req, res) => {
 });
 
 // POST /api/projects/:id/image  (accepts multipart file/image OR direct_url)
-app.post('/api/projects/:id/image', upload.any(), async (req, res) => {
+// Adds a photo to project_photos and makes it primary (NO auto-actions, status stays 'draft')
+app.post('/api/projects/:id/image', requireAuth, requireProjectOwner, acceptImageUpload, async (req, res) => {
   try {
     const { id } = req.params;
     const { direct_url } = req.body || {};
-    let publicUrl;
+    let photo;
 
     // Handle direct_url (no upload needed)
     if (direct_url) {
-      // Validate it's http(s)
-      if (!direct_url.startsWith('http://') && !direct_url.startsWith('https://')) {
+      // Validate it's an http(s) string
+      if (typeof direct_url !== 'string' || (!direct_url.startsWith('http://') && !direct_url.startsWith('https://'))) {
         console.log('[ERROR] Invalid direct_url (must be http/https):', direct_url);
         return res.status(400).json({ ok:false, error:'invalid_direct_url_must_be_http_or_https' });
       }
-      publicUrl = direct_url;
+      photo = await addPhoto(id, { url: direct_url, userId: req.user.id, primary: true });
     } 
     // Handle file upload (support both 'file' and 'image' field names)
-    else if (req.files && req.files.length > 0) {
-      const req_file = req.files[0];
-      
-      // Validate it's an image
-      if (!req_file.mimetype || !req_file.mimetype.startsWith('image/')) {
-        console.log('[ERROR] Invalid file type:', req_file.mimetype);
-        return res.status(400).json({ ok:false, error:'invalid_file_type_must_be_image' });
-      }
-      
-      const ext = (req_file.mimetype?.split('/')[1] || 'jpg').toLowerCase();
-      const path = `projects/${id}/${Date.now()}.${ext}`;
-
-      // Try to upload to Supabase, fallback to stub URL on error
-      const { error: upErr } = await supabase
-        .storage.from(UPLOADS_BUCKET)
-        .upload(path, req_file.buffer, { contentType: req_file.mimetype, upsert: true });
-      
-      if (upErr) {
-        console.log('[WARN] Supabase upload failed, using stub URL:', upErr.message);
-        // Stub fallback - simulate a storage URL
-        publicUrl = `https://example.com/stub-uploads/${id}/room-${Date.now()}.${ext}`;
-      } else {
-        const { data: pub } = supabase.storage.from(UPLOADS_BUCKET).getPublicUrl(path);
-        publicUrl = pub?.publicUrl;
-      }
-    } 
-    else if (req.file) {
-      const req_file = req.file;
-      
-      // Validate it's an image
-      if (!req_file.mimetype || !req_file.mimetype.startsWith('image/')) {
-        console.log('[ERROR] Invalid file type:', req_file.mimetype);
-        return res.status(400).json({ ok:false, error:'invalid_file_type_must_be_image' });
-      }
-      
-      const ext = (req_file.mimetype?.split('/')[1] || 'jpg').toLowerCase();
-      const path = `projects/${id}/${Date.now()}.${ext}`;
+    else if (req.files?.length || req.file) {
+      const req_file = req.files?.[0] || req.file;
 
-      // Try to upload to Supabase, fallback to stub URL on error
-      const { error: upErr } = await supabase
-        .storage.from(UPLOADS_BUCKET)
-        .upload(path, req_file.buffer, { contentType: req_file.mimetype, upsert: true });
-      
-      if (upErr) {
-        console.log('[WARN] Supabase upload failed, using stub URL:', upErr.message);
-        // Stub fallback - simulate a storage URL
-        publicUrl = `https://example.com/stub-uploads/${id}/room-${Date.now()}.${ext}`;
-      } else {
-        const { data: pub } = supabase.storage.from(UPLOADS_BUCKET).getPublicUrl(path);
-        publicUrl = pub?.publicUrl;
-      }
+      // Type comes from the file's bytes; HEIC/EXIF/GPS handled in lib/imageIngest.js.
+      // A storage failure is a 502 upload_failed: nothing is saved, the client retries.
+      photo = await addPhoto(id, { buffer: req_file.buffer, userId: req.user.id, primary: true });
     } 
     else {
       console.log('[ERROR] No file or direct_url provided');
       return res.status(400).json({ ok:false, error:'missing_file_or_direct_url' });
     }
 
-    // Update project with image URL (NO auto-actions, status stays 'draft')
-    const { error: dbErr } = await supabase
-      .from('projects')
-      .update({ input_image_url: publicUrl })
-      .eq('id', id);
-    
-    if (dbErr) {
-      console.log('[ERROR] Database update failed:', dbErr.message);
-      return res.status(500).json({ ok:false, error: dbErr.message });
-    }
-
-    return res.json({ ok:true });
+    return res.json({ ok:true, input_image_url: photo.url, variants: photo.variants, photo });
   } catch (e) {
+    if (e.status) {
+      console.log('[ERROR] Image rejected:', e.code, e.message);
+      return res.status(e.status).json({ ok:false, error: e.code, message: e.message });
+    }
     console.log('[ERROR] Image upload exception:', e.message);
     return res.status(500).json({ ok:false, error: String(e.message || e) });
   }
 });
 
-// --- Preview generation route ------------------------------------------------
-// POST /api/projects/:id/preview
-// COMMENTED OUT - Replaced by minimal preview endpoints below (lines ~1425)
-// OLD: Gated by tier - requires previewAllowed and remaining quota
-// app.post('/api/projects/:id/preview', requirePreviewOrBuildQuota, async (req, res) => {
-app.post('/api/projects/:id/preview-OLD-DISABLED', requirePreviewOrBuildQuota, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { room_type, design_style } = req.body || {};
-
-    // Validate project exists and has image
-    const { data: project, error: pErr } = await supabase
-      .from('projects')
-      .select('id, input_image_url, preview_url, status')
-      .eq('id', id)
-      .single();
-
-    if (pErr || !project) {
-      return res.status(404).json({ ok:false, error: 'project_not_found' });
-    }
-    if (!project.input_image_url) {
-      return res.status(422).json({ ok:false, error: 'missing_input_image_url' });
-    }
-
-    // Enforce max 1 preview per project
-    if (project.preview_url || project.status === 'preview_ready') {
-      return res.status(409).json({ ok:false, error: 'preview_already_used' });
-    }
-
-    // Mark preview requested
-    await supabase.from('projects')
-      .update({ status: 'preview_requested' })
-      .eq('id', id);
-
-    // Return immediately
-    res.json({ ok:true });
-
-    // Background processing with provider selection
-    (async () => {
-      try {
-        let preview_url = project.input_image_url; // Default fallback
-        let useStubDelay = false;
-
-        if (PREVIEW_PROVIDER === 'decor8' && DECOR8_API_KEY) {
-          try {
-            console.log(`[Preview] Calling Decor8 for project ${id}`);
-            const result = await callDecor8Generate({
-              input_image_url: project.input_image_url,
-              room_type: room_type || 'livingroom',
-              design_style: design_style || 'modern'
-            });
-            
-            // Extract preview URL from Decor8 response
-            if (result?.info?.images?.[0]) {
-              preview_url = result.info.images[0];
-              console.log(`[Preview] Decor8 success for ${id}: ${preview_url}`);
-            }
-          } catch (decor8Err) {
-            console.error(`[Preview] Decor8 failed for ${id}, falling back to stub:`, decor8Err.message);
-            useStubDelay = true;
-          }
-        } else {
-          console.log(`[Preview] Using stub for ${id} (provider: ${PREVIEW_PROVIDER})`);
-          useStubDelay = true;
-        }
-
-        // Apply stub delay for fallback or stub mode
-        if (useStubDelay) {
-          await new Promise(resolve => setTimeout(resolve, 5000));
-        }
-
-        // Update to preview_ready
-        await supabase.from('projects')
-          .update({ 
-            status: 'preview_ready',
-            preview_url
-          })
-          .eq('id', id);
-        
-        console.log(`[Preview] Completed for ${id}`);
-      } catch (bgErr) {
-        console.error(`[Preview] Background error for ${id}:`, bgErr);
-        // Set to error state
-        await supabase.from('projects')
-          .update({ status: 'preview_error' })
-          .eq('id', id);
-      }
-    })();
-
-  } catch (err) {
-    console.error('[Preview] error:', err);
-    return res.status(500).json({ ok:false, error: String(err.message || err) });
-  }
-});
+// Preview start/status live in routes/preview.js (mounted via routes/projects.js and /preview)
 
 // --- Build without preview route --------------------------------------------
 // POST /api/projects/:id/build-without-preview
-app.post('/api/projects/:id/build-without-preview', async (req, res) => {
+app.post('/api/projects/:id/build-without-preview', requireAuth, requireProjectOwner, async (req, res) => {
   try {
-    const id = (req.params.id || req.body?.project_id || req.body?.id)?.trim();
-    if (!id) return res.status(400).json({ ok: false, error: 'missing_project_id' });
-
-    // Optional: honor user id if provided via body, query, or header
-    const userId =
-      req.body?.user_id ||
-      req.query?.user_id ||
-      req.headers['x-user-id'] ||
-      null;
+    const id = req.params.id.trim();
+    const userId = req.user.id;
 
     // Verify project exists
     const { data: proj, error: getErr } = await supabase
@@ -1331,25 +1027,21 @@ app.post('/api/projects/:id/build-without-preview', async (req, res) => {
     // }
 
     // Mark project ready; clear preview_url
-    const { error: updErr } = await supabase
-      .from('projects')
-      .update({ status: 'ready', preview_url: null })
-      .eq('id', id);
-
-    if (updErr) return res.status(500).json({ ok: false, error: updErr.message });
+    await transitionProject(id, 'ready', { actor: { type: 'user', id: userId }, reason: 'build_without_preview', patch: { preview_url: null } });
 
     // Optionally enqueue a background job here later
 
     // 202 to indicate accepted for processing
     return res.status(202).json({ ok: true, project_id: id, accepted: true, user_id: userId });
   } catch (e) {
+    if (e.status) return res.status(e.status).json({ ok: false, error: e.code, message: e.message, hint: e.hint });
     return res.status(500).json({ ok: false, error: e?.message || 'server_error' });
   }
 });
 
 // --- Smart Suggestions endpoint (beta) -------------------------------------
 // POST /api/projects/:id/suggestions
-app.post('/api/projects/:id/suggestions', async (req, res) => {
+app.post('/api/projects/:id/suggestions', requireAuth, requireProjectOwner, async (req, res) => {
   try {
     const { id } = req.params;
     const p = await getProjectById(id);
@@ -1386,7 +1078,7 @@ app.post('/api/projects/:id/suggestions', async (req, res) => {
 });
 
 // --- Smart prompt coach route ---
-app.post('/api/projects/:id/suggestions-smart', async (req, res) => {
+app.post('/api/projects/:id/suggestions-smart', requireAuth, requireProjectOwner, async (req, res) => {
   try {
     const id = req.params.id?.trim();
     if (!id) return res.status(400).json({ ok:false, error:'missing_project_id' });
@@ -1449,276 +1141,402 @@ app.post('/api/projects/:id/suggestions-smart', async (req, res) => {
   }
 });
 
-/**
- * GET /api/projects/:id/plan
- * Returns comprehensive plan data for the Plan screen
- * 
- * @param {string} id - Project UUID
- * @returns {object} Plan data with summary, preview, materials, tools, steps, etc.
- */
-app.get('/api/projects/:id/plan', async (req, res) => {
+// POST /api/projects/:id/plan - Update project plan
+app.post('/api/projects/:id/plan', requireAuth, requireProjectOwner, async (req, res) => {
   try {
     const { id } = req.params;
+    const { plan_json, status } = req.body;
     
-    // Fetch project with all needed fields
-    const { data: project, error } = await supabase
-      .from('projects')
-      .select('id, user_id, status, plan_json, name, input_image_url, preview_url')
-      .eq('id', id)
-      .maybeSingle();
-    
-    if (error) {
-      console.log('[ERROR] GET plan database error:', error.message);
-      return res.status(500).json({ ok: false, error: error.message });
-    }
-    
-    if (!project) {
-      return res.status(404).json({ ok: false, error: 'project_not_found' });
+    if (!plan_json) {
+      return res.status(400).json({ ok: false, error: 'plan_json required' });
     }
+    // The plan is saved in this request, so plan_ready is true too
+    if (status) assertClientStatus(status, ['plan_ready']);
 
-    // Get user quota/entitlements
-    let quota = { tier: 'free', plansUsed: 0, plansLimit: 2 };
+    // Same write path as every other plan save (validation, estimation, cut layout, version);
+    // without a status the project's status is left as it is
+    let saved;
     try {
-      const { data: profile } = await supabase
-        .from('profiles')
-        .select('subscription_tier, plan_tier')
-        .eq('user_id', project.user_id)
-        .maybeSingle();
-      
-      const tier = profile?.subscription_tier || profile?.plan_tier || 'free';
-      const limit = tier === 'pro' ? 25 : tier === 'casual' ? 5 : 2;
-      
-      const { count } = await supabase
-        .from('projects')
-        .select('id', { count: 'exact', head: true })
-        .eq('user_id', project.user_id);
-      
-      quota = {
-        tier,
-        plansUsed: count || 0,
-        plansLimit: limit
-      };
+      saved = await savePlan(id, plan_json, { status: status || null, source: 'manual', authorId: req.user.id });
     } catch (e) {
-      console.warn('[WARN] Could not fetch quota:', e.message);
+      if (e.code !== 'invalid_plan') throw e;
+      return res.status(422).json({ ok: false, error: 'invalid_plan', details: e.details });
     }
-
-    // Extract plan_json data with defaults
-    const plan = project.plan_json || {};
-    const planSummary = plan.overview || plan.summary || {};
-    const planSteps = plan.steps || [];
-    const planMaterials = plan.materials || [];
-    const planTools = plan.tools || [];
-    const planCuts = plan.cuts || [];
-    const planSafety = plan.safety || [];
     
-    // Parse estimated time (convert to hours)
-    let estTimeHours = 0;
-    const estTimeStr = planSummary.est_time || planSummary.estimatedTime || '';
-    const hourMatch = estTimeStr.match(/(\d+)\s*h/i);
-    if (hourMatch) {
-      estTimeHours = parseInt(hourMatch[1], 10);
-    } else if (estTimeStr.includes('-')) {
-      const [min, max] = estTimeStr.split('-').map(s => parseInt(s, 10));
-      estTimeHours = Math.ceil((min + max) / 2);
-    }
+    const { data, error } = await supabase
+      .from('projects')
+      .select()
+      .eq('id', id)
+      .maybeSingle();
     
-    // Parse estimated cost (convert to USD)
-    let estCostUsd = 0;
-    const estCostStr = planSummary.est_cost || planSummary.estimatedCost || '';
-    if (estCostStr.includes('$')) {
-      const costMatch = estCostStr.match(/\$?\s*(\d+)/);
-      if (costMatch) estCostUsd = parseInt(costMatch[1], 10);
+    if (error) throw error;
+    if (!data) {
+      return res.status(404).json({ ok: false, error: 'project_not_found' });
     }
-
-    // Build response following the frozen schema
-    const response = {
-      projectId: project.id,
-      
-      summary: {
-        title: planSummary.title || project.name || 'DIY Project Plan',
-        heroImageUrl: project.preview_url || project.input_image_url || null,
-        estTimeHours,
-        estCostUsd
-      },
-      
-      preview: {
-        beforeUrl: project.input_image_url || null,
-        afterUrl: project.preview_url || null
-      },
-      
-      materials: planMaterials.map(mat => {
-        if (typeof mat === 'string') {
-          return { name: mat, qty: 0, unit: 'ea', subtotalUsd: 0 };
-        }
-        return {
-          name: mat.name || 'Material',
-          qty: parseFloat(mat.qty || mat.quantity || 0),
-          unit: mat.unit || 'ea',
-          subtotalUsd: parseFloat(mat.subtotal || mat.unit_price || mat.price || 0)
-        };
-      }),
-      
-      tools: {
-        required: Array.isArray(planTools) 
-          ? planTools.filter(t => typeof t === 'string' || !t.optional).map(t => typeof t === 'string' ? t : t.name)
-          : [],
-        optional: Array.isArray(planTools)
-          ? planTools.filter(t => typeof t === 'object' && t.optional).map(t => t.name)
-          : []
-      },
-      
-      cutList: {
-        items: planCuts.map(cut => ({
-          board: cut.item || cut.board || 'Board',
-          dims: cut.size || cut.dims || cut.dimensions || '',
-          qty: parseInt(cut.qty || cut.quantity || 1, 10)
-        })),
-        layoutSvgUrl: null  // No layout diagrams yet
-      },
-      
-      steps: planSteps.map((step, idx) => ({
-        n: parseInt(step.order || step.step || idx + 1, 10),
-        title: step.title || `Step ${idx + 1}`,
-        text: step.text || step.detail || step.description || '',
-        diagramUrl: step.diagramUrl || null
-      })),
-      
-      safety: {
-        notes: Array.isArray(planSafety) 
-          ? planSafety.map(s => typeof s === 'string' ? s : s.note || s.text || '')
-          : []
-      },
-      
-      permits: {
-        needed: false,  // Default to no permits needed
-        note: 'Check local building codes for structural modifications'
-      },
-      
-      quota
-    };
-
-    return res.json(response);
+    
+    console.log(`[plan UPDATE] Project ${id} plan updated, status: ${data.status}, version: ${saved.version}`);
+    return res.json({ ok: true, project: data, version: saved.version });
   } catch (e) {
-    console.log('[ERROR] GET plan exception:', e.message);
+    if (e.status) return res.status(e.status).json({ ok: false, error: e.code, message: e.message, hint: e.hint });
+    console.error('[ERROR] POST plan exception:', e.message);
     return res.status(500).json({ ok: false, error: String(e.message || e) });
   }
 });
 
-// POST /api/projects/:id/plan - Update project plan
-app.post('/api/projects/:id/plan', async (req, res) => {
+// --- Plan persistence ---
+// Upgrades legacy shapes and validates against lib/planSchema.js (throws code 'invalid_plan', status 422)
+// Appends to plan_versions; a failed history insert is logged, not surfaced (the plan itself is saved)
+async function appendPlanVersion(projectId, plan, opts) {
   try {
-    const { id } = req.params;
-    const { plan_json, status } = req.body;
-    
-    if (!plan_json) {
-      return res.status(400).json({ ok: false, error: 'plan_json required' });
-    }
-    
-    const updateData = { 
-      plan_json,
-      updated_at: new Date().toISOString()
+    return await recordPlanVersion({ projectId, plan, ...opts });
+  } catch (e) {
+    console.error('[plan version] record failed', { projectId, source: opts.source, error: e?.message || e });
+    return null;
+  }
+}
+
+// `status` goes through the lifecycle (null leaves it unchanged); `actor`/`expect` as in
+// transitionProject (job outcomes pass both)
+async function savePlan(projectId, plan, { status = 'active', source = 'manual', authorId = null, restoredFrom = null, actor = null, expect = null } = {}) {
+  const prepared = preparePlan(plan);
+  const cutLayout = await ensureCutLayout(projectId, prepared);
+  const normalized = {
+    ...prepared,
+    estimation: planEstimation(prepared),
+    meta: { ...prepared.meta, cut_layout: cutLayout },
+  };
+  
+  if (status) {
+    await transitionProject(projectId, status, {
+      actor: actor || { type: 'user', id: authorId },
+      reason: `plan_saved_${source}`,
+      expect,
+      patch: { plan_json: normalized }
+    });
+  } else {
+    const { error } = await supabase
+      .from('projects')
+      .update({ plan_json: normalized, updated_at: new Date().toISOString() })
+      .eq('id', projectId);
+    if (error) throw error;
+  }
+  
+  const counts = planCounts(normalized);
+  const version = await appendPlanVersion(projectId, normalized, { source, authorId, restoredFrom });
+  
+  console.log('[plan save] upsert ok', { projectId, counts, version, source });
+  return { ok: true, counts, version };
+}
+
+// --- Plan generation -----------------------------------------------------------
+// POST /api/projects/:id/plan/generate reserves a credit and queues a `plan` job.
+// Status: plan_requested → plan_ready, or plan_error once the job is dead-lettered.
+const PLAN_JOB = 'plan';
+
+// Everything the provider sees, snapshotted into the job payload at request time
+async function buildPlanInput(project) {
+  const scan = await latestScanContext(project.id);
+  return {
+    name: project.name || null,
+    goal: project.goal || null,
+    budget: project.budget || null,
+    skill_level: project.skill_level || null,
+    photo_url: project.input_image_url || null,
+    measurements: scan?.measurements || null,
+    room: scan?.room || null,
+    scan_id: scan?.scan_id || null,
+    scanned_at: scan?.scanned_at || null,
+    measure_scan_id: scan?.measure_scan_id || null,
+    room_scan_id: scan?.room_scan_id || null
+  };
+}
+
+function stubGeneratePlan({ name, goal, skill_level, measurements, room }) {
+  return buildStubPlan({
+    prompt: norm(goal) || norm(name),
+    title: (norm(name) || norm(goal) || 'DIY Project').slice(0, 80),
+    skill: normSkill(skill_level),
+    measurements,
+    room
+  });
+}
+
+const planJobHandler = {
+  async run(job) {
+    const input = job.payload || {};
+    await extendReservation(input.reservationId);
+    const useOpenAI = PLAN_PROVIDER === 'openai' && !!OPENAI_API_KEY;
+    if (PLAN_PROVIDER === 'openai' && !OPENAI_API_KEY) console.warn('[plan job] OPENAI_API_KEY missing, using stub');
+
+    let raw;
+    try {
+      raw = useOpenAI ? await callOpenAIGeneratePlan(input) : stubGeneratePlan(input);
+    } catch (e) {
+      // 4xx other than rate limiting will not succeed on retry
+      if (e.status >= 400 && e.status < 500 && e.status !== 429) e.permanent = true;
+      throw e;
+    }
+
+    const plan = {
+      ...upgradePlan(raw, { force: true }),
+      meta: {
+        source: useOpenAI ? 'openai' : 'stub',
+        generated_at: new Date().toISOString(),
+        scan_id: input.scan_id || null,
+        scanned_at: input.scanned_at || null,
+        measure_scan_id: input.measure_scan_id || null,
+        room_scan_id: input.room_scan_id || null,
+        ...(raw.meta?.sizing ? { sizing: raw.meta.sizing } : {})
+      }
     };
-    
-    // Update status if provided
-    if (status) {
-      updateData.status = status;
-    }
-    
-    const { data, error } = await supabase
+    const saved = await savePlan(job.project_id, plan, {
+      status: 'plan_ready', source: plan.meta.source, authorId: job.user_id,
+      actor: { type: 'job', id: job.id }, expect: 'plan_requested'
+    });
+    await commitReservation(input.reservationId);
+    console.log('[plan job] ready', { projectId: job.project_id, provider: useOpenAI ? 'openai' : 'stub', counts: saved.counts });
+    return { done: true, result: { provider: useOpenAI ? 'openai' : 'stub', counts: saved.counts, version: saved.version } };
+  },
+  async onDead(job, err) {
+    await releaseReservation(job.payload?.reservationId, 'plan_job_dead');
+    await transitionProject(job.project_id, 'plan_error', {
+      actor: { type: 'job', id: job.id }, reason: 'plan_job_failed', expect: 'plan_requested'
+    }).catch(e => console.warn('[plan job] error status failed', job.project_id, e?.message || e));
+    console.error('[plan job] dead', { projectId: job.project_id, error: err?.message || err });
+  }
+};
+
+// POST /api/projects/:id/plan/generate
+app.post('/api/projects/:id/plan/generate', requireAuth, requireProjectOwner, requireCredit('plan'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { data: project, error } = await supabase
       .from('projects')
-      .update(updateData)
+      .select('id, name, goal, budget, skill_level, input_image_url, status')
       .eq('id', id)
-      .select()
       .maybeSingle();
-    
     if (error) throw error;
-    if (!data) {
-      return res.status(404).json({ ok: false, error: 'project_not_found' });
+    if (!project) return res.status(404).json({ ok: false, error: 'project_not_found' });
+
+    // A 409 releases the reservation (requireCredit releases on any error response)
+    const inProgress = (job) => res.status(409).json({ ok: false, error: 'plan_in_progress', job: jobView(job) });
+    if (project.status === 'plan_requested') {
+      const running = await latestJobFor(id, PLAN_JOB);
+      if (running && ['queued', 'running'].includes(running.status)) return inProgress(running);
     }
-    
-    console.log(`[plan UPDATE] Project ${id} plan updated, status: ${data.status}`);
-    return res.json({ ok: true, project: data });
+
+    const input = await buildPlanInput(project);
+    // Claim the project: of two concurrent requests only one moves it to plan_requested. A project
+    // left in plan_requested without a live job may be re-requested; jobs_one_active_plan then
+    // keeps a concurrent retry from queueing a second job.
+    try {
+      await transitionProject(id, 'plan_requested', {
+        actor: { type: 'user', id: req.user.id }, reason: 'plan_generate', exclusive: project.status !== 'plan_requested'
+      });
+    } catch (e) {
+      if (e.code === 'already_in_status') return inProgress(await latestJobFor(id, PLAN_JOB));
+      throw e;
+    }
+
+    let job;
+    try {
+      job = await enqueueJob({
+        kind: PLAN_JOB,
+        projectId: id,
+        userId: req.user.id,
+        payload: { ...input, reservationId: req.reservation?.id || null }
+      });
+    } catch (e) {
+      if (e.code === '23505') return inProgress(await latestJobFor(id, PLAN_JOB));
+      throw e;
+    }
+
+    console.log('[plan generate] queued', { projectId: id, jobId: job.id, provider: PLAN_PROVIDER, hasPhoto: !!input.photo_url, hasScan: !!input.scan_id });
+    return res.status(202).json({ ok: true, status: 'plan_requested', jobId: job.id, remaining: req.entitlements?.remaining });
   } catch (e) {
-    console.error('[ERROR] POST plan exception:', e.message);
-    return res.status(500).json({ ok: false, error: String(e.message || e) });
+    if (e.status) return res.status(e.status).json({ ok: false, error: e.code, message: e.message, hint: e.hint });
+    console.error('[plan generate] error', e);
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
   }
 });
 
-// --- Plan Normalization Helpers ---
-function arr(x) { return Array.isArray(x) ? x : (x ? [x] : []); }
-function num(n, d=0){ const v = Number(n); return Number.isFinite(v) ? v : d; }
-
-function mapPlanToNormalized(input = {}) {
-  const src = input || {};
-  const overview = {
-    title: src.overview?.title ?? src.title ?? null,
-    est_time: src.overview?.est_time ?? src.time ?? null,
-    est_cost: src.overview?.est_cost ?? src.cost ?? null,
-    skill: src.overview?.skill ?? src.skill ?? null,
-    notes: src.overview?.notes ?? null,
-  };
+// GET /api/projects/:id/plan/status
+app.get('/api/projects/:id/plan/status', requireAuth, requireProjectOwner, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { data: project, error } = await supabase
+      .from('projects')
+      .select('id, status, plan_json')
+      .eq('id', id)
+      .maybeSingle();
+    if (error) throw error;
+    if (!project) return res.status(404).json({ ok: false, error: 'project_not_found' });
 
-  const materials = arr(src.materials).map(m => ({
-    name: String(m?.name ?? m?.item ?? '').trim(),
-    qty: m?.qty ?? m?.quantity ?? m?.amount ?? null,
-    notes: m?.notes ?? null,
-  })).filter(m => m.name);
-
-  const tools = arr(src.tools).map(t => ({
-    name: String(t?.name ?? t?.tool ?? '').trim(),
-    notes: t?.notes ?? null,
-  })).filter(t => t.name);
-
-  const cuts = arr(src.cuts).map(c => ({
-    item: String(c?.item ?? c?.name ?? '').trim(),
-    size: c?.size ?? c?.dimensions ?? null,
-    qty: num(c?.qty ?? c?.quantity, null),
-    notes: c?.notes ?? null,
-  })).filter(c => c.item);
-
-  const stepsRaw = arr(src.steps).map((s, i) => ({
-    order: num(s?.order, i + 1),
-    text: String(s?.text ?? s?.step ?? '').trim(),
-    notes: s?.notes ?? null,
-  })).filter(s => s.text);
-
-  const steps = stepsRaw.sort((a,b) => a.order - b.order);
-
-  const normalized = { overview, materials, tools, cuts, steps };
-  console.log('[plan map] counts', {
-    materials: materials.length, tools: tools.length, cuts: cuts.length, steps: steps.length
-  });
-  return normalized;
-}
+    const [job, scan] = await Promise.all([
+      latestJobFor(id, PLAN_JOB),
+      project.plan_json ? planScanStatus(id, project.plan_json.meta?.scan_id) : null
+    ]);
+    return res.json({ ok: true, status: project.status, job: jobView(job), scan });
+  } catch (e) {
+    console.error('[plan status] error', e);
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
 
-async function savePlan(projectId, plan) {
-  const normalized = mapPlanToNormalized(plan);
-  
-  const { data, error } = await supabase
-    .from('projects')
-    .update({
-      plan_json: normalized,
-      status: 'active',
-      updated_at: new Date().toISOString()
-    })
-    .eq('id', projectId)
-    .select('id, plan_json')
-    .maybeSingle();
-  
-  if (error) throw error;
-  
-  const pj = data?.plan_json || {};
-  const counts = {
-    materials: Array.isArray(pj?.materials) ? pj.materials.length : 0,
-    tools: Array.isArray(pj?.tools) ? pj.tools.length : 0,
-    cuts: Array.isArray(pj?.cuts) ? pj.cuts.length : 0,
-    steps: Array.isArray(pj?.steps) ? pj.steps.length : 0,
-  };
-  
-  console.log('[plan save] upsert ok', { projectId, counts });
-  return { ok: true, counts };
+// --- Plan version history ---------------------------------------------------------
+
+function parseVersion(x) {
+  const n = Number(x);
+  return Number.isInteger(n) && n > 0 ? n : null;
 }
 
+// GET /api/projects/:id/plan/versions
+app.get('/api/projects/:id/plan/versions', requireAuth, requireProjectOwner, async (req, res) => {
+  try {
+    const items = await listPlanVersions(req.params.id);
+    return res.json({ ok: true, items, latest: items[0]?.version ?? null });
+  } catch (e) {
+    console.error('[plan versions] list error', e);
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// GET /api/projects/:id/plan/versions/:version
+app.get('/api/projects/:id/plan/versions/:version', requireAuth, requireProjectOwner, async (req, res) => {
+  try {
+    const version = parseVersion(req.params.version);
+    if (!version) return res.status(400).json({ ok: false, error: 'invalid_version' });
+
+    const row = await getPlanVersion(req.params.id, version);
+    if (!row) return res.status(404).json({ ok: false, error: 'version_not_found' });
+    return res.json({ ok: true, ...row });
+  } catch (e) {
+    console.error('[plan versions] get error', e);
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// GET /api/projects/:id/plan/diff?from=2&to=3 (to defaults to the latest version)
+app.get('/api/projects/:id/plan/diff', requireAuth, requireProjectOwner, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const from = parseVersion(req.query.from);
+    const to = req.query.to ? parseVersion(req.query.to) : null;
+    if (!from || (req.query.to && !to)) return res.status(400).json({ ok: false, error: 'invalid_version' });
+
+    const [a, b] = await Promise.all([getPlanVersion(id, from), getPlanVersion(id, to)]);
+    if (!a || !b) return res.status(404).json({ ok: false, error: 'version_not_found' });
+
+    return res.json({ ok: true, from: a.version, to: b.version, diff: diffPlans(a.plan_json, b.plan_json) });
+  } catch (e) {
+    console.error('[plan versions] diff error', e);
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// POST /api/projects/:id/plan/versions/:version/restore
+// Writes the old plan as a new version (history is never rewritten)
+app.post('/api/projects/:id/plan/versions/:version/restore', requireAuth, requireProjectOwner, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const version = parseVersion(req.params.version);
+    if (!version) return res.status(400).json({ ok: false, error: 'invalid_version' });
+
+    const row = await getPlanVersion(id, version);
+    if (!row) return res.status(404).json({ ok: false, error: 'version_not_found' });
+
+    const result = await savePlan(id, row.plan_json, { source: 'restore', authorId: req.user.id, restoredFrom: version });
+    console.log('[plan versions] restored', { projectId: id, from: version, version: result.version });
+    return res.json({ ok: true, restored_from: version, ...result });
+  } catch (e) {
+    if (e.code === 'invalid_plan') {
+      return res.status(422).json({ ok: false, error: 'invalid_plan', details: e.details });
+    }
+    if (e.status) return res.status(e.status).json({ ok: false, error: e.code, message: e.message, hint: e.hint });
+    console.error('[plan versions] restore error', e);
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// GET /api/projects/:id/cut-list?format=json|svg
+// Full packing result (every sheet/board with part positions); svg renders it inline
+app.get('/api/projects/:id/cut-list', requireAuth, requireProjectOwner, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const format = String(req.query.format || 'json').toLowerCase();
+    if (!['json', 'svg'].includes(format)) {
+      return res.status(400).json({ ok: false, error: 'invalid_format' });
+    }
+    let kerf;
+    if (req.query.kerf !== undefined) {
+      kerf = Number(req.query.kerf);
+      if (!Number.isFinite(kerf) || kerf < 0 || kerf > 1) return res.status(400).json({ ok: false, error: 'invalid_kerf' });
+    }
+
+    const { data: project, error } = await supabase
+      .from('projects')
+      .select('id, plan_json')
+      .eq('id', id)
+      .maybeSingle();
+    if (error) return res.status(500).json({ ok: false, error: error.message });
+    if (!project) return res.status(404).json({ ok: false, error: 'project_not_found' });
+    if (!project.plan_json) return res.status(404).json({ ok: false, error: 'plan_not_found' });
+
+    const plan = upgradePlan(project.plan_json);
+    const layout = optimizeCuts(plan.cuts, kerf === undefined ? {} : { kerf });
+
+    if (format === 'svg') {
+      res.setHeader('Cache-Control', 'no-store');
+      res.setHeader('X-Content-Type-Options', 'nosniff');
+      return res.status(200).type('image/svg+xml').send(renderCutLayoutSvg(layout));
+    }
+    return res.json({ ok: true, projectId: id, svg_url: plan.meta?.cut_layout?.svg_url || null, ...layout });
+  } catch (e) {
+    console.error('[cut list] error', e);
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
+// GET /api/projects/:id/shopping-list?format=json|csv|html
+// Materials merged and rounded to store units, owned tools removed, grouped by department
+app.get('/api/projects/:id/shopping-list', requireAuth, requireProjectOwner, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const format = String(req.query.format || 'json').toLowerCase();
+    if (!['json', 'csv', 'html'].includes(format)) {
+      return res.status(400).json({ ok: false, error: 'invalid_format' });
+    }
+
+    const { data: project, error } = await supabase
+      .from('projects')
+      .select('id, name, plan_json')
+      .eq('id', id)
+      .maybeSingle();
+    if (error) return res.status(500).json({ ok: false, error: error.message });
+    if (!project) return res.status(404).json({ ok: false, error: 'project_not_found' });
+    if (!project.plan_json) return res.status(404).json({ ok: false, error: 'plan_not_found' });
+
+    const { ownedTools } = costOptionsFromQuery(req.query, await getOwnedTools(req.user.id));
+    const list = buildShoppingList(project.plan_json, { ownedTools });
+    console.log('[shopping list]', { projectId: id, format, items: list.totals.items });
+
+    if (format === 'csv') {
+      res.setHeader('Cache-Control', 'no-store');
+      res.setHeader('Content-Disposition', `attachment; filename="shopping-list-${id}.csv"`);
+      return res.status(200).type('text/csv').send(shoppingListCsv(list));
+    }
+    if (format === 'html') {
+      res.setHeader('Cache-Control', 'no-store');
+      res.setHeader('X-Content-Type-Options', 'nosniff');
+      return res.status(200).type('html').send(shoppingListHtml(list, { projectName: project.name }));
+    }
+    return res.json({ ok: true, projectId: id, ...list });
+  } catch (e) {
+    console.error('[shopping list] error', e);
+    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+  }
+});
+
 // --- Plan Diagnostic & Ingest Endpoints ---
 
 // GET /selftest/plan/:projectId - Diagnostic endpoint
@@ -1734,14 +1552,9 @@ app.get('/selftest/plan/:projectId', async (req, res) => {
     if (error) throw error;
     
     const pj = data?.plan_json || {};
-    const counts = {
-      materials: Array.isArray(pj?.materials) ? pj.materials.length : 0,
-      tools: Array.isArray(pj?.tools) ? pj.tools.length : 0,
-      cuts: Array.isArray(pj?.cuts) ? pj.cuts.length : 0,
-      steps: Array.isArray(pj?.steps) ? pj.steps.length : 0,
-    };
+    const counts = planCounts(upgradePlan(pj));
     console.log('[plan selftest]', { projectId, counts });
-    res.json({ ok: true, counts, keys: Object.keys(pj || {}) });
+    res.json({ ok: true, counts, keys: Object.keys(pj || {}), schema_version: pj.schema_version ?? null });
   } catch (e) {
     console.error('[plan selftest] error', e);
     res.status(500).json({ ok: false, error: String(e?.message || e) });
@@ -1749,13 +1562,18 @@ app.get('/selftest/plan/:projectId', async (req, res) => {
 });
 
 // PATCH /projects/:projectId/plan - Ingest raw plan and normalize
-app.patch('/projects/:projectId/plan', async (req, res) => {
+app.patch('/projects/:projectId/plan', requireAuth, requireProjectOwner, requireCredit('plan'), async (req, res) => {
   const { projectId } = req.params;
   const raw = req.body || {};
   try {
-    const result = await savePlan(projectId, raw);
-    res.json({ ok: true, ...result });
+    const result = await savePlan(projectId, raw, { source: 'manual', authorId: req.user.id });
+    await commitReservation(req.reservation?.id);
+    res.json({ ok: true, ...result, remaining: req.entitlements?.remaining });
   } catch (e) {
+    if (e.code === 'invalid_plan') {
+      return res.status(422).json({ ok: false, error: 'invalid_plan', details: e.details });
+    }
+    if (e.status) return res.status(e.status).json({ ok: false, error: e.code, message: e.message, hint: e.hint });
     console.error('[plan ingest] error', e);
     res.status(500).json({ ok: false, error: String(e?.message || e) });
   }
@@ -1763,7 +1581,7 @@ app.patch('/projects/:projectId/plan', async (req, res) => {
 
 // --- Progress tracking endpoints ---
 // GET progress for a project
-app.get('/api/projects/:id/progress', async (req, res) => {
+app.get('/api/projects/:id/progress', requireAuth, requireProjectOwner, async (req, res) => {
   try {
     const { id } = req.params;
     const { data, error } = await supabase
@@ -1789,7 +1607,7 @@ app.get('/api/projects/:id/progress', async (req, res) => {
 });
 
 // POST progress for a project
-app.post('/api/projects/:id/progress', async (req, res) => {
+app.post('/api/projects/:id/progress', requireAuth, requireProjectOwner, async (req, res) => {
   try {
     const { id } = req.params;
     const { completed_steps, current_step_index } = req.body;
@@ -1818,67 +1636,46 @@ app.post('/api/projects/:id/progress', async (req, res) => {
 
 // --- Measurement endpoints ---
 // POST /api/projects/:projectId/scans/:scanId/measure
-app.post('/api/projects/:projectId/scans/:scanId/measure', async (req, res) => {
+// Queues a `measure` job; poll .../measure/status for the result
+app.post('/api/projects/:projectId/scans/:scanId/measure', requireAuth, requireProjectOwner, async (req, res) => {
   try {
     const { projectId, scanId } = req.params;
-    const userId = resolveUserIdFrom(req);
-    
-    // Validate inputs
-    if (!userId) {
-      return res.status(400).json({ ok: false, error: 'user_id required' });
+    const userId = req.user.id;
+    const { roi = null, image_width, image_height } = req.body || {};
+
+    if (roi !== null && typeof roi !== 'object') {
+      return res.status(400).json({ ok: false, error: 'invalid_roi' });
     }
-    if (!projectId || !scanId) {
-      return res.status(400).json({ ok: false, error: 'projectId and scanId required' });
+    const image = image_width && image_height ? { width: Number(image_width), height: Number(image_height) } : null;
+    if (image && !(image.width > 0 && image.height > 0)) {
+      return res.status(400).json({ ok: false, error: 'invalid_image_size' });
     }
-    
+
     console.log('[measure web] start', { projectId, scanId, userId });
-    
-    // Query 1: Verify scan exists and belongs to project
+
+    // Verify scan exists and belongs to project (ownership checked by requireProjectOwner)
     const { data: scan, error: scanError } = await supabase
       .from('room_scans')
-      .select('id, project_id')
+      .select('id, project_id, measure_status, measure_job_id, roi')
       .eq('id', scanId)
       .eq('project_id', projectId)
-      .single();
-    
-    if (scanError || !scan) {
+      .maybeSingle();
+
+    if (scanError) throw scanError;
+    if (!scan) {
       return res.status(404).json({ ok: false, error: 'scan_not_found' });
     }
-    
-    // Query 2: Verify user owns the project
-    const { data: proj, error: projError } = await supabase
-      .from('projects')
-      .select('id, user_id')
-      .eq('id', projectId)
-      .single();
-    
-    if (projError || !proj) {
-      return res.status(404).json({ ok: false, error: 'project_not_found' });
+    if (!scan.roi) {
+      return res.status(422).json({ ok: false, error: 'scan_has_no_roomplan' });
     }
-    
-    if (proj.user_id !== userId) {
-      return res.status(403).json({ ok: false, error: 'forbidden' });
+    if (MEASURE_ACTIVE.includes(scan.measure_status)) {
+      return res.status(409).json({ ok: false, error: 'measure_in_progress', status: scan.measure_status, jobId: scan.measure_job_id });
     }
-    
-    // Update scan with measurement result
-    const { error: updateError } = await supabase
-      .from('room_scans')
-      .update({
-        measure_status: 'done',
-        measure_result: {
-          px_per_in: 15.0,
-          width_in: 48,
-          height_in: 30,
-          roi: req.body?.roi ?? null
-        }
-      })
-      .eq('id', scanId);
-    
-    if (updateError) throw updateError;
-    
-    console.log('[measure web] update complete', { scanId, status: 'done' });
-    
-    res.json({ ok: true, status: 'done' });
+
+    const job = await enqueueMeasureJob(scan, { userId, roi, image });
+    console.log('[measure web] queued', { scanId, jobId: job.id });
+
+    return res.status(202).json({ ok: true, status: 'queued', jobId: job.id });
   } catch (e) {
     console.error('[measure web] error:', e.message);
     res.status(500).json({ ok: false, error: String(e.message || e) });
@@ -1886,175 +1683,37 @@ app.post('/api/projects/:projectId/scans/:scanId/measure', async (req, res) => {
 });
 
 // GET /api/projects/:projectId/scans/:scanId/measure/status
-app.get('/api/projects/:projectId/scans/:scanId/measure/status', async (req, res) => {
+// Always 200 while the scan exists: not_started | queued | processing | done | error
+app.get('/api/projects/:projectId/scans/:scanId/measure/status', requireAuth, requireProjectOwner, async (req, res) => {
   try {
     const { projectId, scanId } = req.params;
-    const userId = resolveUserIdFrom(req);
-    
-    // Validate inputs
-    if (!userId) {
-      return res.status(400).json({ ok: false, error: 'user_id required' });
-    }
-    if (!projectId || !scanId) {
-      return res.status(400).json({ ok: false, error: 'projectId and scanId required' });
-    }
-    
-    console.log('[measure web] status check', { projectId, scanId, userId });
-    
-    // Query 1: Verify scan exists and belongs to project
+
     const { data: scan, error: scanError } = await supabase
       .from('room_scans')
-      .select('id, project_id')
+      .select('id, measure_status, measure_result, measure_confidence, measure_error, measure_job_id')
       .eq('id', scanId)
       .eq('project_id', projectId)
-      .single();
-    
-    if (scanError || !scan) {
-      return res.status(404).json({ ok: false, error: 'scan_not_found' });
-    }
-    
-    // Query 2: Verify user owns the project
-    const { data: proj, error: projError } = await supabase
-      .from('projects')
-      .select('id, user_id')
-      .eq('id', projectId)
-      .single();
-    
-    if (projError || !proj) {
-      return res.status(404).json({ ok: false, error: 'project_not_found' });
-    }
-    
-    if (proj.user_id !== userId) {
-      return res.status(403).json({ ok: false, error: 'forbidden' });
-    }
-    
-    // Query 3: Read measurement status and result
-    const { data: rec, error: recError } = await supabase
-      .from('room_scans')
-      .select('measure_status, measure_result')
-      .eq('id', scanId)
-      .single();
-    
-    if (recError) throw recError;
-    
-    // Check if measurement is ready
-    if (rec.measure_status !== 'done') {
-      return res.status(409).json({ ok: false, error: 'not_ready' });
-    }
-    
-    res.json({ 
-      ok: true, 
-      status: 'done', 
-      result: rec.measure_result 
-    });
-  } catch (e) {
-    console.error('[measure web] status error:', e.message);
-    res.status(500).json({ ok: false, error: String(e.message || e) });
-  }
-});
-
-// --- Preview Endpoints with Decor8 Integration ---
-
-// POST /api/projects/:projectId/preview/start
-app.post('/api/projects/:projectId/preview/start', async (req, res) => {
-  try {
-    const userId = (req.body?.user_id || req.query?.user_id || '').trim();
-    const projectId = req.params.projectId;
-    if (!userId) return res.status(400).json({ ok: false, error: 'user_id_required' });
-
-    const proj = await getProjectForUser(projectId, userId);
-    if (!proj) return res.status(404).json({ ok: false, error: 'project_not_found_or_forbidden' });
-
-    // Allow re-use guard: if already done and url present, just return
-    if (proj.preview_status === 'done' && proj.preview_url) {
-      return res.json({ ok: true, status: 'done', url: proj.preview_url });
-    }
-
-    // Source image: prefer uploaded scan image; fallback to project input_image_url
-    const imageUrl = proj.input_image_url || req.body?.image_url;
-    const roi = req.body?.roi || null;
-    const prompt = req.body?.prompt || 'Decorate this space in a modern DIY-friendly style.';
-
-    if (!imageUrl) {
-      return res.status(409).json({ ok: false, error: 'image_required_for_preview' });
-    }
-
-    // Kick job
-    console.log('[preview] start', { projectId, hasROI: !!roi });
-    const start = await callDecor8Generate({ 
-      input_image_url: imageUrl, 
-      room_type: req.body?.room_type || 'livingroom',
-      design_style: req.body?.design_style || 'modern'
-    });
-    
-    if (!start?.jobId) return res.status(502).json({ ok: false, error: 'decor8_start_failed' });
-
-    await updatePreviewState(projectId, {
-      preview_status: 'queued',
-      preview_job_id: start.jobId,
-      preview_url: null,
-      updated_at: new Date().toISOString(),
-    });
-
-    return res.json({ ok: true, status: 'queued', jobId: start.jobId });
-  } catch (e) {
-    console.error('[preview] start error', e);
-    return res.status(500).json({ ok: false, error: 'server_error' });
-  }
-});
-
-// GET /api/projects/:projectId/preview/status
-app.get('/api/projects/:projectId/preview/status', async (req, res) => {
-  try {
-    const userId = (req.body?.user_id || req.query?.user_id || '').trim();
-    const projectId = req.params.projectId;
-    if (!userId) return res.status(400).json({ ok: false, error: 'user_id_required' });
-
-    const proj = await getProjectForUser(projectId, userId);
-    if (!proj) return res.status(404).json({ ok: false, error: 'project_not_found_or_forbidden' });
-
-    const { preview_status, preview_job_id, preview_url } = proj;
-
-    // Already done? Return final result
-    if (preview_status === 'done') {
-      return res.json({ ok: true, status: 'done', url: preview_url });
-    }
-
-    // Background job check
-    if (!preview_job_id) {
-      return res.json({ ok: true, status: preview_status || 'none' });
-    }
-
-    const jobStatus = await callDecor8Status(preview_job_id);
-    console.log('[preview] status poll', { projectId, jobStatus: jobStatus.status });
+      .maybeSingle();
 
-    if (jobStatus.status === 'done' && jobStatus.url) {
-      await updatePreviewState(projectId, {
-        preview_status: 'done',
-        preview_url: jobStatus.url,
-        updated_at: new Date().toISOString(),
-      });
-      return res.json({ ok: true, status: 'done', url: jobStatus.url });
+    if (scanError) throw scanError;
+    if (!scan) {
+      return res.status(404).json({ ok: false, error: 'scan_not_found' });
     }
 
-    if (jobStatus.status === 'failed') {
-      await updatePreviewState(projectId, {
-        preview_status: 'error',
-        updated_at: new Date().toISOString(),
-      });
-      return res.json({ ok: true, status: 'error', error: 'decor8_job_failed' });
-    }
+    const status = ['queued', 'processing', 'done', 'error'].includes(scan.measure_status) ? scan.measure_status : 'not_started';
+    const job = scan.measure_job_id ? await getJob(scan.measure_job_id).catch(() => null) : null;
 
-    const mapped = jobStatus.status === 'running' ? 'processing' : 'queued';
-    await updatePreviewState(projectId, {
-      preview_status: mapped,
-      updated_at: new Date().toISOString(),
+    res.json({
+      ok: true,
+      status,
+      result: status === 'done' ? scan.measure_result : null,
+      confidence: status === 'done' ? scan.measure_confidence ?? scan.measure_result?.confidence ?? null : null,
+      error: status === 'error' ? scan.measure_error : null,
+      job: job ? jobView(job) : null
     });
-
-    return res.json({ ok: true, status: mapped });
   } catch (e) {
-    console.error('[preview] status error', e);
-    return res.status(500).json({ ok: false, error: 'server_error' });
+    console.error('[measure web] status error:', e.message);
+    res.status(500).json({ ok: false, error: String(e.message || e) });
   }
 });
 
@@ -2071,7 +1730,11 @@ async function listAllKeys(bucket, prefix) {
     if (error) throw error;
     if (!data || data.length === 0) break;
     
-    keys.push(...data.map(f => `${prefix}/${f.name}`));
+    for (const f of data) {
+      // Folders (e.g. images/<hash>/, cut-layouts/) come back without an id
+      if (f.id === null) keys.push(...await listAllKeys(bucket, `${prefix}/${f.name}`));
+      else keys.push(`${prefix}/${f.name}`);
+    }
     
     if (data.length < size) break;
     page += 1;
@@ -2090,7 +1753,7 @@ function chunkArray(arr, n = 100) {
 }
 
 // --- Projects: DELETE (safe deep delete) ---
-app.delete('/api/projects/:id', async (req, res) => {
+app.delete('/api/projects/:id', requireAuth, requireProjectOwner, async (req, res) => {
   try {
     const { id } = req.params;
     const isDryRun = req.query.dry === '1';
@@ -2103,6 +1766,21 @@ app.delete('/api/projects/:id', async (req, res) => {
     } catch (e) {
       // Ignore errors (bucket/prefix might not exist)
     }
+    // Rehosted previews (services/previewStorage.js)
+    try {
+      uploadsFiles.push(...await listAllKeys(UPLOADS_BUCKET, `previews/${id}`));
+    } catch (e) {
+      // Ignore errors (prefix might not exist)
+    }
+
+    // Photo variants live under the prefix too; add them in case the listing missed any
+    let photos = [];
+    try {
+      photos = await listPhotos(id);
+    } catch (e) {
+      // Ignore errors (table might not exist)
+    }
+    uploadsFiles = [...new Set([...uploadsFiles, ...photos.flatMap(photoStorageKeys)])];
 
     // 2. Query room_scans to find storage files in room-scans bucket
     let roomScansFiles = [];
@@ -2167,6 +1845,7 @@ app.delete('/api/projects/:id', async (req, res) => {
           roomScans: roomScansFiles,
           rows: {
             previews: previewsCount,
+            project_photos: photos.length,
             room_scans: roomScansCount,
             projects: projectsCount
           }
@@ -2205,13 +1884,19 @@ app.delete('/api/projects/:id', async (req, res) => {
       }
     }
 
-    // 6. Delete database rows (in order: previews, room_scans, projects)
+    // 6. Delete database rows (in order: previews, project_photos, room_scans, projects)
     try {
       await supabase.from('previews').delete().eq('project_id', id);
     } catch (e) {
       // Continue even if deletion fails (table might not exist or no rows)
     }
 
+    try {
+      await supabase.from('project_photos').delete().eq('project_id', id);
+    } catch (e) {
+      // Continue even if deletion fails
+    }
+
     try {
       await supabase.from('room_scans').delete().eq('project_id', id);
     } catch (e) {
@@ -2225,7 +1910,7 @@ app.delete('/api/projects/:id', async (req, res) => {
     }
 
     // 7. Log summary
-    console.log(`[delete] ${id} filesRemoved=${filesRemoved} rows={previews:${previewsCount},room_scans:${roomScansCount},projects:${projectsCount}}`);
+    console.log(`[delete] ${id} filesRemoved=${filesRemoved} rows={previews:${previewsCount},project_photos:${photos.length},room_scans:${roomScansCount},projects:${projectsCount}}`);
 
     res.json({ ok: true });
   } catch (e) {
@@ -2235,32 +1920,59 @@ app.delete('/api/projects/:id', async (req, res) => {
 });
 
 // --- Utilities to unstick states ---
-app.get('/api/projects/force-ready-all', async (req, res) => {
+// A preview whose job is gone (lost, or never queued) is marked ready with a stub image and the
+// credit it still holds is refunded. Refused while the job is queued or running: it will settle
+// the project, preview_status and the reservation itself.
+async function forcePreviewReady(projectId, userId, previewUrl) {
+  if (await activePreviewJob(projectId)) {
+    throw Object.assign(new Error('The preview is still being generated'), {
+      status: 409, code: 'preview_in_progress', hint: 'Wait for the preview job to finish or fail'
+    });
+  }
+  const { data: project, error } = await supabase
+    .from('projects')
+    .select('preview_meta')
+    .eq('id', projectId)
+    .maybeSingle();
+  if (error) throw error;
+  await transitionProject(projectId, 'preview_ready', {
+    actor: { type: 'user', id: userId }, reason: 'force_ready',
+    patch: { preview_url: previewUrl, preview_status: 'ready' }
+  });
+  await releaseReservation(project?.preview_meta?.reservationId, 'force_ready');
+}
+
+app.post('/api/projects/force-ready-all', requireAuth, async (req, res) => {
   try {
-    const { user_id } = req.query;
-    let q = supabase
+    const { data: stuck, error } = await supabase
       .from('projects')
-      .update({ status: 'preview_ready', preview_url: picsum(`bulk-${Date.now()}`) })
-      .eq('status', 'preview_requested');
-    if (user_id) q = q.eq('user_id', user_id);
-    const { error } = await q;
+      .select('id')
+      .eq('status', 'preview_requested')
+      .eq('user_id', req.user.id);
     if (error) throw error;
-    res.json({ ok: true });
+    let count = 0;
+    for (const p of stuck || []) {
+      try {
+        await forcePreviewReady(p.id, req.user.id, picsum(`bulk-${Date.now()}`));
+        count++;
+      } catch (e) {
+        // Still generating, or moved on since the select (e.g. the preview finished); leave it
+        if (e.code !== 'preview_in_progress' && e.code !== 'invalid_status_transition') throw e;
+      }
+    }
+    res.json({ ok: true, count });
   } catch (e) {
     res.status(500).json({ ok:false, error: String(e.message || e) });
   }
 });
 
-app.get('/api/projects/:id/force-ready', async (req, res) => {
+app.post('/api/projects/:id/force-ready', requireAuth, requireProjectOwner, async (req, res) => {
   try {
     const { id } = req.params;
-    const { error } = await supabase
-      .from('projects')
-      .update({ status: 'preview_ready', preview_url: picsum(id) })
-      .eq('id', id);
-    if (error) throw error;
+    await forcePreviewReady(id, req.user.id, picsum(id));
     res.json({ ok: true, id });
   } catch (e) {
+    if (e.status) return res.status(e.status).json({ ok: false, error: e.code, message: e.message, hint: e.hint });
     res.status(500).json({ ok:false, error: String(e.message || e) });
   }
 });
@@ -2471,3 +2183,25 @@ app.use((err, _req, res, _next) => {
 // --- Listen ---
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, '0.0.0.0', () => console.log(`API on ${PORT}`));
+
+// Background jobs (preview + plan generation)
+registerJobHandler(PREVIEW_JOB, previewJobHandler);
+registerJobHandler(PLAN_JOB, planJobHandler);
+registerJobHandler(MEASURE_JOB, measureJobHandler);
+startJobWorker();
+
+// Refund credits whose generation never reported back
+const RESERVATION_SWEEP_MS = 60 * 1000;
+setInterval(() => {
+  releaseExpiredReservations()
+    .then(n => { if (n) console.log('[quota] expired reservations released', n); })
+    .catch(e => console.warn('[quota] sweep failed', e?.message || e));
+}, RESERVATION_SWEEP_MS).unref();
+
+// Drop direct uploads that were signed but never completed
+const UPLOAD_SWEEP_MS = 10 * 60 * 1000;
+setInterval(() => {
+  sweepExpiredUploads()
+    .then(n => { if (n) console.log('[uploads] expired uploads swept', n); })
+    .catch(e => console.warn('[uploads] sweep failed', e?.message || e));
+}, UPLOAD_SWEEP_MS).unref();
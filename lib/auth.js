@@ -0,0 +1,166 @@
+/**
+ * Request authentication for the API
+ * Verifies Supabase access tokens (`Authorization: Bearer <jwt>`) and attaches `req.user`
+ */
+
+import { createHmac, createPublicKey, timingSafeEqual, verify as verifySignature } from 'crypto';
+import { createClient } from '@supabase/supabase-js';
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_JWT_SECRET = process.env.SUPABASE_JWT_SECRET;
+const JWT_AUDIENCE = process.env.SUPABASE_JWT_AUDIENCE || 'authenticated';
+const JWKS_URL = SUPABASE_URL ? `${SUPABASE_URL.replace(/\/$/, '')}/auth/v1/.well-known/jwks.json` : null;
+const JWKS_TTL_MS = 10 * 60 * 1000;
+const CLOCK_SKEW_S = 30;
+
+// Dev-only impersonation: act as `x-user-id` (or TEST_USER_ID) when no token is sent.
+// Never active in production, regardless of the flag.
+const DEV_IMPERSONATION = process.env.NODE_ENV !== 'production' && process.env.DEV_IMPERSONATE === '1';
+
+const supabase = createClient(
+  SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+if (DEV_IMPERSONATION) {
+  console.warn('[WARN] DEV_IMPERSONATE=1 - requests without a token act as x-user-id / TEST_USER_ID');
+}
+
+function authError(code, message) {
+  return Object.assign(new Error(message), { status: 401, code });
+}
+
+function b64urlJson(part) {
+  return JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+}
+
+// --- JWKS cache (asymmetric Supabase signing keys) ---
+let jwksCache = { keys: [], fetchedAt: 0 };
+
+async function getJwk(kid) {
+  const fresh = Date.now() - jwksCache.fetchedAt < JWKS_TTL_MS;
+  let jwk = fresh ? jwksCache.keys.find(k => k.kid === kid) : null;
+  if (jwk) return jwk;
+
+  // Unknown kid or stale cache: refetch once (handles key rotation)
+  if (!JWKS_URL) throw authError('auth_not_configured', 'SUPABASE_URL is not set');
+  const res = await fetch(JWKS_URL);
+  if (!res.ok) throw authError('jwks_unavailable', `JWKS fetch failed (${res.status})`);
+  const body = await res.json();
+  jwksCache = { keys: Array.isArray(body?.keys) ? body.keys : [], fetchedAt: Date.now() };
+
+  jwk = jwksCache.keys.find(k => k.kid === kid);
+  if (!jwk) throw authError('invalid_token', 'Unknown signing key');
+  return jwk;
+}
+
+async function checkSignature(header, signingInput, signature) {
+  if (header.alg === 'HS256') {
+    if (!SUPABASE_JWT_SECRET) throw authError('auth_not_configured', 'SUPABASE_JWT_SECRET is not set');
+    const expected = createHmac('sha256', SUPABASE_JWT_SECRET).update(signingInput).digest();
+    return expected.length === signature.length && timingSafeEqual(expected, signature);
+  }
+
+  if (header.alg === 'ES256' || header.alg === 'RS256') {
+    const key = createPublicKey({ key: await getJwk(header.kid), format: 'jwk' });
+    const opts = header.alg === 'ES256' ? { key, dsaEncoding: 'ieee-p1363' } : key;
+    return verifySignature('sha256', Buffer.from(signingInput), opts, signature);
+  }
+
+  throw authError('invalid_token', `Unsupported alg ${header.alg}`);
+}
+
+/**
+ * Verify a Supabase access token and return its claims
+ * @param {string} token - Raw JWT
+ * @returns {Promise<object>} Verified claims (`sub`, `email`, `role`, ...)
+ */
+export async function verifyAccessToken(token) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) throw authError('invalid_token', 'Malformed token');
+
+  let header, claims;
+  try {
+    header = b64urlJson(parts[0]);
+    claims = b64urlJson(parts[1]);
+  } catch {
+    throw authError('invalid_token', 'Malformed token');
+  }
+
+  const ok = await checkSignature(header, `${parts[0]}.${parts[1]}`, Buffer.from(parts[2], 'base64url'));
+  if (!ok) throw authError('invalid_token', 'Bad signature');
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_S < now) {
+    throw authError('token_expired', 'Token expired');
+  }
+  if (typeof claims.nbf === 'number' && claims.nbf - CLOCK_SKEW_S > now) {
+    throw authError('invalid_token', 'Token not yet valid');
+  }
+  const aud = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (!aud.includes(JWT_AUDIENCE)) throw authError('invalid_token', 'Wrong audience');
+  if (!claims.sub) throw authError('invalid_token', 'Token has no subject');
+
+  return claims;
+}
+
+/**
+ * Middleware: require a valid Supabase access token.
+ * Sets `req.user = { id, email, role, impersonated }`.
+ */
+export async function requireAuth(req, res, next) {
+  if (req.user) return next();
+
+  try {
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+
+    if (match) {
+      const claims = await verifyAccessToken(match[1].trim());
+      req.user = { id: claims.sub, email: claims.email || null, role: claims.role || null, impersonated: false };
+      return next();
+    }
+
+    if (DEV_IMPERSONATION) {
+      const id = String(req.headers['x-user-id'] || process.env.TEST_USER_ID || '').trim();
+      if (id) {
+        req.user = { id, email: null, role: 'authenticated', impersonated: true };
+        return next();
+      }
+    }
+
+    throw authError('missing_token', 'Authorization: Bearer <access token> required');
+  } catch (e) {
+    const status = e.status || 500;
+    if (status !== 401) console.error('[auth] error', e.message || e);
+    return res.status(status).json({ ok: false, error: e.code || 'unauthorized' });
+  }
+}
+
+/**
+ * Middleware: ensure `req.user` owns the project in `:projectId` / `:id`.
+ * Responds 404 when the project is missing and 403 when it belongs to someone else.
+ * Sets `req.project = { id, user_id }`.
+ */
+export async function requireProjectOwner(req, res, next) {
+  try {
+    const projectId = (req.params.projectId || req.params.id || '').trim();
+    if (!projectId) return res.status(400).json({ ok: false, error: 'missing_project_id' });
+
+    const { data, error } = await supabase
+      .from('projects')
+      .select('id, user_id')
+      .eq('id', projectId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return res.status(404).json({ ok: false, error: 'project_not_found' });
+    if (data.user_id !== req.user?.id) return res.status(403).json({ ok: false, error: 'forbidden' });
+
+    req.project = data;
+    next();
+  } catch (e) {
+    console.error('[auth] project owner check failed', e.message || e);
+    res.status(500).json({ ok: false, error: 'server_error' });
+  }
+}
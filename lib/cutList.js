@@ -0,0 +1,307 @@
+/**
+ * Cut-list optimizer
+ * Parses plan cut sizes ("48\" x 10\"", "72 x 10 x 3/4", "4' x 11-1/4\""), packs sheet parts
+ * onto 4x8 sheets and narrow parts onto standard board lengths (with kerf), and renders an SVG layout.
+ */
+
+import crypto from 'node:crypto';
+
+export const SHEET_SIZE = { length: 96, width: 48 };
+export const BOARD_LENGTHS = [96, 120, 144];
+export const DEFAULT_KERF_IN = Number(process.env.CUT_KERF_IN ?? 0.125);
+
+const LAYOUT_VERSION = 1;
+const MAX_PARTS = 500;
+const MAX_BOARD_WIDTH = 11.25; // widest common board (1x12); anything wider comes from a sheet
+
+const SHEET_RE = /\b(plywood|ply|mdf|osb|hardboard|particle ?board|melamine|panel|sheet)\b/i;
+const NOMINAL_RE = /\b([12])\s*x\s*(2|3|4|6|8|10|12)\b/i;
+const NOMINAL_WIDTH = { 2: 1.5, 3: 2.5, 4: 3.5, 6: 5.5, 8: 7.25, 10: 9.25, 12: 11.25 };
+
+function round3(n) {
+  return Math.round(n * 1000) / 1000;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// "3/4", "11-1/4", "1 1/2", "10.5" → number
+function parseNumber(s) {
+  const m = s.trim().match(/^(\d+(?:\.\d+)?)?(?:[\s-]+)?(?:(\d+)\/(\d+))?$/);
+  if (!m || (!m[1] && !m[2])) return null;
+  const whole = m[1] ? Number(m[1]) : 0;
+  const frac = m[2] ? Number(m[2]) / Number(m[3]) : 0;
+  return Number.isFinite(whole + frac) ? whole + frac : null;
+}
+
+// One dimension in inches: 48", 48 in, 4', 4 ft, 4' 6", 1219mm, 30cm
+function parseLength(token) {
+  const t = token.trim().toLowerCase();
+  const ftIn = t.match(/^(.+?)\s*(?:'|ft|feet|foot)\s*(?:(.+?)\s*(?:"|in|inch|inches)?)?$/);
+  if (ftIn) {
+    const ft = parseNumber(ftIn[1]);
+    const inch = ftIn[2] ? parseNumber(ftIn[2]) : 0;
+    return ft !== null && inch !== null ? ft * 12 + inch : null;
+  }
+  const metric = t.match(/^(.+?)\s*(mm|cm)$/);
+  if (metric) {
+    const n = parseNumber(metric[1]);
+    return n === null ? null : n / (metric[2] === 'mm' ? 25.4 : 2.54);
+  }
+  return parseNumber(t.replace(/\s*(?:"|in|inch|inches)$/, ''));
+}
+
+/**
+ * Parse a cut size string into inches
+ * @param {string} size
+ * @returns {{ length: number, width: number, thickness: number|null }|null}
+ */
+export function parseDimensions(size) {
+  if (!size) return null;
+  const s = String(size)
+    .replace(/[″“”]/g, '"')
+    .replace(/[′‘’]/g, "'")
+    .replace(/\s+by\s+/gi, ' x ')
+    .replace(/[×*]/g, 'x');
+  const parts = s.split(/\s*x\s*/i).filter(Boolean);
+  if (parts.length < 2 || parts.length > 3) return null;
+
+  const nums = parts.map(parseLength);
+  if (nums.some(n => n === null || n <= 0)) return null;
+  const [length, width, thickness = null] = nums.length === 3 ? [...nums].sort((a, b) => b - a) : [Math.max(...nums), Math.min(...nums)];
+  return { length: round3(length), width: round3(width), thickness: thickness === null ? null : round3(thickness) };
+}
+
+// Sheet or board stock, and the board width when the material names a nominal size
+function stockFor(cut, dims) {
+  const material = cut.material || '';
+  if (SHEET_RE.test(material)) return { kind: 'sheet' };
+  const nominal = material.match(NOMINAL_RE);
+  if (nominal) return { kind: 'board', width: NOMINAL_WIDTH[nominal[2]] };
+  return dims.width <= MAX_BOARD_WIDTH ? { kind: 'board', width: dims.width } : { kind: 'sheet' };
+}
+
+// "34-1/2\"" on a nominal board (1x4, 2x6): the length is all there is to cut
+function boardLengthOnly(cut) {
+  const nominal = (cut.material || '').match(NOMINAL_RE);
+  if (!nominal || !cut.size || /x/i.test(cut.size)) return null;
+  const length = parseLength(String(cut.size).replace(/[″“”]/g, '"').replace(/[′‘’]/g, "'"));
+  return length ? { length: round3(length), width: NOMINAL_WIDTH[nominal[2]], thickness: null } : null;
+}
+
+function groupKey(kind, material, width) {
+  return `${kind}|${(material || '').trim().toLowerCase()}|${kind === 'board' ? width : ''}`;
+}
+
+// First-fit decreasing onto the shortest standard length that holds the longest part
+function packBoards(parts, kerf) {
+  const sorted = [...parts].sort((a, b) => b.length - a.length);
+  const stockLength = BOARD_LENGTHS.find(l => l >= sorted[0].length);
+  const boards = [];
+  for (const p of sorted) {
+    let board = boards.find(b => b.used + (b.parts.length ? kerf : 0) + p.length <= stockLength);
+    if (!board) {
+      board = { length: stockLength, used: 0, parts: [] };
+      boards.push(board);
+    }
+    const x = board.used + (board.parts.length ? kerf : 0);
+    board.parts.push({ item: p.item, x: round3(x), length: p.length, width: p.width });
+    board.used = x + p.length;
+  }
+  return boards;
+}
+
+// Shelf packing (first-fit decreasing height). Parts lie lengthwise when they fit,
+// otherwise rotated; every cut leaves a kerf gap.
+function packSheets(parts, kerf) {
+  const { length: W, width: H } = SHEET_SIZE;
+  const oriented = parts.map(p => (p.length <= W && p.width <= H
+    ? { ...p, w: p.length, h: p.width, rotated: false }
+    : { ...p, w: p.width, h: p.length, rotated: true }));
+  oriented.sort((a, b) => b.h - a.h || b.w - a.w);
+
+  const sheets = [];
+  const place = (sheet, p) => {
+    for (const shelf of sheet.shelves) {
+      if (p.h <= shelf.height && shelf.x + p.w <= W) {
+        sheet.parts.push({ item: p.item, x: round3(shelf.x), y: round3(shelf.y), w: p.w, h: p.h, rotated: p.rotated });
+        shelf.x += p.w + kerf;
+        return true;
+      }
+    }
+    if (sheet.nextY + p.h <= H) {
+      const shelf = { y: sheet.nextY, height: p.h, x: p.w + kerf };
+      sheet.shelves.push(shelf);
+      sheet.parts.push({ item: p.item, x: 0, y: round3(shelf.y), w: p.w, h: p.h, rotated: p.rotated });
+      sheet.nextY += p.h + kerf;
+      return true;
+    }
+    return false;
+  };
+
+  for (const p of oriented) {
+    if (sheets.some(s => place(s, p))) continue;
+    const sheet = { shelves: [], nextY: 0, parts: [] };
+    sheets.push(sheet);
+    place(sheet, p);
+  }
+  return sheets.map(s => ({ length: W, width: H, parts: s.parts }));
+}
+
+function fitsSheet(d) {
+  const { length: W, width: H } = SHEET_SIZE;
+  return (d.length <= W && d.width <= H) || (d.width <= W && d.length <= H);
+}
+
+/**
+ * Optimize a plan's cut list
+ * @param {Array<{ item: string, material?: string|null, size?: string|null, qty?: number }>} cuts - plan_json.cuts
+ * @param {{ kerf?: number }} opts
+ * @returns {object} { kerf, groups, totals, unparsed, oversized, truncated }
+ */
+export function optimizeCuts(cuts = [], { kerf = DEFAULT_KERF_IN } = {}) {
+  const groups = new Map();
+  const unparsed = [];
+  const oversized = [];
+  let partCount = 0;
+  let truncated = false;
+
+  for (const cut of cuts) {
+    const dims = parseDimensions(cut.size) || boardLengthOnly(cut);
+    if (!dims) {
+      unparsed.push({ item: cut.item, size: cut.size ?? null });
+      continue;
+    }
+    const stock = stockFor(cut, dims);
+    const tooBig = stock.kind === 'sheet' ? !fitsSheet(dims) : dims.length > BOARD_LENGTHS[BOARD_LENGTHS.length - 1];
+    if (tooBig) {
+      oversized.push({ item: cut.item, size: cut.size });
+      continue;
+    }
+
+    const key = groupKey(stock.kind, cut.material, stock.width);
+    if (!groups.has(key)) {
+      groups.set(key, { kind: stock.kind, material: cut.material || null, thickness: dims.thickness, board_width: stock.width ?? null, parts: [] });
+    }
+    const g = groups.get(key);
+    for (let i = 0; i < (cut.qty || 1); i++) {
+      if (partCount >= MAX_PARTS) {
+        truncated = true;
+        break;
+      }
+      g.parts.push({ item: cut.item, length: dims.length, width: stock.kind === 'board' ? stock.width : dims.width });
+      partCount += 1;
+    }
+  }
+
+  const out = [];
+  let stockArea = 0;
+  let usedArea = 0;
+  let sheetCount = 0;
+  let boardCount = 0;
+  for (const g of groups.values()) {
+    if (!g.parts.length) continue;
+    const pieces = g.kind === 'sheet' ? packSheets(g.parts, kerf) : packBoards(g.parts, kerf);
+    const used = g.parts.reduce((s, p) => s + p.length * p.width, 0);
+    const stock = pieces.reduce((s, p) => s + p.length * (g.kind === 'sheet' ? p.width : g.board_width), 0);
+    stockArea += stock;
+    usedArea += used;
+    if (g.kind === 'sheet') sheetCount += pieces.length;
+    else boardCount += pieces.length;
+
+    out.push({
+      kind: g.kind,
+      material: g.material,
+      thickness: g.thickness,
+      board_width: g.board_width,
+      stock_length: pieces[0].length,
+      count: pieces.length,
+      waste_pct: stock ? round2((1 - used / stock) * 100) : 0,
+      pieces: pieces.map((p, i) => ({ index: i + 1, parts: p.parts })),
+    });
+  }
+
+  return {
+    kerf,
+    groups: out,
+    totals: {
+      parts: partCount,
+      sheets: sheetCount,
+      boards: boardCount,
+      waste_pct: stockArea ? round2((1 - usedArea / stockArea) * 100) : 0,
+    },
+    unparsed,
+    oversized,
+    truncated,
+  };
+}
+
+/** Stable id for a cut list + kerf; names the stored SVG so unchanged plans reuse it */
+export function cutLayoutHash(cuts = [], kerf = DEFAULT_KERF_IN) {
+  const body = JSON.stringify({ v: LAYOUT_VERSION, kerf, cuts: cuts.map(c => [c.item, c.material ?? null, c.size ?? null, c.qty ?? 1]) });
+  return crypto.createHash('sha1').update(body).digest('hex').slice(0, 16);
+}
+
+// --- SVG -----------------------------------------------------------------------------
+
+const PX_PER_IN = 5;
+const PAD = 16;
+const FILLS = ['#cfe3f7', '#f7dfc5', '#d7efcf', '#eed3ef', '#f6efbf', '#d3eeec'];
+
+function esc(s) {
+  return String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function inches(n) {
+  return `${Math.round(n * 100) / 100}"`;
+}
+
+/**
+ * Render every sheet and board as a stacked SVG diagram
+ * @param {object} layout - optimizeCuts() result
+ * @returns {string} SVG document
+ */
+export function renderCutLayoutSvg(layout) {
+  const width = SHEET_SIZE.length * PX_PER_IN + PAD * 2;
+  const body = [];
+  let y = PAD;
+  const fillFor = new Map();
+  const fill = (item) => {
+    if (!fillFor.has(item)) fillFor.set(item, FILLS[fillFor.size % FILLS.length]);
+    return fillFor.get(item);
+  };
+
+  for (const g of layout.groups) {
+    for (const piece of g.pieces) {
+      const stockW = g.stock_length * PX_PER_IN;
+      const stockH = (g.kind === 'sheet' ? SHEET_SIZE.width : g.board_width) * PX_PER_IN;
+      const label = g.kind === 'sheet'
+        ? `${g.material || 'Sheet'} - sheet ${piece.index} of ${g.count} (48" x 96")`
+        : `${g.material || `${inches(g.board_width)} board`} - board ${piece.index} of ${g.count} (${g.stock_length / 12} ft)`;
+      body.push(`<text x="${PAD}" y="${y + 12}" font-size="12" font-weight="600">${esc(label)}</text>`);
+      y += 18;
+      body.push(`<rect x="${PAD}" y="${y}" width="${stockW}" height="${stockH}" fill="#f4f4f4" stroke="#555"/>`);
+
+      for (const p of piece.parts) {
+        const px = PAD + p.x * PX_PER_IN;
+        const pw = (g.kind === 'sheet' ? p.w : p.length) * PX_PER_IN;
+        const py = y + (g.kind === 'sheet' ? p.y * PX_PER_IN : 0);
+        const ph = g.kind === 'sheet' ? p.h * PX_PER_IN : stockH;
+        const dims = g.kind === 'sheet' ? `${inches(p.w)} x ${inches(p.h)}` : inches(p.length);
+        body.push(`<rect x="${px}" y="${py}" width="${pw}" height="${ph}" fill="${fill(p.item)}" stroke="#333" stroke-width="0.75"><title>${esc(p.item)} ${esc(dims)}</title></rect>`);
+        if (pw > 40 && ph > 12) {
+          body.push(`<text x="${px + pw / 2}" y="${py + ph / 2 + 4}" font-size="10" text-anchor="middle">${esc(ph > 24 ? p.item : `${p.item} ${dims}`)}</text>`);
+          if (ph > 24) body.push(`<text x="${px + pw / 2}" y="${py + ph / 2 + 16}" font-size="9" text-anchor="middle" fill="#555">${esc(dims)}</text>`);
+        }
+      }
+      y += stockH + PAD;
+    }
+  }
+
+  const t = layout.totals;
+  body.push(`<text x="${PAD}" y="${y + 10}" font-size="11" fill="#555">${t.sheets} sheet(s), ${t.boards} board(s), ${t.waste_pct}% waste, kerf ${inches(layout.kerf)}</text>`);
+  y += 24;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${y}" viewBox="0 0 ${width} ${y}" font-family="system-ui,-apple-system,Segoe UI,Roboto,Helvetica,Arial,sans-serif">${body.join('')}</svg>`;
+}
@@ -0,0 +1,171 @@
+/**
+ * Image ingestion for uploaded room photos
+ * The type comes from the file's magic bytes (never the client mimetype). HEIC is converted
+ * to JPEG, EXIF orientation is applied and all metadata (GPS included) is dropped, then the
+ * standard JPEG variants are rendered. Unusable input throws `{ code, status }`.
+ */
+
+import sharp from 'sharp';
+import heicConvert from 'heic-convert';
+
+export const IMAGE_LIMITS = {
+  maxBytes: Number(process.env.IMAGE_MAX_BYTES || 25 * 1024 * 1024),
+  maxSide: Number(process.env.IMAGE_MAX_SIDE_PX || 12000),
+  minSide: Number(process.env.IMAGE_MIN_SIDE_PX || 320),
+  maxPixels: 100_000_000,
+};
+
+// Longest edge in pixels; `full` keeps the original size up to the cap
+export const IMAGE_VARIANTS = [
+  { name: 'full', maxSide: 4096, quality: 88 },
+  { name: 'large', maxSide: 1600, quality: 82 },
+  { name: 'thumb', maxSide: 640, quality: 75 },
+];
+
+const HEIF_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'hevm', 'hevs', 'mif1', 'msf1'];
+const AVIF_BRANDS = ['avif', 'avis'];
+
+function fail(code, status, message) {
+  return Object.assign(new Error(message || code), { code, status });
+}
+
+// ISO-BMFF `ftyp` box: major brand followed by compatible brands
+function ftypBrands(buf) {
+  if (buf.length < 16 || buf.toString('ascii', 4, 8) !== 'ftyp') return [];
+  const size = Math.min(buf.readUInt32BE(0), buf.length, 256);
+  const brands = [buf.toString('ascii', 8, 12)];
+  for (let i = 16; i + 4 <= size; i += 4) brands.push(buf.toString('ascii', i, i + 4));
+  return brands;
+}
+
+// Child boxes of an ISO-BMFF container between `start` and `end`
+function* bmffBoxes(buf, start, end) {
+  let i = start;
+  while (i + 8 <= end) {
+    let size = buf.readUInt32BE(i);
+    let header = 8;
+    if (size === 1) {
+      if (i + 16 > end) return;
+      size = Number(buf.readBigUInt64BE(i + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - i;
+    }
+    if (size < header || i + size > end) return;
+    yield { type: buf.toString('ascii', i + 4, i + 8), start: i + header, end: i + size };
+    i += size;
+  }
+}
+
+function childBox(buf, box, type, skip = 0) {
+  for (const b of bmffBoxes(buf, box.start + skip, box.end)) if (b.type === type) return b;
+  return null;
+}
+
+/**
+ * Largest image size declared in a HEIF's `ispe` properties (meta/iprp/ipco), read without decoding
+ * @returns {{ width: number, height: number }|null} null when the file declares none
+ */
+export function heifDimensions(buf) {
+  const root = { start: 0, end: buf.length };
+  const meta = childBox(buf, root, 'meta');
+  // meta is a full box: version and flags come before its children
+  const ipco = meta && childBox(buf, childBox(buf, meta, 'iprp', 4) || { start: 0, end: 0 }, 'ipco');
+  if (!ipco) return null;
+  let width = 0;
+  let height = 0;
+  for (const b of bmffBoxes(buf, ipco.start, ipco.end)) {
+    if (b.type !== 'ispe' || b.end - b.start < 12) continue;
+    width = Math.max(width, buf.readUInt32BE(b.start + 4));
+    height = Math.max(height, buf.readUInt32BE(b.start + 8));
+  }
+  return width && height ? { width, height } : null;
+}
+
+/**
+ * Detect the image type from magic bytes
+ * @param {Buffer} buf
+ * @returns {'jpeg'|'png'|'webp'|'heic'|'avif'|null}
+ */
+export function sniffImageType(buf) {
+  if (!Buffer.isBuffer(buf) || buf.length < 12) return null;
+  if (buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return 'jpeg';
+  if (buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+  if (buf.toString('ascii', 0, 4) === 'RIFF' && buf.toString('ascii', 8, 12) === 'WEBP') return 'webp';
+  const brands = ftypBrands(buf);
+  if (brands.some(b => AVIF_BRANDS.includes(b))) return 'avif';
+  if (brands.some(b => HEIF_BRANDS.includes(b))) return 'heic';
+  return null;
+}
+
+/**
+ * Validate, normalize and render the standard variants of an uploaded photo
+ * @param {Buffer} buf - Raw upload
+ * @param {{ limits?: object }} [opts]
+ * @returns {Promise<{ source: { type, width, height, bytes, orientation }, variants: Array<{ name, buffer, width, height, bytes, contentType }> }>}
+ */
+export async function processImage(buf, { limits = IMAGE_LIMITS } = {}) {
+  if (!Buffer.isBuffer(buf) || !buf.length) throw fail('empty_image', 400, 'Image is empty');
+  if (buf.length > limits.maxBytes) {
+    throw fail('image_too_large', 413, `Image exceeds ${Math.round(limits.maxBytes / 1048576)} MB`);
+  }
+
+  const type = sniffImageType(buf);
+  if (!type) throw fail('unsupported_image_type', 415, 'Only JPEG, PNG, WebP, HEIC and AVIF images are accepted');
+
+  let input = buf;
+  if (type === 'heic') {
+    // heic-convert decodes the whole image with no size limit, so check the declared size first
+    const dims = heifDimensions(buf);
+    if (!dims) throw fail('invalid_image', 422, 'HEIC declares no image size');
+    if (Math.max(dims.width, dims.height) > limits.maxSide || dims.width * dims.height > limits.maxPixels) {
+      throw fail('image_dimensions_too_large', 422,
+        `Image must be at most ${limits.maxSide}px per side and ${Math.round(limits.maxPixels / 1e6)} megapixels`);
+    }
+    // libheif applies the HEIF rotation while decoding, so the JPEG comes out upright
+    try {
+      input = Buffer.from(await heicConvert({ buffer: buf, format: 'JPEG', quality: 0.92 }));
+    } catch (e) {
+      throw fail('invalid_image', 422, `HEIC could not be decoded: ${e.message || e}`);
+    }
+  }
+
+  let meta;
+  try {
+    meta = await sharp(input, { limitInputPixels: limits.maxPixels }).metadata();
+  } catch (e) {
+    throw fail('invalid_image', 422, `Image could not be read: ${e.message || e}`);
+  }
+  // EXIF orientations 5-8 are rotated 90°
+  const swap = (meta.orientation || 1) >= 5;
+  const width = swap ? meta.height : meta.width;
+  const height = swap ? meta.width : meta.height;
+  if (!width || !height) throw fail('invalid_image', 422, 'Image has no dimensions');
+  if (Math.max(width, height) > limits.maxSide) {
+    throw fail('image_dimensions_too_large', 422, `Image sides must be at most ${limits.maxSide}px`);
+  }
+  if (Math.min(width, height) < limits.minSide) {
+    throw fail('image_too_small', 422, `Image sides must be at least ${limits.minSide}px`);
+  }
+
+  const variants = [];
+  try {
+    for (const v of IMAGE_VARIANTS) {
+      // sharp drops EXIF/XMP (GPS included) unless asked to keep it
+      const { data, info } = await sharp(input, { limitInputPixels: limits.maxPixels })
+        .rotate()
+        .flatten({ background: '#ffffff' })
+        .resize({ width: v.maxSide, height: v.maxSide, fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: v.quality, mozjpeg: true })
+        .toBuffer({ resolveWithObject: true });
+      variants.push({ name: v.name, buffer: data, width: info.width, height: info.height, bytes: data.length, contentType: 'image/jpeg' });
+    }
+  } catch (e) {
+    throw fail('invalid_image', 422, `Image could not be processed: ${e.message || e}`);
+  }
+
+  return {
+    source: { type, width, height, bytes: buf.length, orientation: meta.orientation || 1 },
+    variants,
+  };
+}
@@ -0,0 +1,131 @@
+/**
+ * Plan cost engine
+ * Prices a plan (schema v1) from material qty × unit_price and tool rent-vs-buy,
+ * then applies tax and contingency to produce a low / expected / high range.
+ */
+
+import { upgradePlan } from './planSchema.js';
+
+export const DEFAULT_TAX_RATE = Number(process.env.COST_TAX_RATE ?? 0.08);
+export const DEFAULT_CONTINGENCY_PCT = Number(process.env.COST_CONTINGENCY_PCT ?? 0.12);
+
+function round2(n) {
+  return Math.round((Number(n) || 0) * 100) / 100;
+}
+
+function key(name) {
+  return String(name || '').trim().toLowerCase();
+}
+
+function materialCost(m) {
+  if (m.qty != null && m.unit_price != null) return { subtotal: round2(m.qty * m.unit_price), priced: true };
+  if (m.subtotal != null) return { subtotal: round2(m.subtotal), priced: true };
+  return { subtotal: 0, priced: false };
+}
+
+// Cheapest way to have the tool: already owned, rent or buy
+function toolCost(t, owned) {
+  if (t.have || owned.has(key(t.name))) return { choice: 'own', cost: 0 };
+  if (t.optional) return { choice: 'optional', cost: 0 };
+  const options = [['rent', t.rent_price], ['buy', t.buy_price]].filter(([, p]) => p != null);
+  if (!options.length) return { choice: 'unknown', cost: 0 };
+  const [choice, cost] = options.reduce((best, o) => (o[1] < best[1] ? o : best));
+  return { choice, cost: round2(cost) };
+}
+
+// "$85", "$100-150", "$1,200" → { low, high } (used only when nothing is itemised)
+function parseCostText(s) {
+  const nums = String(s || '').replace(/,/g, '').match(/\d+(\.\d+)?/g);
+  if (!nums) return null;
+  const [a, b = a] = nums.map(Number);
+  return { low: Math.min(a, b), high: Math.max(a, b) };
+}
+
+/**
+ * Estimate the cost of a plan
+ * @param {object} plan - plan_json (legacy shapes are upgraded)
+ * @param {{ ownedTools?: string[], taxRate?: number, contingencyPct?: number }} opts
+ * @returns {object} { currency, basis, materials, tools, subtotal, tax_rate, tax, contingency_pct, contingency, total, range }
+ */
+export function estimatePlanCost(plan, { ownedTools = [], taxRate = DEFAULT_TAX_RATE, contingencyPct = DEFAULT_CONTINGENCY_PCT } = {}) {
+  const p = upgradePlan(plan || {});
+  const owned = new Set(ownedTools.map(key));
+
+  const materials = p.materials.map(m => ({ name: m.name, qty: m.qty, unit: m.unit, unit_price: m.unit_price, ...materialCost(m) }));
+  const tools = p.tools.map(t => ({ name: t.name, ...toolCost(t, owned) }));
+
+  const materialsTotal = round2(materials.reduce((s, m) => s + m.subtotal, 0));
+  const toolsTotal = round2(tools.reduce((s, t) => s + t.cost, 0));
+  const unpriced = materials.filter(m => !m.priced).length;
+
+  let subtotal = round2(materialsTotal + toolsTotal);
+  let basis = 'items';
+  let textRange = null;
+
+  // Nothing itemised: fall back to the plan's free-text estimate
+  if (!materials.some(m => m.priced)) {
+    textRange = parseCostText(p.overview.est_cost);
+    if (textRange) {
+      basis = 'estimate';
+      subtotal = round2((textRange.low + textRange.high) / 2 + toolsTotal);
+    } else {
+      basis = 'none';
+    }
+  }
+
+  const tax = round2(subtotal * taxRate);
+  const contingency = round2((subtotal + tax) * contingencyPct);
+  const total = round2(subtotal + tax + contingency);
+
+  // Low: no contingency. High: double contingency, widened further by unpriced lines.
+  const unpricedShare = materials.length ? unpriced / materials.length : 0;
+  const range = basis === 'estimate'
+    ? {
+        low: round2((textRange.low + toolsTotal) * (1 + taxRate)),
+        expected: total,
+        high: round2((textRange.high + toolsTotal) * (1 + taxRate) * (1 + contingencyPct)),
+      }
+    : {
+        low: round2(subtotal + tax),
+        expected: total,
+        high: round2((subtotal + tax) * (1 + contingencyPct * 2 + unpricedShare)),
+      };
+
+  return {
+    currency: 'USD',
+    basis,
+    materials: { items: materials, total: materialsTotal, unpriced },
+    tools: { items: tools, total: toolsTotal },
+    subtotal,
+    tax_rate: taxRate,
+    tax,
+    contingency_pct: contingencyPct,
+    contingency,
+    total,
+    range,
+  };
+}
+
+/**
+ * Stored `plan.estimation` block (no owned tools: the plan is user-agnostic)
+ */
+export function planEstimation(plan, opts) {
+  const c = estimatePlanCost(plan, opts);
+  return {
+    materials_total: c.materials.total,
+    tools_total: c.tools.total,
+    contingency_pct: c.contingency_pct,
+    grand_total: c.total,
+  };
+}
+
+/** Parse `?owned_tools=Drill,Level` / `?tax_rate=0.07` style overrides */
+export function costOptionsFromQuery(query = {}, ownedTools = []) {
+  const opts = { ownedTools: [...ownedTools] };
+  if (query.owned_tools) opts.ownedTools.push(...String(query.owned_tools).split(',').map(s => s.trim()).filter(Boolean));
+  const tax = Number(query.tax_rate);
+  if (query.tax_rate !== undefined && Number.isFinite(tax) && tax >= 0 && tax < 1) opts.taxRate = tax;
+  const cont = Number(query.contingency_pct);
+  if (query.contingency_pct !== undefined && Number.isFinite(cont) && cont >= 0 && cont < 1) opts.contingencyPct = cont;
+  return opts;
+}
@@ -0,0 +1,85 @@
+/**
+ * Structured diff between two plan_json documents (plan schema v1)
+ * Lists are matched by a stable key; matched items report the fields that changed. Items sharing a
+ * key (two "Shelf" cuts in pine, "Screws" and "screws") are matched in order: `shelf|pine`, `shelf|pine#2`.
+ */
+
+import { upgradePlan } from './planSchema.js';
+
+const LISTS = {
+  materials: { key: m => m.name.trim().toLowerCase(), fields: ['name', 'qty', 'unit', 'unit_price', 'subtotal', 'notes'] },
+  tools: { key: t => t.name.trim().toLowerCase(), fields: ['name', 'optional', 'have', 'rent_price', 'buy_price', 'notes'] },
+  cuts: { key: c => `${c.item}|${c.material || ''}`.toLowerCase(), fields: ['item', 'material', 'size', 'qty', 'notes'] },
+  steps: { key: s => s.order, fields: ['title', 'text', 'duration_min', 'depends_on', 'notes'] },
+};
+
+const OVERVIEW_FIELDS = ['title', 'summary', 'est_time', 'est_cost', 'skill', 'notes'];
+
+function same(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function changedFields(before, after, fields) {
+  const changes = {};
+  for (const f of fields) {
+    if (!same(before[f], after[f])) changes[f] = { from: before[f] ?? null, to: after[f] ?? null };
+  }
+  return changes;
+}
+
+// [key, item] pairs, numbering repeated keys so no item is collapsed into another
+function keyed(items, key) {
+  const seen = new Map();
+  return items.map(x => {
+    const k = key(x);
+    const n = (seen.get(k) || 0) + 1;
+    seen.set(k, n);
+    return [n > 1 ? `${k}#${n}` : k, x];
+  });
+}
+
+function diffList(before, after, { key, fields }) {
+  const prev = new Map(keyed(before, key));
+  const next = new Map(keyed(after, key));
+  const out = { added: [], removed: [], changed: [] };
+
+  for (const [k, item] of next) {
+    if (!prev.has(k)) { out.added.push(item); continue; }
+    const changes = changedFields(prev.get(k), item, fields);
+    if (Object.keys(changes).length) out.changed.push({ key: k, changes });
+  }
+  for (const [k, item] of prev) {
+    if (!next.has(k)) out.removed.push(item);
+  }
+  return out;
+}
+
+/**
+ * Diff two plans (legacy shapes are upgraded first)
+ * @returns {{ overview: object, materials, tools, cuts, steps, safety, tips, summary: object }}
+ */
+export function diffPlans(fromPlan, toPlan) {
+  const a = upgradePlan(fromPlan || {});
+  const b = upgradePlan(toPlan || {});
+
+  const diff = { overview: changedFields(a.overview, b.overview, OVERVIEW_FIELDS) };
+  for (const [name, spec] of Object.entries(LISTS)) {
+    diff[name] = diffList(a[name] || [], b[name] || [], spec);
+  }
+  for (const name of ['safety', 'tips']) {
+    const prev = new Set(a[name] || []);
+    const next = new Set(b[name] || []);
+    diff[name] = {
+      added: [...next].filter(x => !prev.has(x)),
+      removed: [...prev].filter(x => !next.has(x)),
+    };
+  }
+
+  diff.summary = Object.fromEntries(Object.keys(LISTS).map(name => [name, {
+    added: diff[name].added.length,
+    removed: diff[name].removed.length,
+    changed: diff[name].changed.length,
+  }]));
+  diff.summary.overview = Object.keys(diff.overview).length;
+  return diff;
+}
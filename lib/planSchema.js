@@ -0,0 +1,352 @@
+/**
+ * Versioned plan_json schema
+ * Every plan write goes through upgradePlan() + validatePlan(); reads upgrade legacy rows on the fly.
+ */
+
+export const PLAN_SCHEMA_VERSION = 1;
+
+const str = { type: ['string', 'null'] };
+const num = { type: ['number', 'null'], minimum: 0 };
+const strList = { type: 'array', items: { type: 'string' } };
+
+/** JSON Schema (draft-07 subset) for plan_json v1 */
+export const PLAN_JSON_SCHEMA = {
+  $id: 'https://api.diygenieapp.com/schemas/plan.v1.json',
+  type: 'object',
+  required: ['schema_version', 'overview', 'materials', 'tools', 'cuts', 'steps'],
+  additionalProperties: false,
+  properties: {
+    schema_version: { const: PLAN_SCHEMA_VERSION },
+    overview: {
+      type: 'object',
+      required: ['title'],
+      additionalProperties: false,
+      properties: {
+        title: str,
+        summary: str,
+        est_time: str,
+        est_cost: str,
+        skill: { type: ['string', 'null'], enum: ['beginner', 'intermediate', 'advanced', null] },
+        notes: str,
+        assumptions: strList
+      }
+    },
+    materials: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name'],
+        additionalProperties: false,
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          qty: num,
+          unit: str,
+          unit_price: num,
+          subtotal: num,
+          notes: str
+        }
+      }
+    },
+    tools: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name'],
+        additionalProperties: false,
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          optional: { type: 'boolean' },
+          have: { type: 'boolean' },
+          rent_price: num,
+          buy_price: num,
+          notes: str
+        }
+      }
+    },
+    cuts: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['item', 'qty'],
+        additionalProperties: false,
+        properties: {
+          item: { type: 'string', minLength: 1 },
+          material: str,
+          size: str,
+          qty: { type: 'integer', minimum: 1 },
+          notes: str
+        }
+      }
+    },
+    steps: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['order', 'text'],
+        additionalProperties: false,
+        properties: {
+          order: { type: 'integer', minimum: 1 },
+          title: str,
+          text: { type: 'string', minLength: 1 },
+          duration_min: num,
+          depends_on: { type: 'array', items: { type: 'integer' } },
+          notes: str
+        }
+      }
+    },
+    safety: strList,
+    tips: strList,
+    estimation: {
+      type: ['object', 'null'],
+      additionalProperties: false,
+      properties: {
+        materials_total: num,
+        tools_total: num,
+        contingency_pct: num,
+        grand_total: num
+      }
+    },
+    // Free-form provenance (source, generated_at, scan_id, ...)
+    meta: { type: 'object' }
+  }
+};
+
+// --- Validator (subset: type, const, enum, required, properties, additionalProperties, items, minimum, minLength)
+
+function typeOf(v) {
+  if (v === null) return 'null';
+  if (Array.isArray(v)) return 'array';
+  if (typeof v === 'number') return Number.isInteger(v) ? 'integer' : 'number';
+  return typeof v;
+}
+
+function typeMatches(actual, expected) {
+  return expected === actual || (expected === 'number' && actual === 'integer');
+}
+
+function check(schema, value, path, errors) {
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push({ path, message: `must be ${JSON.stringify(schema.const)}` });
+    return;
+  }
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const actual = typeOf(value);
+    if (!types.some(t => typeMatches(actual, t))) {
+      errors.push({ path, message: `must be ${types.join(' or ')}` });
+      return;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.filter(e => e !== null).join(', ')}` });
+  }
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ path, message: `must be >= ${schema.minimum}` });
+  }
+  if (typeof value === 'string' && schema.minLength && value.trim().length < schema.minLength) {
+    errors.push({ path, message: 'must not be empty' });
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => check(schema.items, item, `${path}[${i}]`, errors));
+  }
+
+  if (typeOf(value) === 'object' && schema.properties) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push({ path: `${path}.${key}`, message: 'is required' });
+    }
+    for (const [key, v] of Object.entries(value)) {
+      const sub = schema.properties[key];
+      if (sub) check(sub, v, `${path}.${key}`, errors);
+      else if (schema.additionalProperties === false) errors.push({ path: `${path}.${key}`, message: 'is not allowed' });
+    }
+  }
+}
+
+/**
+ * Validate a plan against PLAN_JSON_SCHEMA
+ * @param {object} plan
+ * @returns {{ ok: boolean, errors: Array<{ path: string, message: string }> }}
+ */
+export function validatePlan(plan) {
+  const errors = [];
+  check(PLAN_JSON_SCHEMA, plan, '$', errors);
+  return { ok: errors.length === 0, errors };
+}
+
+// --- Legacy upgrade ------------------------------------------------------------------
+// Known shapes: routes/plan.js stub (n, details, cut_list, estimation), the demo plan
+// (summary, order, detail, board/dims), mapPlanToNormalized output (overview, text)
+// and the old OpenAI prompt (title, step/description, estimatedTime, string lists).
+
+function arr(x) { return Array.isArray(x) ? x : (x ? [x] : []); }
+
+function text(x) {
+  if (x === undefined || x === null) return null;
+  const s = String(x).trim();
+  return s || null;
+}
+
+function number(x) {
+  if (typeof x === 'number') return Number.isFinite(x) && x >= 0 ? x : null;
+  if (typeof x !== 'string') return null;
+  const m = x.replace(/,/g, '').match(/-?\d+(\.\d+)?/);
+  const n = m ? Number(m[0]) : NaN;
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+function integer(x, fallback) {
+  const n = number(x);
+  return n !== null && n >= 1 ? Math.round(n) : fallback;
+}
+
+function skill(x) {
+  const s = String(x || '').trim().toLowerCase();
+  if (['beginner', 'easy', 'novice'].includes(s)) return 'beginner';
+  if (['intermediate', 'medium', 'moderate'].includes(s)) return 'intermediate';
+  if (['advanced', 'hard', 'expert'].includes(s)) return 'advanced';
+  return null;
+}
+
+// Items without their required field are dropped; `issues` (when given) collects where
+function keepWith(items, field, path, issues) {
+  return items.filter((item, i) => {
+    if (item[field]) return true;
+    issues?.push({ path: `${path}[${i}].${field}`, message: 'is required' });
+    return false;
+  });
+}
+
+function noteList(x) {
+  return arr(x)
+    .map(s => (typeof s === 'string' ? s : s?.note ?? s?.text ?? ''))
+    .map(s => String(s).trim())
+    .filter(Boolean);
+}
+
+/** True when plan_json is already in the current schema version */
+export function isCurrentPlan(plan) {
+  return !!plan && typeof plan === 'object' && plan.schema_version === PLAN_SCHEMA_VERSION;
+}
+
+/**
+ * Convert any known plan shape to the current schema. Current plans are returned as-is
+ * unless `force` is set (provider output that claims v1 but may carry stray fields).
+ * Unknown fields are dropped; the result still has to pass validatePlan().
+ * @param {{ force?: boolean, issues?: Array<{ path: string, message: string }> }} [opts] -
+ *   `issues` receives one entry per list item dropped for lacking a name/text
+ */
+export function upgradePlan(input, { force = false, issues = null } = {}) {
+  if (isCurrentPlan(input) && !force) return input;
+  const src = input && typeof input === 'object' ? input : {};
+  const o = src.overview && typeof src.overview === 'object' ? src.overview
+    : src.summary && typeof src.summary === 'object' ? src.summary : {};
+
+  const overview = {
+    title: text(o.title ?? src.title),
+    summary: text(typeof src.overview === 'string' ? src.overview : typeof o.overview === 'string' ? o.overview : o.summary ?? src.description),
+    est_time: text(o.est_time ?? o.estimatedTime ?? src.estimatedTime ?? src.time),
+    est_cost: text(o.est_cost ?? o.estimatedCost ?? src.estimatedCost ?? src.cost),
+    skill: skill(o.skill ?? o.difficulty ?? src.difficulty ?? src.skill),
+    notes: text(o.notes),
+    assumptions: noteList(o.assumptions ?? src.assumptions)
+  };
+
+  const materials = keepWith(arr(src.materials).map(m => {
+    if (typeof m === 'string') return { name: m.trim(), qty: null, unit: null, unit_price: null, subtotal: null, notes: null };
+    return {
+      name: String(m?.name ?? m?.item ?? '').trim(),
+      qty: number(m?.qty ?? m?.quantity ?? m?.amount),
+      unit: text(m?.unit),
+      unit_price: number(m?.unit_price ?? m?.price),
+      subtotal: number(m?.subtotal ?? m?.cost),
+      notes: text(m?.notes)
+    };
+  }), 'name', '$.materials', issues);
+
+  const tools = keepWith(arr(src.tools).map(t => {
+    if (typeof t === 'string') return { name: t.trim(), optional: false, have: false, rent_price: null, buy_price: null, notes: null };
+    return {
+      name: String(t?.name ?? t?.tool ?? '').trim(),
+      optional: !!t?.optional,
+      have: !!t?.have,
+      rent_price: number(t?.rent_price),
+      buy_price: number(t?.buy_price),
+      notes: text(t?.notes)
+    };
+  }), 'name', '$.tools', issues);
+
+  const cuts = keepWith(arr(src.cuts ?? src.cut_list).map(c => ({
+    item: String(c?.item ?? c?.name ?? c?.board ?? '').trim(),
+    material: text(c?.material ?? c?.board),
+    size: text(c?.size ?? c?.dims ?? c?.dimensions),
+    qty: integer(c?.qty ?? c?.quantity, 1),
+    notes: text(c?.notes)
+  })), 'item', src.cuts !== undefined ? '$.cuts' : '$.cut_list', issues);
+
+  const steps = keepWith(arr(src.steps).map((s, i) => {
+    if (typeof s === 'string') return { order: i + 1, title: null, text: s.trim(), duration_min: null, depends_on: [], notes: null };
+    const title = text(s?.title);
+    return {
+      order: integer(s?.order ?? s?.n ?? s?.step, i + 1),
+      title,
+      text: text(s?.text ?? s?.detail ?? s?.details ?? s?.description) || title || '',
+      duration_min: number(s?.duration_min ?? s?.duration ?? s?.duration_minutes),
+      depends_on: arr(s?.depends_on).map(Number).filter(Number.isInteger),
+      notes: text(s?.notes)
+    };
+  }), 'text', '$.steps', issues).sort((a, b) => a.order - b.order);
+
+  const e = src.estimation && typeof src.estimation === 'object' ? src.estimation : null;
+
+  return {
+    schema_version: PLAN_SCHEMA_VERSION,
+    overview,
+    materials,
+    tools,
+    cuts,
+    steps,
+    safety: noteList(src.safety),
+    tips: noteList(src.tips),
+    estimation: e ? {
+      materials_total: number(e.materials_total),
+      tools_total: number(e.tools_total),
+      contingency_pct: number(e.contingency_pct),
+      grand_total: number(e.grand_total)
+    } : null,
+    meta: src.meta && typeof src.meta === 'object' ? src.meta : {}
+  };
+}
+
+/**
+ * Upgrade + validate in one step for write paths.
+ * Throws `{ code: 'invalid_plan', status: 422, details }` when the input is not an object, items
+ * had to be dropped, nothing is left (no materials, tools, cuts or steps) or the plan does not validate.
+ */
+export function preparePlan(input) {
+  const errors = [];
+  if (typeOf(input) !== 'object') {
+    errors.push({ path: '$', message: 'must be object' });
+    throw Object.assign(new Error('invalid_plan'), { code: 'invalid_plan', status: 422, details: errors });
+  }
+  const plan = upgradePlan(input, { issues: errors });
+  errors.push(...validatePlan(plan).errors);
+  if (!errors.length && !(plan.materials.length || plan.tools.length || plan.cuts.length || plan.steps.length)) {
+    errors.push({ path: '$', message: 'must have at least one material, tool, cut or step' });
+  }
+  if (errors.length) {
+    throw Object.assign(new Error('invalid_plan'), { code: 'invalid_plan', status: 422, details: errors });
+  }
+  return plan;
+}
+
+/** Item counts reported by plan writes and diagnostics */
+export function planCounts(plan) {
+  const p = plan || {};
+  return {
+    materials: Array.isArray(p.materials) ? p.materials.length : 0,
+    tools: Array.isArray(p.tools) ? p.tools.length : 0,
+    cuts: Array.isArray(p.cuts) ? p.cuts.length : 0,
+    steps: Array.isArray(p.steps) ? p.steps.length : 0,
+  };
+}
@@ -0,0 +1,67 @@
+/**
+ * Credit gating for generation endpoints (preview, plan)
+ * Reserves a credit before the provider call; releases it automatically if the request fails
+ */
+
+import { reserveCredit, releaseReservation } from '../services/entitlements.js';
+
+/**
+ * Send the standard 402 body for an exhausted/denied reservation
+ * @param {object} res - Express response
+ * @param {object} out - Result of reserveCredit()
+ */
+export function sendQuotaError(res, out) {
+  return res.status(402).json({
+    ok: false,
+    error: out.error || 'quota_exhausted',
+    tier: out.tier,
+    quota: out.quota,
+    used: out.used,
+    remaining: out.remaining ?? 0
+  });
+}
+
+/**
+ * Reserve one credit for the authenticated user, or respond 402.
+ * If the response finishes with status >= 400 the reservation is released.
+ * Handlers commit the reservation on success, or persist its id with an async job.
+ * @returns {Promise<object|null>} The reservation (null in dev bypass), or undefined when a 402 was sent
+ */
+export async function reserveForRequest(req, res, kind) {
+  const projectId = req.params.projectId || req.params.id || req.body?.projectId || null;
+  const out = await reserveCredit(req.user.id, { kind, projectId });
+  if (!out.ok) {
+    console.log('[quota] denied', { kind, user_id: req.user.id, error: out.error, remaining: out.remaining });
+    sendQuotaError(res, out);
+    return undefined;
+  }
+
+  const reservation = out.reservation;
+  req.reservation = reservation;
+  req.entitlements = out;
+
+  res.on('finish', () => {
+    if (!reservation || res.statusCode < 400) return;
+    releaseReservation(reservation.id, `http_${res.statusCode}`)
+      .catch(e => console.warn('[quota] release failed', reservation.id, e?.message || e));
+  });
+
+  return reservation;
+}
+
+/**
+ * Middleware form of reserveForRequest: `app.post(path, requireAuth, requireCredit('plan'), handler)`
+ * Sets `req.reservation` and `req.entitlements`.
+ */
+export function requireCredit(kind) {
+  return async (req, res, next) => {
+    try {
+      const reservation = await reserveForRequest(req, res, kind);
+      if (reservation === undefined) return;
+      next();
+    } catch (e) {
+      console.error('[quota] reserve error', e?.message || e);
+      res.status(500).json({ ok: false, error: 'quota_check_failed' });
+    }
+  };
+}
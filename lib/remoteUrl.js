@@ -0,0 +1,92 @@
+/**
+ * Guards for fetching URLs that users supplied (linked photos, project images)
+ * Only public internet addresses are fetched: loopback, private, link-local (cloud metadata),
+ * CGNAT, multicast and reserved ranges are refused, by IP literal before the request and by the
+ * resolved address when connecting, so DNS rebinding and redirects cannot reach them either.
+ * Our own hosts (Supabase, PUBLIC_BASE_URL) are always allowed; they may be local in development.
+ */
+
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import { BlockList, isIP } from 'net';
+
+const BLOCKED = new BlockList();
+for (const [net, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) BLOCKED.addSubnet(net, prefix, 'ipv4');
+for (const [net, prefix] of [
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) BLOCKED.addSubnet(net, prefix, 'ipv6');
+
+const TRUSTED_HOSTS = new Set([process.env.SUPABASE_URL, process.env.PUBLIC_BASE_URL].filter(Boolean).map(u => {
+  try { return new URL(u).hostname.toLowerCase(); } catch { return null; }
+}).filter(Boolean));
+
+function urlError(message) {
+  return Object.assign(new Error(message), { status: 400, code: 'invalid_url' });
+}
+
+/** False for loopback, private, link-local and other non-public IPs (IPv4-mapped included) */
+export function isPublicAddress(ip) {
+  const family = isIP(ip);
+  if (!family) return false;
+  return !BLOCKED.check(ip, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function hostOf(url) {
+  // URL keeps IPv6 literals bracketed
+  return url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+}
+
+/**
+ * Parse a user-supplied URL and reject what can never be fetched safely: non-http(s), embedded
+ * credentials, `localhost` and non-public IP literals. Names are checked again when fetched.
+ * @returns {URL}
+ * @throws `{ status: 400, code: 'invalid_url' }`
+ */
+export function assertPublicUrl(raw) {
+  let url;
+  try {
+    url = new URL(String(raw));
+  } catch {
+    throw urlError('Not a valid URL');
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') throw urlError('URL must be http or https');
+  if (url.username || url.password) throw urlError('URL must not contain credentials');
+  const host = hostOf(url);
+  if (TRUSTED_HOSTS.has(host)) return url;
+  if (host === 'localhost' || host.endsWith('.localhost') || (isIP(host) && !isPublicAddress(host))) {
+    throw urlError('URL must point at a public host');
+  }
+  return url;
+}
+
+// dns.lookup that fails instead of returning a non-public address (checked at connect time)
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(a => !isPublicAddress(a.address));
+    if (blocked) {
+      return callback(Object.assign(new Error(`${hostname} resolves to a non-public address`), { code: 'EADDRNOTPUBLIC' }));
+    }
+    callback(null, address, family);
+  });
+}
+
+const publicAgents = {
+  'http:': new http.Agent({ lookup: publicLookup }),
+  'https:': new https.Agent({ lookup: publicLookup })
+};
+
+/**
+ * node-fetch `agent` option for a URL from assertPublicUrl: public-only name resolution,
+ * or the default agent for our own hosts
+ */
+export function publicAgent(url) {
+  return TRUSTED_HOSTS.has(hostOf(url)) ? undefined : publicAgents[url.protocol];
+}
@@ -0,0 +1,188 @@
+/**
+ * ROI measurement from RoomPlan data
+ * The client sends the region of interest normalized to a reference surface (a wall face,
+ * 0-1 from its top-left corner) or names a scanned object. Sizes come from the scan, so
+ * the result is real-world inches plus a 0-1 confidence.
+ */
+
+import { readRoomPlan, confidenceScore, surfacesOnWall, roomBounds, M_TO_IN } from './roomPlan.js';
+
+export const MEASURE_VERSION = 1;
+
+const DEFAULT_CONFIDENCE = 0.6;
+
+function inches(m) {
+  return Math.round(m * M_TO_IN * 10) / 10;
+}
+
+function round4(n) {
+  return Math.round(n * 10000) / 10000;
+}
+
+function clamp01(n) {
+  return Math.min(1, Math.max(0, n));
+}
+
+function fail(code) {
+  return Object.assign(new Error(code), { code, permanent: true });
+}
+
+// ROI may be normalized (0-1) or in image pixels when the image size is known
+function normalizeRoi(roi, image) {
+  if (!roi || typeof roi !== 'object') return { rect: { x: 0, y: 0, w: 1, h: 1 }, clipped: false, whole: true };
+  let { x = 0, y = 0, w = 1, h = 1 } = roi;
+  [x, y, w, h] = [x, y, w, h].map(Number);
+  if ([x, y, w, h].some(n => !Number.isFinite(n)) || w <= 0 || h <= 0) throw fail('invalid_roi');
+
+  if ([x, y, w, h].some(n => n > 1)) {
+    if (!image?.width || !image?.height) throw fail('roi_needs_image_size');
+    x /= image.width; w /= image.width;
+    y /= image.height; h /= image.height;
+  }
+  const rect = { x: round4(clamp01(x)), y: round4(clamp01(y)) };
+  rect.w = round4(clamp01(x + w) - rect.x);
+  rect.h = round4(clamp01(y + h) - rect.y);
+  if (rect.w <= 0 || rect.h <= 0) throw fail('invalid_roi');
+  const clipped = [rect.x - x, rect.y - y, rect.w - w, rect.h - h].some(d => Math.abs(d) > 1e-3);
+  return { rect, clipped, whole: false };
+}
+
+function overlapShare(a, b) {
+  const w = Math.min(a.left + a.width, b.left + b.width) - Math.max(a.left, b.left);
+  const h = Math.min(a.bottom + a.height, b.bottom + b.height) - Math.max(a.bottom, b.bottom);
+  if (w <= 0 || h <= 0) return 0;
+  return (w * h) / (a.width * a.height || 1);
+}
+
+function itemView({ surface: s, p }) {
+  return {
+    id: s.id,
+    kind: s.kind,
+    category: s.category,
+    width_in: inches(p.width_m),
+    height_in: inches(p.height_m),
+    offset_in: inches(Math.max(0, p.left_m)),
+    from_floor_in: inches(Math.max(0, p.bottom_m)),
+  };
+}
+
+function measureObject(obj, roi, image) {
+  const width_in = inches(obj.width_m);
+  const rect = roi ? normalizeRoi(roi, image).rect : null;
+  return {
+    method: 'object',
+    reference: { kind: 'object', id: obj.id, category: obj.category, confidence: obj.confidence },
+    width_in,
+    height_in: inches(obj.height_m),
+    depth_in: inches(obj.depth_m),
+    // The object spans the ROI width in the photo; a zero-width object gives no scale
+    px_per_in: rect && image?.width && width_in > 0 ? Math.round((rect.w * image.width / width_in) * 100) / 100 : null,
+    roi: rect,
+    confidence: confidenceScore(obj.confidence) ?? DEFAULT_CONFIDENCE,
+    warnings: [],
+  };
+}
+
+function measureWall(room, wall, guessed, roi, image) {
+  const warnings = [];
+  const { rect, clipped, whole } = normalizeRoi(roi, image);
+  let confidence = confidenceScore(wall.confidence) ?? DEFAULT_CONFIDENCE;
+  if (guessed) {
+    confidence *= 0.75;
+    warnings.push('reference_wall_guessed');
+  }
+  if (clipped) {
+    confidence *= 0.85;
+    warnings.push('roi_clipped');
+  }
+
+  const region = {
+    left: rect.x * wall.width_m,
+    bottom: (1 - rect.y - rect.h) * wall.height_m,
+    width: rect.w * wall.width_m,
+    height: rect.h * wall.height_m,
+  };
+  const items = surfacesOnWall(room, wall);
+  const within = [];
+  for (const it of items) {
+    const box = { left: it.p.left_m, bottom: it.p.bottom_m, width: it.p.width_m, height: it.p.height_m };
+    const share = overlapShare(box, region);
+    if (share >= 0.5) within.push(itemView(it));
+    else if (share > 0 && it.surface.kind !== 'object') {
+      confidence *= 0.9;
+      if (!warnings.includes('roi_crosses_opening')) warnings.push('roi_crosses_opening');
+    }
+  }
+
+  const wallWidthIn = inches(wall.width_m);
+  return {
+    method: whole ? 'wall' : 'wall_roi',
+    reference: {
+      kind: 'wall',
+      id: wall.id,
+      width_in: wallWidthIn,
+      height_in: inches(wall.height_m),
+      confidence: wall.confidence,
+    },
+    width_in: inches(region.width),
+    height_in: inches(region.height),
+    offset_in: inches(region.left),
+    from_floor_in: inches(region.bottom),
+    // The photo frames the reference wall edge to edge
+    px_per_in: image?.width ? Math.round((image.width / wallWidthIn) * 100) / 100 : null,
+    roi: rect,
+    openings: items.filter(it => it.surface.kind !== 'object').map(itemView),
+    within_roi: within,
+    confidence,
+    warnings,
+  };
+}
+
+/**
+ * Measure a region of interest against a RoomPlan scan
+ * @param {object} roomplan - CapturedRoom JSON (room_scans.roi)
+ * @param {{ x?, y?, w?, h?, wall_id?, object_id? }|null} roi
+ * @param {{ width?: number, height?: number }|null} image - photo size in pixels
+ * @returns {object} measure_result (inches); throws `{ code, permanent }` on unusable input
+ */
+export function measureRoi(roomplan, roi = null, image = null) {
+  let room;
+  try {
+    room = readRoomPlan(roomplan);
+  } catch {
+    throw fail('invalid_roomplan');
+  }
+
+  let result;
+  if (roi?.object_id) {
+    const obj = room.objects.find(o => o.id === roi.object_id);
+    if (!obj) throw fail('object_not_found');
+    result = measureObject(obj, roi, image);
+  } else {
+    const walls = room.walls.filter(w => w.width_m > 0 && w.height_m > 0);
+    let wall = roi?.wall_id ? walls.find(w => w.id === roi.wall_id) : null;
+    if (roi?.wall_id && !wall) throw fail('wall_not_found');
+    const guessed = !wall;
+    // Without a named wall, assume the photo faces the largest one
+    wall = wall || walls.reduce((a, b) => (!a || b.width_m * b.height_m > a.width_m * a.height_m ? b : a), null);
+    if (!wall) throw fail('no_reference_surface');
+    result = measureWall(room, wall, guessed, roi, image);
+  }
+
+  const bounds = roomBounds(room.walls);
+  return {
+    version: MEASURE_VERSION,
+    ...result,
+    confidence: Math.round(result.confidence * 100) / 100,
+    room: bounds ? {
+      walls: room.walls.length,
+      doors: room.doors.length,
+      windows: room.windows.length,
+      objects: room.objects.length,
+      width_in: inches(bounds.width_m),
+      length_in: inches(bounds.length_m),
+      height_in: inches(bounds.height_m),
+    } : null,
+    measured_at: new Date().toISOString(),
+  };
+}
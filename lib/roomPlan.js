@@ -0,0 +1,355 @@
+/**
+ * RoomPlan reader
+ * Validates an Apple RoomPlan `CapturedRoom` export (as stored in room_scans.roi), normalizes
+ * it into plain surfaces with world position, axes and size in meters, and derives the
+ * inch-based rows and summary stored at ingest.
+ */
+
+export const M_TO_IN = 39.3701;
+
+const MAX_ELEMENTS = 2000;
+const MAX_DIMENSION_M = 100;
+const ON_WALL_M = 0.35; // openings and wall-mounted objects sit within this distance of the plane
+const FLOOR_STANDING_M = 0.3; // objects starting this close to the floor block a wall span
+const MIN_SPAN_IN = 6;
+
+const SURFACE_KINDS = { walls: 'wall', doors: 'door', windows: 'window', openings: 'opening', floors: 'floor' };
+const CONFIDENCE_SCORE = { high: 0.95, medium: 0.75, low: 0.45 };
+
+// Codable enums arrive as { "high": {} } / { "door": { "isOpen": false } } or plain strings
+function enumKey(v) {
+  if (typeof v === 'string') return v.toLowerCase();
+  if (v && typeof v === 'object') return Object.keys(v)[0]?.toLowerCase() || null;
+  return null;
+}
+
+function vec3(v) {
+  if (Array.isArray(v) && v.length >= 3) return v.slice(0, 3).map(Number);
+  if (v && typeof v === 'object') return [Number(v.x), Number(v.y), Number(v.z)];
+  return null;
+}
+
+// simd_float4x4 encodes column-major: 16 floats or 4 columns of 4
+function matrix(t) {
+  if (!Array.isArray(t)) return null;
+  const flat = Array.isArray(t[0]) ? t.flat() : t;
+  return flat.length === 16 && flat.every(n => Number.isFinite(Number(n))) ? flat.map(Number) : null;
+}
+
+function normalize(v) {
+  const len = Math.hypot(...v) || 1;
+  return v.map(n => n / len);
+}
+
+function readSurface(raw, kind) {
+  const dims = vec3(raw?.dimensions);
+  if (!dims || dims.some(n => !Number.isFinite(n) || n < 0)) return null;
+  const m = matrix(raw.transform);
+  return {
+    id: String(raw.identifier ?? raw.id ?? ''),
+    kind,
+    category: enumKey(raw.category) || kind,
+    width_m: dims[0],
+    height_m: dims[1],
+    depth_m: dims[2],
+    position: m ? [m[12], m[13], m[14]] : [0, 0, 0],
+    xAxis: m ? normalize([m[0], m[1], m[2]]) : [1, 0, 0],
+    zAxis: m ? normalize([m[8], m[9], m[10]]) : [0, 0, 1],
+    confidence: enumKey(raw.confidence),
+    parent_id: raw.parentIdentifier ?? null,
+    story: Number.isInteger(raw.story) ? raw.story : 0,
+  };
+}
+
+/**
+ * Read a CapturedRoom JSON (or a CapturedStructure with `rooms`)
+ * @param {object|string} input
+ * @returns {{ version: number|null, walls, doors, windows, openings, floors, objects }}
+ */
+export function readRoomPlan(input) {
+  const src = typeof input === 'string' ? JSON.parse(input) : input;
+  if (!src || typeof src !== 'object') throw Object.assign(new Error('invalid_roomplan'), { code: 'invalid_roomplan' });
+  const rooms = Array.isArray(src.rooms) && src.rooms.length ? src.rooms : [src];
+
+  const out = { version: Number.isFinite(src.version) ? src.version : null, walls: [], doors: [], windows: [], openings: [], floors: [], objects: [] };
+  for (const room of rooms) {
+    for (const [key, kind] of Object.entries(SURFACE_KINDS)) {
+      for (const raw of Array.isArray(room[key]) ? room[key] : []) {
+        const s = readSurface(raw, kind);
+        if (s) out[key].push(s);
+      }
+    }
+    for (const raw of Array.isArray(room.objects) ? room.objects : []) {
+      const s = readSurface(raw, 'object');
+      if (s) out.objects.push(s);
+    }
+  }
+  return out;
+}
+
+/**
+ * Structural check of a CapturedRoom (or CapturedStructure) export
+ * @returns {{ ok: boolean, errors: Array<{ path: string, message: string }> }}
+ */
+export function validateRoomPlan(input) {
+  const errors = [];
+  const add = (path, message) => errors.length < 50 && errors.push({ path, message });
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    add('$', 'must be a CapturedRoom object');
+    return { ok: false, errors };
+  }
+  const rooms = Array.isArray(input.rooms) ? input.rooms.map((r, i) => [r, `$.rooms[${i}]`]) : [[input, '$']];
+  if (!rooms.length) add('$.rooms', 'must not be empty');
+
+  let total = 0;
+  let walls = 0;
+  for (const [room, base] of rooms) {
+    if (!room || typeof room !== 'object') {
+      add(base, 'must be an object');
+      continue;
+    }
+    if (!Array.isArray(room.walls)) add(`${base}.walls`, 'must be an array');
+    for (const key of [...Object.keys(SURFACE_KINDS), 'objects']) {
+      const list = room[key];
+      if (list === undefined) continue;
+      if (!Array.isArray(list)) {
+        add(`${base}.${key}`, 'must be an array');
+        continue;
+      }
+      total += list.length;
+      if (key === 'walls') walls += list.length;
+      list.forEach((el, i) => {
+        const path = `${base}.${key}[${i}]`;
+        if (!el || typeof el !== 'object') return add(path, 'must be an object');
+        if (typeof el.identifier !== 'string' || !el.identifier) add(`${path}.identifier`, 'must be a string');
+        const dims = vec3(el.dimensions);
+        if (!dims || dims.some(n => !Number.isFinite(n) || n < 0 || n > MAX_DIMENSION_M)) {
+          add(`${path}.dimensions`, `must be 3 numbers between 0 and ${MAX_DIMENSION_M} (meters)`);
+        }
+        if (!matrix(el.transform)) add(`${path}.transform`, 'must be a 4x4 matrix (16 numbers)');
+        if (el.confidence !== undefined && !(enumKey(el.confidence) in CONFIDENCE_SCORE)) {
+          add(`${path}.confidence`, 'must be high, medium or low');
+        }
+        if (key === 'objects' && !enumKey(el.category)) add(`${path}.category`, 'is required');
+      });
+    }
+  }
+  if (total > MAX_ELEMENTS) add('$', `must not contain more than ${MAX_ELEMENTS} elements`);
+  if (!walls && !errors.length) add('$.walls', 'must contain at least one wall');
+  return { ok: errors.length === 0, errors };
+}
+
+/** 0-1 score for a RoomPlan confidence level (null when the export has none) */
+export function confidenceScore(level) {
+  return CONFIDENCE_SCORE[level] ?? null;
+}
+
+function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+/**
+ * Where a surface or object sits on a wall's face, in meters from the wall's left edge and floor.
+ * `distance_m` is how far its center is from the wall plane.
+ */
+export function projectOntoWall(wall, s) {
+  const d = [0, 1, 2].map(i => s.position[i] - wall.position[i]);
+  // Footprint along the wall: object width/depth axes projected onto the wall's x axis
+  const width = Math.abs(s.width_m * dot(s.xAxis, wall.xAxis)) + Math.abs(s.depth_m * dot(s.zAxis, wall.xAxis));
+  const centerX = dot(d, wall.xAxis) + wall.width_m / 2;
+  const centerY = d[1] + wall.height_m / 2;
+  return {
+    left_m: centerX - width / 2,
+    bottom_m: centerY - s.height_m / 2,
+    width_m: width,
+    height_m: s.height_m,
+    distance_m: Math.abs(dot(d, wall.zAxis)),
+  };
+}
+
+/** Doors, windows, openings and objects on (or standing against) a wall, with their projection */
+export function surfacesOnWall(room, wall) {
+  const items = [];
+  for (const s of [...room.doors, ...room.windows, ...room.openings, ...room.objects]) {
+    if (s.parent_id && s.parent_id !== wall.id) continue;
+    const p = projectOntoWall(wall, s);
+    const onFace = p.left_m < wall.width_m && p.left_m + p.width_m > 0;
+    if (!onFace || (s.kind !== 'object' && p.distance_m > ON_WALL_M)) continue;
+    if (s.kind === 'object' && p.distance_m > ON_WALL_M + s.depth_m) continue;
+    items.push({ surface: s, p });
+  }
+  return items;
+}
+
+/**
+ * Floor-plan extent of the walls, measured along the longest wall's direction
+ * @returns {{ width_m: number, length_m: number, height_m: number }|null}
+ */
+export function roomBounds(walls) {
+  if (!walls.length) return null;
+  const longest = walls.reduce((a, b) => (b.width_m > a.width_m ? b : a));
+  const angle = Math.atan2(longest.xAxis[2], longest.xAxis[0]);
+  const cos = Math.cos(-angle);
+  const sin = Math.sin(-angle);
+
+  let minU = Infinity, maxU = -Infinity, minV = Infinity, maxV = -Infinity;
+  for (const w of walls) {
+    for (const sign of [-1, 1]) {
+      const x = w.position[0] + sign * w.xAxis[0] * w.width_m / 2;
+      const z = w.position[2] + sign * w.xAxis[2] * w.width_m / 2;
+      const u = x * cos - z * sin;
+      const v = x * sin + z * cos;
+      minU = Math.min(minU, u); maxU = Math.max(maxU, u);
+      minV = Math.min(minV, v); maxV = Math.max(maxV, v);
+    }
+  }
+  const a = maxU - minU;
+  const b = maxV - minV;
+  return { width_m: Math.min(a, b), length_m: Math.max(a, b), height_m: Math.max(...walls.map(w => w.height_m)) };
+}
+
+// --- Inch-based rows and summary ------------------------------------------------------
+
+function inches(m) {
+  return Math.round(m * M_TO_IN * 10) / 10;
+}
+
+function yawDeg(xAxis) {
+  return Math.round(Math.atan2(-xAxis[2], xAxis[0]) * 1800 / Math.PI) / 10;
+}
+
+// Codable enum payloads worth keeping (door isOpen, object attributes)
+function attributes(raw) {
+  const c = raw?.category;
+  const inner = c && typeof c === 'object' ? Object.values(c)[0] : null;
+  const out = inner && typeof inner === 'object' && Object.keys(inner).length ? { ...inner } : {};
+  if (raw?.attributes && typeof raw.attributes === 'object') out.attributes = raw.attributes;
+  return out;
+}
+
+/**
+ * Validate and flatten a RoomPlan export into one row per element (inches, yaw in degrees).
+ * Throws `{ code: 'invalid_roomplan', status: 422, details }` when validation fails.
+ * @returns {{ room: object, elements: Array<object> }}
+ */
+export function parseRoomPlan(input) {
+  const { ok, errors } = validateRoomPlan(input);
+  if (!ok) throw Object.assign(new Error('invalid_roomplan'), { code: 'invalid_roomplan', status: 422, details: errors });
+
+  const room = readRoomPlan(input);
+  const rawById = new Map();
+  for (const r of Array.isArray(input.rooms) ? input.rooms : [input]) {
+    for (const key of [...Object.keys(SURFACE_KINDS), 'objects']) {
+      for (const raw of r[key] || []) rawById.set(`${key}|${raw.identifier}`, raw);
+    }
+  }
+
+  const elements = [];
+  for (const key of [...Object.keys(SURFACE_KINDS), 'objects']) {
+    for (const s of room[key]) {
+      elements.push({
+        kind: s.kind,
+        element_id: s.id,
+        category: s.category,
+        width_in: inches(s.width_m),
+        height_in: inches(s.height_m),
+        depth_in: inches(s.depth_m),
+        position_in: { x: inches(s.position[0]), y: inches(s.position[1]), z: inches(s.position[2]) },
+        rotation_deg: yawDeg(s.xAxis),
+        parent_element_id: s.parent_id,
+        story: s.story,
+        confidence: s.confidence,
+        attributes: attributes(rawById.get(`${key}|${s.id}`)),
+      });
+    }
+  }
+  return { room, elements };
+}
+
+// Shoelace area of a polygon given as [x, y(, z)] corners in a floor's local plane
+function polygonArea(corners) {
+  let a = 0;
+  for (let i = 0; i < corners.length; i++) {
+    const [x1, y1] = corners[i];
+    const [x2, y2] = corners[(i + 1) % corners.length];
+    a += x1 * y2 - x2 * y1;
+  }
+  return Math.abs(a) / 2;
+}
+
+function floorArea(input, room) {
+  const floors = (Array.isArray(input?.rooms) ? input.rooms : [input]).flatMap(r => (Array.isArray(r?.floors) ? r.floors : []));
+  const fromPolygons = floors
+    .map(f => (Array.isArray(f.polygonCorners) && f.polygonCorners.length >= 3 ? polygonArea(f.polygonCorners.map(c => vec3(c) || [0, 0, 0])) : null))
+    .filter(a => a !== null);
+  if (fromPolygons.length) return { m2: fromPolygons.reduce((s, a) => s + a, 0), source: 'floor_polygon' };
+  if (room.floors.length) return { m2: room.floors.reduce((s, f) => s + f.width_m * f.height_m, 0), source: 'floor' };
+  const b = roomBounds(room.walls);
+  return b ? { m2: b.width_m * b.length_m, source: 'wall_bounds' } : null;
+}
+
+// Stretches of a wall not interrupted by doors, windows, openings or floor-standing objects
+function clearSpans(room, wall) {
+  const blocks = surfacesOnWall(room, wall)
+    .filter(({ surface, p }) => surface.kind !== 'object' || p.bottom_m <= FLOOR_STANDING_M)
+    .map(({ p }) => [Math.max(0, p.left_m), Math.min(wall.width_m, p.left_m + p.width_m)])
+    .sort((a, b) => a[0] - b[0]);
+
+  const spans = [];
+  let cursor = 0;
+  for (const [start, end] of blocks) {
+    if (start > cursor) spans.push([cursor, start]);
+    cursor = Math.max(cursor, end);
+  }
+  if (cursor < wall.width_m) spans.push([cursor, wall.width_m]);
+  return spans
+    .map(([a, b]) => ({ start_in: inches(a), end_in: inches(b), length_in: inches(b - a) }))
+    .filter(sp => sp.length_in >= MIN_SPAN_IN);
+}
+
+/**
+ * Floor area, wall lengths and clear wall spans for a parsed scan
+ * @param {object} input - the raw RoomPlan export (floor polygons are read from it)
+ * @param {object} room - readRoomPlan(input)
+ */
+export function summarizeRoomPlan(input, room = readRoomPlan(input)) {
+  const area = floorArea(input, room);
+  const bounds = roomBounds(room.walls);
+  const objects = {};
+  for (const o of room.objects) objects[o.category] = (objects[o.category] || 0) + 1;
+
+  const walls = room.walls.map(w => {
+    const spans = clearSpans(room, w);
+    const on = surfacesOnWall(room, w);
+    return {
+      id: w.id,
+      length_in: inches(w.width_m),
+      height_in: inches(w.height_m),
+      doors: on.filter(i => i.surface.kind === 'door').length,
+      windows: on.filter(i => i.surface.kind === 'window').length,
+      openings: on.filter(i => i.surface.kind === 'opening').length,
+      clear_spans: spans,
+      longest_clear_span_in: spans.reduce((m, sp) => Math.max(m, sp.length_in), 0),
+    };
+  });
+
+  return {
+    floor_area_sqft: area ? Math.round(area.m2 * 10.7639 * 10) / 10 : null,
+    floor_area_source: area?.source ?? null,
+    perimeter_in: inches(room.walls.reduce((s, w) => s + w.width_m, 0)),
+    ceiling_height_in: room.walls.length ? inches(Math.max(...room.walls.map(w => w.height_m))) : null,
+    width_in: bounds ? inches(bounds.width_m) : null,
+    length_in: bounds ? inches(bounds.length_m) : null,
+    counts: {
+      walls: room.walls.length,
+      doors: room.doors.length,
+      windows: room.windows.length,
+      openings: room.openings.length,
+      objects: room.objects.length,
+    },
+    objects,
+    walls,
+    longest_clear_span_in: walls.reduce((m, w) => Math.max(m, w.longest_clear_span_in), 0),
+  };
+}
@@ -0,0 +1,93 @@
+// lib/sharePage.js
+// What a share link (/s/:token) shows. publicProjectView is the whitelist: only the fields
+// listed here leave the server, whatever is added to projects or plan_json later.
+import { upgradePlan } from './planSchema.js';
+
+function esc(s) {
+  return String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+/**
+ * Public, read-only view of a project
+ * @param {object} project - Row with name, status, input_image_url, image_variants, preview_url, preview_meta, plan_json, updated_at
+ * @param {object} share - project_shares row
+ */
+export function publicProjectView(project, share) {
+  const before = project.image_variants?.large?.url || project.input_image_url || null;
+  const after = project.preview_url || null;
+  const plan = project.plan_json ? upgradePlan(project.plan_json) : null;
+
+  return {
+    name: project.name,
+    status: project.status,
+    hero_image_url: after || before,
+    before_url: before,
+    after_url: after,
+    updated_at: project.updated_at || null,
+    plan: plan && {
+      overview: {
+        title: plan.overview.title,
+        summary: plan.overview.summary,
+        est_time: plan.overview.est_time,
+        est_cost: plan.overview.est_cost,
+        skill: plan.overview.skill
+      },
+      materials: plan.materials.map(m => ({ name: m.name, qty: m.qty, unit: m.unit, notes: m.notes })),
+      tools: plan.tools.map(t => ({ name: t.name, optional: t.optional })),
+      steps: plan.steps.map(s => ({ order: s.order, title: s.title, text: s.text, duration_min: s.duration_min })),
+      safety: plan.safety,
+      tips: plan.tips
+    },
+    share: { expires_at: share.expires_at }
+  };
+}
+
+const PAGE_STYLE = 'font-family:system-ui,-apple-system,Segoe UI,Roboto,Helvetica,Arial,sans-serif;max-width:720px;margin:40px auto;padding:20px;line-height:1.5';
+const H2 = '<h2 style="font-size:1.1em;margin-top:1.5em">';
+
+function figure(url, caption) {
+  return `<figure style="flex:1;margin:0"><img src="${esc(url)}" alt="${esc(caption)}" style="width:100%;border-radius:8px;display:block"><figcaption style="font-size:.8em;letter-spacing:.1em;opacity:.7;margin-top:4px">${esc(caption)}</figcaption></figure>`;
+}
+
+function page(title, body) {
+  return `<!doctype html><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1"><meta name="robots" content="noindex"><title>${title} - DIY Genie</title><body style="${PAGE_STYLE}">${body}</body>`;
+}
+
+/** Read-only project page: hero image, before/after, materials and steps */
+export function sharePageHtml(view) {
+  const title = esc(view.plan?.overview.title || view.name || 'DIY project');
+  const parts = [`<h1>${title}</h1>`];
+  const o = view.plan?.overview;
+  const facts = [o?.est_time && `Time: ${esc(o.est_time)}`, o?.est_cost && `Cost: ${esc(o.est_cost)}`, o?.skill && `Skill: ${esc(o.skill)}`].filter(Boolean);
+  if (facts.length) parts.push(`<p style="opacity:.7">${facts.join(' · ')}</p>`);
+
+  if (view.hero_image_url) {
+    parts.push(`<img src="${esc(view.hero_image_url)}" alt="${title}" style="width:100%;border-radius:8px">`);
+  }
+  if (o?.summary) parts.push(`<p>${esc(o.summary)}</p>`);
+  if (view.before_url && view.after_url) {
+    parts.push(`${H2}Before &amp; after</h2><div style="display:flex;gap:12px">${figure(view.before_url, 'BEFORE')}${figure(view.after_url, 'AFTER')}</div>`);
+  }
+
+  const plan = view.plan;
+  if (plan?.materials.length) {
+    const qty = m => [m.qty, m.unit].filter(v => v != null).join(' ');
+    parts.push(`${H2}Materials</h2><ul>${plan.materials.map(m => `<li>${qty(m) ? `<b>${esc(qty(m))}</b> ` : ''}${esc(m.name)}${m.notes ? ` <span style="opacity:.7">(${esc(m.notes)})</span>` : ''}</li>`).join('')}</ul>`);
+  }
+  if (plan?.tools.length) {
+    parts.push(`${H2}Tools</h2><ul>${plan.tools.map(t => `<li>${esc(t.name)}${t.optional ? ' <span style="opacity:.7">(optional)</span>' : ''}</li>`).join('')}</ul>`);
+  }
+  if (plan?.steps.length) {
+    parts.push(`${H2}Steps</h2><ol>${plan.steps.map(s => `<li style="margin-bottom:.6em">${s.title ? `<b>${esc(s.title)}</b><br>` : ''}${esc(s.text)}</li>`).join('')}</ol>`);
+  }
+  if (plan?.safety.length) parts.push(`${H2}Safety</h2><ul>${plan.safety.map(s => `<li>${esc(s)}</li>`).join('')}</ul>`);
+  if (!plan) parts.push('<p style="opacity:.7">The plan for this project is not ready yet.</p>');
+
+  parts.push('<p style="opacity:.5;font-size:.85em;margin-top:2em">Shared from DIY Genie · read-only</p>');
+  return page(title, parts.join(''));
+}
+
+/** Page for a missing, revoked or expired link */
+export function shareErrorHtml(message) {
+  return page('Link unavailable', `<h1>Link unavailable</h1><p>${esc(message)}</p><p style="opacity:.7">Ask the person who shared it for a new link.</p>`);
+}
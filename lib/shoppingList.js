@@ -0,0 +1,188 @@
+/**
+ * Shopping list builder
+ * Turns a plan's materials and tools into store-ready lines: duplicates merged,
+ * quantities rounded to purchasable units, owned tools removed, grouped by department.
+ */
+
+import { upgradePlan } from './planSchema.js';
+import { estimatePlanCost } from './planCost.js';
+
+const BOARD_LENGTH_FT = 8;
+
+// Canonical unit for each spelling
+const UNIT_ALIASES = {
+  sheet: ['sheet', 'sheets', 'panel', 'panels'],
+  box: ['box', 'boxes', 'pack', 'packs', 'pkg', 'package'],
+  lb: ['lb', 'lbs', 'pound', 'pounds'],
+  ft: ['ft', 'feet', 'foot', 'lf', 'linear ft', 'linear feet'],
+  board: ['board', 'boards', 'stick', 'sticks'],
+  gal: ['gal', 'gallon', 'gallons'],
+  qt: ['qt', 'quart', 'quarts'],
+  tube: ['tube', 'tubes'],
+  roll: ['roll', 'rolls'],
+  bag: ['bag', 'bags'],
+  ea: ['ea', 'each', 'pc', 'pcs', 'piece', 'pieces', 'unit', 'units'],
+};
+
+const DEPARTMENTS = [
+  ['Lumber', /\b(plywood|lumber|board|mdf|osb|pine|oak|birch|maple|poplar|cedar|dowel|trim|molding|moulding|stud|\d+x\d+|edge banding)\b/i],
+  ['Hardware', /\b(screws?|nails?|bolts?|anchors?|brackets?|hinges?|nuts?|washers?|hooks?|pulls?|knobs?|slides?|cleats?)\b/i],
+  ['Paint & Finishes', /\b(paint|primer|stain|varnish|polyurethane|poly|finish|caulk|sandpaper|brush|roller|wood filler|tape)\b/i],
+  ['Adhesives', /\b(glue|adhesive|epoxy|construction adhesive)\b/i],
+  ['Electrical', /\b(wire|outlet|switch|light|bulb|led|cable|junction)\b/i],
+  ['Plumbing', /\b(pipe|pvc|pex|faucet|valve|fitting|drain)\b/i],
+  ['Flooring & Tile', /\b(tile|grout|thinset|mortar|flooring|laminate|vinyl plank|underlayment)\b/i],
+];
+
+const OTHER = 'Other';
+
+function canonicalUnit(unit) {
+  const u = String(unit || '').trim().toLowerCase();
+  if (!u) return 'ea';
+  for (const [canon, aliases] of Object.entries(UNIT_ALIASES)) {
+    if (aliases.includes(u)) return canon;
+  }
+  return u;
+}
+
+function departmentFor(name) {
+  const hit = DEPARTMENTS.find(([, re]) => re.test(name));
+  return hit ? hit[0] : OTHER;
+}
+
+function round2(n) {
+  return Math.round((Number(n) || 0) * 100) / 100;
+}
+
+// Round a needed quantity up to what the store sells
+function purchasable(qty, unit) {
+  const need = qty != null && qty > 0 ? qty : 1;
+  if (unit === 'ft') {
+    return { qty: Math.ceil(need / BOARD_LENGTH_FT), unit: `board (${BOARD_LENGTH_FT} ft)`, perUnit: BOARD_LENGTH_FT };
+  }
+  return { qty: Math.ceil(need), unit, perUnit: 1 };
+}
+
+/**
+ * Build a shopping list from a plan
+ * @param {object} plan - plan_json (legacy shapes are upgraded)
+ * @param {{ ownedTools?: string[] }} opts
+ */
+export function buildShoppingList(plan, { ownedTools = [] } = {}) {
+  const p = upgradePlan(plan || {});
+
+  // Merge duplicate materials by name + unit
+  const merged = new Map();
+  for (const m of p.materials) {
+    const unit = canonicalUnit(m.unit);
+    const key = `${m.name.trim().toLowerCase().replace(/\s+/g, ' ')}|${unit}`;
+    const prev = merged.get(key);
+    if (!prev) {
+      merged.set(key, { name: m.name.trim(), unit, qty: m.qty, unit_price: m.unit_price, subtotal: m.subtotal, notes: m.notes ? [m.notes] : [] });
+      continue;
+    }
+    prev.qty = prev.qty != null || m.qty != null ? (prev.qty || 0) + (m.qty || 0) : null;
+    prev.unit_price = prev.unit_price ?? m.unit_price;
+    prev.subtotal = prev.subtotal != null || m.subtotal != null ? (prev.subtotal || 0) + (m.subtotal || 0) : null;
+    if (m.notes) prev.notes.push(m.notes);
+  }
+
+  const groups = new Map();
+  let materialsTotal = 0;
+  for (const m of merged.values()) {
+    const buy = purchasable(m.qty, m.unit);
+    const estCost = m.unit_price != null
+      ? round2(buy.qty * buy.perUnit * m.unit_price)
+      : m.subtotal != null ? round2(m.subtotal) : null;
+    materialsTotal += estCost || 0;
+
+    const dept = departmentFor(m.name);
+    if (!groups.has(dept)) groups.set(dept, []);
+    groups.get(dept).push({
+      name: m.name,
+      qty: buy.qty,
+      unit: buy.unit,
+      needed: m.qty != null ? `${m.qty} ${m.unit}` : null,
+      est_cost: estCost,
+      notes: m.notes.join('; ') || null,
+    });
+  }
+
+  const order = [...DEPARTMENTS.map(([name]) => name), OTHER];
+  const departments = order
+    .filter(name => groups.has(name))
+    .map(name => ({ name, items: groups.get(name).sort((a, b) => a.name.localeCompare(b.name)) }));
+
+  // Tools: reuse the cost engine's rent-vs-buy decision
+  const cost = estimatePlanCost(p, { ownedTools });
+  const tools = { buy: [], rent: [], owned: [], optional: [], unpriced: [] };
+  for (const t of cost.tools.items) {
+    const bucket = { buy: 'buy', rent: 'rent', own: 'owned', optional: 'optional', unknown: 'unpriced' }[t.choice];
+    tools[bucket].push({ name: t.name, est_cost: t.choice === 'buy' || t.choice === 'rent' ? t.cost : null });
+  }
+
+  return {
+    title: p.overview.title || null,
+    departments,
+    tools,
+    totals: {
+      items: merged.size,
+      materials: round2(materialsTotal),
+      tools: cost.tools.total,
+      total: round2(materialsTotal + cost.tools.total),
+    },
+  };
+}
+
+function csvCell(v) {
+  let s = v === null || v === undefined ? '' : String(v);
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`; // keep spreadsheets from evaluating cells
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** CSV with one row per material and per tool to buy or rent */
+export function shoppingListCsv(list) {
+  const rows = [['department', 'item', 'qty', 'unit', 'est_cost', 'notes']];
+  for (const d of list.departments) {
+    for (const it of d.items) rows.push([d.name, it.name, it.qty, it.unit, it.est_cost, it.notes]);
+  }
+  for (const t of list.tools.buy) rows.push(['Tools', t.name, 1, 'buy', t.est_cost, null]);
+  for (const t of list.tools.rent) rows.push(['Tools', t.name, 1, 'rent', t.est_cost, null]);
+  for (const t of list.tools.unpriced) rows.push(['Tools', t.name, 1, 'ea', null, null]);
+  return rows.map(r => r.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+function esc(s) {
+  return String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function money(n) {
+  return n === null || n === undefined ? '' : `$${Number(n).toFixed(2)}`;
+}
+
+/** Printable HTML page in the same style as the /billing pages */
+export function shoppingListHtml(list, { projectName } = {}) {
+  const title = esc(projectName || list.title || 'Shopping list');
+  const box = '<td style="width:22px;border:1px solid #999;border-radius:3px"></td>';
+  const row = (cells) => `<tr>${box}${cells.map(c => `<td style="padding:4px 8px">${c}</td>`).join('')}</tr>`;
+
+  const sections = list.departments.map(d =>
+    `<h2 style="font-size:1.1em;margin-top:1.5em">${esc(d.name)}</h2><table style="border-collapse:separate;border-spacing:0 4px;width:100%">` +
+    d.items.map(it => row([`<b>${esc(it.qty)} ${esc(it.unit)}</b>`, esc(it.name) + (it.notes ? `<br><span style="opacity:.7">${esc(it.notes)}</span>` : ''), money(it.est_cost)])).join('') +
+    '</table>'
+  );
+
+  const toolLines = [
+    ...list.tools.buy.map(t => row(['buy', esc(t.name), money(t.est_cost)])),
+    ...list.tools.rent.map(t => row(['rent', esc(t.name), money(t.est_cost)])),
+    ...list.tools.unpriced.map(t => row(['', esc(t.name), ''])),
+  ];
+  if (toolLines.length) {
+    sections.push(`<h2 style="font-size:1.1em;margin-top:1.5em">Tools</h2><table style="border-collapse:separate;border-spacing:0 4px;width:100%">${toolLines.join('')}</table>`);
+  }
+  if (list.tools.owned.length) {
+    sections.push(`<p style="opacity:.7">Already owned: ${list.tools.owned.map(t => esc(t.name)).join(', ')}</p>`);
+  }
+
+  return `<!doctype html><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1"><title>${title} - DIY Genie</title><body style="font-family:system-ui,-apple-system,Segoe UI,Roboto,Helvetica,Arial,sans-serif;max-width:720px;margin:40px auto;padding:20px;line-height:1.5"><h1>${title}</h1><p style="opacity:.7">Shopping list · ${list.totals.items} items · est. ${money(list.totals.total)}</p>${sections.join('')}</body>`;
+}
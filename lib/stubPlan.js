@@ -0,0 +1,116 @@
+/**
+ * Deterministic stub plan (floating shelves) sized from scan measurements
+ * Shared by POST /plan and the `plan` job when no AI provider is configured.
+ * Width comes from the measured ROI, else the longest clear wall span, else 72"; shelf count
+ * from the measured height; sheet count from the cut-list optimizer.
+ */
+
+import { optimizeCuts } from './cutList.js';
+
+export const DEFAULT_SIZE = { width_in: 72, depth_in: 10, height_in: null };
+
+const MAX_SHELF_IN = 96; // one plywood sheet length; wider spans are split
+const SHELF_SPACING_IN = 12;
+const BRACKET_SPACING_IN = 32;
+
+function positive(n) {
+  const x = Number(n);
+  return Number.isFinite(x) && x > 0 ? x : null;
+}
+
+/**
+ * Target size for the build
+ * @param {object|null} measurements - room_scans.measure_result or client-supplied { width_in, height_in, depth_in }
+ * @param {object|null} room - room_scans.summary (longest_clear_span_in, ceiling_height_in)
+ * @returns {{ width_in: number, depth_in: number, height_in: number|null, source: 'measurement'|'room'|'default' }}
+ */
+export function targetSize(measurements, room) {
+  const m = measurements && typeof measurements === 'object' ? measurements : {};
+  const depth = positive(m.depth_in) && m.depth_in <= 24 ? m.depth_in : DEFAULT_SIZE.depth_in;
+  if (positive(m.width_in)) {
+    return { width_in: m.width_in, depth_in: depth, height_in: positive(m.height_in), source: 'measurement' };
+  }
+  const span = positive(room?.longest_clear_span_in);
+  if (span) {
+    // Leave a few inches at each end of the clear span
+    return { width_in: Math.max(12, Math.floor(span - 6)), depth_in: depth, height_in: null, source: 'room' };
+  }
+  return { ...DEFAULT_SIZE, depth_in: depth, source: 'default' };
+}
+
+/**
+ * @param {{ prompt?: string, title?: string|null, skill?: string|null, measurements?: object|null, room?: object|null }} input
+ * @returns {object} Legacy-shape plan; run it through upgradePlan()
+ */
+export function buildStubPlan({ prompt = '', title = null, skill = null, measurements = null, room = null } = {}) {
+  // Deterministic variants based on prompt length
+  const n = prompt.length % 3;
+  const style = ['modern', 'coastal', 'farmhouse'][n];
+  const wood = ['birch', 'oak', 'maple'][n];
+  const finish = ['matte black', 'brushed nickel', 'white'][n];
+
+  const size = targetSize(measurements, room);
+  const width_in = Math.round(size.width_in * 4) / 4;
+  const depth_in = size.depth_in;
+  const shelves = size.height_in ? Math.min(6, Math.max(2, Math.floor(size.height_in / SHELF_SPACING_IN))) : 2;
+  const segments = Math.ceil(width_in / MAX_SHELF_IN);
+  const segment_in = Math.round((width_in / segments) * 4) / 4;
+  const pieces = shelves * segments;
+
+  const cut_list = [
+    { item: 'Shelf', material: `${wood} plywood 3/4"`, size: `${segment_in}" x ${depth_in}" x 3/4"`, qty: pieces, notes: segments > 1 ? `${segments} segments per shelf` : wood },
+  ];
+  const sheets = Math.max(1, optimizeCuts(cut_list).totals.sheets);
+  const bracketsPerSegment = Math.max(2, Math.ceil(segment_in / BRACKET_SPACING_IN) + 1);
+  const brackets = bracketsPerSegment * pieces;
+  const banding = Math.ceil((width_in * shelves) / 96);
+
+  const materials = [
+    { name: `${wood} plywood 3/4" (4x8)`, qty: sheets, unit: 'sheet', unit_price: 68.0, subtotal: sheets * 68.0, notes: 'Cut to shelf pieces' },
+    { name: 'Edge banding 3/4"', qty: banding, unit: 'ea', unit_price: 7.5, subtotal: banding * 7.5 },
+    { name: `${finish} L-brackets`, qty: brackets, unit: 'ea', unit_price: 9.0, subtotal: brackets * 9.0, notes: `${bracketsPerSegment} per shelf segment` },
+    { name: 'Wood screws #8 x 1-1/4"', qty: 1, unit: 'lb', unit_price: 6.0, subtotal: 6.0 },
+    { name: 'Wall anchors', qty: brackets * 2, unit: 'ea', unit_price: 0.6, subtotal: Math.round(brackets * 2 * 0.6 * 100) / 100 }
+  ];
+
+  const tools = [
+    { name: 'Drill/driver', have: true,  rent_price: 0,  buy_price: 89 },
+    { name: 'Stud finder',  have: false, rent_price: 8,  buy_price: 22 },
+    { name: 'Level (24")',  have: false, rent_price: 6,  buy_price: 15 }
+  ];
+
+  const steps = [
+    { n: 1, title: 'Plan & mark studs', details: `Locate studs, mark ${shelves} shelf heights and bracket positions across ${width_in}".`, duration_min: 15, depends_on: [] },
+    { n: 2, title: 'Cut shelves', details: `Cut ${pieces} ${wood} plywood pieces to ${segment_in}" x ${depth_in}"; apply edge banding.`, duration_min: 30, depends_on: [1] },
+    { n: 3, title: 'Pre-drill brackets', details: `Pre-drill ${finish} brackets and shelf underside.`, duration_min: 20, depends_on: [2] },
+    { n: 4, title: 'Mount brackets', details: 'Level and fasten brackets into studs/anchors.', duration_min: 25, depends_on: [3] },
+    { n: 5, title: 'Install shelves', details: 'Place shelves and secure with screws; final check.', duration_min: 20, depends_on: [4] }
+  ];
+
+  const safety = [
+    'Wear eye and hearing protection.',
+    'Use anchors appropriate for your wall type.',
+    'Confirm no electrical/plumbing behind drill points.'
+  ];
+
+  return {
+    overview: {
+      title: title || `${style[0].toUpperCase()}${style.slice(1)} floating shelves`,
+      summary: `${style} floating shelves plan generated from prompt.`,
+      skill,
+      assumptions: [
+        'Wall is plumb with accessible studs or solid anchors.',
+        size.source === 'default'
+          ? `No scan measurements: assumed ~${width_in}" wide and ${depth_in}" deep.`
+          : `Sized to ${width_in}" wide and ${depth_in}" deep from the room scan.`,
+        'Basic DIY tools available; renting optional tools as needed.'
+      ]
+    },
+    materials,
+    tools,
+    cut_list,
+    steps,
+    safety,
+    meta: { source: 'stub', sizing: { ...size, width_in, shelves } }
+  };
+}
@@ -0,0 +1,60 @@
+// node migratePlans.js [--dry-run]
+// Upgrades every stored projects.plan_json to the current schema (lib/planSchema.js).
+// Plans that still fail validation after the upgrade are reported and left untouched.
+import { createClient } from '@supabase/supabase-js';
+import { isCurrentPlan, preparePlan, PLAN_SCHEMA_VERSION } from './lib/planSchema.js';
+
+const dryRun = process.argv.includes('--dry-run');
+const PAGE = 200;
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const stats = { scanned: 0, current: 0, upgraded: 0, invalid: 0 };
+
+for (let from = 0; ; from += PAGE) {
+  const { data, error } = await supabase
+    .from('projects')
+    .select('id, plan_json')
+    .not('plan_json', 'is', null)
+    .order('id')
+    .range(from, from + PAGE - 1);
+  if (error) {
+    console.error('MIGRATE read failed', error.message);
+    process.exit(1);
+  }
+  if (!data.length) break;
+
+  for (const row of data) {
+    stats.scanned += 1;
+    if (isCurrentPlan(row.plan_json)) {
+      stats.current += 1;
+      continue;
+    }
+
+    let plan;
+    try {
+      plan = preparePlan(row.plan_json);
+    } catch (e) {
+      stats.invalid += 1;
+      console.warn('MIGRATE invalid', row.id, JSON.stringify(e.details || e.message));
+      continue;
+    }
+
+    if (!dryRun) {
+      const { error: upErr } = await supabase
+        .from('projects')
+        .update({ plan_json: plan })
+        .eq('id', row.id);
+      if (upErr) {
+        console.error('MIGRATE write failed', row.id, upErr.message);
+        continue;
+      }
+    }
+    stats.upgraded += 1;
+  }
+}
+
+console.log(`MIGRATE plan_json -> v${PLAN_SCHEMA_VERSION}${dryRun ? ' (dry run)' : ''}`, stats);
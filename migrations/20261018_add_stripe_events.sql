@@ -0,0 +1,18 @@
+-- Stripe webhook idempotency log + subscription id on profiles
+create table if not exists public.stripe_events (
+  id text primary key,                 -- Stripe event id (evt_...)
+  type text not null,
+  livemode boolean not null default false,
+  received_at timestamptz not null default now(),
+  processed_at timestamptz,
+  result jsonb
+);
+
+create index if not exists idx_stripe_events_type_received
+  on public.stripe_events (type, received_at desc);
+
+alter table public.profiles
+  add column if not exists stripe_subscription_id text;
+
+create index if not exists idx_profiles_stripe_customer
+  on public.profiles (stripe_customer_id);
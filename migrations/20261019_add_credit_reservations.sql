@@ -0,0 +1,20 @@
+-- Credit reservations: a preview/plan generation holds one credit until it
+-- succeeds (committed) or fails/times out (released + refunded)
+create table if not exists public.credit_reservations (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null,
+  project_id uuid,
+  kind text not null check (kind in ('preview', 'plan')),
+  month_key text not null,             -- YYYYMM the credit was spent in
+  status text not null default 'reserved' check (status in ('reserved', 'committed', 'released')),
+  reason text,
+  expires_at timestamptz not null,
+  settled_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists idx_credit_reservations_pending
+  on public.credit_reservations (status, expires_at);
+
+create index if not exists idx_credit_reservations_user
+  on public.credit_reservations (user_id, created_at desc);
@@ -0,0 +1,60 @@
+-- Durable background jobs (preview + plan generation)
+-- Workers claim due rows with claim_jobs(); FOR UPDATE SKIP LOCKED lets several
+-- API instances share the table without double-processing a job.
+create table if not exists public.jobs (
+  id uuid primary key default gen_random_uuid(),
+  kind text not null,                          -- 'preview' | 'plan'
+  project_id uuid,
+  user_id uuid,
+  payload jsonb not null default '{}'::jsonb,  -- handler state (provider job id, reservation id, ...)
+  status text not null default 'queued'
+    check (status in ('queued', 'running', 'succeeded', 'dead')),
+  attempts int not null default 0,
+  max_attempts int not null default 5,
+  run_at timestamptz not null default now(),
+  locked_by text,
+  locked_at timestamptz,
+  last_error text,
+  result jsonb,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  finished_at timestamptz
+);
+
+create index if not exists idx_jobs_due
+  on public.jobs (status, run_at)
+  where status in ('queued', 'running');
+
+create index if not exists idx_jobs_project
+  on public.jobs (project_id, kind, created_at desc);
+
+-- Claim up to p_limit due jobs for p_worker. Also reclaims 'running' jobs whose
+-- lock is older than p_lock_timeout_s (the worker died mid-job).
+-- Each claim counts as an attempt.
+create or replace function public.claim_jobs(
+  p_worker text,
+  p_kinds text[] default null,
+  p_limit int default 1,
+  p_lock_timeout_s int default 300
+)
+returns setof public.jobs
+language sql
+as $$
+  update public.jobs j
+     set status = 'running',
+         locked_by = p_worker,
+         locked_at = now(),
+         attempts = j.attempts + 1,
+         updated_at = now()
+   where j.id in (
+     select c.id
+       from public.jobs c
+      where ((c.status = 'queued' and c.run_at <= now())
+          or (c.status = 'running' and c.locked_at < now() - make_interval(secs => p_lock_timeout_s)))
+        and (p_kinds is null or c.kind = any(p_kinds))
+      order by c.run_at
+      limit greatest(p_limit, 1)
+      for update skip locked
+   )
+  returning j.*;
+$$;
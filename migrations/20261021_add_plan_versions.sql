@@ -0,0 +1,15 @@
+-- Append-only history of projects.plan_json; every plan write adds a row
+create table if not exists public.plan_versions (
+  id uuid primary key default gen_random_uuid(),
+  project_id uuid not null references public.projects(id) on delete cascade,
+  version int not null,
+  plan_json jsonb not null,
+  source text not null check (source in ('stub', 'openai', 'manual', 'restore', 'demo')),
+  author_id uuid,                        -- user who made the write (null for system writes)
+  restored_from int,                     -- version number copied by a restore
+  created_at timestamptz not null default now(),
+  unique (project_id, version)
+);
+
+create index if not exists idx_plan_versions_project
+  on public.plan_versions (project_id, version desc);
@@ -0,0 +1,3 @@
+-- Tools the user already owns; the cost engine prices them at $0
+alter table public.profiles
+  add column if not exists owned_tools text[] not null default '{}';
@@ -0,0 +1,7 @@
+-- Scan measurements run as `measure` jobs; the status endpoint reads these columns
+alter table public.room_scans
+  add column if not exists measure_status text,
+  add column if not exists measure_result jsonb,
+  add column if not exists measure_confidence numeric(3,2),
+  add column if not exists measure_error text,
+  add column if not exists measure_job_id uuid references public.jobs(id) on delete set null;
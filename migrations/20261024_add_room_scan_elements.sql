@@ -0,0 +1,28 @@
+-- Parsed RoomPlan elements (one row per wall, door, window, opening, floor or object), in inches
+create table if not exists public.room_scan_elements (
+  id uuid primary key default gen_random_uuid(),
+  scan_id uuid not null references public.room_scans(id) on delete cascade,
+  project_id uuid not null references public.projects(id) on delete cascade,
+  kind text not null check (kind in ('wall', 'door', 'window', 'opening', 'floor', 'object')),
+  element_id text not null,
+  category text,
+  width_in numeric,
+  height_in numeric,
+  depth_in numeric,
+  position_in jsonb,
+  rotation_deg numeric,
+  parent_element_id text,
+  story integer not null default 0,
+  confidence text,
+  attributes jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now(),
+  unique (scan_id, kind, element_id)
+);
+
+create index if not exists room_scan_elements_scan_idx on public.room_scan_elements (scan_id, kind);
+create index if not exists room_scan_elements_project_idx on public.room_scan_elements (project_id, kind, category);
+
+-- Summary (floor area, wall lengths, clear spans) computed once at ingest
+alter table public.room_scans
+  add column if not exists summary jsonb,
+  add column if not exists roomplan_version integer;
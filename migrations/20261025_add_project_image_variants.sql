@@ -0,0 +1,4 @@
+-- Uploaded photos are stored as JPEG variants (full, large 1600px, thumb 640px);
+-- input_image_url points at `large`, this column records all of them
+alter table public.projects
+  add column if not exists image_variants jsonb;
@@ -0,0 +1,23 @@
+-- Several photos per project; the primary one is mirrored into projects.input_image_url
+create table if not exists public.project_photos (
+  id uuid primary key default gen_random_uuid(),
+  project_id uuid not null references public.projects(id) on delete cascade,
+  user_id uuid,
+  url text not null,
+  variants jsonb,
+  source text not null default 'upload',
+  position integer not null default 0,
+  is_primary boolean not null default false,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists project_photos_project_idx on public.project_photos (project_id, position);
+create unique index if not exists project_photos_one_primary on public.project_photos (project_id) where is_primary;
+
+-- Existing single photos become each project's primary photo
+insert into public.project_photos (project_id, user_id, url, variants, source, position, is_primary)
+select p.id, p.user_id, p.input_image_url, p.image_variants,
+       case when p.image_variants is null then 'url' else 'upload' end, 0, true
+from public.projects p
+where p.input_image_url is not null
+  and not exists (select 1 from public.project_photos ph where ph.project_id = p.id);
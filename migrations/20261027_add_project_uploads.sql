@@ -0,0 +1,15 @@
+-- Signed direct-to-storage upload slots (services/directUploads.js)
+create table if not exists public.project_uploads (
+  id uuid primary key default gen_random_uuid(),
+  project_id uuid not null references public.projects(id) on delete cascade,
+  user_id uuid,
+  path text not null,
+  status text not null default 'pending',
+  photo_id uuid references public.project_photos(id) on delete set null,
+  error text,
+  expires_at timestamptz not null,
+  created_at timestamptz not null default now(),
+  completed_at timestamptz
+);
+
+create index if not exists project_uploads_pending_idx on public.project_uploads (created_at) where status = 'pending';
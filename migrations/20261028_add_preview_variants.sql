@@ -0,0 +1,27 @@
+-- Preview variants: one `previews` row per generated image, grouped by the preview job
+-- that produced it. The selected row is mirrored into projects.preview_url.
+create table if not exists public.previews (
+  id uuid primary key default gen_random_uuid(),
+  project_id uuid not null references public.projects(id) on delete cascade,
+  user_id uuid,
+  created_at timestamptz not null default now()
+);
+
+alter table public.previews
+  add column if not exists job_id uuid,
+  add column if not exists variant_index integer not null default 0,
+  add column if not exists design_style text,
+  add column if not exists room_type text,
+  add column if not exists prompt text,
+  add column if not exists provider text,
+  add column if not exists provider_job_id text,
+  add column if not exists status text not null default 'queued',   -- queued | processing | ready | error
+  add column if not exists url text,
+  add column if not exists thumb_url text,
+  add column if not exists error text,
+  add column if not exists is_selected boolean not null default false,
+  add column if not exists updated_at timestamptz not null default now();
+
+create index if not exists previews_project_idx on public.previews (project_id, created_at desc);
+create index if not exists previews_job_idx on public.previews (job_id);
+create unique index if not exists previews_one_selected on public.previews (project_id) where is_selected;
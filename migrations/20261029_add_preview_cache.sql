@@ -0,0 +1,9 @@
+-- Preview cache: variants are keyed on input image, prompt, room type, style and AR context
+-- so a repeated request reuses a ready row instead of calling the provider again.
+alter table public.previews
+  add column if not exists cache_key text,
+  add column if not exists cached_from uuid references public.previews(id) on delete set null;
+
+create index if not exists previews_cache_idx
+  on public.previews (user_id, cache_key, created_at desc)
+  where status = 'ready';
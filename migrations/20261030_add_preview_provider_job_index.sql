@@ -0,0 +1,4 @@
+-- Decor8 callbacks (POST /api/webhooks/decor8) look variants up by the provider's job id
+create index if not exists previews_provider_job_idx
+  on public.previews (provider, provider_job_id)
+  where provider_job_id is not null;
@@ -0,0 +1,5 @@
+-- Rehosted previews: stored variants (previews/<projectId>/<previewId>/) and the provider's
+-- original URLs in meta
+alter table public.previews
+  add column if not exists image_variants jsonb,
+  add column if not exists meta jsonb;
@@ -0,0 +1,13 @@
+-- Public read-only share links (services/projectShares.js); views are recorded in events
+create table if not exists public.project_shares (
+  id uuid primary key default gen_random_uuid(),
+  project_id uuid not null references public.projects(id) on delete cascade,
+  user_id uuid,
+  token text not null unique,
+  expires_at timestamptz,
+  revoked_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists project_shares_project_idx on public.project_shares (project_id, created_at desc);
+create index if not exists events_share_views_idx on public.events ((props->>'share_id')) where event_type = 'share_viewed';
@@ -0,0 +1,23 @@
+-- Project lifecycle (services/projectLifecycle.js): one row per projects.status change
+create table if not exists public.project_status_history (
+  id uuid primary key default gen_random_uuid(),
+  project_id uuid not null references public.projects(id) on delete cascade,
+  from_status text,
+  to_status text not null,
+  actor_type text not null default 'system',
+  actor_id text,
+  reason text,
+  meta jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists project_status_history_project_idx
+  on public.project_status_history (project_id, created_at desc);
+
+-- Legacy values onto the canonical states
+update public.projects set status = 'draft' where status is null or status = 'new';
+-- `planning` never had a job behind it: projects holding a plan count as plan_ready, the rest
+-- go back to draft, where a plan can be requested again
+update public.projects
+   set status = case when plan_json is not null then 'plan_ready' else 'draft' end
+ where status = 'planning';
@@ -0,0 +1,20 @@
+-- At most one queued/running preview job per project: of two concurrent preview starts the
+-- second insert fails with 23505 (services/previewService.js enqueuePreviewJob → 409)
+-- Duplicates from before the index are dead-lettered first, keeping the newest; nothing extends
+-- their credit reservations any more, so the reservation sweep refunds them
+update public.jobs j
+   set status = 'dead', last_error = 'superseded', locked_by = null, locked_at = null,
+       finished_at = now(), updated_at = now()
+ where j.kind = 'preview'
+   and j.status in ('queued', 'running')
+   and exists (
+     select 1 from public.jobs n
+      where n.project_id = j.project_id
+        and n.kind = 'preview'
+        and n.status in ('queued', 'running')
+        and (n.created_at, n.id) > (j.created_at, j.id)
+   );
+
+create unique index if not exists jobs_one_active_preview
+  on public.jobs (project_id)
+  where kind = 'preview' and status in ('queued', 'running');
@@ -0,0 +1,19 @@
+-- At most one queued/running plan job per project, like jobs_one_active_preview: the generate
+-- endpoint claims the project (draft → plan_requested) first, and this index stops a second job
+-- when a project stuck in plan_requested is re-requested twice at once (index.js → 409)
+update public.jobs j
+   set status = 'dead', last_error = 'superseded', locked_by = null, locked_at = null,
+       finished_at = now(), updated_at = now()
+ where j.kind = 'plan'
+   and j.status in ('queued', 'running')
+   and exists (
+     select 1 from public.jobs n
+      where n.project_id = j.project_id
+        and n.kind = 'plan'
+        and n.status in ('queued', 'running')
+        and (n.created_at, n.id) > (j.created_at, j.id)
+   );
+
+create unique index if not exists jobs_one_active_plan
+  on public.jobs (project_id)
+  where kind = 'plan' and status in ('queued', 'running');
@@ -0,0 +1,4 @@
+-- Stripe delivers webhook events out of order: `created` (unix seconds) of the last event applied
+-- to a profile, so routes/billingWebhook.js can skip older ones
+alter table public.profiles
+  add column if not exists stripe_event_created bigint;
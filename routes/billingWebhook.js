@@ -0,0 +1,241 @@
+// routes/billingWebhook.js
+// Stripe webhook receiver. Mounted BEFORE express.json() in index.js because
+// signature verification needs the exact raw request bytes.
+import express from 'express';
+import Stripe from 'stripe';
+import { createClient } from '@supabase/supabase-js';
+import { isTier, tierProfilePatch } from '../services/entitlements.js';
+
+const router = express.Router();
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET;
+
+// Subscription statuses that still grant the paid tier
+const ACTIVE_STATUSES = ['active', 'trialing', 'past_due'];
+
+function tierFromPrice(priceId) {
+  if (!priceId) return null;
+  if (priceId === process.env.PRO_PRICE_ID) return 'pro';
+  if (priceId === process.env.CASUAL_PRICE_ID) return 'casual';
+  return null;
+}
+
+function tierFromSubscription(sub) {
+  const metaTier = String(sub?.metadata?.tier || '').toLowerCase();
+  if (isTier(metaTier)) return metaTier;
+  return tierFromPrice(sub?.items?.data?.[0]?.price?.id);
+}
+
+function idOf(x) {
+  if (!x) return null;
+  return typeof x === 'string' ? x : x.id || null;
+}
+
+function validUserId(raw) {
+  const id = String(raw || '').trim();
+  return id && id !== 'anon' ? id : null;
+}
+
+// Resolve our user from Stripe metadata, falling back to the stored customer id
+async function resolveUser({ metadataUserId, customerId }) {
+  const fromMeta = validUserId(metadataUserId);
+  if (fromMeta) return fromMeta;
+  if (!customerId) return null;
+
+  const { data, error } = await supabase
+    .from('profiles')
+    .select('user_id')
+    .eq('stripe_customer_id', customerId)
+    .maybeSingle();
+  if (error) throw error;
+  return data?.user_id || null;
+}
+
+// What the last applied event left on the profile (null before the first one)
+async function loadBilling(userId) {
+  const { data, error } = await supabase
+    .from('profiles')
+    .select('stripe_subscription_id, stripe_subscription_status, stripe_event_created')
+    .eq('user_id', userId)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+// Stripe does not deliver events in order. An event about the subscription the profile is on
+// applies only if it is not older than the last one applied; events about any other subscription
+// (an old one, after the user subscribed again) are ignored. A canceled subscription stays canceled.
+function skipReason(profile, subscriptionId, event, { deleted = false } = {}) {
+  const current = profile?.stripe_subscription_id || null;
+  if (current && subscriptionId && subscriptionId !== current) return 'other_subscription';
+  if (profile?.stripe_event_created != null && event.created < Number(profile.stripe_event_created)) return 'stale_event';
+  if (!deleted && current && profile.stripe_subscription_status === 'canceled') return 'subscription_canceled';
+  return null;
+}
+
+async function applyProfile(userId, patch) {
+  const { error } = await supabase
+    .from('profiles')
+    .upsert({ user_id: userId, ...patch }, { onConflict: 'user_id' });
+  if (error) throw error;
+}
+
+// --- Event handlers ---------------------------------------------------------
+
+async function onCheckoutCompleted(session, event) {
+  const customerId = idOf(session.customer);
+  const userId = await resolveUser({
+    metadataUserId: session.metadata?.user_id || session.client_reference_id,
+    customerId
+  });
+  if (!userId) return { skipped: 'no_user' };
+
+  const tier = String(session.metadata?.tier || '').toLowerCase();
+  if (!isTier(tier) || tier === 'free') return { skipped: 'unknown_tier' };
+
+  // A checkout for a new subscription replaces whatever the profile was on
+  const subscriptionId = idOf(session.subscription);
+  const profile = await loadBilling(userId);
+  if (!subscriptionId || subscriptionId === profile?.stripe_subscription_id) {
+    const skipped = skipReason(profile, subscriptionId, event);
+    if (skipped) return { user_id: userId, skipped };
+  }
+
+  await applyProfile(userId, {
+    ...tierProfilePatch(tier),
+    stripe_customer_id: customerId,
+    stripe_subscription_id: subscriptionId,
+    stripe_subscription_status: 'active',
+    stripe_event_created: event.created
+  });
+  return { user_id: userId, tier };
+}
+
+async function onSubscriptionChanged(sub, event, { deleted = false } = {}) {
+  const customerId = idOf(sub.customer);
+  const userId = await resolveUser({ metadataUserId: sub.metadata?.user_id, customerId });
+  if (!userId) return { skipped: 'no_user' };
+
+  const skipped = skipReason(await loadBilling(userId), sub.id, event, { deleted });
+  if (skipped) return { user_id: userId, skipped };
+
+  const status = deleted ? 'canceled' : sub.status;
+  const paidTier = tierFromSubscription(sub);
+  const tier = !deleted && ACTIVE_STATUSES.includes(status) && paidTier ? paidTier : 'free';
+
+  await applyProfile(userId, {
+    ...tierProfilePatch(tier),
+    stripe_customer_id: customerId,
+    stripe_subscription_id: sub.id,
+    stripe_subscription_status: status,
+    stripe_event_created: event.created
+  });
+  return { user_id: userId, tier, status };
+}
+
+async function onInvoicePaymentFailed(invoice, event) {
+  const customerId = idOf(invoice.customer);
+  const userId = await resolveUser({
+    metadataUserId: invoice.subscription_details?.metadata?.user_id,
+    customerId
+  });
+  if (!userId) return { skipped: 'no_user' };
+
+  const subscriptionId = idOf(invoice.subscription ?? invoice.parent?.subscription_details?.subscription);
+  const skipped = skipReason(await loadBilling(userId), subscriptionId, event);
+  if (skipped) return { user_id: userId, skipped };
+
+  // Keep the tier during Stripe's retry window; subscription.updated/deleted
+  // will downgrade once retries are exhausted.
+  await applyProfile(userId, {
+    stripe_customer_id: customerId,
+    stripe_subscription_status: 'past_due',
+    stripe_event_created: event.created
+  });
+  return { user_id: userId, status: 'past_due' };
+}
+
+const HANDLERS = {
+  'checkout.session.completed': (obj, event) => onCheckoutCompleted(obj, event),
+  'customer.subscription.updated': (obj, event) => onSubscriptionChanged(obj, event),
+  'customer.subscription.deleted': (obj, event) => onSubscriptionChanged(obj, event, { deleted: true }),
+  'invoice.payment_failed': (obj, event) => onInvoicePaymentFailed(obj, event)
+};
+
+// --- Idempotency ------------------------------------------------------------
+
+// Returns false when the event id was already recorded (duplicate delivery)
+async function claimEvent(event) {
+  const { error } = await supabase
+    .from('stripe_events')
+    .insert({ id: event.id, type: event.type, livemode: !!event.livemode });
+  if (!error) return true;
+  if (error.code === '23505') return false;
+  throw error;
+}
+
+async function finishEvent(eventId, result) {
+  await supabase
+    .from('stripe_events')
+    .update({ processed_at: new Date().toISOString(), result })
+    .eq('id', eventId);
+}
+
+// Forget a failed event so Stripe's retry gets processed
+async function releaseEvent(eventId) {
+  await supabase.from('stripe_events').delete().eq('id', eventId);
+}
+
+/**
+ * POST /api/billing/webhook
+ * Verifies the Stripe-Signature header and syncs subscription state to `profiles`.
+ */
+router.post('/', express.raw({ type: 'application/json', limit: '1mb' }), async (req, res) => {
+  if (!STRIPE_WEBHOOK_SECRET) {
+    console.error('[billing webhook] STRIPE_WEBHOOK_SECRET not set');
+    return res.status(500).json({ ok: false, error: 'webhook_not_configured' });
+  }
+
+  let event;
+  try {
+    event = Stripe.webhooks.constructEvent(req.body, req.headers['stripe-signature'], STRIPE_WEBHOOK_SECRET);
+  } catch (e) {
+    console.warn('[billing webhook] bad signature', e.message);
+    return res.status(400).json({ ok: false, error: 'invalid_signature' });
+  }
+
+  const handler = HANDLERS[event.type];
+  if (!handler) {
+    console.info('[billing webhook] ignored', { id: event.id, type: event.type });
+    return res.json({ ok: true, ignored: true });
+  }
+
+  try {
+    const fresh = await claimEvent(event);
+    if (!fresh) {
+      console.info('[billing webhook] duplicate', { id: event.id, type: event.type });
+      return res.json({ ok: true, duplicate: true });
+    }
+  } catch (e) {
+    console.error('[billing webhook] dedupe error', e.message || e);
+    return res.status(500).json({ ok: false, error: 'server_error' });
+  }
+
+  try {
+    const result = await handler(event.data.object, event);
+    await finishEvent(event.id, result);
+    console.info('[billing webhook] processed', { id: event.id, type: event.type, ...result });
+    return res.json({ ok: true, type: event.type, ...result });
+  } catch (e) {
+    console.error('[billing webhook] handler error', { id: event.id, type: event.type, msg: e.message || String(e) });
+    await releaseEvent(event.id).catch(() => {});
+    return res.status(500).json({ ok: false, error: 'handler_failed' });
+  }
+});
+
+export default router;
@@ -0,0 +1,78 @@
+// routes/decor8Webhook.js
+// Decor8 job-complete callbacks. Mounted BEFORE express.json() in index.js because the
+// HMAC is computed over the raw request bytes. Submissions carry our callback_url only when
+// DECOR8_WEBHOOK_SECRET is set; the preview job's polling stays on as a slow fallback.
+import crypto from 'node:crypto';
+import express from 'express';
+import { normalizeDecor8Job } from '../services/decor8Client.js';
+import { providerState } from '../services/previewProviders.js';
+import { applyPreviewCallback } from '../services/previewService.js';
+
+const router = express.Router();
+
+const DECOR8_WEBHOOK_SECRET = process.env.DECOR8_WEBHOOK_SECRET;
+const TOLERANCE_S = Number(process.env.DECOR8_WEBHOOK_TOLERANCE_S || 300);
+
+/**
+ * Check `X-Decor8-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">`
+ * @returns {string|null} Why the signature was rejected, or null when valid
+ */
+export function verifyDecor8Signature(rawBody, header, secret = DECOR8_WEBHOOK_SECRET, now = Date.now()) {
+  const parts = Object.fromEntries(String(header || '').split(',').map(kv => kv.trim().split('=')));
+  const t = Number(parts.t);
+  if (!t || !parts.v1) return 'missing_signature';
+  if (Math.abs(now / 1000 - t) > TOLERANCE_S) return 'stale_signature';
+
+  const expected = crypto.createHmac('sha256', secret).update(`${t}.`).update(rawBody).digest();
+  const given = Buffer.from(parts.v1, 'hex');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return 'invalid_signature';
+  return null;
+}
+
+/**
+ * POST /api/webhooks/decor8
+ * Body: a Decor8 job ({ job_id | id, status, preview_url | output_url | result.url, thumb_url }).
+ * Unknown jobs answer 404 so Decor8 retries; a callback for a variant that already settled is a
+ * no-op (`applied: false`).
+ */
+router.post('/', express.raw({ type: 'application/json', limit: '256kb' }), async (req, res) => {
+  if (!DECOR8_WEBHOOK_SECRET) {
+    console.error('[decor8 webhook] DECOR8_WEBHOOK_SECRET not set');
+    return res.status(500).json({ ok: false, error: 'webhook_not_configured' });
+  }
+
+  if (!Buffer.isBuffer(req.body)) return res.status(400).json({ ok: false, error: 'invalid_body' });
+  const rejected = verifyDecor8Signature(req.body, req.headers['x-decor8-signature']);
+  if (rejected) {
+    console.warn('[decor8 webhook] bad signature', rejected);
+    return res.status(400).json({ ok: false, error: rejected });
+  }
+
+  let job;
+  try {
+    job = normalizeDecor8Job(JSON.parse(req.body.toString('utf8')));
+  } catch {
+    return res.status(400).json({ ok: false, error: 'invalid_json' });
+  }
+  if (!job.jobId) return res.status(400).json({ ok: false, error: 'missing_job_id' });
+
+  try {
+    const out = await applyPreviewCallback('decor8', {
+      jobId: String(job.jobId),
+      state: providerState(job.status),
+      previewUrl: job.preview_url,
+      thumbUrl: job.thumb_url
+    });
+    if (!out.matched) {
+      console.warn('[decor8 webhook] unknown job', { jobId: job.jobId, status: job.status });
+      return res.status(404).json({ ok: false, error: 'unknown_job' });
+    }
+    console.info('[decor8 webhook] processed', { jobId: job.jobId, status: job.status, ...out });
+    return res.json({ ok: true, applied: out.applied, previewId: out.previewId });
+  } catch (e) {
+    console.error('[decor8 webhook] handler error', { jobId: job.jobId, msg: e.message || String(e) });
+    return res.status(500).json({ ok: false, error: 'handler_failed' });
+  }
+});
+
+export default router;
@@ -2,8 +2,16 @@
 import express from 'express';
 import { createClient } from '@supabase/supabase-js';
 import { createHash } from 'crypto';
-import { submitPreviewJob, fetchPreviewStatus, isStub } from '../services/decor8Client.js';
 import { log } from '../utils/logger.js';
+import { requireAuth, requireProjectOwner } from '../lib/auth.js';
+import { reserveForRequest, sendQuotaError } from '../lib/quota.js';
+import { enqueuePreviewJob, reuseCachedPreviews, activePreviewJob, previewView, normalizePreviewStatus, PREVIEW_JOB } from '../services/previewService.js';
+import { previewCacheKeys, findCachedPreviews } from '../services/previewCache.js';
+import { mockPreviewSvg } from '../services/previewProviders.js';
+import { listPreviews, planVariants, normalizeRoomType, DESIGN_STYLES, ROOM_TYPES } from '../services/previewVariants.js';
+import { getEntitlements, releaseReservation } from '../services/entitlements.js';
+import { latestJobFor, jobView } from '../services/jobQueue.js';
+import { assertTransition } from '../services/projectLifecycle.js';
 
 const router = express.Router();
 
@@ -15,7 +23,7 @@ const supabase = createClient(
 async function getProject(projectId) {
   const { data, error } = await supabase
     .from('projects')
-    .select('id, user_id, name, goal, room_type, input_image_url, preview_url, preview_status, scale_px_per_in, dimensions_json, preview_meta')
+    .select('id, user_id, name, status, goal, room_type, input_image_url, image_variants, preview_url, preview_status, preview_job_id, scale_px_per_in, dimensions_json, preview_meta')
     .eq('id', projectId)
     .maybeSingle();
   
@@ -23,38 +31,6 @@ async function getProject(projectId) {
   return data;
 }
 
-async function savePreviewQueued(projectId, jobId, extras = {}) {
-  const meta = { ...(extras || {}), jobId, mode: isStub() ? 'stub' : 'live' };
-  
-  const { error } = await supabase
-    .from('projects')
-    .update({
-      preview_status: 'queued',
-      preview_meta: meta,
-      updated_at: new Date().toISOString()
-    })
-    .eq('id', projectId);
-  
-  if (error) throw error;
-}
-
-async function savePreviewReady(projectId, previewUrl, extras = {}) {
-  const meta = { ...(extras || {}) };
-  
-  const { error } = await supabase
-    .from('projects')
-    .update({
-      preview_url: previewUrl,
-      preview_status: 'ready',
-      preview_meta: meta,
-      status: 'active',
-      updated_at: new Date().toISOString()
-    })
-    .eq('id', projectId);
-  
-  if (error) throw error;
-}
-
 /**
  * POST /
  * Stub Decor8 preview: validates input and returns a fake preview_url.
@@ -105,82 +81,218 @@ router.post('/', (req, res) => {
   });
 });
 
-router.post('/decor8', async (req, res) => {
-  try {
-    const { projectId } = req.body || {};
-    if (!projectId) return res.status(400).json({ ok:false, error:'projectId required' });
+// --- Preview start/status ---------------------------------------------------
+// The handlers behind every preview endpoint. Canonical: POST /api/projects/:id/preview/start
+// and GET /api/projects/:id/preview/status (routes/projects.js); POST /api/projects/:id/preview,
+// POST /preview/decor8 and GET /preview/status/:projectId are aliases. Ownership is checked
+// before these run.
 
-    const p = await getProject(projectId);
-    if (!p) return res.status(404).json({ ok:false, error:'project not found' });
-    if (!p.input_image_url) return res.status(400).json({ ok:false, error:'input_image_url missing' });
-
-    const submit = await submitPreviewJob({
-      imageUrl: p.input_image_url,
-      prompt:   p.goal || '',
-      roomType: p.room_type || null,
-      scalePxPerIn: p.scale_px_per_in ?? null,
-      dimensionsJson: p.dimensions_json ?? null,
-    });
+function previewProjectId(req) {
+  return req.params.projectId || req.params.id || req.body?.projectId;
+}
 
-    await savePreviewQueued(projectId, submit.jobId, { submit_raw: submit.raw || null });
+// Variant options from the body: `styles` (or a single `design_style`), `variants` (count,
+// default one per style) and `room_type`. Returns { error } for a 400.
+function parseVariantOptions(body) {
+  const { styles, design_style, variants, room_type } = body || {};
+  const list = styles != null ? styles : design_style != null ? [design_style] : [];
+  if (!Array.isArray(list) || list.some(x => typeof x !== 'string')) return { error: { error:'invalid_design_style', allowed: DESIGN_STYLES } };
+  const picked = [...new Set(list.map(x => x.trim().toLowerCase()))];
+  if (picked.some(x => !DESIGN_STYLES.includes(x))) return { error: { error:'invalid_design_style', allowed: DESIGN_STYLES } };
 
-    console.log('[preview submit] queued', { projectId, jobId: submit.jobId, mode: submit.mode });
-    return res.json({ ok:true, projectId, jobId: submit.jobId, mode: submit.mode });
-  } catch (e) {
-    console.error('[preview submit] error', e);
-    return res.status(500).json({ ok:false, error:String(e.message || e) });
+  const count = variants == null ? Math.max(1, picked.length) : Number(variants);
+  if (!Number.isInteger(count) || count < 1 || count < picked.length) {
+    return { error: { error:'invalid_variants', hint:'variants must be a whole number, at least one per style' } };
   }
-});
 
-router.get('/status/:projectId', async (req, res) => {
+  let roomType;
+  if (room_type != null && room_type !== '') {
+    roomType = normalizeRoomType(room_type);
+    if (!roomType) return { error: { error:'invalid_room_type', allowed: ROOM_TYPES } };
+  }
+  return { count, styles: picked, roomType };
+}
+
+async function loadPreviewState(p) {
+  const job = p.preview_meta?.cached ? null : await latestJobFor(p.id, PREVIEW_JOB);
+  const ids = p.preview_meta?.preview_ids;
+  const previews = ids ? await listPreviews(p.id, { ids }) : p.preview_job_id ? await listPreviews(p.id, { jobId: p.preview_job_id }) : [];
+  return previewView(p, job, previews);
+}
+
+// A preview job is already queued or running: the same request joins it, anything else is a 409
+async function answerActiveJob(res, p, active, requestKey) {
+  if (active?.payload?.requestKey === requestKey) {
+    console.log('[preview start] joined', { projectId: p.id, jobId: active.id });
+    return res.status(202).json({ ok:true, joined:true, ...(await loadPreviewState(p)) });
+  }
+  // The status view carries its own `error` field; the code has to win
+  return res.status(409).json({ ok:false, ...(await loadPreviewState(p)), error:'preview_in_progress' });
+}
+
+/**
+ * Body: { prompt?, room_type?, image_url?, styles?, design_style?, variants?, force? }.
+ * The same request again returns the finished preview, or joins its job while it runs (409 for a
+ * different request). Variants already generated for this user and input come from the cache;
+ * a request served entirely from it is free. Otherwise one credit is reserved and a job generates
+ * the missing variants. `force` skips the finished preview and the cache.
+ */
+export async function startPreview(req, res) {
   try {
-    const { projectId } = req.params;
+    const projectId = previewProjectId(req);
     const p = await getProject(projectId);
-    if (!p) return res.status(404).json({ ok:false, error:'project not found' });
+    if (!p) return res.status(404).json({ ok:false, error:'project_not_found' });
 
-    // If already ready, short-circuit
-    if (p.preview_status === 'ready' && p.preview_url) {
-      return res.json({ ok:true, status:'ready', preview_url: p.preview_url, cached:true });
+    const { prompt, image_url, force } = req.body || {};
+    const options = parseVariantOptions(req.body);
+    if (options.error) return res.status(400).json({ ok:false, ...options.error });
+
+    // Primary photo first; a public image_url is accepted when the project has none yet
+    const imageUrl = p.input_image_url || (/^https?:\/\//.test(image_url || '') ? image_url : null);
+    const promptText = (typeof prompt === 'string' && prompt.trim()) || p.goal || '';
+    const roomType = options.roomType ?? p.room_type ?? null;
+    const variants = planVariants(options.count, options.styles);
+    const { requestKey, variantKeys } = previewCacheKeys(p, { imageUrl, prompt: promptText, roomType, variants });
+
+    // Projects finished before request keys existed keep returning their preview
+    const sameRequest = !p.preview_meta?.request_key || p.preview_meta.request_key === requestKey;
+    if (!force && sameRequest && normalizePreviewStatus(p.preview_status) === 'ready' && p.preview_url) {
+      return res.json({ ok:true, ...(await loadPreviewState(p)) });
     }
+    const active = await activePreviewJob(projectId);
+    if (active) return answerActiveJob(res, p, active, requestKey);
 
-    // Must have a jobId in meta to poll
-    const jobId = p.preview_meta?.jobId || p.preview_meta?.job_id || null;
-    if (!jobId) return res.json({ ok:true, status: p.preview_status || 'idle', preview_url: p.preview_url || null });
+    if (!imageUrl) return res.status(422).json({ ok:false, error:'missing_input_image_url' });
+    // Before any credit is reserved: e.g. no preview while a plan is being generated
+    try {
+      assertTransition(p.status, 'preview_requested');
+    } catch (e) {
+      return res.status(e.status).json({ ok:false, error:e.code, message:e.message, hint:e.hint });
+    }
 
-    const status = await fetchPreviewStatus(jobId);
+    // Tier limits hold for cached requests too, so they are checked before the cache lookup
+    const ent = await getEntitlements(req.user.id);
+    if (!ent.previewAllowed) return sendQuotaError(res, { ...ent, error: 'preview_not_allowed' });
+    if (options.count > ent.previewVariants) {
+      return res.status(402).json({ ok:false, error:'preview_variants_exceeded', tier: ent.tier, max_variants: ent.previewVariants, requested: options.count });
+    }
 
-    console.log('[preview poll]', { projectId, jobId, status: status.status });
-    if (status.status === 'ready' && status.preview_url) {
-      await savePreviewReady(projectId, status.preview_url, { thumb_url: status.thumb_url, status_raw: status.raw || null });
-      return res.json({ ok:true, status:'ready', preview_url: status.preview_url });
+    const hits = force ? new Map() : await findCachedPreviews(req.user.id, variantKeys);
+    const planned = variants.map((v, i) => ({ ...v, cacheKey: variantKeys[i], hit: hits.get(variantKeys[i]) || null }));
+    if (planned.every(v => v.hit)) {
+      await reuseCachedPreviews(p, { userId: req.user.id, prompt: promptText, roomType, requestKey, variants: planned });
+      return res.json({ ok:true, cached:true, ...(await loadPreviewState(await getProject(projectId))) });
     }
 
-    return res.json({ ok:true, status: status.status, preview_url: null });
+    // Reserve a credit up front; a failed enqueue (5xx) releases it automatically
+    const reservation = await reserveForRequest(req, res, 'preview');
+    if (reservation === undefined) return;
+
+    // Provider submit/poll happens in the job worker
+    let queued;
+    try {
+      queued = await enqueuePreviewJob({ ...p, input_image_url: imageUrl }, {
+        userId: req.user.id,
+        reservationId: reservation?.id || null,
+        prompt: promptText,
+        roomType,
+        requestKey,
+        variants: planned
+      });
+    } catch (e) {
+      if (e.code !== 'preview_in_progress') throw e;
+      // Lost the race to a concurrent start (double tap): this request's credit is not needed.
+      // A 409 releases it on its own; a 202 join does not
+      const winner = await activePreviewJob(projectId);
+      if (winner?.payload?.requestKey === requestKey) await releaseReservation(reservation?.id, 'preview_joined');
+      return answerActiveJob(res, p, winner, requestKey);
+    }
+
+    const cached = planned.filter(v => v.hit).length;
+    console.log('[preview start] queued', { projectId, jobId: queued.id, variants: options.count, cached });
+    return res.status(202).json({ ok:true, projectId, status:'queued', jobId: queued.id, variants: options.count, cached, remaining: req.entitlements?.remaining });
   } catch (e) {
-    console.error('[preview poll] error', e);
+    console.error('[preview start] error', e);
     return res.status(500).json({ ok:false, error:String(e.message || e) });
   }
+}
+
+/** Read-only: the job worker moves preview_status along */
+export async function previewStatus(req, res) {
+  try {
+    const projectId = previewProjectId(req);
+    const p = await getProject(projectId);
+    if (!p) return res.status(404).json({ ok:false, error:'project_not_found' });
+
+    return res.json({ ok:true, ...(await loadPreviewState(p)) });
+  } catch (e) {
+    console.error('[preview status] error', e);
+    return res.status(500).json({ ok:false, error:String(e.message || e) });
+  }
+}
+
+// Alias: project id in the body
+router.post('/decor8', requireAuth, async (req, res, next) => {
+  try {
+    const { projectId } = req.body || {};
+    if (!projectId) return res.status(400).json({ ok:false, error:'projectId required' });
+
+    const p = await getProject(projectId);
+    if (!p) return res.status(404).json({ ok:false, error:'project_not_found' });
+    if (p.user_id !== req.user.id) return res.status(403).json({ ok:false, error:'forbidden' });
+    next();
+  } catch (e) {
+    console.error('[preview start] error', e);
+    return res.status(500).json({ ok:false, error:String(e.message || e) });
+  }
+}, startPreview);
+
+// Styles, room types and the caller's variant limit for the preview picker
+router.get('/options', requireAuth, async (req, res) => {
+  try {
+    const ent = await getEntitlements(req.user.id);
+    return res.json({ ok:true, styles: DESIGN_STYLES, room_types: ROOM_TYPES, tier: ent.tier, preview_allowed: ent.previewAllowed, max_variants: ent.previewVariants });
+  } catch (e) {
+    console.error('[preview options] error', e);
+    return res.status(500).json({ ok:false, error:String(e.message || e) });
+  }
+});
+
+// Alias
+router.get('/status/:projectId', requireAuth, requireProjectOwner, previewStatus);
+
+// Placeholder images for PREVIEW_PROVIDER=mock
+router.get('/mock/:file', (req, res) => {
+  const jobId = req.params.file.replace(/\.svg$/, '');
+  if (!/^mock_[a-z]_\d+_[0-9a-f]+$/.test(jobId)) return res.status(404).json({ ok:false, error:'not_found' });
+  res.set('Content-Type', 'image/svg+xml');
+  res.set('Cache-Control', 'public, max-age=86400');
+  res.set('X-Content-Type-Options', 'nosniff');
+  return res.send(mockPreviewSvg(jobId));
 });
 
 // Diagnostics for quick checks
-router.get('/selftest/:projectId', async (req, res) => {
+router.get('/selftest/:projectId', requireAuth, requireProjectOwner, async (req, res) => {
   try {
     const { projectId } = req.params;
     const p = await getProject(projectId);
     if (!p) return res.status(404).json({ ok:false, error:'project not found' });
-    const jobId = p.preview_meta?.jobId || null;
+    const queueJob = await latestJobFor(projectId, PREVIEW_JOB);
     res.json({
       ok: true,
       project: {
         id: p.id,
         status: p.status,
-        preview_status: p.preview_status,
+        preview_status: normalizePreviewStatus(p.preview_status),
         has_preview_url: !!p.preview_url,
         has_image: !!p.input_image_url,
         has_scale: p.scale_px_per_in != null,
         has_dimensions: !!p.dimensions_json,
       },
-      jobId
+      jobId: p.preview_job_id || null,
+      providerJobIds: p.preview_meta?.provider_job_ids || (p.preview_meta?.provider_job_id ? [p.preview_meta.provider_job_id] : []),
+      provider: p.preview_meta?.provider || null,
+      job: jobView(queueJob)
     });
   } catch (e) {
     console.error('[preview selftest] error', e);
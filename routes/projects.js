@@ -1,25 +1,37 @@
 import { Router } from "express";
 import { createClient } from "@supabase/supabase-js";
-import multer from "multer";
+import { requireProjectOwner } from "../lib/auth.js";
+import { upgradePlan } from "../lib/planSchema.js";
+import { estimatePlanCost, costOptionsFromQuery } from "../lib/planCost.js";
+import { getOwnedTools } from "../services/ownedTools.js";
+import { ingestRoomScan, getScanSummary, listScanElements } from "../services/roomScans.js";
+import { planScanStatus } from "../services/scanContext.js";
+import { acceptImageUpload } from "../services/projectImages.js";
+import { listPhotos, addPhoto, deletePhoto, reorderPhotos, setPrimaryPhoto } from "../services/projectPhotos.js";
+import { signProjectUpload, completeProjectUpload } from "../services/directUploads.js";
+import { startPreview, previewStatus } from "./preview.js";
+import { listPreviews, selectPreview, previewRowView } from "../services/previewVariants.js";
+import { getCompareImage, compareKey, COMPARE_LAYOUTS } from "../services/compareImages.js";
+import { createShare, listShares, revokeShare, SHARE_MAX_DAYS } from "../services/projectShares.js";
+import { recordInitialStatus, listStatusHistory, allowedTransitions, normalizeProjectStatus } from "../services/projectLifecycle.js";
 
 const projects = Router();
-const upload = multer({ storage: multer.memoryStorage() });
 
 // Initialize Supabase client
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY;
 const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
-const UPLOADS_BUCKET = process.env.EXPO_PUBLIC_UPLOADS_BUCKET || "uploads";
+const SCAN_ELEMENT_KINDS = ['wall', 'door', 'window', 'opening', 'floor', 'object'];
+
+// NOTE: mounted behind requireAuth in index.js, so req.user is always set here
 
 // POST /api/projects - Create new project
 projects.post("/", async (req, res, next) => {
   try {
-    const { name, goal, user_id, client } = req.body;
+    const { name, goal, client } = req.body;
+    const user_id = req.user.id;
 
     // Validate required fields
-    if (!user_id) {
-      return req.fail("missing_user_id", "user_id is required");
-    }
     if (!name || String(name).trim().length < 10) {
       return req.fail("invalid_name", "name must be at least 10 characters");
     }
@@ -51,6 +63,7 @@ projects.post("/", async (req, res, next) => {
       });
     }
 
+    await recordInitialStatus(p.id, 'draft', { actor: { type: 'user', id: user_id } });
     console.log(`[POST /api/projects] user_id=${user_id}, project_id=${p.id}`);
     res.status(201).json({ 
       id: p.id, 
@@ -64,112 +77,231 @@ projects.post("/", async (req, res, next) => {
   }
 });
 
-// POST /api/projects/:id/photo - Attach photo (multipart or JSON {url})
-projects.post("/:id/photo", upload.any(), async (req, res, next) => {
+// POST /api/projects/:id/photo - Attach photo (multipart or JSON {url}) as the primary photo
+projects.post("/:id/photo", requireProjectOwner, acceptImageUpload, async (req, res, next) => {
   try {
-    const id = req.params.id;
-    const { url } = req.body || {};
-    let photoUrl;
+    const photo = await createPhoto(req, { primary: true });
+    if (!photo) return;
+    res.json({ ok: true, photo_url: photo.url, variants: photo.variants, photo });
+  } catch (e) { 
+    next(Object.assign(e, { code: e.code || "attach_photo_failed" })); 
+  }
+});
 
-    // Handle direct URL
-    if (url) {
-      if (!url.startsWith('http://') && !url.startsWith('https://')) {
-        return req.fail("invalid_url", "url must be http/https", "Provide a valid image URL");
-      }
-      photoUrl = url;
+// Shared by /photo and /photos: an uploaded file (image pipeline) or a JSON/form `url`.
+// Returns null after answering the request with a 400.
+async function createPhoto(req, { primary }) {
+  const { url } = req.body || {};
+  if (url) {
+    if (typeof url !== 'string' || (!url.startsWith('http://') && !url.startsWith('https://'))) {
+      req.fail("invalid_url", "url must be http/https", "Provide a valid image URL");
+      return null;
     }
-    // Handle file upload
-    else if (req.files && req.files.length > 0) {
-      const file = req.files[0];
-      
-      if (!file.mimetype || !file.mimetype.startsWith('image/')) {
-        return req.fail("invalid_file_type", "File must be an image");
-      }
-      
-      const ext = (file.mimetype?.split('/')[1] || 'jpg').toLowerCase();
-      const path = `projects/${id}/${Date.now()}.${ext}`;
-
-      const { error: upErr } = await supabase
-        .storage.from(UPLOADS_BUCKET)
-        .upload(path, file.buffer, { contentType: file.mimetype, upsert: true });
-      
-      if (upErr) {
-        throw Object.assign(new Error("Upload failed"), { 
-          code: "upload_failed",
-          hint: upErr.message
-        });
-      }
+    return addPhoto(req.params.id, { url, userId: req.user.id, primary });
+  }
+  if (req.files && req.files.length > 0) {
+    return addPhoto(req.params.id, { buffer: req.files[0].buffer, userId: req.user.id, primary });
+  }
+  req.fail("missing_file_or_url", "Provide either file upload or url");
+  return null;
+}
+
+// GET /api/projects/:id/photos - Photos in display order
+projects.get("/:id/photos", requireProjectOwner, async (req, res, next) => {
+  try {
+    const items = await listPhotos(req.params.id);
+    res.json({ ok: true, items, primary_id: items.find(p => p.is_primary)?.id || null });
+  } catch (e) {
+    next(Object.assign(e, { code: e.code || "list_photos_failed" }));
+  }
+});
 
-      const { data: pub } = supabase.storage.from(UPLOADS_BUCKET).getPublicUrl(path);
-      photoUrl = pub?.publicUrl;
+// POST /api/projects/:id/photos - Add a photo (multipart or JSON {url, primary})
+projects.post("/:id/photos", requireProjectOwner, acceptImageUpload, async (req, res, next) => {
+  try {
+    const primary = req.body?.primary === true || req.body?.primary === "true";
+    const photo = await createPhoto(req, { primary });
+    if (!photo) return;
+    res.status(201).json({ ok: true, photo });
+  } catch (e) {
+    next(Object.assign(e, { code: e.code || "add_photo_failed" }));
+  }
+});
+
+// PUT /api/projects/:id/photos/order - Reorder: { photo_ids: [...] } listing every photo
+projects.put("/:id/photos/order", requireProjectOwner, async (req, res, next) => {
+  try {
+    const ids = req.body?.photo_ids;
+    if (!Array.isArray(ids) || ids.some(x => typeof x !== "string")) {
+      return req.fail("invalid_photo_order", "photo_ids must be an array of photo ids");
     }
-    else {
-      return req.fail("missing_file_or_url", "Provide either file upload or url");
+    const items = await reorderPhotos(req.params.id, ids);
+    res.json({ ok: true, items });
+  } catch (e) {
+    next(Object.assign(e, { code: e.code || "reorder_photos_failed" }));
+  }
+});
+
+// PATCH /api/projects/:id/photos/:photoId - { primary: true } makes it the primary photo
+projects.patch("/:id/photos/:photoId", requireProjectOwner, async (req, res, next) => {
+  try {
+    if (req.body?.primary !== true) {
+      return req.fail("invalid_photo_update", "Only { primary: true } is supported");
     }
+    const photo = await setPrimaryPhoto(req.params.id, req.params.photoId);
+    res.json({ ok: true, photo });
+  } catch (e) {
+    next(Object.assign(e, { code: e.code || "update_photo_failed" }));
+  }
+});
 
-    // Update project with image URL
-    const { error: dbErr } = await supabase
-      .from('projects')
-      .update({ input_image_url: photoUrl })
-      .eq('id', id);
-    
-    if (dbErr) {
-      throw Object.assign(new Error("Failed to update project"), { 
-        code: "update_failed",
-        hint: dbErr.message
-      });
+// DELETE /api/projects/:id/photos/:photoId - Remove a photo and its stored variants
+projects.delete("/:id/photos/:photoId", requireProjectOwner, async (req, res, next) => {
+  try {
+    const { primary } = await deletePhoto(req.params.id, req.params.photoId);
+    res.json({ ok: true, primary_id: primary?.id || null });
+  } catch (e) {
+    next(Object.assign(e, { code: e.code || "delete_photo_failed" }));
+  }
+});
+
+// POST /api/projects/:id/uploads/sign - Signed URL for uploading a photo straight to storage
+projects.post("/:id/uploads/sign", requireProjectOwner, async (req, res, next) => {
+  try {
+    const { bytes } = req.body || {};
+    if (bytes != null && !(Number(bytes) > 0)) {
+      return req.fail("invalid_bytes", "bytes must be a positive number");
     }
+    const upload = await signProjectUpload(req.params.id, { userId: req.user.id, bytes });
+    res.status(201).json({ ok: true, ...upload });
+  } catch (e) {
+    next(Object.assign(e, { code: e.code || "sign_upload_failed" }));
+  }
+});
 
-    res.json({ ok: true, photo_url: photoUrl });
-  } catch (e) { 
-    next(Object.assign(e, { code: e.code || "attach_photo_failed" })); 
+// POST /api/projects/:id/uploads/complete - Validate the uploaded object and attach it as a photo
+projects.post("/:id/uploads/complete", requireProjectOwner, async (req, res, next) => {
+  try {
+    const { upload_id, primary } = req.body || {};
+    if (!upload_id || typeof upload_id !== "string") {
+      return req.fail("missing_upload_id", "upload_id is required", "Use the upload_id returned by /uploads/sign");
+    }
+    const photo = await completeProjectUpload(req.params.id, upload_id, { userId: req.user.id, primary: primary === true });
+    res.json({ ok: true, photo });
+  } catch (e) {
+    next(Object.assign(e, { code: e.code || "complete_upload_failed" }));
   }
 });
 
-// POST /api/projects/:id/preview - Queue preview generation
-projects.post("/:id/preview", async (req, res, next) => {
+// POST /api/projects/:id/preview/start, GET /api/projects/:id/preview/status - see routes/preview.js
+projects.post("/:id/preview/start", requireProjectOwner, startPreview);
+projects.get("/:id/preview/status", requireProjectOwner, previewStatus);
+// Alias of /preview/start
+projects.post("/:id/preview", requireProjectOwner, startPreview);
+
+// GET /api/projects/:id/previews - Every generated variant, newest request first
+projects.get("/:id/previews", requireProjectOwner, async (req, res, next) => {
   try {
-    const id = req.params.id;
-    const { force } = req.body || {};
+    const items = (await listPreviews(req.params.id)).map(previewRowView);
+    res.json({ ok: true, items, selected_id: items.find(p => p.selected)?.id || null });
+  } catch (e) {
+    next(Object.assign(e, { code: e.code || "list_previews_failed" }));
+  }
+});
 
-    // Verify project exists
-    const { data: project, error: pErr } = await supabase
+// PATCH /api/projects/:id/previews/:previewId - { selected: true } makes it the project's preview_url
+projects.patch("/:id/previews/:previewId", requireProjectOwner, async (req, res, next) => {
+  try {
+    if (req.body?.selected !== true) {
+      return req.fail("invalid_preview_update", "Only { selected: true } is supported");
+    }
+    const preview = await selectPreview(req.params.id, req.params.previewId);
+    res.json({ ok: true, preview: previewRowView(preview) });
+  } catch (e) {
+    next(Object.assign(e, { code: e.code || "select_preview_failed" }));
+  }
+});
+
+// GET /api/projects/:id/compare.jpg?layout=side-by-side|slider|stacked - Labelled before/after image
+projects.get("/:id/compare.jpg", requireProjectOwner, async (req, res, next) => {
+  try {
+    const layout = String(req.query.layout || "side-by-side");
+    if (!COMPARE_LAYOUTS.includes(layout)) {
+      return req.fail("invalid_layout", `layout must be one of ${COMPARE_LAYOUTS.join(", ")}`);
+    }
+
+    const { data: project, error } = await supabase
       .from('projects')
-      .select('id, input_image_url, status')
-      .eq('id', id)
+      .select('id, input_image_url, image_variants, preview_url')
+      .eq('id', req.params.id)
       .maybeSingle();
+    if (error) throw error;
+    if (!project) return req.fail("project_not_found", "Project not found");
+
+    // The key covers both source URLs, so a matching ETag skips the download entirely
+    const etag = `"${compareKey(project, layout)}"`;
+    res.set({ "ETag": etag, "Cache-Control": "private, max-age=0, must-revalidate" });
+    if (req.headers["if-none-match"] === etag) return res.status(304).end();
+
+    const out = await getCompareImage(project, layout);
+    if (out.url) res.set("Content-Location", out.url);
+    res.type("image/jpeg").send(out.buffer);
+  } catch (e) {
+    next(Object.assign(e, { code: e.code || "compare_failed" }));
+  }
+});
 
-    if (pErr || !project) {
-      return req.fail("project_not_found", "Project not found");
+// POST /api/projects/:id/share - Mint a read-only link: { expires_in_days } or { expires_at }; neither = no expiry
+projects.post("/:id/share", requireProjectOwner, async (req, res, next) => {
+  try {
+    const { expires_in_days, expires_at } = req.body || {};
+    let expiresAt = null;
+    if (expires_in_days != null && expires_at != null) {
+      return req.fail("invalid_share_expiry", "Send either expires_in_days or expires_at, not both");
     }
-
-    if (!project.input_image_url) {
-      return req.fail("missing_photo", "Project must have a photo before generating preview");
+    if (expires_in_days != null) {
+      const days = Number(expires_in_days);
+      if (!(days > 0 && days <= SHARE_MAX_DAYS)) {
+        return req.fail("invalid_share_expiry", `expires_in_days must be more than 0 and at most ${SHARE_MAX_DAYS}`);
+      }
+      expiresAt = new Date(Date.now() + days * 86400 * 1000).toISOString();
+    } else if (expires_at != null) {
+      const t = Date.parse(expires_at);
+      if (!Number.isFinite(t) || t <= Date.now() || t > Date.now() + SHARE_MAX_DAYS * 86400 * 1000) {
+        return req.fail("invalid_share_expiry", `expires_at must be a future ISO date within ${SHARE_MAX_DAYS} days`);
+      }
+      expiresAt = new Date(t).toISOString();
     }
 
-    // Update status to indicate preview requested
-    await supabase
-      .from('projects')
-      .update({ 
-        status: 'preview_requested',
-        preview_status: 'queued'
-      })
-      .eq('id', id);
+    const share = await createShare(req.params.id, { userId: req.user.id, expiresAt });
+    res.status(201).json({ ok: true, share });
+  } catch (e) {
+    next(Object.assign(e, { code: e.code || "create_share_failed" }));
+  }
+});
 
-    console.log(`[POST /api/projects/:id/preview] project_id=${id}, force=${force}`);
-    
-    // Return 202 Accepted with queued status
-    res.status(202).json({ 
-      status: "queued",
-      preview_id: null 
-    });
-  } catch (e) { 
-    next(Object.assign(e, { code: e.code || "queue_preview_failed" })); 
+// GET /api/projects/:id/shares - Share links with their state and view counts
+projects.get("/:id/shares", requireProjectOwner, async (req, res, next) => {
+  try {
+    const items = await listShares(req.params.id);
+    res.json({ ok: true, items });
+  } catch (e) {
+    next(Object.assign(e, { code: e.code || "list_shares_failed" }));
+  }
+});
+
+// DELETE /api/projects/:id/shares/:shareId - Revoke a share link
+projects.delete("/:id/shares/:shareId", requireProjectOwner, async (req, res, next) => {
+  try {
+    const share = await revokeShare(req.params.id, req.params.shareId);
+    res.json({ ok: true, share });
+  } catch (e) {
+    next(Object.assign(e, { code: e.code || "revoke_share_failed" }));
   }
 });
 
 // GET /api/projects/:id/plan - Get project plan
-projects.get("/:id/plan", async (req, res, next) => {
+projects.get("/:id/plan", requireProjectOwner, async (req, res, next) => {
   try {
     const id = req.params.id;
 
@@ -184,35 +316,68 @@ projects.get("/:id/plan", async (req, res, next) => {
       return req.fail("project_not_found", "Project not found");
     }
 
-    // Extract plan data with defaults
-    const plan = project.plan_json || {};
-    const planSummary = plan.overview || plan.summary || {};
+    // Current-schema plan (legacy rows are upgraded on read)
+    const plan = upgradePlan(project.plan_json || {});
     
-    // Parse cost
-    let totalCost = 0;
-    const estCostStr = planSummary.est_cost || planSummary.estimatedCost || '';
-    if (estCostStr.includes('$')) {
-      const costMatch = estCostStr.match(/\$?\s*(\d+)/);
-      if (costMatch) totalCost = parseInt(costMatch[1], 10);
-    }
+    const cost = estimatePlanCost(plan, costOptionsFromQuery(req.query, await getOwnedTools(req.user.id)));
+    // Rendered and stored by savePlan; reads never write
+    const cutLayout = plan.meta?.cut_layout || null;
+    const scan = await planScanStatus(id, plan.meta?.scan_id);
 
     res.json({
-      steps: plan.steps || [],
-      tools: plan.tools || [],
-      materials: plan.materials || [],
+      schema_version: plan.schema_version,
+      steps: plan.steps,
+      tools: plan.tools,
+      materials: plan.materials,
+      cuts: plan.cuts,
+      cut_layout: cutLayout,
+      cutList: {
+        layoutSvgUrl: cutLayout?.svg_url || null,
+        sheets: cutLayout?.sheets ?? 0,
+        boards: cutLayout?.boards ?? 0,
+        wastePct: cutLayout?.waste_pct ?? null
+      },
+      scan,
       cost_estimate: { 
-        total: totalCost, 
-        currency: "USD" 
+        total: cost.total, 
+        currency: cost.currency,
+        range: cost.range,
+        subtotal: cost.subtotal,
+        tax: cost.tax,
+        contingency: cost.contingency
       },
-      updated_at: plan.updated_at || new Date().toISOString()
+      updated_at: project.plan_json?.updated_at || plan.meta?.generated_at || new Date().toISOString()
     });
   } catch (e) { 
     next(Object.assign(e, { code: e.code || "get_plan_failed" })); 
   }
 });
 
+// GET /api/projects/:id/status-history - Lifecycle changes, newest first, and the moves allowed now
+projects.get("/:id/status-history", requireProjectOwner, async (req, res, next) => {
+  try {
+    const { data: project, error } = await supabase
+      .from('projects')
+      .select('id, status')
+      .eq('id', req.params.id)
+      .maybeSingle();
+    if (error) throw error;
+    if (!project) return req.fail("project_not_found", "Project not found");
+
+    const items = await listStatusHistory(req.params.id);
+    res.json({
+      ok: true,
+      status: normalizeProjectStatus(project.status) || project.status,
+      allowed: allowedTransitions(project.status),
+      items
+    });
+  } catch (e) {
+    next(Object.assign(e, { code: e.code || "status_history_failed" }));
+  }
+});
+
 // POST /api/projects/:id/scan - Attach RoomPlan scan data
-projects.post("/:id/scan", async (req, res, next) => {
+projects.post("/:id/scan", requireProjectOwner, async (req, res, next) => {
   try {
     const id = req.params.id;
     const { roomplan } = req.body || {};
@@ -232,27 +397,60 @@ projects.post("/:id/scan", async (req, res, next) => {
       return req.fail("project_not_found", "Project not found");
     }
 
-    // Store room scan data
-    const { error: scanErr } = await supabase
-      .from('room_scans')
-      .insert({
-        project_id: id,
-        user_id: project.user_id,
-        roi: roomplan,
-        measure_status: 'complete'
-      });
+    // Validate, store the raw export and index its elements
+    const { scanId, summary } = await ingestRoomScan({ projectId: id, userId: project.user_id, roomplan });
 
-    if (scanErr) {
-      throw Object.assign(new Error("Failed to save scan"), { 
-        code: "scan_save_failed",
-        hint: scanErr.message
-      });
+    console.log(`[POST /api/projects/:id/scan] project_id=${id}, scan_id=${scanId}, scan saved`);
+    res.json({ ok: true, scanId, summary });
+  } catch (e) {
+    if (e.code === 'invalid_roomplan') {
+      return next(Object.assign(new Error("roomplan is not a valid CapturedRoom export"), { status: 422, code: e.code, hint: e.details }));
     }
+    next(Object.assign(e, { code: e.code || "attach_scan_failed" }));
+  }
+});
 
-    console.log(`[POST /api/projects/:id/scan] project_id=${id}, scan saved`);
-    res.json({ ok: true });
-  } catch (e) { 
-    next(Object.assign(e, { code: e.code || "attach_scan_failed" })); 
+// GET /api/projects/:id/scans/:scanId/summary - Floor area, wall lengths, clear wall spans
+projects.get("/:id/scans/:scanId/summary", requireProjectOwner, async (req, res, next) => {
+  try {
+    const { id, scanId } = req.params;
+    const scan = await getScanSummary(id, scanId);
+    if (!scan) {
+      return next(Object.assign(new Error("Scan not found"), { status: 404, code: "scan_not_found" }));
+    }
+    if (!scan.summary) {
+      return next(Object.assign(new Error("Scan has no RoomPlan data to summarize"), { status: 422, code: "scan_has_no_roomplan" }));
+    }
+    res.json({ ok: true, ...scan });
+  } catch (e) {
+    next(Object.assign(e, { code: e.code || "scan_summary_failed" }));
+  }
+});
+
+// GET /api/projects/:id/scans/:scanId/elements?kind=window&category= - Parsed RoomPlan rows
+projects.get("/:id/scans/:scanId/elements", requireProjectOwner, async (req, res, next) => {
+  try {
+    const { id, scanId } = req.params;
+    const { kind, category } = req.query;
+    if (kind && !SCAN_ELEMENT_KINDS.includes(kind)) {
+      return req.fail("invalid_kind", `kind must be one of ${SCAN_ELEMENT_KINDS.join(', ')}`);
+    }
+
+    const { data: scan, error } = await supabase
+      .from('room_scans')
+      .select('id')
+      .eq('id', scanId)
+      .eq('project_id', id)
+      .maybeSingle();
+    if (error) throw error;
+    if (!scan) {
+      return next(Object.assign(new Error("Scan not found"), { status: 404, code: "scan_not_found" }));
+    }
+
+    const items = await listScanElements(scanId, { kind, category: category ? String(category).toLowerCase() : undefined });
+    res.json({ ok: true, scanId, items });
+  } catch (e) {
+    next(Object.assign(e, { code: e.code || "scan_elements_failed" }));
   }
 });
 
@@ -0,0 +1,41 @@
+// routes/share.js
+// Public share pages, mounted at /s without auth: the token is the credential.
+// GET /s/:token is the HTML page; GET /s/:token.json (or ?format=json) the same data as JSON.
+import express from 'express';
+import { resolveShare, recordShareView } from '../services/projectShares.js';
+import { publicProjectView, sharePageHtml, shareErrorHtml } from '../lib/sharePage.js';
+
+const router = express.Router();
+
+router.get('/:token', async (req, res) => {
+  let token = String(req.params.token || '');
+  let format = req.query.format === 'json' ? 'json' : 'html';
+  if (token.endsWith('.json')) {
+    token = token.slice(0, -'.json'.length);
+    format = 'json';
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.setHeader('X-Robots-Tag', 'noindex');
+  // Keep the token out of Referer headers sent to image hosts
+  res.setHeader('Referrer-Policy', 'no-referrer');
+
+  try {
+    const { share, project } = await resolveShare(token);
+    const view = publicProjectView(project, share);
+    if (req.method === 'GET') await recordShareView(share, { format });
+    console.log('[share] view', { shareId: share.id, format });
+
+    if (format === 'json') return res.json({ ok: true, project: view });
+    return res.status(200).type('html').send(sharePageHtml(view));
+  } catch (e) {
+    const status = e.status || 500;
+    if (status >= 500) console.error('[share] error', e.message || e);
+    const code = status >= 500 ? 'server_error' : e.code;
+    if (format === 'json') return res.status(status).json({ ok: false, error: code });
+    return res.status(status).type('html').send(shareErrorHtml(status >= 500 ? 'Something went wrong. Try again shortly.' : e.message));
+  }
+});
+
+export default router;
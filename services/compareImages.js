@@ -0,0 +1,192 @@
+// services/compareImages.js
+// Labelled before/after images (GET /api/projects/:id/compare.jpg). The "before" is the
+// primary photo, the "after" the selected preview. Renders are stored under
+// projects/<id>/compare/<layout>-<key>.jpg, where the key hashes both source URLs: a new photo
+// or preview gives a new key, and older renders of that layout are removed.
+import crypto from 'node:crypto';
+import sharp from 'sharp';
+import { createClient } from '@supabase/supabase-js';
+import { downloadImage } from './previewStorage.js';
+import { IMAGE_LIMITS } from '../lib/imageIngest.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+const UPLOADS_BUCKET = process.env.EXPO_PUBLIC_UPLOADS_BUCKET || 'uploads';
+
+export const COMPARE_LAYOUTS = ['side-by-side', 'slider', 'stacked'];
+
+// Bump to re-render every cached comparison after a change to the drawing code
+const RENDER_VERSION = 1;
+const PANEL_MAX = 1600;
+const GAP = 12;
+const BACKGROUND = '#ffffff';
+
+function compareError(message, status, code, hint) {
+  return Object.assign(new Error(message), { status, code, hint });
+}
+
+/** Source images of a project's comparison; `before` prefers the 1600px photo variant */
+export function compareSources(project) {
+  return {
+    before: project.image_variants?.large?.url || project.input_image_url || null,
+    after: project.preview_url || null
+  };
+}
+
+const labelWidth = text => 24 + text.length * 17;
+
+function label(text, x, y) {
+  const w = labelWidth(text);
+  return `<g transform="translate(${x},${y})">
+<rect width="${w}" height="44" rx="22" fill="rgba(0,0,0,0.6)"/>
+<text x="${w / 2}" y="29" font-family="sans-serif" font-size="22" font-weight="700" letter-spacing="2" text-anchor="middle" fill="#fff">${text}</text>
+</g>`;
+}
+
+function overlay(width, height, body) {
+  return { input: Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${body}</svg>`), top: 0, left: 0 };
+}
+
+// Sources are user-linked photos: a small, highly compressed file can decode to a huge bitmap,
+// so decoding stops at the same pixel limit as uploads
+function decode(input) {
+  return sharp(input, { limitInputPixels: IMAGE_LIMITS.maxPixels });
+}
+
+async function fitInside(buffer, width, height) {
+  const { data, info } = await decode(buffer)
+    .rotate()
+    .flatten({ background: BACKGROUND })
+    .resize({ width, height, fit: 'inside', withoutEnlargement: true })
+    .toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height };
+}
+
+// Both panels scaled to the same height (side-by-side) or width (stacked): the smaller of the
+// two images sets it, so neither is upscaled past its own size
+async function renderSideBySide(before, after) {
+  const first = await fitInside(before, PANEL_MAX, PANEL_MAX);
+  const second = await fitInside(after, PANEL_MAX, PANEL_MAX);
+  const height = Math.min(first.height, second.height);
+  const a = await fitInside(first.data, PANEL_MAX, height);
+  const b = await fitInside(second.data, PANEL_MAX, height);
+  const width = a.width + GAP + b.width;
+  return sharp({ create: { width, height, channels: 3, background: BACKGROUND } })
+    .composite([
+      { input: a.data, left: 0, top: Math.round((height - a.height) / 2) },
+      { input: b.data, left: a.width + GAP, top: Math.round((height - b.height) / 2) },
+      overlay(width, height, label('BEFORE', 20, 20) + label('AFTER', a.width + GAP + 20, 20))
+    ]);
+}
+
+async function renderStacked(before, after) {
+  const first = await fitInside(before, PANEL_MAX, PANEL_MAX);
+  const second = await fitInside(after, PANEL_MAX, PANEL_MAX);
+  const width = Math.min(first.width, second.width);
+  const a = await fitInside(first.data, width, PANEL_MAX);
+  const b = await fitInside(second.data, width, PANEL_MAX);
+  const height = a.height + GAP + b.height;
+  return sharp({ create: { width, height, channels: 3, background: BACKGROUND } })
+    .composite([
+      { input: a.data, left: Math.round((width - a.width) / 2), top: 0 },
+      { input: b.data, left: Math.round((width - b.width) / 2), top: a.height + GAP },
+      overlay(width, height, label('BEFORE', 20, 20) + label('AFTER', 20, a.height + GAP + 20))
+    ]);
+}
+
+// One frame: the before on the left half, the after on the right, split by a handle
+async function renderSlider(before, after) {
+  const b = await fitInside(after, PANEL_MAX, PANEL_MAX);
+  const { width, height } = b;
+  const a = await decode(before).rotate().flatten({ background: BACKGROUND }).resize({ width, height, fit: 'cover' }).toBuffer();
+  const half = Math.round(width / 2);
+  const leftHalf = await decode(a).extract({ left: 0, top: 0, width: half, height }).toBuffer();
+  const cy = Math.round(height / 2);
+  const handle = `<rect x="${half - 3}" y="0" width="6" height="${height}" fill="#fff"/>
+<circle cx="${half}" cy="${cy}" r="28" fill="#fff" stroke="rgba(0,0,0,0.25)" stroke-width="2"/>
+<path d="M${half - 8} ${cy - 10} l-10 10 l10 10 M${half + 8} ${cy - 10} l10 10 l-10 10" fill="none" stroke="#333" stroke-width="4" stroke-linecap="round" stroke-linejoin="round"/>`;
+  return decode(b.data).composite([
+    { input: leftHalf, left: 0, top: 0 },
+    overlay(width, height, handle + label('BEFORE', 20, 20) + label('AFTER', width - 20 - labelWidth('AFTER'), 20))
+  ]);
+}
+
+const RENDERERS = { 'side-by-side': renderSideBySide, stacked: renderStacked, slider: renderSlider };
+
+/**
+ * Render two images into a labelled comparison JPEG
+ * @param {Buffer} before
+ * @param {Buffer} after
+ * @param {'side-by-side'|'slider'|'stacked'} layout
+ * @returns {Promise<Buffer>}
+ */
+export async function renderCompareImage(before, after, layout) {
+  try {
+    const image = await RENDERERS[layout](before, after);
+    return await image.jpeg({ quality: 85, mozjpeg: true }).toBuffer();
+  } catch (e) {
+    if (/pixel limit/i.test(e.message || '')) {
+      throw compareError(`Source images must be at most ${IMAGE_LIMITS.maxPixels} pixels`, 422, 'image_dimensions_too_large');
+    }
+    throw compareError('Could not render comparison', 422, 'compare_render_failed', e.message || String(e));
+  }
+}
+
+async function removeStaleRenders(projectId, layout, keep) {
+  const dir = `projects/${projectId}/compare`;
+  const { data, error } = await supabase.storage.from(UPLOADS_BUCKET).list(dir, { limit: 100 });
+  if (error) return;
+  const stale = (data || [])
+    .filter(f => f.name.startsWith(`${layout}-`) && f.name !== keep)
+    .map(f => `${dir}/${f.name}`);
+  if (!stale.length) return;
+  const { error: rmErr } = await supabase.storage.from(UPLOADS_BUCKET).remove(stale);
+  if (rmErr) console.warn('[compare] stale remove failed', projectId, rmErr.message);
+}
+
+/**
+ * Cache key of a project's comparison; changes whenever either source image changes
+ * @returns {string} Throws `409 missing_before_image` / `409 missing_after_image`
+ */
+export function compareKey(project, layout) {
+  const { before, after } = compareSources(project);
+  if (!before) throw compareError('The project has no photo yet', 409, 'missing_before_image');
+  if (!after) throw compareError('The project has no finished preview yet', 409, 'missing_after_image', 'Generate a preview first');
+  return crypto.createHash('sha1').update(`${RENDER_VERSION}|${layout}|${before}|${after}`).digest('hex').slice(0, 16);
+}
+
+/**
+ * The comparison image for a project, rendered on first request and then served from storage
+ * @param {object} project - Row with id, input_image_url, image_variants, preview_url
+ * @param {string} layout
+ * @returns {Promise<{ buffer: Buffer, key: string, url: string|null, cached: boolean }>}
+ */
+export async function getCompareImage(project, layout) {
+  const { before, after } = compareSources(project);
+  const key = compareKey(project, layout);
+  const name = `${layout}-${key}.jpg`;
+  const path = `projects/${project.id}/compare/${name}`;
+  const { data: pub } = supabase.storage.from(UPLOADS_BUCKET).getPublicUrl(path);
+  const url = pub?.publicUrl || null;
+
+  const { data: blob } = await supabase.storage.from(UPLOADS_BUCKET).download(path);
+  if (blob) return { buffer: Buffer.from(await blob.arrayBuffer()), key, url, cached: true };
+
+  const [beforeBuf, afterBuf] = await Promise.all([downloadImage(before), downloadImage(after)]);
+  const buffer = await renderCompareImage(beforeBuf, afterBuf, layout);
+
+  const { error } = await supabase.storage
+    .from(UPLOADS_BUCKET)
+    .upload(path, buffer, { contentType: 'image/jpeg', cacheControl: '31536000', upsert: true });
+  if (error) {
+    // Still answer with the render; the next request tries to store it again
+    console.warn('[compare] store failed', project.id, error.message);
+    return { buffer, key, url: null, cached: false };
+  }
+  await removeStaleRenders(project.id, layout, name);
+
+  console.log('[compare] rendered', { projectId: project.id, layout, key, bytes: buffer.length });
+  return { buffer, key, url, cached: false };
+}
@@ -0,0 +1,46 @@
+// services/cutLayouts.js
+// Stores cut-list layout SVGs in the uploads bucket. Files are named by cutLayoutHash(),
+// so a plan whose cuts did not change keeps pointing at the same diagram.
+import { createClient } from '@supabase/supabase-js';
+import { optimizeCuts, renderCutLayoutSvg, cutLayoutHash, DEFAULT_KERF_IN } from '../lib/cutList.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+const UPLOADS_BUCKET = process.env.EXPO_PUBLIC_UPLOADS_BUCKET || 'uploads';
+
+/**
+ * Optimize a plan's cuts, upload the SVG and return the `meta.cut_layout` summary.
+ * Reuses `existing` when it was built from the same cuts. Returns null when the plan
+ * has no packable cuts or the upload fails (logged, never thrown).
+ * @param {string} projectId
+ * @param {object} plan - plan_json (current schema)
+ * @returns {Promise<{ hash, svg_url, parts, sheets, boards, waste_pct }|null>}
+ */
+export async function ensureCutLayout(projectId, plan) {
+  const cuts = plan?.cuts || [];
+  if (!cuts.length) return null;
+
+  const hash = cutLayoutHash(cuts, DEFAULT_KERF_IN);
+  const existing = plan.meta?.cut_layout;
+  if (existing?.hash === hash && existing.svg_url) return existing;
+
+  try {
+    const layout = optimizeCuts(cuts, { kerf: DEFAULT_KERF_IN });
+    if (!layout.totals.parts) return null;
+
+    const path = `projects/${projectId}/cut-layouts/${hash}.svg`;
+    const { error } = await supabase.storage
+      .from(UPLOADS_BUCKET)
+      .upload(path, Buffer.from(renderCutLayoutSvg(layout)), { contentType: 'image/svg+xml', upsert: true });
+    if (error) throw error;
+
+    const { data: pub } = supabase.storage.from(UPLOADS_BUCKET).getPublicUrl(path);
+    console.log('[cut layout] stored', { projectId, hash, ...layout.totals });
+    return { hash, svg_url: pub?.publicUrl || null, ...layout.totals };
+  } catch (e) {
+    console.warn('[cut layout] store failed', projectId, e.message || e);
+    return null;
+  }
+}
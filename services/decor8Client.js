@@ -1,23 +1,21 @@
 // services/decor8Client.js
 import fetch from 'node-fetch';
 
-const DECOR8_BASE_URL = process.env.DECOR8_BASE_URL || 'stub|decor8';
+// Live Decor8 calls only; stub/mock previews live in services/previewProviders.js
+const DECOR8_BASE_URL = process.env.DECOR8_BASE_URL || 'https://api.decor8.ai';
 const DECOR8_API_KEY   = process.env.DECOR8_API_KEY || '';
 
-export function isStub() {
-  return !DECOR8_BASE_URL || DECOR8_BASE_URL.startsWith('stub');
-}
-
-export async function submitPreviewJob({ imageUrl, prompt, roomType, scalePxPerIn, dimensionsJson }) {
-  if (isStub()) {
-    const stubId = `stub_${Date.now()}`;
-    return { ok: true, jobId: stubId, mode: 'stub' };
-  }
+export async function submitPreviewJob({ imageUrl, prompt, roomType, designStyle, scalePxPerIn, dimensionsJson, callbackUrl }) {
   const url = `${DECOR8_BASE_URL.replace(/\/$/,'')}/preview/jobs`;
   const payload = {
     image_url: imageUrl,
     prompt: prompt || '',
     room_type: roomType || null,
+    design_style: designStyle || null,
+    // One image per job: each preview variant is its own job
+    num_images: 1,
+    // Completion callback (routes/decor8Webhook.js); omitted when webhooks are not configured
+    ...(callbackUrl ? { callback_url: callbackUrl } : {}),
     // Forward AR context if available; backend may ignore, we persist anyway.
     ar_context: {
       scale_px_per_in: scalePxPerIn ?? null,
@@ -42,28 +40,24 @@ export async function submitPreviewJob({ imageUrl, prompt, roomType, scalePxPerI
 }
 
 export async function fetchPreviewStatus(jobId) {
-  if (isStub()) {
-    // Pretend it finishes quickly
-    return {
-      ok: true,
-      status: 'ready',
-      preview_url: `https://picsum.photos/seed/${jobId}/1600/1200`,
-      thumb_url:  `https://picsum.photos/seed/${jobId}/600/400`,
-      raw: { stub: true }
-    };
-  }
   const url = `${DECOR8_BASE_URL.replace(/\/$/,'')}/preview/jobs/${encodeURIComponent(jobId)}`;
   const res = await fetch(url, {
-    headers: { 'Authorization': `Bearer ${process.env.DECOR8_API_KEY}` }
+    headers: { 'Authorization': `Bearer ${DECOR8_API_KEY}` }
   });
   if (!res.ok) {
     const text = await res.text();
     throw new Error(`[decor8 status] ${res.status} ${text}`);
   }
   const data = await res.json();
-  // Normalize plausible fields
-  const status = data.status || data.state || 'processing';
-  const previewUrl = data.preview_url || data.output_url || data.result?.url || null;
-  const thumbUrl   = data.thumb_url   || data.result?.thumb || null;
-  return { ok: true, status, preview_url: previewUrl, thumb_url: thumbUrl, raw: data };
+  return { ok: true, ...normalizeDecor8Job(data), raw: data };
+}
+
+/** Normalize plausible fields of a Decor8 job (status responses and webhook bodies) */
+export function normalizeDecor8Job(data) {
+  return {
+    jobId: data?.job_id || data?.id || data?.job?.id || null,
+    status: data?.status || data?.state || 'processing',
+    preview_url: data?.preview_url || data?.output_url || data?.result?.url || null,
+    thumb_url: data?.thumb_url || data?.result?.thumb || null
+  };
 }
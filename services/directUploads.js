@@ -0,0 +1,169 @@
+// services/directUploads.js
+// Direct-to-storage photo uploads: the client PUTs the file to a signed Supabase Storage URL
+// under projects/<id>/incoming/, then calls complete; the object is validated through the
+// image pipeline, attached as a project photo and the incoming copy removed.
+// project_uploads tracks each signed slot: pending → processing → attached | rejected | expired
+// (back to pending when a retryable step fails).
+import crypto from 'node:crypto';
+import { createClient } from '@supabase/supabase-js';
+import { IMAGE_LIMITS } from '../lib/imageIngest.js';
+import { addPhoto } from './projectPhotos.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+const UPLOADS_BUCKET = process.env.EXPO_PUBLIC_UPLOADS_BUCKET || 'uploads';
+
+// How long the client has to call complete. Supabase keeps the signed URL itself valid for
+// 2 hours, so objects of abandoned slots are swept after that.
+export const UPLOAD_TTL_S = Number(process.env.UPLOAD_SIGN_TTL_S || 900);
+const STORAGE_TOKEN_TTL_MS = 2 * 60 * 60 * 1000;
+
+function uploadError(message, status, code, hint) {
+  return Object.assign(new Error(message), { status, code, hint });
+}
+
+async function finishUpload(id, patch) {
+  const { error } = await supabase
+    .from('project_uploads')
+    .update({ ...patch, completed_at: new Date().toISOString() })
+    .eq('id', id);
+  if (error) console.warn('[uploads] status update failed', id, error.message);
+}
+
+async function removeObject(path) {
+  const { error } = await supabase.storage.from(UPLOADS_BUCKET).remove([path]);
+  if (error) console.warn('[uploads] remove failed', path, error.message);
+}
+
+/**
+ * Issue a signed upload URL for one photo
+ * @param {string} projectId
+ * @param {{ userId: string, bytes?: number|null }} opts - `bytes` is the client's declared size, checked early
+ * @returns {Promise<{ upload_id, path, signed_url, token, expires_at, max_bytes }>}
+ */
+export async function signProjectUpload(projectId, { userId, bytes = null }) {
+  if (bytes != null && Number(bytes) > IMAGE_LIMITS.maxBytes) {
+    throw uploadError(`Image exceeds ${Math.round(IMAGE_LIMITS.maxBytes / 1048576)} MB`, 413, 'image_too_large');
+  }
+
+  const path = `projects/${projectId}/incoming/${crypto.randomUUID()}`;
+  const { data: signed, error } = await supabase.storage.from(UPLOADS_BUCKET).createSignedUploadUrl(path);
+  if (error) throw uploadError('Could not sign upload', 502, 'sign_upload_failed', error.message);
+
+  const expiresAt = new Date(Date.now() + UPLOAD_TTL_S * 1000).toISOString();
+  const { data: row, error: insErr } = await supabase
+    .from('project_uploads')
+    .insert({ project_id: projectId, user_id: userId, path, status: 'pending', expires_at: expiresAt })
+    .select('id')
+    .single();
+  if (insErr) throw uploadError('Could not record upload', 500, 'sign_upload_failed', insErr.message);
+
+  console.log('[uploads] signed', { projectId, uploadId: row.id });
+  return {
+    upload_id: row.id,
+    path,
+    signed_url: signed.signedUrl,
+    token: signed.token,
+    expires_at: expiresAt,
+    max_bytes: IMAGE_LIMITS.maxBytes
+  };
+}
+
+/**
+ * Validate an uploaded object and attach it as a project photo
+ * @param {string} projectId
+ * @param {string} uploadId
+ * @param {{ userId: string, primary?: boolean }} opts
+ * @returns {Promise<object>} The project_photos row
+ */
+export async function completeProjectUpload(projectId, uploadId, { userId, primary = false }) {
+  const { data: upload, error } = await supabase
+    .from('project_uploads')
+    .select('id, path, status, photo_id, expires_at')
+    .eq('id', uploadId)
+    .eq('project_id', projectId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!upload) throw uploadError('Upload not found', 404, 'upload_not_found');
+  if (upload.status !== 'pending') {
+    throw uploadError(`Upload is already ${upload.status}`, 409, 'upload_not_pending', upload.photo_id || undefined);
+  }
+  if (Date.parse(upload.expires_at) < Date.now()) {
+    await finishUpload(upload.id, { status: 'expired' });
+    await removeObject(upload.path);
+    throw uploadError('Upload window expired; sign a new upload', 410, 'upload_expired');
+  }
+
+  // Claim the slot so two concurrent completes cannot attach the same file twice
+  const { data: claimed, error: claimErr } = await supabase
+    .from('project_uploads')
+    .update({ status: 'processing' })
+    .eq('id', upload.id)
+    .eq('status', 'pending')
+    .select('id');
+  if (claimErr) throw claimErr;
+  if (!claimed?.length) throw uploadError('Upload is already being completed', 409, 'upload_not_pending');
+  const release = async (err) => {
+    await supabase.from('project_uploads').update({ status: 'pending' }).eq('id', upload.id);
+    return err;
+  };
+
+  const { data: info, error: infoErr } = await supabase.storage.from(UPLOADS_BUCKET).info(upload.path);
+  if (infoErr || !info) throw await release(uploadError('Nothing was uploaded to the signed URL yet', 404, 'upload_missing'));
+
+  const reject = async (err) => {
+    await finishUpload(upload.id, { status: 'rejected', error: err.code || String(err.message || err) });
+    await removeObject(upload.path);
+    return err;
+  };
+
+  // Check the stored size before pulling the object into memory
+  if (info.size > IMAGE_LIMITS.maxBytes) {
+    throw await reject(uploadError(`Image exceeds ${Math.round(IMAGE_LIMITS.maxBytes / 1048576)} MB`, 413, 'image_too_large'));
+  }
+
+  const { data: blob, error: dlErr } = await supabase.storage.from(UPLOADS_BUCKET).download(upload.path);
+  if (dlErr) throw await release(uploadError('Could not read upload', 502, 'upload_read_failed', dlErr.message));
+
+  let photo;
+  try {
+    photo = await addPhoto(projectId, { buffer: Buffer.from(await blob.arrayBuffer()), userId, primary });
+  } catch (e) {
+    // Storage hiccups can be retried with the same upload; rejected images cannot
+    if (e.code === 'upload_failed' || !e.status) throw await release(e);
+    throw await reject(e);
+  }
+
+  await finishUpload(upload.id, { status: 'attached', photo_id: photo.id });
+  await removeObject(upload.path);
+  console.log('[uploads] attached', { projectId, uploadId, photoId: photo.id });
+  return photo;
+}
+
+/**
+ * Mark unfinished slots whose signed URL can no longer be used as expired and delete
+ * whatever was uploaded to them
+ * @returns {Promise<number>} Slots swept
+ */
+export async function sweepExpiredUploads() {
+  const cutoff = new Date(Date.now() - STORAGE_TOKEN_TTL_MS).toISOString();
+  const { data, error } = await supabase
+    .from('project_uploads')
+    .select('id, path')
+    .in('status', ['pending', 'processing'])
+    .lt('created_at', cutoff)
+    .limit(100);
+  if (error) throw error;
+  if (!data?.length) return 0;
+
+  const { error: rmErr } = await supabase.storage.from(UPLOADS_BUCKET).remove(data.map(u => u.path));
+  if (rmErr) console.warn('[uploads] sweep remove failed', rmErr.message);
+  const { error: upErr } = await supabase
+    .from('project_uploads')
+    .update({ status: 'expired', completed_at: new Date().toISOString() })
+    .in('id', data.map(u => u.id));
+  if (upErr) throw upErr;
+  return data.length;
+}
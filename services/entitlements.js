@@ -0,0 +1,309 @@
+// services/entitlements.js
+// Single source of truth for tiers, monthly plan credits and feature flags.
+// Every route that reports or spends credits goes through this module.
+import { createClient } from '@supabase/supabase-js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Dev bypass: lift the free quota and tolerate a missing profiles table
+const DEV_BYPASS = process.env.NODE_ENV !== 'production' && process.env.DEV_NO_QUOTA === '1';
+
+// --- Tier catalog ---
+// previewVariants: most images one preview request may generate (it still costs one credit)
+export const TIERS = {
+  free:   { quota: DEV_BYPASS ? 999 : 2, previewAllowed: false, previewVariants: 1 },
+  casual: { quota: 5,                    previewAllowed: true,  previewVariants: 2 },
+  pro:    { quota: 25,                   previewAllowed: true,  previewVariants: 4 },
+};
+
+const PROFILE_COLUMNS = 'user_id, plan_tier, subscription_tier, plan_credits_used_month, credits_month_key';
+const CONSUME_RETRIES = 3;
+
+// Own keys only: `constructor`, `__proto__` and friends are not tiers
+export function isTier(t) {
+  return typeof t === 'string' && Object.hasOwn(TIERS, t);
+}
+
+export function normalizeTier(raw) {
+  const t = String(raw || '').trim().toLowerCase();
+  return isTier(t) ? t : 'free';
+}
+
+export function monthKey(d = new Date()) {
+  return d.toISOString().slice(0, 7).replace('-', '');
+}
+
+function tierOf(profile) {
+  return normalizeTier(profile?.subscription_tier || profile?.plan_tier);
+}
+
+function view(profile) {
+  const tier = tierOf(profile);
+  const rules = TIERS[tier];
+  const used = Number(profile?.plan_credits_used_month || 0);
+  return {
+    tier,
+    quota: rules.quota,
+    used,
+    remaining: Math.max(0, rules.quota - used),
+    previewAllowed: rules.previewAllowed,
+    previewVariants: rules.previewVariants,
+    credits_month_key: profile?.credits_month_key || monthKey()
+  };
+}
+
+// Defaults reported when the profile cannot be read
+export function defaultEntitlements() {
+  return { ...view(null), fallback: true };
+}
+
+async function loadProfile(userId) {
+  const { data, error } = await supabase
+    .from('profiles')
+    .select(PROFILE_COLUMNS)
+    .eq('user_id', userId)
+    .maybeSingle();
+  if (error) throw error;
+  if (data) return data;
+
+  // First touch: create a free profile for this month
+  const { data: created, error: insErr } = await supabase
+    .from('profiles')
+    .upsert(
+      { user_id: userId, plan_tier: 'free', plan_credits_used_month: 0, credits_month_key: monthKey() },
+      { onConflict: 'user_id', ignoreDuplicates: true }
+    )
+    .select(PROFILE_COLUMNS)
+    .maybeSingle();
+  if (insErr) throw insErr;
+  return created || { user_id: userId, plan_tier: 'free', plan_credits_used_month: 0, credits_month_key: monthKey() };
+}
+
+// Reset the monthly counter the first time a profile is read in a new month
+async function ensureRollover(profile) {
+  const nowKey = monthKey();
+  if (profile.credits_month_key === nowKey) return profile;
+
+  const { data, error } = await supabase
+    .from('profiles')
+    .update({ plan_credits_used_month: 0, credits_month_key: nowKey })
+    .eq('user_id', profile.user_id)
+    .select(PROFILE_COLUMNS)
+    .maybeSingle();
+  if (error) throw error;
+  return data || { ...profile, plan_credits_used_month: 0, credits_month_key: nowKey };
+}
+
+/**
+ * Current entitlements for a user (tier, monthly quota, used, remaining, feature flags)
+ * @param {string} userId
+ */
+export async function getEntitlements(userId) {
+  try {
+    const profile = await ensureRollover(await loadProfile(userId));
+    return view(profile);
+  } catch (e) {
+    if (DEV_BYPASS) {
+      console.warn('[ENTS] bypassing entitlements in dev', e?.message || e);
+      return { ...view(null), tier: 'free', remaining: 999, devBypass: true };
+    }
+    throw e;
+  }
+}
+
+/**
+ * Atomically spend `amount` credits for the current month.
+ * Uses a compare-and-set on `plan_credits_used_month` so concurrent consumers cannot overspend.
+ * @returns {Promise<{ ok: boolean, error?: string, tier, quota, used, remaining }>}
+ */
+export async function consumeCredits(userId, amount = 1) {
+  let profile = await ensureRollover(await loadProfile(userId));
+
+  for (let attempt = 0; attempt < CONSUME_RETRIES; attempt++) {
+    const current = view(profile);
+    if (current.remaining < amount) {
+      return { ok: false, error: 'quota_exhausted', ...current };
+    }
+
+    const { data, error } = await supabase
+      .from('profiles')
+      .update({ plan_credits_used_month: current.used + amount })
+      .eq('user_id', userId)
+      .eq('credits_month_key', current.credits_month_key)
+      .eq('plan_credits_used_month', current.used)
+      .select(PROFILE_COLUMNS)
+      .maybeSingle();
+    if (error) throw error;
+    if (data) return { ok: true, ...view(data) };
+
+    // Lost the race (or the month rolled over) - re-read and try again
+    profile = await ensureRollover(await loadProfile(userId));
+  }
+
+  throw Object.assign(new Error('consume_conflict'), { code: 'consume_conflict' });
+}
+
+/**
+ * Return `amount` credits to the month they were spent in (never below zero).
+ * Credits from a month that has already rolled over are not refunded.
+ */
+export async function refundCredits(userId, amount = 1, spentMonthKey = monthKey()) {
+  for (let attempt = 0; attempt < CONSUME_RETRIES; attempt++) {
+    const profile = await ensureRollover(await loadProfile(userId));
+    if (profile.credits_month_key !== spentMonthKey) return { ok: true, refunded: 0, ...view(profile) };
+
+    const used = Number(profile.plan_credits_used_month || 0);
+    const next = Math.max(0, used - amount);
+    const { data, error } = await supabase
+      .from('profiles')
+      .update({ plan_credits_used_month: next })
+      .eq('user_id', userId)
+      .eq('credits_month_key', spentMonthKey)
+      .eq('plan_credits_used_month', used)
+      .select(PROFILE_COLUMNS)
+      .maybeSingle();
+    if (error) throw error;
+    if (data) return { ok: true, refunded: used - next, ...view(data) };
+  }
+
+  throw Object.assign(new Error('refund_conflict'), { code: 'refund_conflict' });
+}
+
+// --- Reservations --------------------------------------------------------------
+// A generation reserves one credit up front, then commits it on success or
+// releases it (refund) on failure. Reservations that are never settled expire
+// and are released by releaseExpiredReservations(). Jobs call extendReservation()
+// on every run, so the TTL only has to outlast the longest gap between two runs
+// (backoff, poll interval or a lost worker's lock timeout), not the whole job.
+
+const RESERVATION_TTL_MS = Number(process.env.CREDIT_RESERVATION_TTL_MS || 15 * 60 * 1000);
+
+/**
+ * Spend one credit and record a pending reservation for it
+ * @param {string} userId
+ * @param {{ kind: 'preview'|'plan', projectId?: string, ttlMs?: number }} opts
+ * @returns {Promise<{ ok: boolean, error?: string, reservation?: object, tier, quota, used, remaining }>}
+ */
+export async function reserveCredit(userId, { kind, projectId = null, ttlMs = RESERVATION_TTL_MS } = {}) {
+  let ent;
+  try {
+    ent = await getEntitlements(userId);
+    if (kind === 'preview' && !ent.previewAllowed) return { ok: false, error: 'preview_not_allowed', ...ent };
+    if (ent.devBypass) return { ok: true, reservation: null, ...ent };
+
+    const spent = await consumeCredits(userId, 1);
+    if (!spent.ok) return spent;
+
+    const { data, error } = await supabase
+      .from('credit_reservations')
+      .insert({
+        user_id: userId,
+        project_id: projectId,
+        kind,
+        month_key: spent.credits_month_key,
+        status: 'reserved',
+        expires_at: new Date(Date.now() + ttlMs).toISOString()
+      })
+      .select('id, user_id, project_id, kind, month_key, status, expires_at')
+      .single();
+    if (error) {
+      await refundCredits(userId, 1, spent.credits_month_key);
+      throw error;
+    }
+    return { ok: true, reservation: data, ...spent };
+  } catch (e) {
+    if (DEV_BYPASS) {
+      console.warn('[ENTS] reservation bypassed in dev', e?.message || e);
+      return { ok: true, reservation: null, ...(ent || view(null)), devBypass: true };
+    }
+    throw e;
+  }
+}
+
+// Move a reservation out of `reserved`; returns the row only for the caller that won
+async function settleReservation(reservationId, status, reason) {
+  if (!reservationId) return null;
+  const { data, error } = await supabase
+    .from('credit_reservations')
+    .update({ status, reason: reason || null, settled_at: new Date().toISOString() })
+    .eq('id', reservationId)
+    .eq('status', 'reserved')
+    .select('id, user_id, month_key')
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Push a pending reservation's deadline out by `ttlMs` from now
+ * @throws permanent `reservation_expired` when it was already settled (e.g. refunded by the
+ *   sweep); the job must not go on to deliver what is no longer paid for
+ */
+export async function extendReservation(reservationId, ttlMs = RESERVATION_TTL_MS) {
+  if (!reservationId) return { ok: true, extended: false };
+  const { data, error } = await supabase
+    .from('credit_reservations')
+    .update({ expires_at: new Date(Date.now() + ttlMs).toISOString() })
+    .eq('id', reservationId)
+    .eq('status', 'reserved')
+    .select('id, expires_at')
+    .maybeSingle();
+  if (error) throw error;
+  if (!data) {
+    throw Object.assign(new Error('reservation_expired'), { code: 'reservation_expired', permanent: true });
+  }
+  return { ok: true, extended: true, expires_at: data.expires_at };
+}
+
+/** Keep the credit: the generation succeeded */
+export async function commitReservation(reservationId) {
+  const row = await settleReservation(reservationId, 'committed');
+  return { ok: true, committed: !!row };
+}
+
+/** Refund the credit: the generation failed or timed out. Safe to call more than once. */
+export async function releaseReservation(reservationId, reason = 'failed') {
+  const row = await settleReservation(reservationId, 'released', reason);
+  if (!row) return { ok: true, released: false };
+  await refundCredits(row.user_id, 1, row.month_key);
+  console.log('[ENTS] reservation released', { reservationId, reason });
+  return { ok: true, released: true };
+}
+
+/** Release every reservation whose deadline has passed. Returns how many were refunded. */
+export async function releaseExpiredReservations() {
+  const { data, error } = await supabase
+    .from('credit_reservations')
+    .select('id')
+    .eq('status', 'reserved')
+    .lt('expires_at', new Date().toISOString())
+    .limit(100);
+  if (error) throw error;
+
+  let released = 0;
+  for (const r of data || []) {
+    try {
+      const out = await releaseReservation(r.id, 'timeout');
+      if (out.released) released += 1;
+    } catch (e) {
+      console.warn('[ENTS] expire release failed', r.id, e?.message || e);
+    }
+  }
+  return released;
+}
+
+/**
+ * Profile columns to write when a user's tier changes (billing webhook, dev upgrade)
+ */
+export function tierProfilePatch(tier) {
+  const t = normalizeTier(tier);
+  return {
+    plan_tier: t,
+    subscription_tier: t,
+    plan_quota_monthly: TIERS[t].quota,
+    is_subscribed: t !== 'free'
+  };
+}
@@ -0,0 +1,250 @@
+// services/jobQueue.js
+// Postgres-backed job queue (table `jobs`, claimed via the `claim_jobs` RPC).
+// Route handlers enqueue; the in-process worker loop runs the registered handler
+// for each kind, retries with exponential backoff and dead-letters jobs that
+// run out of attempts. Status endpoints only read the resulting project state.
+import { createClient } from '@supabase/supabase-js';
+import { hostname } from 'os';
+import { randomUUID } from 'crypto';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const WORKER_ID = `${hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`;
+const POLL_MS = Number(process.env.JOB_POLL_MS || 2000);
+const CONCURRENCY = Number(process.env.JOB_CONCURRENCY || 2);
+const LOCK_TIMEOUT_S = Number(process.env.JOB_LOCK_TIMEOUT_S || 300);
+const DEFAULT_MAX_ATTEMPTS = 5;
+const BACKOFF_BASE_MS = 5 * 1000;
+const BACKOFF_MAX_MS = 5 * 60 * 1000;
+
+const JOB_COLUMNS = 'id, kind, project_id, user_id, payload, status, attempts, max_attempts, run_at, last_error, result, created_at, updated_at, finished_at';
+
+// kind -> { run(job), onDead?(job, err) }
+const handlers = new Map();
+
+/**
+ * Register the handler for a job kind.
+ * `run(job)` resolves `{ done: true, result }` when finished, or `{ wait: ms, payload }`
+ * to be re-run later without spending an attempt (e.g. polling a provider).
+ * Throwing retries with backoff; an error with `permanent: true` dead-letters immediately.
+ * `onDead(job, err)` runs once when the job is dead-lettered (refunds, error status).
+ */
+export function registerJobHandler(kind, handler) {
+  handlers.set(kind, handler);
+}
+
+/**
+ * Insert a queued job
+ * @param {{ kind: string, projectId?: string, userId?: string, payload?: object, runAt?: Date, maxAttempts?: number }} opts
+ */
+export async function enqueueJob({ kind, projectId = null, userId = null, payload = {}, runAt = null, maxAttempts = DEFAULT_MAX_ATTEMPTS }) {
+  const { data, error } = await supabase
+    .from('jobs')
+    .insert({
+      kind,
+      project_id: projectId,
+      user_id: userId,
+      payload,
+      max_attempts: maxAttempts,
+      run_at: (runAt || new Date()).toISOString()
+    })
+    .select(JOB_COLUMNS)
+    .single();
+  if (error) throw error;
+  console.log('[jobs] enqueued', { id: data.id, kind, projectId });
+  kick();
+  return data;
+}
+
+export async function getJob(jobId) {
+  const { data, error } = await supabase.from('jobs').select(JOB_COLUMNS).eq('id', jobId).maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+/** Most recent job of `kind` for a project (null when none) */
+export async function latestJobFor(projectId, kind) {
+  const { data, error } = await supabase
+    .from('jobs')
+    .select(JOB_COLUMNS)
+    .eq('project_id', projectId)
+    .eq('kind', kind)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Run a queued job now instead of at its scheduled run_at (e.g. a provider callback arrived).
+ * Running and finished jobs are left alone.
+ * @returns {Promise<boolean>} Whether the job was rescheduled
+ */
+export async function wakeJob(jobId) {
+  const { data, error } = await supabase
+    .from('jobs')
+    .update({ run_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+    .eq('id', jobId)
+    .eq('status', 'queued')
+    .select('id');
+  if (error) throw error;
+  if (data?.length) kick();
+  return !!data?.length;
+}
+
+/** Public shape of a job for status endpoints */
+export function jobView(job) {
+  if (!job) return null;
+  return {
+    id: job.id,
+    kind: job.kind,
+    status: job.status,
+    attempts: job.attempts,
+    max_attempts: job.max_attempts,
+    run_at: job.run_at,
+    last_error: job.last_error || null,
+    finished_at: job.finished_at || null
+  };
+}
+
+export function backoffMs(attempts) {
+  const exp = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1));
+  return exp + Math.floor(Math.random() * 1000);
+}
+
+// Updates are fenced on locked_by so a job reclaimed by another worker is not clobbered
+async function updateClaimed(job, patch) {
+  const { error } = await supabase
+    .from('jobs')
+    .update({ ...patch, updated_at: new Date().toISOString() })
+    .eq('id', job.id)
+    .eq('locked_by', WORKER_ID);
+  if (error) throw error;
+}
+
+async function finishJob(job, result) {
+  const now = new Date().toISOString();
+  await updateClaimed(job, { status: 'succeeded', result: result ?? null, last_error: null, locked_by: null, locked_at: null, finished_at: now });
+}
+
+async function waitJob(job, ms, payload) {
+  await updateClaimed(job, {
+    status: 'queued',
+    payload: payload ?? job.payload,
+    attempts: Math.max(0, job.attempts - 1),
+    run_at: new Date(Date.now() + ms).toISOString(),
+    locked_by: null,
+    locked_at: null
+  });
+}
+
+async function failJob(job, err) {
+  const message = String(err?.message || err).slice(0, 1000);
+  const dead = err?.permanent || job.attempts >= job.max_attempts;
+
+  if (!dead) {
+    const delay = backoffMs(job.attempts);
+    console.warn('[jobs] retry', { id: job.id, kind: job.kind, attempts: job.attempts, in_ms: delay, error: message });
+    await updateClaimed(job, {
+      status: 'queued',
+      payload: err?.payload ?? job.payload,
+      last_error: message,
+      run_at: new Date(Date.now() + delay).toISOString(),
+      locked_by: null,
+      locked_at: null
+    });
+    return;
+  }
+
+  console.error('[jobs] dead', { id: job.id, kind: job.kind, attempts: job.attempts, error: message });
+  await updateClaimed(job, {
+    status: 'dead',
+    last_error: message,
+    locked_by: null,
+    locked_at: null,
+    finished_at: new Date().toISOString()
+  });
+  const onDead = handlers.get(job.kind)?.onDead;
+  if (onDead) {
+    await onDead(job, err).catch(e => console.error('[jobs] onDead failed', job.id, e?.message || e));
+  }
+}
+
+async function runJob(job) {
+  const handler = handlers.get(job.kind);
+  try {
+    if (!handler) throw Object.assign(new Error(`no handler for kind ${job.kind}`), { permanent: true });
+    const out = (await handler.run(job)) || { done: true };
+    if (out.wait != null) return await waitJob(job, out.wait, out.payload);
+    await finishJob(job, out.result);
+    console.log('[jobs] succeeded', { id: job.id, kind: job.kind, attempts: job.attempts });
+  } catch (e) {
+    await failJob(job, e).catch(e2 => console.error('[jobs] fail bookkeeping error', job.id, e2?.message || e2));
+  }
+}
+
+async function claimJobs(limit) {
+  const { data, error } = await supabase.rpc('claim_jobs', {
+    p_worker: WORKER_ID,
+    p_kinds: [...handlers.keys()],
+    p_limit: limit,
+    p_lock_timeout_s: LOCK_TIMEOUT_S
+  });
+  if (error) throw error;
+  return data || [];
+}
+
+// --- Worker loop -----------------------------------------------------------------
+
+let timer = null;
+let running = false;
+let ticking = false;
+
+async function tick() {
+  if (!running || ticking) return;
+  ticking = true;
+  let claimed = 0;
+  try {
+    const jobs = await claimJobs(CONCURRENCY);
+    claimed = jobs.length;
+    await Promise.all(jobs.map(runJob));
+  } catch (e) {
+    console.warn('[jobs] claim failed', e?.message || e);
+  } finally {
+    ticking = false;
+  }
+  schedule(claimed ? 0 : POLL_MS);
+}
+
+function schedule(ms) {
+  if (!running) return;
+  clearTimeout(timer);
+  timer = setTimeout(tick, ms);
+  timer.unref?.();
+}
+
+// New work was enqueued by this process: don't wait for the next poll
+function kick() {
+  if (running && !ticking) schedule(0);
+}
+
+/** Start polling for jobs of every registered kind. Disabled with JOB_WORKER=0. */
+export function startJobWorker() {
+  if (running) return;
+  if (process.env.JOB_WORKER === '0') {
+    console.log('[jobs] worker disabled (JOB_WORKER=0)');
+    return;
+  }
+  running = true;
+  console.log('[jobs] worker started', { worker: WORKER_ID, kinds: [...handlers.keys()], poll_ms: POLL_MS });
+  schedule(0);
+}
+
+export function stopJobWorker() {
+  running = false;
+  clearTimeout(timer);
+}
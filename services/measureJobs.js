@@ -0,0 +1,89 @@
+// services/measureJobs.js
+// `measure` job kind: read the RoomPlan export stored on a scan, measure the requested
+// ROI (lib/roiMeasure.js) and store the result with its confidence on room_scans.
+// measure_status: queued → processing → done | error. A finished measurement also becomes
+// the project's scale_px_per_in / dimensions_json for preview requests.
+import { createClient } from '@supabase/supabase-js';
+import { enqueueJob } from './jobQueue.js';
+import { measureRoi } from '../lib/roiMeasure.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+export const MEASURE_JOB = 'measure';
+export const MEASURE_ACTIVE = ['queued', 'processing'];
+
+async function patchScan(scanId, patch) {
+  const { error } = await supabase.from('room_scans').update(patch).eq('id', scanId);
+  if (error) throw error;
+}
+
+/**
+ * Queue a measurement for a scan and mark it `queued`
+ * @param {{ id: string, project_id: string }} scan
+ * @param {{ userId: string, roi?: object|null, image?: { width, height }|null }} opts
+ * @returns {Promise<object>} The queued job row
+ */
+export async function enqueueMeasureJob(scan, { userId, roi = null, image = null } = {}) {
+  const job = await enqueueJob({
+    kind: MEASURE_JOB,
+    projectId: scan.project_id,
+    userId,
+    payload: { scanId: scan.id, roi, image }
+  });
+  await patchScan(scan.id, { measure_status: 'queued', measure_job_id: job.id, measure_error: null });
+  return job;
+}
+
+// Previews read the scale and dimensions from the project (Decor8 `ar_context`)
+async function applyToProject(projectId, scanId, result) {
+  const { error } = await supabase
+    .from('projects')
+    .update({
+      scale_px_per_in: result.px_per_in ?? null,
+      dimensions_json: {
+        width_in: result.width_in ?? null,
+        height_in: result.height_in ?? null,
+        depth_in: result.depth_in ?? null,
+        from_floor_in: result.from_floor_in ?? null,
+        confidence: result.confidence,
+        scan_id: scanId
+      },
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', projectId);
+  if (error) console.warn('[measure job] project update failed', projectId, error.message);
+}
+
+async function runMeasureJob(job) {
+  const { scanId, roi, image } = job.payload || {};
+  const { data: scan, error } = await supabase
+    .from('room_scans')
+    .select('id, roi')
+    .eq('id', scanId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!scan) throw Object.assign(new Error('scan_not_found'), { permanent: true });
+  if (!scan.roi) throw Object.assign(new Error('scan_has_no_roomplan'), { permanent: true });
+
+  await patchScan(scanId, { measure_status: 'processing' });
+  const result = measureRoi(scan.roi, roi, image);
+  await patchScan(scanId, {
+    measure_status: 'done',
+    measure_result: result,
+    measure_confidence: result.confidence,
+    measure_error: null
+  });
+  await applyToProject(job.project_id, scanId, result);
+  console.log('[measure job] done', { scanId, method: result.method, width_in: result.width_in, height_in: result.height_in, confidence: result.confidence });
+  return { done: true, result: { width_in: result.width_in, height_in: result.height_in, confidence: result.confidence } };
+}
+
+async function onMeasureDead(job, err) {
+  const { scanId } = job.payload || {};
+  await patchScan(scanId, { measure_status: 'error', measure_error: String(err?.code || err?.message || err) });
+}
+
+export const measureJobHandler = { run: runMeasureJob, onDead: onMeasureDead };
@@ -0,0 +1,44 @@
+// services/ownedTools.js
+// Tools a user already owns (profiles.owned_tools). Used by the cost engine and
+// shopping list to skip rent/buy costs.
+import { createClient } from '@supabase/supabase-js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+/** Owned tool names for a user; [] when unknown or the lookup fails */
+export async function getOwnedTools(userId) {
+  if (!userId) return [];
+  const { data, error } = await supabase
+    .from('profiles')
+    .select('owned_tools')
+    .eq('user_id', userId)
+    .maybeSingle();
+  if (error) {
+    console.warn('[owned tools] lookup failed', error.message);
+    return [];
+  }
+  return Array.isArray(data?.owned_tools) ? data.owned_tools : [];
+}
+
+/**
+ * Replace a user's owned tools; names are trimmed and de-duplicated case-insensitively.
+ * Creates the profile row when the user has none yet.
+ */
+export async function setOwnedTools(userId, tools) {
+  const seen = new Set();
+  const clean = [];
+  for (const t of tools) {
+    const name = String(t ?? '').trim();
+    if (!name || seen.has(name.toLowerCase())) continue;
+    seen.add(name.toLowerCase());
+    clean.push(name);
+  }
+  const { error } = await supabase
+    .from('profiles')
+    .upsert({ user_id: userId, owned_tools: clean }, { onConflict: 'user_id' });
+  if (error) throw error;
+  return clean;
+}
@@ -0,0 +1,69 @@
+// services/planVersions.js
+// Append-only plan history (table `plan_versions`). Every plan write records the
+// full plan_json with its author and source so older versions can be diffed and restored.
+import { createClient } from '@supabase/supabase-js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+export const PLAN_SOURCES = ['stub', 'openai', 'manual', 'restore', 'demo'];
+
+const LIST_COLUMNS = 'version, source, author_id, restored_from, created_at';
+const INSERT_RETRIES = 3;
+
+async function latestVersionNumber(projectId) {
+  const { data, error } = await supabase
+    .from('plan_versions')
+    .select('version')
+    .eq('project_id', projectId)
+    .order('version', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (error) throw error;
+  return data?.version || 0;
+}
+
+/**
+ * Append a version for a plan that was just written to projects.plan_json
+ * @param {{ projectId: string, plan: object, source: string, authorId?: string|null, restoredFrom?: number|null }} opts
+ * @returns {Promise<number>} The new version number
+ */
+export async function recordPlanVersion({ projectId, plan, source, authorId = null, restoredFrom = null }) {
+  if (!PLAN_SOURCES.includes(source)) throw new Error(`unknown plan source ${source}`);
+
+  // Two writers can pick the same next number; the unique index makes the loser retry
+  for (let attempt = 0; attempt < INSERT_RETRIES; attempt++) {
+    const version = (await latestVersionNumber(projectId)) + 1;
+    const { error } = await supabase
+      .from('plan_versions')
+      .insert({ project_id: projectId, version, plan_json: plan, source, author_id: authorId, restored_from: restoredFrom });
+    if (!error) return version;
+    if (error.code !== '23505') throw error;
+  }
+  throw Object.assign(new Error('plan_version_conflict'), { code: 'plan_version_conflict' });
+}
+
+/** Versions of a project's plan, newest first (without the plan bodies) */
+export async function listPlanVersions(projectId) {
+  const { data, error } = await supabase
+    .from('plan_versions')
+    .select(LIST_COLUMNS)
+    .eq('project_id', projectId)
+    .order('version', { ascending: false });
+  if (error) throw error;
+  return data || [];
+}
+
+/** One version including plan_json; `version` null/undefined means latest */
+export async function getPlanVersion(projectId, version) {
+  let q = supabase
+    .from('plan_versions')
+    .select(`${LIST_COLUMNS}, plan_json`)
+    .eq('project_id', projectId);
+  q = version ? q.eq('version', version) : q.order('version', { ascending: false }).limit(1);
+  const { data, error } = await q.maybeSingle();
+  if (error) throw error;
+  return data;
+}
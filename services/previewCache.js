@@ -0,0 +1,83 @@
+// services/previewCache.js
+// Content-addressed preview cache. Each variant gets a key from the input image (its stored
+// hash, or the URL for linked photos), the normalised prompt, room type, design style and AR
+// context; a ready `previews` row with the same key and owner is reused instead of calling the
+// provider. The request key (all variant keys) lets a repeated start join the job in flight.
+import crypto from 'node:crypto';
+import { createClient } from '@supabase/supabase-js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+export function normalizePrompt(prompt) {
+  return String(prompt || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// JSON with sorted keys so {a,b} and {b,a} hash the same
+function stableJson(value) {
+  if (Array.isArray(value)) return `[${value.map(stableJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableJson(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/** Identity of the input image: the upload's content hash, else the URL */
+export function imageCacheId(project, imageUrl) {
+  const hash = project.image_variants?.hash;
+  if (hash && imageUrl === project.input_image_url) return `sha1:${hash}`;
+  return `url:${sha256(String(imageUrl || ''))}`;
+}
+
+/**
+ * Cache keys for one preview request. The n-th variant of a style has its own key, so asking
+ * for two `boho` variants again reuses both rather than the same image twice.
+ * @param {object} project - Row with image_variants, input_image_url, scale_px_per_in, dimensions_json
+ * @param {{ imageUrl: string, prompt: string, roomType: string|null, variants: { index, designStyle }[] }} input
+ * @returns {{ requestKey: string, variantKeys: string[] }}
+ */
+export function previewCacheKeys(project, { imageUrl, prompt, roomType, variants }) {
+  const base = {
+    image: imageCacheId(project, imageUrl),
+    prompt: normalizePrompt(prompt),
+    room_type: roomType || null,
+    ar: {
+      scale_px_per_in: project.scale_px_per_in != null ? Math.round(Number(project.scale_px_per_in) * 100) / 100 : null,
+      dimensions: project.dimensions_json ?? null
+    }
+  };
+  const seen = {};
+  const variantKeys = variants.map(v => {
+    const style = v.designStyle || null;
+    const ordinal = seen[style] = (seen[style] ?? -1) + 1;
+    return sha256(stableJson({ ...base, style, ordinal }));
+  });
+  return { requestKey: sha256(variantKeys.join('|')), variantKeys };
+}
+
+/**
+ * Ready previews of this user for the given keys (newest per key)
+ * @returns {Promise<Map<string, object>>} cache_key → previews row
+ */
+export async function findCachedPreviews(userId, keys) {
+  const hits = new Map();
+  if (!keys.length) return hits;
+  const { data, error } = await supabase
+    .from('previews')
+    .select('id, cache_key, url, thumb_url, image_variants, meta, provider, created_at')
+    .eq('user_id', userId)
+    .eq('status', 'ready')
+    .in('cache_key', [...new Set(keys)])
+    .order('created_at', { ascending: false });
+  if (error) throw error;
+  for (const row of data || []) {
+    if (row.url && !hits.has(row.cache_key)) hits.set(row.cache_key, row);
+  }
+  return hits;
+}
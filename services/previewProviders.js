@@ -0,0 +1,112 @@
+// services/previewProviders.js
+// Preview providers behind one interface, picked by PREVIEW_PROVIDER:
+//   submit({ imageUrl, prompt, roomType, designStyle, scalePxPerIn, dimensionsJson }) → { jobId, raw }
+// One submit per preview variant.
+//   status(jobId) → { state: 'processing' | 'ready' | 'failed', previewUrl, thumbUrl, raw }
+//   pollMs - wait between status calls
+//   rehost - whether finished images are copied into our bucket (services/previewStorage.js)
+// `decor8` calls the Decor8 API, `stub` finishes on the first poll with a placeholder image and
+// `mock` runs locally with a delay (and fails on request) to exercise the whole state machine.
+import crypto from 'node:crypto';
+import { submitPreviewJob, fetchPreviewStatus } from './decor8Client.js';
+
+const READY_STATES = ['ready', 'done', 'completed', 'complete', 'succeeded', 'success'];
+const FAILED_STATES = ['failed', 'error', 'canceled', 'cancelled'];
+
+const MOCK_DELAY_MS = Number(process.env.PREVIEW_MOCK_DELAY_MS || 8000);
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+
+// With a webhook secret Decor8 calls us back on completion; polling only sweeps up missed callbacks
+const DECOR8_WEBHOOKS = !!process.env.DECOR8_WEBHOOK_SECRET;
+const DECOR8_FALLBACK_POLL_MS = Number(process.env.DECOR8_FALLBACK_POLL_MS || 60 * 1000);
+
+export function providerState(raw) {
+  const s = String(raw || '').toLowerCase();
+  if (READY_STATES.includes(s)) return 'ready';
+  if (FAILED_STATES.includes(s)) return 'failed';
+  return 'processing';
+}
+
+const decor8 = {
+  name: 'decor8',
+  rehost: true,
+  pollMs: DECOR8_WEBHOOKS ? DECOR8_FALLBACK_POLL_MS : 4000,
+  async submit(input) {
+    const callbackUrl = DECOR8_WEBHOOKS ? `${PUBLIC_BASE_URL}/api/webhooks/decor8` : null;
+    const out = await submitPreviewJob({ ...input, callbackUrl });
+    return { jobId: out.jobId, raw: out.raw || null };
+  },
+  async status(jobId) {
+    const out = await fetchPreviewStatus(jobId);
+    return { state: providerState(out.status), previewUrl: out.preview_url, thumbUrl: out.thumb_url, raw: out.raw || null };
+  }
+};
+
+const stub = {
+  name: 'stub',
+  rehost: true,
+  pollMs: 0,
+  async submit() {
+    // Variants of one request are submitted in the same millisecond: keep their seeds apart
+    return { jobId: `stub_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`, raw: null };
+  },
+  async status(jobId) {
+    return {
+      state: 'ready',
+      previewUrl: `https://picsum.photos/seed/${jobId}/1600/1200`,
+      thumbUrl: `https://picsum.photos/seed/${jobId}/600/400`,
+      raw: { stub: true }
+    };
+  }
+};
+
+// Job ids carry their own start time, so status needs no shared state across restarts.
+// A prompt containing "[mock-fail]" fails once the delay has passed.
+const mock = {
+  name: 'mock',
+  // Served by this API already (and SVG, which the image pipeline does not take)
+  rehost: false,
+  pollMs: 1000,
+  async submit({ prompt }) {
+    const fail = String(prompt || '').includes('[mock-fail]');
+    return { jobId: `mock_${fail ? 'f' : 'r'}_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`, raw: { mock: true } };
+  },
+  async status(jobId) {
+    const [, outcome, startedAt] = String(jobId).split('_');
+    if (Date.now() - Number(startedAt) < MOCK_DELAY_MS) return { state: 'processing', previewUrl: null, thumbUrl: null, raw: { mock: true } };
+    if (outcome === 'f') return { state: 'failed', previewUrl: null, thumbUrl: null, raw: { mock: true } };
+    const url = `${PUBLIC_BASE_URL}/preview/mock/${encodeURIComponent(jobId)}.svg`;
+    return { state: 'ready', previewUrl: url, thumbUrl: url, raw: { mock: true } };
+  }
+};
+
+const PROVIDERS = { decor8, stub, mock };
+
+/** Placeholder image served for `mock` previews (GET /preview/mock/:jobId.svg) */
+export function mockPreviewSvg(jobId) {
+  const hue = parseInt(crypto.createHash('sha1').update(String(jobId)).digest('hex').slice(0, 2), 16) * 360 / 256;
+  const label = String(jobId).replace(/[^\w-]/g, '').slice(0, 40);
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="1600" height="1200" viewBox="0 0 1600 1200">
+<rect width="1600" height="1200" fill="hsl(${Math.round(hue)},45%,75%)"/>
+<text x="800" y="600" font-family="system-ui,sans-serif" font-size="64" text-anchor="middle" fill="#222">Mock preview</text>
+<text x="800" y="680" font-family="monospace" font-size="28" text-anchor="middle" fill="#444">${label}</text>
+</svg>`;
+}
+
+/**
+ * Provider named by PREVIEW_PROVIDER. Without it, a live DECOR8_BASE_URL selects decor8 and
+ * anything else the stub.
+ */
+export function getPreviewProvider(name = process.env.PREVIEW_PROVIDER) {
+  const base = process.env.DECOR8_BASE_URL;
+  const live = !!base && !base.startsWith('stub');
+  let key = (name || (live ? 'decor8' : 'stub')).toLowerCase();
+  // DECOR8_BASE_URL=stub|... keeps an explicit decor8 setting offline
+  if (key === 'decor8' && base?.startsWith('stub')) key = 'stub';
+  const provider = PROVIDERS[key];
+  if (!provider) {
+    console.warn('[preview] unknown PREVIEW_PROVIDER, using stub', key);
+    return stub;
+  }
+  return provider;
+}
@@ -0,0 +1,374 @@
+// services/previewService.js
+// The one preview pipeline: start/status for the API and the `preview` job that drives a
+// provider (services/previewProviders.js) to completion.
+// projects.preview_status: idle → queued → processing → ready | error. preview_job_id is
+// our queue job; each variant it generates is a `previews` row (services/previewVariants.js)
+// carrying its own provider job id. Variants already in the cache (services/previewCache.js)
+// are copied instead of generated; a request served entirely from it runs no job at all.
+// Finished images are rehosted in our bucket (services/previewStorage.js) before they show.
+// projects.status follows (services/projectLifecycle.js): preview_requested → preview_ready | preview_error.
+import { createClient } from '@supabase/supabase-js';
+import { getPreviewProvider } from './previewProviders.js';
+import { enqueueJob, latestJobFor, jobView, wakeJob } from './jobQueue.js';
+import { commitReservation, releaseReservation, extendReservation } from './entitlements.js';
+import { createPreviewRows, linkPreviewRows, deletePreviewRows, updatePreviewRow, selectPreview, previewRowView, listPreviews,
+  findPreviewByProviderJob, settlePreviewRow } from './previewVariants.js';
+import { rehostPreview, copyRehostedPreview } from './previewStorage.js';
+import { transitionProject } from './projectLifecycle.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+export const PREVIEW_JOB = 'preview';
+export const PREVIEW_STATES = ['idle', 'queued', 'processing', 'ready', 'error'];
+
+const POLL_TIMEOUT_MS = 10 * 60 * 1000;
+// PREVIEW_REHOST=0 keeps provider URLs as they are (offline development)
+const REHOST = process.env.PREVIEW_REHOST !== '0';
+const ACTIVE_JOB_STATUSES = ['queued', 'running'];
+
+// Values written by the older preview flows
+const LEGACY_STATES = { done: 'ready', complete: 'ready', completed: 'ready', pending: 'queued', requested: 'queued', failed: 'error', none: 'idle' };
+
+/** Map any stored preview_status onto PREVIEW_STATES */
+export function normalizePreviewStatus(status) {
+  const s = String(status || 'idle').toLowerCase();
+  if (PREVIEW_STATES.includes(s)) return s;
+  return LEGACY_STATES[s] || 'idle';
+}
+
+async function loadProject(projectId) {
+  const { data, error } = await supabase
+    .from('projects')
+    .select('id, preview_meta')
+    .eq('id', projectId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!data) throw Object.assign(new Error('project_not_found'), { permanent: true });
+  return data;
+}
+
+async function patchProject(projectId, patch) {
+  const { error } = await supabase
+    .from('projects')
+    .update({ ...patch, updated_at: new Date().toISOString() })
+    .eq('id', projectId);
+  if (error) throw error;
+}
+
+async function patchMeta(projectId, patch, meta) {
+  const project = await loadProject(projectId);
+  await patchProject(projectId, { ...patch, preview_meta: { ...(project.preview_meta || {}), ...meta } });
+}
+
+// Outcome of a preview job; a project that has since moved on keeps its status
+async function settleProject(job, to, patch, meta) {
+  const project = await loadProject(job.project_id);
+  await transitionProject(job.project_id, to, {
+    actor: { type: 'job', id: job.id },
+    reason: to === 'preview_ready' ? 'preview_job_succeeded' : 'preview_job_failed',
+    expect: 'preview_requested',
+    patch: { ...patch, preview_meta: { ...(project.preview_meta || {}), ...meta } }
+  });
+}
+
+/** The project's preview job while it is still queued or running, else null */
+export async function activePreviewJob(projectId) {
+  const job = await latestJobFor(projectId, PREVIEW_JOB);
+  return job && ACTIVE_JOB_STATUSES.includes(job.status) ? job : null;
+}
+
+/**
+ * Queue a preview generation for a project and mark it `queued`: one `previews` row per variant.
+ * Variants with a cache `hit` start out ready and are not submitted.
+ * @param {object} project - Row with id, input_image_url, goal, room_type, scale_px_per_in, dimensions_json
+ * @param {{ userId: string, reservationId?: string|null, prompt?: string, roomType?: string, requestKey?: string|null,
+ *   variants?: { index: number, designStyle: string|null, cacheKey?: string, hit?: object|null }[] }} opts
+ * @returns {Promise<object>} The queued job row
+ * @throws `409 preview_in_progress` when the project already has a queued or running preview job
+ */
+export async function enqueuePreviewJob(project, { userId, reservationId = null, prompt, roomType, requestKey = null, variants = [{ index: 0, designStyle: null }] } = {}) {
+  const provider = getPreviewProvider();
+  prompt = prompt ?? project.goal ?? '';
+  roomType = roomType ?? project.room_type ?? null;
+
+  const rows = await localizeCachedRows(project.id,
+    await createPreviewRows(project.id, { userId, provider: provider.name, prompt, roomType, variants }));
+  let job;
+  try {
+    job = await enqueueJob({
+      kind: PREVIEW_JOB,
+      projectId: project.id,
+      userId,
+      payload: {
+        reservationId,
+        provider: provider.name,
+        imageUrl: project.input_image_url,
+        prompt,
+        roomType,
+        scalePxPerIn: project.scale_px_per_in ?? null,
+        dimensionsJson: project.dimensions_json ?? null,
+        requestKey,
+        variants: rows.map(r => r.status === 'ready'
+          ? { previewId: r.id, index: r.variant_index, designStyle: r.design_style, providerJobId: null, state: 'ready', previewUrl: r.url, thumbUrl: r.thumb_url }
+          : { previewId: r.id, index: r.variant_index, designStyle: r.design_style, providerJobId: null })
+      }
+    });
+  } catch (e) {
+    await deletePreviewRows(rows.map(r => r.id));
+    // jobs_one_active_preview: a concurrent start queued its job first
+    if (e.code === '23505') {
+      throw Object.assign(new Error('A preview is already running for this project'), { status: 409, code: 'preview_in_progress' });
+    }
+    throw e;
+  }
+  await linkPreviewRows(rows.map(r => r.id), job.id);
+
+  await transitionProject(project.id, 'preview_requested', {
+    actor: { type: 'user', id: userId },
+    reason: 'preview_started',
+    meta: { job_id: job.id, variants: rows.length },
+    patch: {
+      preview_status: 'queued',
+      preview_job_id: job.id,
+      preview_url: null,
+      preview_meta: { provider: provider.name, reservationId, variants: rows.length, preview_ids: rows.map(r => r.id), request_key: requestKey }
+    }
+  });
+  return job;
+}
+
+// Cache hits point at the files of the project they were generated for; give each copy its own
+// files. A failed copy keeps the shared URLs rather than failing the request.
+async function localizeCachedRows(projectId, rows) {
+  const out = [];
+  for (const row of rows) {
+    if (!row.cached_from || !row.image_variants) {
+      out.push(row);
+      continue;
+    }
+    try {
+      const stored = await copyRehostedPreview(row.image_variants, projectId, row.id);
+      await updatePreviewRow(row.id, stored);
+      out.push({ ...row, ...stored });
+    } catch (e) {
+      console.warn('[preview cache] copy failed', row.id, e?.hint || e?.message || e);
+      out.push(row);
+    }
+  }
+  return out;
+}
+
+/**
+ * Serve a request entirely from the cache: copy the cached variants, select the first and mark
+ * the project ready. No job runs and no credit is spent.
+ * @param {object} project - Row with id
+ * @param {{ userId: string, prompt: string, roomType: string|null, requestKey: string,
+ *   variants: { index: number, designStyle: string|null, cacheKey: string, hit: object }[] }} opts
+ * @returns {Promise<object[]>} The new `previews` rows
+ */
+export async function reuseCachedPreviews(project, { userId, prompt, roomType, requestKey, variants }) {
+  const rows = await localizeCachedRows(project.id,
+    await createPreviewRows(project.id, { userId, provider: variants[0].hit.provider, prompt, roomType, variants }));
+  // Requested and served in one go; both steps land in the status history
+  const actor = { type: 'user', id: userId };
+  await transitionProject(project.id, 'preview_requested', { actor, reason: 'preview_started', meta: { cached: true } });
+  await transitionProject(project.id, 'preview_ready', {
+    actor,
+    reason: 'preview_cached',
+    meta: { variants: rows.length },
+    patch: {
+      preview_status: 'ready',
+      preview_url: rows[0].url,
+      preview_job_id: null,
+      preview_meta: {
+        provider: rows[0].provider,
+        variants: rows.length,
+        preview_ids: rows.map(r => r.id),
+        request_key: requestKey,
+        cached: true
+      }
+    }
+  });
+  await selectPreview(project.id, rows[0].id);
+  console.log('[preview cache] hit', { projectId: project.id, variants: rows.length });
+  return rows;
+}
+
+/**
+ * Status payload shared by every preview status endpoint
+ * @param {object} project - Row with id, preview_status, preview_url, preview_job_id, preview_meta
+ * @param {object|null} job - Latest `preview` job row
+ * @param {object[]} previews - `previews` rows of the current request
+ */
+export function previewView(project, job, previews = []) {
+  const status = normalizePreviewStatus(project.preview_status);
+  const previewUrl = status === 'ready' ? project.preview_url || null : null;
+  return {
+    projectId: project.id,
+    status: status === 'ready' && !previewUrl ? 'processing' : status,
+    preview_url: previewUrl,
+    url: previewUrl, // older clients read `url`
+    thumb_url: status === 'ready' ? project.preview_meta?.thumb_url || null : null,
+    selected_preview_id: project.preview_meta?.selected_preview_id || null,
+    provider: project.preview_meta?.provider || null,
+    error: status === 'error' ? project.preview_meta?.error || job?.last_error || 'preview_failed' : null,
+    jobId: project.preview_job_id || job?.id || null,
+    job: jobView(job),
+    variants: previews.map(previewRowView)
+  };
+}
+
+// Jobs queued before variants existed carry a single provider job at the top level
+function payloadVariants(p) {
+  if (Array.isArray(p.variants)) return p.variants;
+  return [{ previewId: null, index: 0, designStyle: null, providerJobId: p.providerJobId || null, submittedAt: p.submittedAt || null }];
+}
+
+// Failed variants are retried from scratch: clear their provider job ids
+function resubmitError(message, payload) {
+  const variants = payloadVariants(payload).map(v => ({ ...v, providerJobId: null, submittedAt: null, state: null }));
+  return Object.assign(new Error(message), { payload: { ...payload, variants } });
+}
+
+// A variant the provider finished: rehost its image, then mark the row ready. An unusable image
+// fails the variant; a failed download throws so the job retries.
+async function finishVariant(provider, projectId, v, previewUrl, thumbUrl) {
+  let stored = { url: previewUrl, thumb_url: thumbUrl || null, image_variants: null };
+  if (provider.rehost && REHOST) {
+    try {
+      stored = await rehostPreview(projectId, v.previewId || v.providerJobId, previewUrl);
+    } catch (e) {
+      if (!(e.status >= 400 && e.status < 500)) throw e;
+      console.warn('[preview job] unusable preview image', { projectId, previewId: v.previewId, code: e.code });
+      await updatePreviewRow(v.previewId, { status: 'error', error: e.code || 'invalid_image' });
+      return { ...v, state: 'failed', error: e.code || 'invalid_image' };
+    }
+  }
+  await updatePreviewRow(v.previewId, {
+    status: 'ready',
+    ...stored,
+    meta: { provider_url: previewUrl, provider_thumb_url: thumbUrl || null, rehosted: !!stored.image_variants }
+  });
+  return { ...v, state: 'ready', previewUrl: stored.url, thumbUrl: stored.thumb_url };
+}
+
+// Submit or poll one variant; returns its next payload entry. `row` is its `previews` row, where
+// a provider callback (routes/decor8Webhook.js) may already have left the result or failed it.
+async function advanceVariant(provider, projectId, p, v, row) {
+  if (v.state === 'ready' || v.state === 'failed') return v;
+
+  if (v.providerJobId && row?.provider_job_id === v.providerJobId) {
+    if (row.status === 'processing' && row.meta?.provider_url) {
+      return finishVariant(provider, projectId, v, row.meta.provider_url, row.meta.provider_thumb_url);
+    }
+    if (row.status === 'error') return { ...v, state: 'failed', error: row.error || `${provider.name}_job_failed` };
+  }
+
+  if (!v.providerJobId) {
+    const submit = await provider.submit({
+      imageUrl: p.imageUrl,
+      prompt: p.prompt,
+      roomType: p.roomType,
+      designStyle: v.designStyle,
+      scalePxPerIn: p.scalePxPerIn,
+      dimensionsJson: p.dimensionsJson
+    });
+    if (!submit.jobId) throw new Error(`${provider.name}_no_job_id`);
+    await updatePreviewRow(v.previewId, { status: 'processing', provider_job_id: submit.jobId, error: null });
+    return { ...v, providerJobId: submit.jobId, submittedAt: Date.now(), state: 'processing' };
+  }
+
+  const status = await provider.status(v.providerJobId);
+  if (status.state === 'ready' && status.previewUrl) return finishVariant(provider, projectId, v, status.previewUrl, status.thumbUrl);
+  const timedOut = Date.now() - (v.submittedAt || 0) > POLL_TIMEOUT_MS;
+  if (status.state === 'failed' || timedOut) {
+    const error = `${provider.name}_${timedOut && status.state !== 'failed' ? 'timeout' : 'job_failed'}`;
+    await updatePreviewRow(v.previewId, { status: 'error', error });
+    return { ...v, state: 'failed', error };
+  }
+  return v;
+}
+
+async function runPreviewJob(job) {
+  const p = job.payload || {};
+  await extendReservation(p.reservationId);
+  const provider = getPreviewProvider(p.provider);
+  const before = payloadVariants(p);
+  const polling = before.filter(v => v.providerJobId && v.previewId && v.state !== 'ready' && v.state !== 'failed');
+  const rows = polling.length ? await listPreviews(job.project_id, { ids: polling.map(v => v.previewId) }) : [];
+
+  const variants = [];
+  try {
+    for (const v of before) variants.push(await advanceVariant(provider, job.project_id, p, v, rows.find(r => r.id === v.previewId)));
+  } catch (e) {
+    // Keep what was already submitted so the retry does not submit it twice
+    e.payload = { ...p, provider: provider.name, variants: [...variants, ...before.slice(variants.length)] };
+    throw e;
+  }
+  const payload = { ...p, provider: provider.name, variants };
+
+  if (before.every(v => !v.providerJobId) && variants.some(v => v.providerJobId)) {
+    await patchMeta(job.project_id, { preview_status: 'processing' }, {
+      provider: provider.name,
+      provider_job_ids: variants.map(v => v.providerJobId).filter(Boolean),
+      submitted_at: new Date().toISOString(),
+      error: null
+    });
+    console.log('[preview job] submitted', { projectId: job.project_id, provider: provider.name, variants: variants.length });
+  }
+
+  if (variants.some(v => v.state !== 'ready' && v.state !== 'failed')) {
+    return { wait: provider.pollMs || 1000, payload };
+  }
+
+  const ready = variants.filter(v => v.state === 'ready');
+  if (!ready.length) throw resubmitError(variants[0].error || `${provider.name}_job_failed`, payload);
+
+  await settleProject(job, 'preview_ready', { preview_status: 'ready' }, { error: null });
+  if (ready[0].previewId) {
+    await selectPreview(job.project_id, ready[0].previewId);
+  } else {
+    await patchMeta(job.project_id, { preview_url: ready[0].previewUrl }, { thumb_url: ready[0].thumbUrl });
+  }
+  await commitReservation(p.reservationId);
+  console.log('[preview job] ready', { projectId: job.project_id, provider: provider.name, ready: ready.length, failed: variants.length - ready.length });
+  return { done: true, result: { preview_url: ready[0].previewUrl, previews: ready.map(v => v.previewId).filter(Boolean) } };
+}
+
+async function onPreviewDead(job, err) {
+  const p = job.payload || {};
+  await releaseReservation(p.reservationId, 'preview_job_dead');
+  for (const v of payloadVariants(p).filter(v => v.state !== 'ready')) {
+    await updatePreviewRow(v.previewId, { status: 'error', error: String(err?.message || err) })
+      .catch(e => console.warn('[preview job] variant status failed', v.previewId, e?.message || e));
+  }
+  await settleProject(job, 'preview_error', { preview_status: 'error' }, { error: String(err?.message || err) })
+    .catch(e => console.warn('[preview job] error status failed', job.project_id, e?.message || e));
+}
+
+/**
+ * A provider reported a job finished (webhook). A failure settles its variant row; a result is
+ * only noted in the row's meta (`provider_url`), the row stays `processing` until the preview job,
+ * woken here, rehosts the image. Nothing ever shows the provider's URL.
+ * @param {string} provider - Provider name
+ * @param {{ jobId: string, state: 'processing'|'ready'|'failed', previewUrl?: string, thumbUrl?: string }} update
+ * @returns {Promise<{ matched: boolean, applied?: boolean, previewId?: string, woke?: boolean }>}
+ */
+export async function applyPreviewCallback(provider, { jobId, state, previewUrl, thumbUrl }) {
+  const row = await findPreviewByProviderJob(provider, jobId);
+  if (!row) return { matched: false };
+  if (state === 'processing' || (state === 'ready' && !previewUrl)) return { matched: true, applied: false, previewId: row.id };
+
+  if (state === 'ready' && row.meta?.provider_url) return { matched: true, applied: false, previewId: row.id };
+
+  const applied = await settlePreviewRow(row.id, state === 'ready'
+    ? { status: 'processing', meta: { ...(row.meta || {}), provider_url: previewUrl, provider_thumb_url: thumbUrl || null }, error: null }
+    : { status: 'error', error: `${provider}_job_failed` });
+  const woke = applied && row.job_id ? await wakeJob(row.job_id) : false;
+  return { matched: true, applied, previewId: row.id, woke };
+}
+
+export const previewJobHandler = { run: runPreviewJob, onDead: onPreviewDead };
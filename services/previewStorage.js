@@ -0,0 +1,111 @@
+// services/previewStorage.js
+// Finished previews are copied out of the provider into our bucket: downloaded, validated and
+// re-encoded by lib/imageIngest.js, then stored as JPEG variants under
+// previews/<projectId>/<previewId>/. Provider links are third-party and may expire; ours are
+// permanent Supabase public URLs. The provider URL is kept in previews.meta.
+import fetch from 'node-fetch';
+import { createClient } from '@supabase/supabase-js';
+import { processImage, IMAGE_LIMITS, IMAGE_VARIANTS } from '../lib/imageIngest.js';
+import { assertPublicUrl, publicAgent } from '../lib/remoteUrl.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+const UPLOADS_BUCKET = process.env.EXPO_PUBLIC_UPLOADS_BUCKET || 'uploads';
+
+const DOWNLOAD_TIMEOUT_MS = Number(process.env.PREVIEW_DOWNLOAD_TIMEOUT_MS || 30 * 1000);
+const MAX_REDIRECTS = 3;
+
+function storageError(message, status, code, hint) {
+  return Object.assign(new Error(message), { status, code, hint });
+}
+
+/** Storage keys (uploads bucket) of a rehosted preview; [] when it was never rehosted */
+export function previewStorageKeys(imageVariants) {
+  if (!imageVariants) return [];
+  return IMAGE_VARIANTS.map(({ name }) => imageVariants[name]?.path).filter(Boolean);
+}
+
+function storedView(stored, source) {
+  return {
+    url: stored.full.url,
+    thumb_url: stored.thumb.url,
+    image_variants: { source, ...stored, created_at: new Date().toISOString() }
+  };
+}
+
+/**
+ * Fetch an image with the upload size limit and a timeout. The URL may come from a user, so only
+ * public hosts are fetched (lib/remoteUrl.js), and every redirect is checked the same way.
+ * @returns {Promise<Buffer>} Throws `400 invalid_url`, `413 image_too_large` or `502 image_download_failed`
+ */
+export async function downloadImage(raw) {
+  try {
+    const signal = AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS);
+    let url = assertPublicUrl(raw);
+    for (let hops = 0; ; hops++) {
+      const res = await fetch(url, { size: IMAGE_LIMITS.maxBytes, signal, redirect: 'manual', agent: publicAgent(url) });
+      const location = res.status >= 300 && res.status < 400 ? res.headers.get('location') : null;
+      if (location) {
+        if (hops >= MAX_REDIRECTS) throw new Error('Too many redirects');
+        url = assertPublicUrl(new URL(location, url));
+        continue;
+      }
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return Buffer.from(await res.arrayBuffer());
+    }
+  } catch (e) {
+    if (e.code === 'invalid_url') throw storageError(e.message, 400, 'invalid_url');
+    if (e.code === 'EADDRNOTPUBLIC' || e.cause?.code === 'EADDRNOTPUBLIC') {
+      throw storageError('URL must point at a public host', 400, 'invalid_url');
+    }
+    if (e.type === 'max-size') throw storageError('Image is too large', 413, 'image_too_large');
+    throw storageError('Could not download image', 502, 'image_download_failed', e.message || String(e));
+  }
+}
+
+/**
+ * Download a provider image and store its variants
+ * @param {string} projectId
+ * @param {string} previewKey - Folder under previews/<projectId>/ (the previews row id)
+ * @param {string} url - Provider URL
+ * @returns {Promise<{ url: string, thumb_url: string, image_variants: object }>} `url` is the
+ *   `full` variant; throws `{ code, status }`: 502 when the download fails (worth retrying),
+ *   4xx when the image itself is unusable
+ */
+export async function rehostPreview(projectId, previewKey, url) {
+  const buffer = await downloadImage(url);
+  const { source, variants } = await processImage(buffer);
+  const stored = {};
+  for (const v of variants) {
+    const path = `previews/${projectId}/${previewKey}/${v.name}.jpg`;
+    const { error } = await supabase.storage
+      .from(UPLOADS_BUCKET)
+      .upload(path, v.buffer, { contentType: v.contentType, cacheControl: '31536000', upsert: true });
+    if (error) throw storageError('Upload failed', 502, 'upload_failed', error.message);
+    const { data: pub } = supabase.storage.from(UPLOADS_BUCKET).getPublicUrl(path);
+    stored[v.name] = { url: pub?.publicUrl || null, path, width: v.width, height: v.height, bytes: v.bytes };
+  }
+
+  console.log('[preview storage] rehosted', { projectId, previewKey, type: source.type, width: source.width, height: source.height });
+  return storedView(stored, source);
+}
+
+/**
+ * Copy an already rehosted preview into another project's folder (cache hits), so deleting
+ * the project it was generated for does not break the copy
+ * @returns {Promise<{ url: string, thumb_url: string, image_variants: object }>}
+ */
+export async function copyRehostedPreview(imageVariants, projectId, previewKey) {
+  const stored = {};
+  for (const { name } of IMAGE_VARIANTS) {
+    const from = imageVariants[name];
+    const path = `previews/${projectId}/${previewKey}/${name}.jpg`;
+    const { error } = await supabase.storage.from(UPLOADS_BUCKET).copy(from.path, path);
+    if (error) throw storageError('Copy failed', 502, 'upload_failed', error.message);
+    const { data: pub } = supabase.storage.from(UPLOADS_BUCKET).getPublicUrl(path);
+    stored[name] = { ...from, url: pub?.publicUrl || null, path };
+  }
+  return storedView(stored, imageVariants.source);
+}
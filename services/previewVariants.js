@@ -0,0 +1,224 @@
+// services/previewVariants.js
+// Preview variants (table `previews`): one row per generated image with the style, room type
+// and prompt it was generated with. A preview request creates N rows (listed in
+// preview_meta.preview_ids); rows served from the cache (services/previewCache.js) start out
+// ready. The selected row (at most one per project) is mirrored into projects.preview_url.
+import { createClient } from '@supabase/supabase-js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Values accepted by Decor8's design_style / room_type; the stub and mock providers ignore them
+export const DESIGN_STYLES = [
+  'minimalist', 'scandinavian', 'industrial', 'boho', 'traditional', 'artdeco', 'midcenturymodern',
+  'coastal', 'tropical', 'eclectic', 'contemporary', 'frenchcountry', 'rustic', 'shabbychic', 'vintage',
+  'country', 'modern', 'asian_zen', 'hollywoodregency', 'bauhaus', 'mediterranean', 'farmhouse',
+  'victorian', 'gothic', 'moroccan', 'southwestern', 'transitional', 'maximalist', 'japandi',
+  'cottagecore', 'organicmodern', 'warmminimalist'
+];
+
+export const ROOM_TYPES = [
+  'livingroom', 'kitchen', 'diningroom', 'bedroom', 'bathroom', 'kidsroom', 'familyroom', 'readingnook',
+  'sunroom', 'walkincloset', 'mudroom', 'office', 'foyer', 'powderroom', 'laundryroom', 'gym',
+  'basement', 'garage', 'balcony', 'homebar', 'study_room', 'front_porch', 'back_porch', 'back_patio'
+];
+
+const PREVIEW_COLUMNS = 'id, project_id, job_id, variant_index, design_style, room_type, prompt, provider, provider_job_id, status, url, thumb_url, error, is_selected, cache_key, cached_from, image_variants, meta, created_at, updated_at';
+
+function previewError(message, status, code) {
+  return Object.assign(new Error(message), { status, code });
+}
+
+/** "Living Room" → "livingroom"; null when it is not a known room type */
+export function normalizeRoomType(raw) {
+  const key = String(raw || '').trim().toLowerCase().replace(/[\s-]+/g, '');
+  if (ROOM_TYPES.includes(key)) return key;
+  const snake = String(raw || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  return ROOM_TYPES.includes(snake) ? snake : null;
+}
+
+/**
+ * Spread `count` variants over `styles` in turn (no styles: the provider's default style)
+ * @returns {{ index: number, designStyle: string|null }[]}
+ */
+export function planVariants(count, styles = []) {
+  return Array.from({ length: count }, (_, index) => ({
+    index,
+    designStyle: styles.length ? styles[index % styles.length] : null
+  }));
+}
+
+/** Public shape of a `previews` row */
+export function previewRowView(row) {
+  return {
+    id: row.id,
+    variant_index: row.variant_index,
+    design_style: row.design_style,
+    room_type: row.room_type,
+    prompt: row.prompt,
+    provider: row.provider,
+    status: row.status,
+    url: row.status === 'ready' ? row.url : null,
+    thumb_url: row.status === 'ready' ? row.thumb_url || row.url : null,
+    error: row.status === 'error' ? row.error : null,
+    cached: !!row.cached_from,
+    selected: !!row.is_selected,
+    created_at: row.created_at
+  };
+}
+
+/**
+ * Insert the rows for one preview request (linked to its job with linkPreviewRows): `queued`,
+ * or `ready` with the cached row's images for variants that have a `hit`
+ * @param {string} projectId
+ * @param {{ userId: string, provider: string, prompt: string, roomType: string|null,
+ *   variants: { index, designStyle, cacheKey?, hit? }[] }} opts
+ * @returns {Promise<object[]>} Rows in variant order
+ */
+export async function createPreviewRows(projectId, { userId, provider, prompt, roomType, variants }) {
+  const { data, error } = await supabase
+    .from('previews')
+    .insert(variants.map(v => ({
+      project_id: projectId,
+      user_id: userId,
+      variant_index: v.index,
+      design_style: v.designStyle,
+      room_type: roomType,
+      prompt,
+      provider: v.hit?.provider || provider,
+      status: v.hit ? 'ready' : 'queued',
+      url: v.hit?.url || null,
+      thumb_url: v.hit?.thumb_url || null,
+      image_variants: v.hit?.image_variants || null,
+      meta: v.hit?.meta || null,
+      cache_key: v.cacheKey || null,
+      cached_from: v.hit?.id || null,
+      is_selected: false
+    })))
+    .select(PREVIEW_COLUMNS);
+  if (error) throw error;
+  return (data || []).sort((a, b) => a.variant_index - b.variant_index);
+}
+
+export async function linkPreviewRows(previewIds, jobId) {
+  const { error } = await supabase.from('previews').update({ job_id: jobId }).in('id', previewIds);
+  if (error) throw error;
+}
+
+export async function deletePreviewRows(previewIds) {
+  const { error } = await supabase.from('previews').delete().in('id', previewIds);
+  if (error) console.warn('[previews] cleanup failed', error.message);
+}
+
+export async function updatePreviewRow(previewId, patch) {
+  if (!previewId) return;
+  const { error } = await supabase
+    .from('previews')
+    .update({ ...patch, updated_at: new Date().toISOString() })
+    .eq('id', previewId);
+  if (error) throw error;
+}
+
+/** The row a provider job belongs to (null when unknown, e.g. it was resubmitted since) */
+export async function findPreviewByProviderJob(provider, providerJobId) {
+  const { data, error } = await supabase
+    .from('previews')
+    .select(PREVIEW_COLUMNS)
+    .eq('provider', provider)
+    .eq('provider_job_id', providerJobId)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Update a row still queued/processing (callbacks use it to fail the row or note a result);
+ * false when it had already settled
+ * @returns {Promise<boolean>}
+ */
+export async function settlePreviewRow(previewId, patch) {
+  const { data, error } = await supabase
+    .from('previews')
+    .update({ ...patch, updated_at: new Date().toISOString() })
+    .eq('id', previewId)
+    .in('status', ['queued', 'processing'])
+    .select('id');
+  if (error) throw error;
+  return !!data?.length;
+}
+
+/**
+ * A project's previews, newest request first
+ * @param {string} projectId
+ * @param {{ ids?: string[], jobId?: string }} opts - Only the variants of one request
+ */
+export async function listPreviews(projectId, { ids = null, jobId = null } = {}) {
+  let query = supabase
+    .from('previews')
+    .select(PREVIEW_COLUMNS)
+    .eq('project_id', projectId);
+  if (ids) query = query.in('id', ids);
+  if (jobId) query = query.eq('job_id', jobId);
+  const { data, error } = await query
+    .order('created_at', { ascending: false })
+    .order('variant_index', { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Make a ready variant the project's preview: it becomes preview_url (and the meta thumb_url)
+ * @returns {Promise<object>} The selected row
+ */
+export async function selectPreview(projectId, previewId) {
+  const { data: row, error } = await supabase
+    .from('previews')
+    .select(PREVIEW_COLUMNS)
+    .eq('id', previewId)
+    .eq('project_id', projectId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!row) throw previewError('Preview not found', 404, 'preview_not_found');
+  if (row.status !== 'ready' || !row.url) throw previewError('Only a ready preview can be selected', 409, 'preview_not_ready');
+
+  const { data: project, error: projErr } = await supabase
+    .from('projects')
+    .select('preview_status, preview_meta')
+    .eq('id', projectId)
+    .maybeSingle();
+  if (projErr) throw projErr;
+  // The running request would replace the selection when it finishes
+  if (['queued', 'processing'].includes(project?.preview_status)) {
+    throw previewError('A preview is being generated', 409, 'preview_in_progress');
+  }
+
+  const { error: clearErr } = await supabase
+    .from('previews')
+    .update({ is_selected: false })
+    .eq('project_id', projectId)
+    .neq('id', previewId);
+  if (clearErr) throw clearErr;
+  const { error: setErr } = await supabase.from('previews').update({ is_selected: true }).eq('id', previewId);
+  if (setErr) throw setErr;
+
+  const { error: upErr } = await supabase
+    .from('projects')
+    .update({
+      preview_url: row.url,
+      preview_status: 'ready',
+      preview_meta: {
+        ...(project?.preview_meta || {}),
+        thumb_url: row.thumb_url || null,
+        provider_url: row.meta?.provider_url || null,
+        selected_preview_id: row.id
+      },
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', projectId);
+  if (upErr) throw upErr;
+
+  console.log('[previews] selected', { projectId, previewId });
+  return { ...row, is_selected: true };
+}
@@ -0,0 +1,68 @@
+// services/projectImages.js
+// Uploaded room photos go through lib/imageIngest.js and are stored as JPEG variants under
+// projects/<id>/images/<hash>/. The 1600px `large` variant becomes input_image_url (what
+// previews and Decor8 see); all variants are recorded in projects.image_variants.
+import crypto from 'node:crypto';
+import multer from 'multer';
+import { createClient } from '@supabase/supabase-js';
+import { processImage, IMAGE_LIMITS } from '../lib/imageIngest.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+const UPLOADS_BUCKET = process.env.EXPO_PUBLIC_UPLOADS_BUCKET || 'uploads';
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMAGE_LIMITS.maxBytes, files: 1 }
+});
+
+/**
+ * multer.any() with the image size limit; limit errors become `413 image_too_large`
+ * (or `400 too_many_files`) for the unified error handler
+ */
+export function acceptImageUpload(req, res, next) {
+  upload.any()(req, res, err => {
+    if (!(err instanceof multer.MulterError)) return next(err);
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return next(Object.assign(new Error(`Image exceeds ${Math.round(IMAGE_LIMITS.maxBytes / 1048576)} MB`), { status: 413, code: 'image_too_large' }));
+    }
+    if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+      return next(Object.assign(new Error('Upload a single image'), { status: 400, code: 'too_many_files' }));
+    }
+    next(Object.assign(err, { status: 400, code: 'invalid_upload' }));
+  });
+}
+
+/**
+ * Process an uploaded photo and store its variants
+ * @param {string} projectId
+ * @param {Buffer} buffer - Raw upload
+ * @returns {Promise<{ input_image_url: string, image_variants: object }>} `image_variants` holds
+ *   `{ hash, source, full, large, thumb }` with each variant's url and storage path;
+ *   throws `{ code, status }` for rejected images and `upload_failed` when storage fails
+ */
+export async function ingestProjectImage(projectId, buffer) {
+  const { source, variants } = await processImage(buffer);
+  const hash = crypto.createHash('sha1').update(buffer).digest('hex').slice(0, 16);
+
+  const stored = {};
+  for (const v of variants) {
+    const path = `projects/${projectId}/images/${hash}/${v.name}.jpg`;
+    const { error } = await supabase.storage
+      .from(UPLOADS_BUCKET)
+      .upload(path, v.buffer, { contentType: v.contentType, cacheControl: '31536000', upsert: true });
+    if (error) {
+      throw Object.assign(new Error('Upload failed'), { code: 'upload_failed', status: 502, hint: error.message });
+    }
+    const { data: pub } = supabase.storage.from(UPLOADS_BUCKET).getPublicUrl(path);
+    stored[v.name] = { url: pub?.publicUrl || null, path, width: v.width, height: v.height, bytes: v.bytes };
+  }
+
+  console.log('[image ingest] stored', { projectId, hash, type: source.type, width: source.width, height: source.height, bytes: source.bytes });
+  return {
+    input_image_url: stored.large.url,
+    image_variants: { hash, source, ...stored, created_at: new Date().toISOString() }
+  };
+}
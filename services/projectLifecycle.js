@@ -0,0 +1,183 @@
+// services/projectLifecycle.js
+// projects.status state machine. Every status write goes through transitionProject, which checks
+// the move against TRANSITIONS, applies it with a compare-and-set on the old status and appends a
+// project_status_history row (who, why, from, to).
+//
+//   draft ─┬─→ preview_requested ─→ preview_ready | preview_error
+//          ├─→ ready (building without a preview)
+//          ├─→ plan_requested ─→ plan_ready | plan_error
+//          └─→ active (a plan was saved by hand or restored)
+//
+// A project waiting on a job (preview_requested, plan_requested) only leaves through the job's
+// outcome, so nothing else can move it while the worker runs.
+import { createClient } from '@supabase/supabase-js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Outside the waiting states: start a preview or a plan, skip the preview, or save a plan
+const IDLE_NEXT = ['preview_requested', 'ready', 'plan_requested', 'plan_ready', 'active'];
+
+const TRANSITIONS = {
+  draft: IDLE_NEXT,
+  preview_requested: ['preview_ready', 'preview_error'],
+  preview_ready: IDLE_NEXT,
+  preview_error: IDLE_NEXT,
+  ready: ['preview_requested', 'plan_requested', 'plan_ready', 'active'],
+  plan_requested: ['plan_ready', 'plan_error'],
+  plan_ready: ['preview_requested', 'plan_requested', 'active'],
+  plan_error: IDLE_NEXT,
+  active: ['preview_requested', 'plan_requested', 'plan_ready']
+};
+
+export const PROJECT_STATUSES = Object.keys(TRANSITIONS);
+
+// What a client may ask for directly; the waiting states and job outcomes are only ever set by
+// the endpoints that start a job and by the job itself
+export const CLIENT_STATUSES = ['ready', 'active'];
+
+// Values older code and clients wrote; anything else unknown is treated as draft. `planning` had
+// no job behind it, so it reads as draft rather than a waiting state nothing would ever leave
+const LEGACY_STATUSES = { new: 'draft', planning: 'draft' };
+
+// Own keys only, so `constructor` and friends are not statuses
+function isStatus(s) {
+  return typeof s === 'string' && Object.hasOwn(TRANSITIONS, s);
+}
+
+function lifecycleError(message, status, code, hint) {
+  return Object.assign(new Error(message), { status, code, hint });
+}
+
+/** Canonical status for a stored value, or null when it is not one we know */
+export function normalizeProjectStatus(status) {
+  const s = String(status ?? '').trim().toLowerCase();
+  if (isStatus(s)) return s;
+  return Object.hasOwn(LEGACY_STATUSES, s) ? LEGACY_STATUSES[s] : null;
+}
+
+/** Statuses reachable from `status` (staying put is always allowed) */
+export function allowedTransitions(status) {
+  return TRANSITIONS[normalizeProjectStatus(status) || 'draft'];
+}
+
+/**
+ * Throw unless `from` → `to` is allowed
+ * @throws `400 invalid_status` for an unknown target, `409 invalid_status_transition`
+ */
+export function assertTransition(from, to) {
+  if (!isStatus(to)) {
+    throw lifecycleError(`Unknown status "${to}"`, 400, 'invalid_status', `One of: ${PROJECT_STATUSES.join(', ')}`);
+  }
+  const current = normalizeProjectStatus(from) || 'draft';
+  if (current === to || TRANSITIONS[current].includes(to)) return;
+  throw lifecycleError(`Cannot move a project from ${current} to ${to}`, 409, 'invalid_status_transition',
+    `Allowed from ${current}: ${TRANSITIONS[current].join(', ')}`);
+}
+
+/**
+ * Throw unless a client may set `to` itself
+ * @param {string} to
+ * @param {string[]} [also] - Extra statuses this request makes true (a manual plan save: plan_ready)
+ * @throws `400 invalid_status` for an unknown or job-owned status
+ */
+export function assertClientStatus(to, also = []) {
+  const allowed = [...CLIENT_STATUSES, ...also];
+  if (allowed.includes(to)) return;
+  throw lifecycleError(isStatus(to) ? `Status ${to} is set by the server` : `Unknown status "${to}"`, 400, 'invalid_status',
+    `Allowed here: ${allowed.join(', ')}`);
+}
+
+async function recordHistory(projectId, from, to, { actor, reason, meta }) {
+  const { error } = await supabase.from('project_status_history').insert({
+    project_id: projectId,
+    from_status: from ?? null,
+    to_status: to,
+    actor_type: actor?.type || 'system',
+    actor_id: actor?.id != null ? String(actor.id) : null,
+    reason: reason || null,
+    meta: meta || {}
+  });
+  // The status itself is already written; a lost history row is logged, not surfaced
+  if (error) console.error('[lifecycle] history insert failed', { projectId, from, to, error: error.message });
+}
+
+/**
+ * Move a project to `to`, writing `patch` in the same update
+ * @param {string} projectId
+ * @param {string} to
+ * @param {{ actor: { type: 'user'|'job'|'system', id?: string }, reason?: string, patch?: object,
+ *   meta?: object, expect?: string, exclusive?: boolean }} opts - `expect` is for job outcomes: when
+ *   the project has since left that status (e.g. forced ready by hand), only `patch` is written.
+ *   `exclusive` makes the move a claim: of two concurrent requests only one gets it
+ * @returns {Promise<{ from: string|null, to: string, changed: boolean }>}
+ * @throws `409 already_in_status` when `exclusive` and the project is already in `to`
+ */
+export async function transitionProject(projectId, to, { actor, reason = null, patch = {}, meta = null, expect = null, exclusive = false } = {}) {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const { data: current, error } = await supabase
+      .from('projects')
+      .select('id, status')
+      .eq('id', projectId)
+      .maybeSingle();
+    if (error) throw error;
+    if (!current) throw lifecycleError('Project not found', 404, 'project_not_found');
+
+    const from = normalizeProjectStatus(current.status) || 'draft';
+    if (expect && from !== expect && from !== to) {
+      if (Object.keys(patch).length) {
+        const { error: patchErr } = await supabase
+          .from('projects')
+          .update({ ...patch, updated_at: new Date().toISOString() })
+          .eq('id', projectId);
+        if (patchErr) throw patchErr;
+      }
+      console.log('[lifecycle] skipped', { projectId, status: current.status, to, expect, reason });
+      return { from: current.status, to: current.status, changed: false };
+    }
+    if (exclusive && from === to) {
+      throw lifecycleError(`Project is already ${to}`, 409, 'already_in_status');
+    }
+    assertTransition(current.status, to);
+
+    // Compare-and-set: a concurrent transition makes this match nothing, and we re-check
+    let update = supabase
+      .from('projects')
+      .update({ ...patch, status: to, updated_at: new Date().toISOString() })
+      .eq('id', projectId);
+    update = current.status == null ? update.is('status', null) : update.eq('status', current.status);
+    const { data: updated, error: updErr } = await update.select('id').maybeSingle();
+    if (updErr) throw updErr;
+    if (!updated) continue;
+
+    const changed = current.status !== to;
+    if (changed) {
+      await recordHistory(projectId, current.status, to, { actor, reason, meta });
+      console.log('[lifecycle] transition', { projectId, from: current.status, to, actor: actor?.type, reason });
+    }
+    return { from: current.status, to, changed };
+  }
+  throw lifecycleError('Project status changed concurrently', 409, 'status_conflict', 'Retry the request');
+}
+
+/** History row for a freshly inserted project (there is no previous status) */
+export async function recordInitialStatus(projectId, status, { actor, reason = 'created', meta = null } = {}) {
+  await recordHistory(projectId, null, status, { actor, reason, meta });
+}
+
+/**
+ * Status changes of a project, newest first
+ * @returns {Promise<object[]>} { id, from_status, to_status, actor_type, actor_id, reason, meta, created_at }
+ */
+export async function listStatusHistory(projectId, { limit = 100 } = {}) {
+  const { data, error } = await supabase
+    .from('project_status_history')
+    .select('id, from_status, to_status, actor_type, actor_id, reason, meta, created_at')
+    .eq('project_id', projectId)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+  if (error) throw error;
+  return data || [];
+}
@@ -0,0 +1,168 @@
+// services/projectPhotos.js
+// A project's photos (project_photos), ordered by `position`, at most one `is_primary`.
+// The primary photo is mirrored into projects.input_image_url / image_variants, which is
+// what preview and plan generation read; with no photos left both are cleared.
+import { createClient } from '@supabase/supabase-js';
+import { ingestProjectImage } from './projectImages.js';
+import { IMAGE_VARIANTS } from '../lib/imageIngest.js';
+import { assertPublicUrl } from '../lib/remoteUrl.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+const UPLOADS_BUCKET = process.env.EXPO_PUBLIC_UPLOADS_BUCKET || 'uploads';
+
+export const MAX_PHOTOS = Number(process.env.MAX_PROJECT_PHOTOS || 20);
+
+const PHOTO_COLUMNS = 'id, project_id, url, variants, source, position, is_primary, created_at';
+
+function photoError(message, status, code) {
+  return Object.assign(new Error(message), { status, code });
+}
+
+/** Storage keys (uploads bucket) of a photo's variants; [] for linked URLs */
+export function photoStorageKeys(photo) {
+  const v = photo?.variants;
+  if (!v) return [];
+  return IMAGE_VARIANTS.map(({ name }) => v[name]?.path).filter(Boolean);
+}
+
+/** Photos in display order */
+export async function listPhotos(projectId) {
+  const { data, error } = await supabase
+    .from('project_photos')
+    .select(PHOTO_COLUMNS)
+    .eq('project_id', projectId)
+    .order('position', { ascending: true })
+    .order('created_at', { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
+
+async function syncProjectImage(projectId, photo) {
+  const { error } = await supabase
+    .from('projects')
+    .update({ input_image_url: photo?.url || null, image_variants: photo?.variants || null })
+    .eq('id', projectId);
+  if (error) throw Object.assign(new Error('Failed to update project'), { code: 'update_failed', hint: error.message });
+}
+
+/**
+ * Make `photoId` the primary photo (clears the flag on the others first)
+ * @returns {Promise<object>} The photo row
+ */
+export async function setPrimaryPhoto(projectId, photoId) {
+  const { data: photo, error } = await supabase
+    .from('project_photos')
+    .select(PHOTO_COLUMNS)
+    .eq('id', photoId)
+    .eq('project_id', projectId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!photo) throw photoError('Photo not found', 404, 'photo_not_found');
+
+  const { error: clearErr } = await supabase
+    .from('project_photos')
+    .update({ is_primary: false })
+    .eq('project_id', projectId)
+    .neq('id', photoId);
+  if (clearErr) throw clearErr;
+  const { error: setErr } = await supabase.from('project_photos').update({ is_primary: true }).eq('id', photoId);
+  if (setErr) throw setErr;
+
+  await syncProjectImage(projectId, photo);
+  return { ...photo, is_primary: true };
+}
+
+/**
+ * Add a photo from an upload (run through the image pipeline) or an external URL.
+ * The first photo of a project is always primary.
+ * @param {string} projectId
+ * @param {{ buffer?: Buffer, url?: string, userId?: string, primary?: boolean }} opts
+ * @returns {Promise<object>} The photo row
+ */
+export async function addPhoto(projectId, { buffer = null, url = null, userId = null, primary = false } = {}) {
+  const existing = await listPhotos(projectId);
+  if (existing.length >= MAX_PHOTOS) {
+    throw photoError(`A project can hold at most ${MAX_PHOTOS} photos`, 409, 'too_many_photos');
+  }
+
+  let row;
+  if (buffer) {
+    const stored = await ingestProjectImage(projectId, buffer);
+    row = { url: stored.input_image_url, variants: stored.image_variants, source: 'upload' };
+  } else {
+    // Linked photos are fetched later (compare images), so only public hosts are accepted
+    assertPublicUrl(url);
+    row = { url, variants: null, source: 'url' };
+  }
+
+  const position = existing.reduce((max, p) => Math.max(max, p.position + 1), 0);
+  const { data: photo, error } = await supabase
+    .from('project_photos')
+    .insert({ ...row, project_id: projectId, user_id: userId, position, is_primary: false })
+    .select(PHOTO_COLUMNS)
+    .single();
+  if (error) throw Object.assign(new Error('Failed to save photo'), { code: 'photo_save_failed', hint: error.message });
+
+  console.log('[photos] added', { projectId, photoId: photo.id, source: row.source, position });
+  if (primary || !existing.some(p => p.is_primary)) return setPrimaryPhoto(projectId, photo.id);
+  return photo;
+}
+
+/**
+ * Delete a photo and its stored variants. When it was primary the next photo in order
+ * takes over.
+ * @returns {Promise<{ removed: object, primary: object|null }>}
+ */
+export async function deletePhoto(projectId, photoId) {
+  const photos = await listPhotos(projectId);
+  const photo = photos.find(p => p.id === photoId);
+  if (!photo) throw photoError('Photo not found', 404, 'photo_not_found');
+
+  const { error } = await supabase.from('project_photos').delete().eq('id', photoId);
+  if (error) throw error;
+
+  // The same file uploaded twice shares its variants: keep them while still referenced
+  const rest = photos.filter(p => p.id !== photoId);
+  const hash = photo.variants?.hash;
+  const shared = hash && rest.some(p => p.variants?.hash === hash);
+  const keys = shared ? [] : photoStorageKeys(photo);
+  if (keys.length) {
+    const { error: rmErr } = await supabase.storage.from(UPLOADS_BUCKET).remove(keys);
+    if (rmErr) console.warn('[photos] storage remove failed', photoId, rmErr.message);
+  }
+
+  let primary = rest.find(p => p.is_primary) || null;
+  if (photo.is_primary) {
+    primary = rest.length ? await setPrimaryPhoto(projectId, rest[0].id) : null;
+    if (!primary) await syncProjectImage(projectId, null);
+  }
+
+  console.log('[photos] deleted', { projectId, photoId, filesRemoved: keys.length });
+  return { removed: photo, primary };
+}
+
+/**
+ * Reorder photos; `photoIds` must list every photo of the project exactly once
+ * @returns {Promise<object[]>} Photos in the new order
+ */
+export async function reorderPhotos(projectId, photoIds) {
+  const photos = await listPhotos(projectId);
+  const ids = new Set(photos.map(p => p.id));
+  const unique = new Set(photoIds);
+  if (unique.size !== photoIds.length || unique.size !== ids.size || photoIds.some(id => !ids.has(id))) {
+    throw Object.assign(photoError('photo_ids must list every photo of the project once', 400, 'invalid_photo_order'), {
+      hint: photos.map(p => p.id)
+    });
+  }
+
+  for (const [position, id] of photoIds.entries()) {
+    const current = photos.find(p => p.id === id);
+    if (current.position === position) continue;
+    const { error } = await supabase.from('project_photos').update({ position }).eq('id', id);
+    if (error) throw error;
+  }
+  return listPhotos(projectId);
+}
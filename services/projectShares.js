@@ -0,0 +1,151 @@
+// services/projectShares.js
+// Read-only share links: the owner mints a random token (optionally expiring) and anyone holding
+// /s/<token> can see the project's public view (lib/sharePage.js). Revoking sets revoked_at; the
+// row stays so its views keep counting in the history. Every view is an `events` row
+// (`share_viewed`, props.share_id) attributed to the owner.
+import crypto from 'node:crypto';
+import { createClient } from '@supabase/supabase-js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+export const SHARE_MAX_DAYS = 365;
+export const SHARE_TOKEN_RE = /^[A-Za-z0-9_-]{24}$/;
+const SHARE_VIEW_EVENT = 'share_viewed';
+
+function shareError(message, status, code, hint) {
+  return Object.assign(new Error(message), { status, code, hint });
+}
+
+export function shareUrl(token) {
+  return `${PUBLIC_BASE_URL}/s/${token}`;
+}
+
+function shareState(row, now = Date.now()) {
+  if (row.revoked_at) return 'revoked';
+  if (row.expires_at && Date.parse(row.expires_at) <= now) return 'expired';
+  return 'active';
+}
+
+function shareView(row, views = 0) {
+  return {
+    id: row.id,
+    url: shareUrl(row.token),
+    token: row.token,
+    state: shareState(row),
+    expires_at: row.expires_at,
+    revoked_at: row.revoked_at,
+    created_at: row.created_at,
+    views
+  };
+}
+
+async function countViews(shareId) {
+  const { count, error } = await supabase
+    .from('events')
+    .select('id', { count: 'exact', head: true })
+    .eq('event_type', SHARE_VIEW_EVENT)
+    .eq('props->>share_id', shareId);
+  if (error) {
+    console.warn('[shares] view count failed', shareId, error.message);
+    return null;
+  }
+  return count ?? 0;
+}
+
+/**
+ * Mint a share link
+ * @param {string} projectId
+ * @param {{ userId: string, expiresAt?: string|null }} opts - No `expiresAt` means it never expires
+ */
+export async function createShare(projectId, { userId, expiresAt = null }) {
+  const token = crypto.randomBytes(18).toString('base64url');
+  const { data, error } = await supabase
+    .from('project_shares')
+    .insert({ project_id: projectId, user_id: userId, token, expires_at: expiresAt })
+    .select('*')
+    .single();
+  if (error) throw shareError('Could not create share link', 500, 'create_share_failed', error.message);
+
+  console.log('[shares] created', { projectId, shareId: data.id, expiresAt });
+  return shareView(data);
+}
+
+/** Every share link of a project, newest first, with view counts */
+export async function listShares(projectId) {
+  const { data, error } = await supabase
+    .from('project_shares')
+    .select('*')
+    .eq('project_id', projectId)
+    .order('created_at', { ascending: false });
+  if (error) throw error;
+  return Promise.all((data || []).map(async row => shareView(row, await countViews(row.id))));
+}
+
+/** Revoke a link; revoking twice keeps the first revoked_at */
+export async function revokeShare(projectId, shareId) {
+  const { data: row, error } = await supabase
+    .from('project_shares')
+    .select('*')
+    .eq('id', shareId)
+    .eq('project_id', projectId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!row) throw shareError('Share link not found', 404, 'share_not_found');
+  if (row.revoked_at) return shareView(row, await countViews(row.id));
+
+  const { data: updated, error: updErr } = await supabase
+    .from('project_shares')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', shareId)
+    .select('*')
+    .single();
+  if (updErr) throw updErr;
+
+  console.log('[shares] revoked', { projectId, shareId });
+  return shareView(updated, await countViews(shareId));
+}
+
+/**
+ * Look up an active share and its project
+ * @returns {Promise<{ share: object, project: object }>} Throws `404 share_not_found` or
+ *   `410 share_revoked` / `410 share_expired`
+ */
+export async function resolveShare(token) {
+  if (!SHARE_TOKEN_RE.test(String(token || ''))) throw shareError('Share link not found', 404, 'share_not_found');
+
+  const { data: share, error } = await supabase
+    .from('project_shares')
+    .select('*')
+    .eq('token', token)
+    .maybeSingle();
+  if (error) throw error;
+  if (!share) throw shareError('Share link not found', 404, 'share_not_found');
+
+  const state = shareState(share);
+  if (state === 'revoked') throw shareError('This share link was turned off', 410, 'share_revoked');
+  if (state === 'expired') throw shareError('This share link has expired', 410, 'share_expired');
+
+  const { data: project, error: projErr } = await supabase
+    .from('projects')
+    .select('id, name, status, input_image_url, image_variants, preview_url, preview_meta, plan_json, updated_at')
+    .eq('id', share.project_id)
+    .maybeSingle();
+  if (projErr) throw projErr;
+  if (!project) throw shareError('Share link not found', 404, 'share_not_found');
+  return { share, project };
+}
+
+/** Count a view in `events`; never fails the page */
+export async function recordShareView(share, { format }) {
+  const { error } = await supabase.from('events').insert({
+    user_id: share.user_id,
+    project_id: share.project_id,
+    event_type: SHARE_VIEW_EVENT,
+    props: { share_id: share.id, format }
+  });
+  if (error) console.warn('[shares] view event failed', share.id, error.message);
+}
@@ -0,0 +1,94 @@
+// services/roomScans.js
+// RoomPlan scan ingestion: validate the export, keep the raw JSON on room_scans.roi, store
+// one queryable room_scan_elements row per element and the computed summary.
+import { createClient } from '@supabase/supabase-js';
+import { parseRoomPlan, summarizeRoomPlan } from '../lib/roomPlan.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const INSERT_CHUNK = 500;
+const ELEMENT_COLUMNS = 'kind, element_id, category, width_in, height_in, depth_in, position_in, rotation_deg, parent_element_id, story, confidence, attributes';
+
+/**
+ * Parse and store a RoomPlan scan
+ * Throws `{ code: 'invalid_roomplan', status: 422, details }` for malformed exports.
+ * @param {{ projectId: string, userId: string, roomplan: object }} opts
+ * @returns {Promise<{ scanId: string, summary: object }>}
+ */
+export async function ingestRoomScan({ projectId, userId, roomplan }) {
+  const { room, elements } = parseRoomPlan(roomplan);
+  const summary = summarizeRoomPlan(roomplan, room);
+
+  const { data: scan, error } = await supabase
+    .from('room_scans')
+    .insert({
+      project_id: projectId,
+      user_id: userId,
+      roi: roomplan,
+      summary,
+      roomplan_version: room.version
+    })
+    .select('id')
+    .single();
+  if (error) throw Object.assign(new Error('Failed to save scan'), { code: 'scan_save_failed', hint: error.message });
+
+  const rows = elements.map(el => ({ ...el, scan_id: scan.id, project_id: projectId }));
+  for (let i = 0; i < rows.length; i += INSERT_CHUNK) {
+    const { error: elErr } = await supabase.from('room_scan_elements').insert(rows.slice(i, i + INSERT_CHUNK));
+    if (elErr) {
+      // A scan without its rows would never show up in element queries: undo it
+      await supabase.from('room_scans').delete().eq('id', scan.id);
+      throw Object.assign(new Error('Failed to save scan elements'), { code: 'scan_save_failed', hint: elErr.message });
+    }
+  }
+
+  console.log('[room scan] ingested', { projectId, scanId: scan.id, elements: rows.length, floor_area_sqft: summary.floor_area_sqft });
+  return { scanId: scan.id, summary };
+}
+
+/**
+ * Stored summary of a scan; older scans without one are summarized from their raw export
+ * @returns {Promise<object|null>} null when the scan does not exist for the project
+ */
+export async function getScanSummary(projectId, scanId) {
+  const { data, error } = await supabase
+    .from('room_scans')
+    .select('id, summary, roi, roomplan_version, created_at')
+    .eq('id', scanId)
+    .eq('project_id', projectId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!data) return null;
+
+  let summary = data.summary;
+  if (!summary && data.roi) {
+    try {
+      summary = summarizeRoomPlan(data.roi);
+    } catch (e) {
+      console.warn('[room scan] legacy summary failed', scanId, e.message);
+    }
+  }
+  return { scanId: data.id, roomplan_version: data.roomplan_version, created_at: data.created_at, summary: summary || null };
+}
+
+/**
+ * Element rows of a scan, optionally filtered by kind and category
+ * @param {string} scanId
+ * @param {{ kind?: string, category?: string }} filters
+ */
+export async function listScanElements(scanId, { kind, category } = {}) {
+  let q = supabase
+    .from('room_scan_elements')
+    .select(ELEMENT_COLUMNS)
+    .eq('scan_id', scanId)
+    .order('kind')
+    .order('element_id');
+  if (kind) q = q.eq('kind', kind);
+  if (category) q = q.eq('category', category);
+  const { data, error } = await q;
+  if (error) throw error;
+  return data || [];
+}
@@ -0,0 +1,106 @@
+// services/scanContext.js
+// Scan data handed to plan generation, and the staleness check for plans built from it.
+// A plan records meta.scan_id (the newest scan it used); it is stale once a newer usable scan
+// lands for the project.
+import { createClient } from '@supabase/supabase-js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const LOOKBACK = 10;
+
+// Only what a prompt needs from room_scans.summary
+function compactRoom(summary) {
+  if (!summary) return null;
+  return {
+    floor_area_sqft: summary.floor_area_sqft ?? null,
+    ceiling_height_in: summary.ceiling_height_in ?? null,
+    width_in: summary.width_in ?? null,
+    length_in: summary.length_in ?? null,
+    longest_clear_span_in: summary.longest_clear_span_in ?? null,
+    walls: (summary.walls || []).map(w => ({
+      length_in: w.length_in,
+      doors: w.doors,
+      windows: w.windows,
+      clear_spans_in: (w.clear_spans || []).map(sp => sp.length_in)
+    }))
+  };
+}
+
+function compactMeasurements(r) {
+  if (!r) return null;
+  return {
+    width_in: r.width_in ?? null,
+    height_in: r.height_in ?? null,
+    depth_in: r.depth_in ?? null,
+    from_floor_in: r.from_floor_in ?? null,
+    px_per_in: r.px_per_in ?? null,
+    confidence: r.confidence ?? null,
+    method: r.method ?? null
+  };
+}
+
+const isMeasured = s => s.measure_status === 'done' && !!s.measure_result;
+
+// A scan plan generation can use: a completed measurement or a RoomPlan summary. One still being
+// measured (and without a summary) is not, and does not make a plan stale.
+const isUsable = s => isMeasured(s) || !!s.summary;
+
+async function recentScans(projectId, columns) {
+  const { data, error } = await supabase
+    .from('room_scans')
+    .select(columns)
+    .eq('project_id', projectId)
+    .order('created_at', { ascending: false })
+    .limit(LOOKBACK);
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Scan data for a project's next plan: the newest completed measurement and the newest RoomPlan
+ * summary, which may come from different scans. `scan_id` / `scanned_at` name the newer of the
+ * two. Returns null (logged) when there is neither or the lookup fails.
+ * @returns {Promise<{ scan_id, scanned_at, measure_scan_id, room_scan_id, measurements, room }|null>}
+ */
+export async function latestScanContext(projectId) {
+  let scans;
+  try {
+    scans = await recentScans(projectId, 'id, created_at, measure_status, measure_result, summary');
+  } catch (e) {
+    console.warn('[scan context] lookup failed', projectId, e.message);
+    return null;
+  }
+
+  const measured = scans.find(isMeasured);
+  const summarized = scans.find(s => s.summary);
+  const newest = scans.find(s => s === measured || s === summarized);
+  if (!newest) return null;
+  return {
+    scan_id: newest.id,
+    scanned_at: newest.created_at,
+    measure_scan_id: measured?.id || null,
+    room_scan_id: summarized?.id || null,
+    measurements: compactMeasurements(measured?.measure_result),
+    room: compactRoom(summarized?.summary)
+  };
+}
+
+/**
+ * Whether a plan built from `scanId` (null: built without a scan) has been overtaken by a newer
+ * usable scan
+ * @returns {Promise<{ scan_id: string|null, latest_scan_id: string|null, stale: boolean }>}
+ */
+export async function planScanStatus(projectId, scanId) {
+  let scans;
+  try {
+    scans = await recentScans(projectId, 'id, created_at, measure_status, measure_result, summary');
+  } catch (e) {
+    console.warn('[scan context] latest scan lookup failed', projectId, e.message);
+    return { scan_id: scanId || null, latest_scan_id: null, stale: false };
+  }
+  const latest = scans.find(isUsable)?.id || null;
+  return { scan_id: scanId || null, latest_scan_id: latest, stale: !!latest && latest !== scanId };
+}
@@ -0,0 +1,101 @@
+// lib/auth.js: Supabase access token verification (HS256 secret and ES256 via JWKS)
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac, generateKeyPairSync, sign } from 'node:crypto';
+import { startFakeSupabase } from './helpers/fakeSupabase.js';
+
+const SECRET = 'test-jwt-secret';
+process.env.SUPABASE_JWT_SECRET = SECRET;
+
+const db = await startFakeSupabase();
+const { verifyAccessToken } = await import('../lib/auth.js');
+
+after(() => db.close());
+
+const now = () => Math.floor(Date.now() / 1000);
+const b64 = obj => Buffer.from(JSON.stringify(obj)).toString('base64url');
+
+function claims(extra = {}) {
+  return { sub: 'user-1', aud: 'authenticated', role: 'authenticated', exp: now() + 3600, ...extra };
+}
+
+function hs256(payload, secret = SECRET, header = { alg: 'HS256', typ: 'JWT' }) {
+  const input = `${b64(header)}.${b64(payload)}`;
+  return `${input}.${createHmac('sha256', secret).update(input).digest('base64url')}`;
+}
+
+async function rejects(token, code) {
+  await assert.rejects(verifyAccessToken(token), err => {
+    assert.equal(err.status, 401);
+    assert.equal(err.code, code);
+    return true;
+  });
+}
+
+test('accepts a valid HS256 token and returns its claims', async () => {
+  const out = await verifyAccessToken(hs256(claims({ email: 'a@example.com' })));
+  assert.equal(out.sub, 'user-1');
+  assert.equal(out.email, 'a@example.com');
+});
+
+test('accepts an audience list containing the expected audience', async () => {
+  const out = await verifyAccessToken(hs256(claims({ aud: ['other', 'authenticated'] })));
+  assert.equal(out.sub, 'user-1');
+});
+
+test('rejects a token signed with another secret', async () => {
+  await rejects(hs256(claims(), 'not-the-secret'), 'invalid_token');
+});
+
+test('rejects a token whose claims were changed after signing', async () => {
+  const [h, , s] = hs256(claims()).split('.');
+  await rejects(`${h}.${b64(claims({ sub: 'someone-else' }))}.${s}`, 'invalid_token');
+});
+
+test('rejects an unsigned token (alg none)', async () => {
+  await rejects(`${b64({ alg: 'none' })}.${b64(claims())}.`, 'invalid_token');
+});
+
+test('rejects malformed tokens', async () => {
+  await rejects('', 'invalid_token');
+  await rejects('a.b', 'invalid_token');
+  await rejects('not-json.not-json.sig', 'invalid_token');
+});
+
+test('rejects an expired token, allowing for clock skew', async () => {
+  await rejects(hs256(claims({ exp: now() - 120 })), 'token_expired');
+  const out = await verifyAccessToken(hs256(claims({ exp: now() - 5 })));
+  assert.equal(out.sub, 'user-1');
+});
+
+test('rejects a token without exp', async () => {
+  await rejects(hs256(claims({ exp: undefined })), 'token_expired');
+});
+
+test('rejects a token that is not valid yet', async () => {
+  await rejects(hs256(claims({ nbf: now() + 600 })), 'invalid_token');
+});
+
+test('rejects the wrong audience', async () => {
+  await rejects(hs256(claims({ aud: 'anon-service' })), 'invalid_token');
+});
+
+test('rejects a token without a subject', async () => {
+  await rejects(hs256(claims({ sub: undefined })), 'invalid_token');
+});
+
+test('verifies ES256 tokens against the project JWKS', async () => {
+  const { privateKey, publicKey } = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  db.jwks.push({ ...publicKey.export({ format: 'jwk' }), kid: 'key-1', alg: 'ES256', use: 'sig' });
+
+  const es256 = (payload, kid = 'key-1', key = privateKey) => {
+    const input = `${b64({ alg: 'ES256', typ: 'JWT', kid })}.${b64(payload)}`;
+    return `${input}.${sign('sha256', Buffer.from(input), { key, dsaEncoding: 'ieee-p1363' }).toString('base64url')}`;
+  };
+
+  assert.equal((await verifyAccessToken(es256(claims()))).sub, 'user-1');
+
+  const other = generateKeyPairSync('ec', { namedCurve: 'P-256' }).privateKey;
+  await rejects(es256(claims(), 'key-1', other), 'invalid_token');
+  await rejects(es256(claims(), 'unknown-kid'), 'invalid_token');
+});
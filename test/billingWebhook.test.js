@@ -0,0 +1,177 @@
+// Stripe webhook: signature verification, tier sync and duplicate deliveries
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import express from 'express';
+import Stripe from 'stripe';
+import { startFakeSupabase } from './helpers/fakeSupabase.js';
+
+const SECRET = 'whsec_test_secret';
+process.env.STRIPE_WEBHOOK_SECRET = SECRET;
+
+const db = await startFakeSupabase({ profiles: { key: 'user_id' } });
+const { default: billingWebhookRouter } = await import('../routes/billingWebhook.js');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use('/api/billing/webhook', billingWebhookRouter);
+  await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await db.close();
+});
+
+beforeEach(() => db.reset());
+
+function event(type, object, id = `evt_${Math.random().toString(36).slice(2)}`, created = Math.floor(Date.now() / 1000)) {
+  return JSON.stringify({ id, type, created, livemode: false, data: { object } });
+}
+
+// A recorded event from fixtures/stripe (created 1760000000 + 0/100/200/300 s)
+function fixture(name, userId = 'u1') {
+  return readFileSync(new URL(`../fixtures/stripe/${name}.json`, import.meta.url), 'utf8').replaceAll('__USER_ID__', userId);
+}
+
+async function deliver(payload, signature = Stripe.webhooks.generateTestHeaderString({ payload, secret: SECRET })) {
+  const res = await fetch(`${baseUrl}/api/billing/webhook`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...(signature ? { 'stripe-signature': signature } : {}) },
+    body: payload
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+test('rejects a missing signature', async () => {
+  const out = await deliver(event('checkout.session.completed', {}), null);
+  assert.equal(out.status, 400);
+  assert.equal(out.body.error, 'invalid_signature');
+});
+
+test('rejects a signature made with another secret', async () => {
+  const payload = event('checkout.session.completed', {});
+  const signature = Stripe.webhooks.generateTestHeaderString({ payload, secret: 'whsec_other' });
+  const out = await deliver(payload, signature);
+  assert.equal(out.status, 400);
+  assert.equal(out.body.error, 'invalid_signature');
+});
+
+test('rejects a body changed after signing', async () => {
+  const payload = event('checkout.session.completed', { metadata: { user_id: 'u1', tier: 'casual' } });
+  const signature = Stripe.webhooks.generateTestHeaderString({ payload, secret: SECRET });
+  const out = await deliver(payload.replace('casual', 'pro'), signature);
+  assert.equal(out.status, 400);
+  assert.deepEqual(db.tables.profiles ?? [], []);
+});
+
+test('rejects a signature outside the timestamp tolerance', async () => {
+  const payload = event('checkout.session.completed', {});
+  const timestamp = Math.floor(Date.now() / 1000) - 3600;
+  const signature = Stripe.webhooks.generateTestHeaderString({ payload, secret: SECRET, timestamp });
+  const out = await deliver(payload, signature);
+  assert.equal(out.status, 400);
+});
+
+test('ignores event types it does not handle', async () => {
+  const out = await deliver(event('customer.created', { id: 'cus_1' }));
+  assert.equal(out.status, 200);
+  assert.equal(out.body.ignored, true);
+});
+
+test('checkout.session.completed sets the paid tier on the profile', async () => {
+  const out = await deliver(event('checkout.session.completed', {
+    customer: 'cus_1',
+    subscription: 'sub_1',
+    metadata: { user_id: 'u1', tier: 'pro' }
+  }));
+  assert.equal(out.status, 200);
+  assert.equal(out.body.tier, 'pro');
+  const profile = db.tables.profiles.find(p => p.user_id === 'u1');
+  assert.equal(profile.plan_tier, 'pro');
+  assert.equal(profile.stripe_customer_id, 'cus_1');
+  assert.equal(profile.stripe_subscription_status, 'active');
+});
+
+test('checkout.session.completed with an unknown tier changes nothing', async () => {
+  const out = await deliver(event('checkout.session.completed', {
+    customer: 'cus_1',
+    metadata: { user_id: 'u1', tier: 'constructor' }
+  }));
+  assert.equal(out.body.skipped, 'unknown_tier');
+  assert.equal((db.tables.profiles ?? []).length, 0);
+});
+
+test('a redelivered event is processed once', async () => {
+  const payload = event('checkout.session.completed', { customer: 'cus_1', metadata: { user_id: 'u1', tier: 'casual' } }, 'evt_same');
+  assert.equal((await deliver(payload)).body.tier, 'casual');
+  const again = await deliver(payload);
+  assert.equal(again.status, 200);
+  assert.equal(again.body.duplicate, true);
+});
+
+test('a cancelled subscription drops the user to free', async () => {
+  db.tables.profiles = [{ user_id: 'u1', plan_tier: 'pro', stripe_customer_id: 'cus_1' }];
+  const out = await deliver(event('customer.subscription.deleted', { id: 'sub_1', customer: 'cus_1', status: 'canceled', metadata: {} }));
+  assert.equal(out.body.tier, 'free');
+  assert.equal(db.tables.profiles[0].plan_tier, 'free');
+  assert.equal(db.tables.profiles[0].stripe_subscription_status, 'canceled');
+});
+
+test('fixtures delivered in order end on the cancellation', async () => {
+  for (const name of ['checkout.session.completed', 'customer.subscription.updated', 'customer.subscription.deleted']) {
+    assert.equal((await deliver(fixture(name))).status, 200);
+  }
+  const profile = db.tables.profiles[0];
+  assert.equal(profile.plan_tier, 'free');
+  assert.equal(profile.stripe_subscription_status, 'canceled');
+  assert.equal(profile.stripe_event_created, 1760000200);
+});
+
+test('an update delivered after the deletion does not restore the paid tier', async () => {
+  await deliver(fixture('checkout.session.completed'));
+  assert.equal((await deliver(fixture('customer.subscription.deleted'))).body.tier, 'free');
+
+  const late = await deliver(fixture('customer.subscription.updated'));
+  assert.equal(late.status, 200);
+  assert.equal(late.body.skipped, 'stale_event');
+  assert.equal(db.tables.profiles[0].plan_tier, 'free');
+  assert.equal(db.tables.profiles[0].stripe_subscription_status, 'canceled');
+});
+
+test('a canceled subscription is not revived by a newer non-deletion event', async () => {
+  await deliver(fixture('checkout.session.completed'));
+  await deliver(fixture('customer.subscription.deleted'));
+  const failed = await deliver(fixture('invoice.payment_failed'));
+  assert.equal(failed.body.skipped, 'subscription_canceled');
+  assert.equal(db.tables.profiles[0].stripe_subscription_status, 'canceled');
+});
+
+test("deleting an old subscription does not downgrade the user's new one", async () => {
+  await deliver(fixture('checkout.session.completed'));
+  const resubscribed = await deliver(event('checkout.session.completed', {
+    customer: 'cus_fixture', subscription: 'sub_new', metadata: { user_id: 'u1', tier: 'pro' }
+  }, 'evt_checkout_new', 1760000050));
+  assert.equal(resubscribed.body.tier, 'pro');
+
+  const old = await deliver(fixture('customer.subscription.deleted'));
+  assert.equal(old.body.skipped, 'other_subscription');
+  const profile = db.tables.profiles[0];
+  assert.equal(profile.plan_tier, 'pro');
+  assert.equal(profile.stripe_subscription_id, 'sub_new');
+  assert.equal(profile.stripe_subscription_status, 'active');
+});
+
+test('a checkout for a new subscription applies even after newer events on the old one', async () => {
+  await deliver(fixture('checkout.session.completed'));
+  await deliver(fixture('customer.subscription.deleted'));
+  const out = await deliver(event('checkout.session.completed', {
+    customer: 'cus_fixture', subscription: 'sub_again', metadata: { user_id: 'u1', tier: 'casual' }
+  }, 'evt_checkout_again', 1760000150));
+  assert.equal(out.body.tier, 'casual');
+  assert.equal(db.tables.profiles[0].stripe_subscription_id, 'sub_again');
+});
@@ -0,0 +1,117 @@
+// lib/cutList.js: size parsing, sheet and board packing with kerf, layout hash and SVG
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BOARD_LENGTHS, SHEET_SIZE, cutLayoutHash, optimizeCuts, parseDimensions, renderCutLayoutSvg } from '../lib/cutList.js';
+
+test('parseDimensions reads inches, feet, fractions and metric', () => {
+  assert.deepEqual(parseDimensions('48" x 10"'), { length: 48, width: 10, thickness: null });
+  assert.deepEqual(parseDimensions('10 x 48'), { length: 48, width: 10, thickness: null });
+  assert.deepEqual(parseDimensions('72 x 10 x 3/4'), { length: 72, width: 10, thickness: 0.75 });
+  assert.deepEqual(parseDimensions("4' x 11-1/4\""), { length: 48, width: 11.25, thickness: null });
+  assert.deepEqual(parseDimensions("4' 6\" by 2 ft"), { length: 54, width: 24, thickness: null });
+  assert.deepEqual(parseDimensions('30 1/2 × 12'), { length: 30.5, width: 12, thickness: null });
+  assert.deepEqual(parseDimensions('254mm x 10cm'), { length: 10, width: 3.937, thickness: null });
+});
+
+test('parseDimensions returns null for what it cannot read', () => {
+  for (const size of [null, '', '48', 'to fit', '1 x 2 x 3 x 4', '0 x 10', '-5 x 3', 'a x b']) {
+    assert.equal(parseDimensions(size), null, String(size));
+  }
+});
+
+test('board parts are packed onto the shortest standard length, leaving a kerf between cuts', () => {
+  const cuts = [{ item: 'Leg', material: '2x4 pine', size: '32"', qty: 3 }];
+
+  // 3 x 32" is exactly 96" without kerf, one blade width too long with it
+  const tight = optimizeCuts(cuts, { kerf: 0 });
+  assert.deepEqual(tight.totals, { parts: 3, sheets: 0, boards: 1, waste_pct: 0 });
+  assert.equal(tight.groups[0].stock_length, BOARD_LENGTHS[0]);
+  assert.equal(tight.groups[0].board_width, 3.5);
+  assert.deepEqual(tight.groups[0].pieces[0].parts.map(p => p.x), [0, 32, 64]);
+
+  const kerfed = optimizeCuts(cuts, { kerf: 0.125 });
+  assert.equal(kerfed.totals.boards, 2);
+  assert.deepEqual(kerfed.groups[0].pieces[0].parts.map(p => p.x), [0, 32.125]);
+  assert.ok(kerfed.totals.waste_pct > 0);
+});
+
+test('a long part picks a longer stock length', () => {
+  const layout = optimizeCuts([{ item: 'Rail', material: '1x6', size: '110"', qty: 1 }]);
+  assert.equal(layout.groups[0].stock_length, 120);
+  assert.equal(layout.groups[0].board_width, 5.5);
+});
+
+test('sheet parts are shelf-packed on 4x8 sheets', () => {
+  const cuts = [{ item: 'Side', material: '3/4 plywood', size: '47 x 23', qty: 4 }];
+  const layout = optimizeCuts(cuts, { kerf: 0.125 });
+  assert.deepEqual(layout.totals, { parts: 4, sheets: 1, boards: 0, waste_pct: round2((1 - (4 * 47 * 23) / (96 * 48)) * 100) });
+  const parts = layout.groups[0].pieces[0].parts;
+  assert.deepEqual(parts.map(p => [p.x, p.y]), [[0, 0], [47.125, 0], [0, 23.125], [47.125, 23.125]]);
+  for (const p of parts) {
+    assert.ok(p.x + p.w <= SHEET_SIZE.length && p.y + p.h <= SHEET_SIZE.width);
+  }
+
+  // Two 48" parts side by side need 96" plus a kerf
+  assert.equal(optimizeCuts([{ item: 'Top', material: 'plywood', size: '48 x 48', qty: 2 }], { kerf: 0.125 }).totals.sheets, 2);
+  assert.equal(optimizeCuts([{ item: 'Top', material: 'plywood', size: '48 x 48', qty: 2 }], { kerf: 0 }).totals.sheets, 1);
+});
+
+test('parts wider than any board go on sheets, laid lengthwise', () => {
+  const layout = optimizeCuts([
+    { item: 'Panel', material: 'pine', size: '30 x 20', qty: 1 },
+    { item: 'Tall', material: 'mdf', size: '20 x 90 x 1/2', qty: 1 }
+  ]);
+  assert.deepEqual(layout.groups.map(g => g.kind), ['sheet', 'sheet']);
+  assert.deepEqual(layout.groups[1].pieces[0].parts[0], { item: 'Tall', x: 0, y: 0, w: 90, h: 20, rotated: false });
+  assert.equal(layout.groups[1].thickness, 0.5);
+});
+
+test('unreadable and oversized cuts are reported instead of packed', () => {
+  const layout = optimizeCuts([
+    { item: 'Trim', material: 'pine', size: 'to fit' },
+    { item: 'Deck', material: 'plywood', size: '100 x 50' },
+    { item: 'Beam', material: '2x6', size: '160"' },
+    { item: 'Shelf', material: '1x8', size: '24"' }
+  ]);
+  assert.deepEqual(layout.unparsed, [{ item: 'Trim', size: 'to fit' }]);
+  assert.deepEqual(layout.oversized.map(o => o.item), ['Deck', 'Beam']);
+  assert.equal(layout.totals.parts, 1);
+  assert.equal(layout.totals.boards, 1);
+});
+
+test('a huge cut list is truncated', () => {
+  const layout = optimizeCuts([{ item: 'Slat', material: '1x2', size: '12"', qty: 600 }]);
+  assert.equal(layout.truncated, true);
+  assert.equal(layout.totals.parts, 500);
+});
+
+test('an empty cut list gives an empty layout', () => {
+  assert.deepEqual(optimizeCuts([]).totals, { parts: 0, sheets: 0, boards: 0, waste_pct: 0 });
+});
+
+test('cutLayoutHash changes with the cuts and kerf only', () => {
+  const cuts = [{ item: 'Leg', material: '2x4', size: '30"', qty: 4 }];
+  assert.equal(cutLayoutHash(cuts, 0.125), cutLayoutHash([{ qty: 4, size: '30"', material: '2x4', item: 'Leg', notes: 'x' }], 0.125));
+  assert.equal(cutLayoutHash([{ item: 'Leg', size: '30"' }]), cutLayoutHash([{ item: 'Leg', size: '30"', qty: 1, material: null }]));
+  assert.notEqual(cutLayoutHash(cuts, 0.125), cutLayoutHash(cuts, 0.25));
+  assert.notEqual(cutLayoutHash(cuts, 0.125), cutLayoutHash([{ ...cuts[0], qty: 5 }], 0.125));
+  assert.match(cutLayoutHash(cuts), /^[0-9a-f]{16}$/);
+});
+
+test('renderCutLayoutSvg draws every part and escapes labels', () => {
+  const layout = optimizeCuts([
+    { item: '<Shelf & "top">', material: 'plywood', size: '40 x 20', qty: 2 },
+    { item: 'Leg', material: '2x4', size: '30"', qty: 2 }
+  ]);
+  const svg = renderCutLayoutSvg(layout);
+  assert.match(svg, /^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg"/);
+  assert.ok(svg.endsWith('</svg>'));
+  assert.equal((svg.match(/<title>/g) || []).length, 4);
+  assert.ok(svg.includes('&lt;Shelf &amp; &quot;top&quot;&gt;'));
+  assert.ok(!svg.includes('<Shelf'));
+  assert.ok(svg.includes('1 sheet(s), 1 board(s)'));
+});
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
@@ -0,0 +1,117 @@
+// Decor8 callbacks: signature checks and how a result lands on the preview row
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import express from 'express';
+import { startFakeSupabase } from './helpers/fakeSupabase.js';
+
+const SECRET = 'decor8-test-secret';
+process.env.DECOR8_WEBHOOK_SECRET = SECRET;
+
+const db = await startFakeSupabase();
+const { default: decor8WebhookRouter, verifyDecor8Signature } = await import('../routes/decor8Webhook.js');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use('/api/webhooks/decor8', decor8WebhookRouter);
+  await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await db.close();
+});
+
+beforeEach(() => db.reset());
+
+function signature(body, { secret = SECRET, t = Math.floor(Date.now() / 1000) } = {}) {
+  const v1 = crypto.createHmac('sha256', secret).update(`${t}.${body}`).digest('hex');
+  return `t=${t},v1=${v1}`;
+}
+
+async function deliver(job, header) {
+  const body = JSON.stringify(job);
+  const res = await fetch(`${baseUrl}/api/webhooks/decor8`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', 'x-decor8-signature': header ?? signature(body) },
+    body
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+test('verifyDecor8Signature accepts a fresh signature over the raw body', () => {
+  const body = Buffer.from('{"job_id":"j1"}');
+  assert.equal(verifyDecor8Signature(body, signature(body), SECRET), null);
+  assert.equal(verifyDecor8Signature(body, ` ${signature(body).replace(',', ' , ')} `, SECRET), null);
+});
+
+test('verifyDecor8Signature rejects missing or partial headers', () => {
+  const body = Buffer.from('{}');
+  for (const header of [undefined, '', 't=123', 'v1=abcd', 't=abc,v1=abcd']) {
+    assert.equal(verifyDecor8Signature(body, header, SECRET), 'missing_signature', String(header));
+  }
+});
+
+test('verifyDecor8Signature rejects timestamps outside the tolerance', () => {
+  const body = Buffer.from('{}');
+  const now = Date.now();
+  const t = Math.floor(now / 1000);
+  assert.equal(verifyDecor8Signature(body, signature(body, { t: t - 301 }), SECRET, now), 'stale_signature');
+  assert.equal(verifyDecor8Signature(body, signature(body, { t: t + 301 }), SECRET, now), 'stale_signature');
+  assert.equal(verifyDecor8Signature(body, signature(body, { t: t - 299 }), SECRET, now), null);
+});
+
+test('verifyDecor8Signature rejects a wrong secret, a changed body and a truncated digest', () => {
+  const body = Buffer.from('{"status":"failed"}');
+  assert.equal(verifyDecor8Signature(body, signature(body, { secret: 'other' }), SECRET), 'invalid_signature');
+  assert.equal(verifyDecor8Signature(Buffer.from('{"status":"ready"}'), signature(body), SECRET), 'invalid_signature');
+  assert.equal(verifyDecor8Signature(body, signature(body).slice(0, -2), SECRET), 'invalid_signature');
+  assert.equal(verifyDecor8Signature(body, signature(body).replace(/v1=.*/, 'v1=zz'), SECRET), 'invalid_signature');
+});
+
+test('the endpoint refuses a badly signed callback without touching the preview', async () => {
+  db.tables.previews = [{ id: 'pv1', provider: 'decor8', provider_job_id: 'j1', status: 'processing', meta: {} }];
+  const out = await deliver({ job_id: 'j1', status: 'failed' }, 't=1,v1=00');
+  assert.equal(out.status, 400);
+  assert.equal(out.body.error, 'stale_signature');
+  assert.equal(db.tables.previews[0].status, 'processing');
+});
+
+test('an unknown job answers 404 so the provider retries', async () => {
+  const out = await deliver({ job_id: 'nope', status: 'completed', output_url: 'https://cdn.example.com/a.jpg' });
+  assert.equal(out.status, 404);
+  assert.equal(out.body.error, 'unknown_job');
+});
+
+test('a ready result is kept in meta for the job to rehost, once', async () => {
+  db.tables.previews = [{ id: 'pv1', provider: 'decor8', provider_job_id: 'j1', status: 'processing', meta: { style: 'modern' } }];
+  const out = await deliver({ job_id: 'j1', status: 'completed', output_url: 'https://cdn.example.com/a.jpg', thumb_url: 'https://cdn.example.com/t.jpg' });
+  assert.equal(out.status, 200);
+  assert.deepEqual(out.body, { ok: true, applied: true, previewId: 'pv1' });
+
+  const row = db.tables.previews[0];
+  assert.equal(row.status, 'processing');
+  assert.equal(row.preview_url, undefined);
+  assert.deepEqual(row.meta, { style: 'modern', provider_url: 'https://cdn.example.com/a.jpg', provider_thumb_url: 'https://cdn.example.com/t.jpg' });
+
+  const again = await deliver({ job_id: 'j1', status: 'completed', output_url: 'https://cdn.example.com/b.jpg' });
+  assert.equal(again.body.applied, false);
+  assert.equal(db.tables.previews[0].meta.provider_url, 'https://cdn.example.com/a.jpg');
+});
+
+test('a failed job marks the variant as errored, but not one that already settled', async () => {
+  db.tables.previews = [
+    { id: 'pv1', provider: 'decor8', provider_job_id: 'j1', status: 'processing', meta: {} },
+    { id: 'pv2', provider: 'decor8', provider_job_id: 'j2', status: 'ready', meta: {} }
+  ];
+  assert.equal((await deliver({ job_id: 'j1', status: 'failed' })).body.applied, true);
+  assert.equal(db.tables.previews[0].status, 'error');
+  assert.equal(db.tables.previews[0].error, 'decor8_job_failed');
+
+  assert.equal((await deliver({ job_id: 'j2', status: 'failed' })).body.applied, false);
+  assert.equal(db.tables.previews[1].status, 'ready');
+});
@@ -0,0 +1,168 @@
+// services/entitlements.js: tier parsing and the reserve / commit / release credit paths
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeSupabase } from './helpers/fakeSupabase.js';
+
+// Real quotas even when the dev bypass is on in the shell
+delete process.env.DEV_NO_QUOTA;
+
+const db = await startFakeSupabase({ profiles: { key: 'user_id' } });
+const ents = await import('../services/entitlements.js');
+
+after(() => db.close());
+beforeEach(() => db.reset());
+
+test('normalizeTier accepts known tiers in any case and spacing', () => {
+  assert.equal(ents.normalizeTier('pro'), 'pro');
+  assert.equal(ents.normalizeTier(' Casual '), 'casual');
+  assert.equal(ents.normalizeTier('FREE'), 'free');
+});
+
+test('normalizeTier falls back to free for anything else', () => {
+  for (const raw of [undefined, null, '', 'enterprise', 42, {}, 'pro plus']) {
+    assert.equal(ents.normalizeTier(raw), 'free', String(raw));
+  }
+});
+
+test('normalizeTier does not treat inherited object keys as tiers', () => {
+  for (const raw of ['constructor', '__proto__', 'toString', 'hasOwnProperty', 'valueOf']) {
+    assert.equal(ents.normalizeTier(raw), 'free', raw);
+    assert.equal(ents.isTier(raw), false, raw);
+  }
+});
+
+test('isTier only accepts exact tier names', () => {
+  assert.equal(ents.isTier('casual'), true);
+  assert.equal(ents.isTier('Casual'), false);
+  assert.equal(ents.isTier(' pro'), false);
+  assert.equal(ents.isTier(undefined), false);
+});
+
+test('getEntitlements creates a free profile on first use', async () => {
+  const out = await ents.getEntitlements('u1');
+  assert.equal(out.tier, 'free');
+  assert.equal(out.quota, ents.TIERS.free.quota);
+  assert.equal(out.remaining, ents.TIERS.free.quota);
+  assert.equal(out.previewAllowed, false);
+  assert.equal(db.tables.profiles.length, 1);
+});
+
+test('getEntitlements prefers subscription_tier and resets the counter in a new month', async () => {
+  db.tables.profiles = [{ user_id: 'u1', plan_tier: 'free', subscription_tier: 'pro', plan_credits_used_month: 7, credits_month_key: '200001' }];
+  const out = await ents.getEntitlements('u1');
+  assert.equal(out.tier, 'pro');
+  assert.equal(out.used, 0);
+  assert.equal(out.credits_month_key, ents.monthKey());
+});
+
+// --- Reservations ---
+
+function seedProfile(tier = 'casual', used = 0) {
+  db.tables.profiles = [{ user_id: 'u1', plan_tier: tier, plan_credits_used_month: used, credits_month_key: ents.monthKey() }];
+}
+
+const used = () => db.tables.profiles[0].plan_credits_used_month;
+const reservation = id => db.tables.credit_reservations.find(r => r.id === id);
+
+test('reserveCredit spends a credit and records a pending reservation', async () => {
+  seedProfile('casual');
+  const out = await ents.reserveCredit('u1', { kind: 'plan', projectId: 'p1' });
+  assert.equal(out.ok, true);
+  assert.equal(out.remaining, ents.TIERS.casual.quota - 1);
+  assert.equal(used(), 1);
+  const row = reservation(out.reservation.id);
+  assert.equal(row.status, 'reserved');
+  assert.equal(row.project_id, 'p1');
+  assert.equal(row.month_key, ents.monthKey());
+  assert.ok(new Date(row.expires_at) > new Date());
+});
+
+test('reserveCredit refuses previews on the free tier without spending', async () => {
+  seedProfile('free');
+  const out = await ents.reserveCredit('u1', { kind: 'preview' });
+  assert.equal(out.ok, false);
+  assert.equal(out.error, 'preview_not_allowed');
+  assert.equal(used(), 0);
+  assert.equal(db.tables.credit_reservations, undefined);
+});
+
+test('reserveCredit stops at the monthly quota', async () => {
+  seedProfile('casual', ents.TIERS.casual.quota);
+  const out = await ents.reserveCredit('u1', { kind: 'plan' });
+  assert.equal(out.ok, false);
+  assert.equal(out.error, 'quota_exhausted');
+  assert.equal(used(), ents.TIERS.casual.quota);
+});
+
+test('commitReservation keeps the credit and settles once', async () => {
+  seedProfile('casual');
+  const { reservation: r } = await ents.reserveCredit('u1', { kind: 'plan' });
+  assert.deepEqual(await ents.commitReservation(r.id), { ok: true, committed: true });
+  assert.deepEqual(await ents.commitReservation(r.id), { ok: true, committed: false });
+  assert.equal(reservation(r.id).status, 'committed');
+  assert.equal(used(), 1);
+});
+
+test('releaseReservation refunds once, however often it is called', async () => {
+  seedProfile('casual');
+  const { reservation: r } = await ents.reserveCredit('u1', { kind: 'plan' });
+  const [a, b] = await Promise.all([ents.releaseReservation(r.id, 'failed'), ents.releaseReservation(r.id, 'failed')]);
+  assert.equal([a, b].filter(x => x.released).length, 1);
+  assert.equal((await ents.releaseReservation(r.id)).released, false);
+  assert.equal(reservation(r.id).status, 'released');
+  assert.equal(reservation(r.id).reason, 'failed');
+  assert.equal(used(), 0);
+});
+
+test('a committed reservation is not refunded, and a released one cannot be committed', async () => {
+  seedProfile('casual');
+  const first = (await ents.reserveCredit('u1', { kind: 'plan' })).reservation;
+  await ents.commitReservation(first.id);
+  assert.equal((await ents.releaseReservation(first.id)).released, false);
+
+  const second = (await ents.reserveCredit('u1', { kind: 'plan' })).reservation;
+  await ents.releaseReservation(second.id);
+  assert.equal((await ents.commitReservation(second.id)).committed, false);
+  assert.equal(used(), 1);
+});
+
+test('a refund for a month that has rolled over returns nothing', async () => {
+  seedProfile('casual');
+  const { reservation: r } = await ents.reserveCredit('u1', { kind: 'plan' });
+  reservation(r.id).month_key = '200001';
+  assert.equal((await ents.releaseReservation(r.id)).released, true);
+  assert.equal(used(), 1);
+});
+
+test('releaseExpiredReservations refunds only reservations past their deadline', async () => {
+  seedProfile('pro');
+  const stale = (await ents.reserveCredit('u1', { kind: 'plan', ttlMs: -1000 })).reservation;
+  const live = (await ents.reserveCredit('u1', { kind: 'plan' })).reservation;
+  assert.equal(used(), 2);
+
+  assert.equal(await ents.releaseExpiredReservations(), 1);
+  assert.equal(reservation(stale.id).status, 'released');
+  assert.equal(reservation(stale.id).reason, 'timeout');
+  assert.equal(reservation(live.id).status, 'reserved');
+  assert.equal(used(), 1);
+});
+
+test('extendReservation moves the deadline of a pending reservation', async () => {
+  seedProfile('casual');
+  const { reservation: r } = await ents.reserveCredit('u1', { kind: 'plan', ttlMs: 1000 });
+  const out = await ents.extendReservation(r.id, 60 * 60 * 1000);
+  assert.equal(out.extended, true);
+  assert.ok(new Date(reservation(r.id).expires_at) - Date.now() > 59 * 60 * 1000);
+  assert.deepEqual(await ents.extendReservation(null), { ok: true, extended: false });
+});
+
+test('extendReservation fails permanently once the reservation was settled', async () => {
+  seedProfile('casual');
+  const { reservation: r } = await ents.reserveCredit('u1', { kind: 'plan', ttlMs: -1000 });
+  await ents.releaseExpiredReservations();
+  await assert.rejects(ents.extendReservation(r.id), err => {
+    assert.equal(err.code, 'reservation_expired');
+    assert.equal(err.permanent, true);
+    return true;
+  });
+});
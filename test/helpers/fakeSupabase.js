@@ -0,0 +1,189 @@
+// test/helpers/fakeSupabase.js
+// In-memory stand-in for the Supabase REST API (PostgREST), enough for the services under test:
+// select/insert/upsert/update/delete with eq, neq, is, in, lt, lte, gt, gte filters, order and
+// limit, single-object responses and 23505 on a duplicate key, plus the auth JWKS document (push
+// keys onto `jwks`) and RPC functions (set `rpc[name] = args => result`). Services create their
+// Supabase client at import time, so start this first, then import them:
+//
+//   const db = await startFakeSupabase({ profiles: { key: 'user_id' } });
+//   const { reserveCredit } = await import('../services/entitlements.js');
+import http from 'node:http';
+import { randomUUID } from 'node:crypto';
+
+function parseValue(raw) {
+  if (raw === 'null') return null;
+  if (raw === 'true') return true;
+  if (raw === 'false') return false;
+  return raw.replace(/^"(.*)"$/, '$1');
+}
+
+function compare(a, b) {
+  const na = Number(a);
+  const nb = Number(b);
+  if (a !== null && b !== null && a !== '' && b !== '' && !Number.isNaN(na) && !Number.isNaN(nb)) return na - nb;
+  return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+}
+
+const OPS = {
+  eq: (v, x) => v != null && String(v) === String(x),
+  neq: (v, x) => v == null || String(v) !== String(x),
+  is: (v, x) => (x === null ? v == null : v === x),
+  in: (v, list) => v != null && list.map(String).includes(String(v)),
+  lt: (v, x) => v != null && compare(v, x) < 0,
+  lte: (v, x) => v != null && compare(v, x) <= 0,
+  gt: (v, x) => v != null && compare(v, x) > 0,
+  gte: (v, x) => v != null && compare(v, x) >= 0
+};
+
+const RESERVED = new Set(['select', 'order', 'limit', 'offset', 'on_conflict', 'columns']);
+
+function parseFilters(params) {
+  const filters = [];
+  for (const [col, expr] of params) {
+    if (RESERVED.has(col)) continue;
+    const dot = expr.indexOf('.');
+    const op = expr.slice(0, dot);
+    const raw = expr.slice(dot + 1);
+    if (!OPS[op]) throw new Error(`fakeSupabase: unsupported filter ${col}=${expr}`);
+    const value = op === 'in' ? raw.replace(/^\(|\)$/g, '').split(',').filter(Boolean).map(parseValue) : parseValue(raw);
+    filters.push(row => OPS[op](row[col], value));
+  }
+  return row => filters.every(f => f(row));
+}
+
+function sortRows(rows, order) {
+  if (!order) return rows;
+  const keys = order.split(',').map(part => {
+    const [col, dir] = part.split('.');
+    return { col, desc: dir === 'desc' };
+  });
+  return [...rows].sort((a, b) => {
+    for (const { col, desc } of keys) {
+      const c = compare(a[col], b[col]);
+      if (c) return desc ? -c : c;
+    }
+    return 0;
+  });
+}
+
+/**
+ * Start the fake and point SUPABASE_URL / SUPABASE_SERVICE_KEY at it
+ * @param {Record<string, { key?: string }>} [schema] - Primary key per table (default `id`)
+ * @returns {Promise<{ url: string, tables: Record<string, object[]>, requests: object[], jwks: object[],
+ *   rpc: Record<string, (args: object) => any>, reset(): void, close(): Promise<void> }>}
+ */
+export async function startFakeSupabase(schema = {}) {
+  const tables = {};
+  const requests = [];
+  const jwks = [];
+  const rpc = {};
+  const keyOf = table => schema[table]?.key || 'id';
+  const rowsOf = table => (tables[table] ||= []);
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', c => { body += c; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://fake');
+      const match = url.pathname.match(/^\/rest\/v1\/([^/]+)$/);
+      const send = (status, payload) => {
+        res.writeHead(status, { 'content-type': 'application/json' });
+        res.end(payload === undefined ? '' : JSON.stringify(payload));
+      };
+      if (url.pathname === '/auth/v1/.well-known/jwks.json') return send(200, { keys: jwks });
+
+      const fn = url.pathname.match(/^\/rest\/v1\/rpc\/([^/]+)$/)?.[1];
+      if (fn) {
+        const args = body ? JSON.parse(body) : {};
+        requests.push({ method: req.method, rpc: fn, body: args });
+        if (!rpc[fn]) return send(404, { code: 'PGRST202', message: `fakeSupabase: no rpc ${fn}` });
+        try {
+          return send(200, JSON.parse(JSON.stringify(rpc[fn](args) ?? null)));
+        } catch (e) {
+          return send(400, { message: e.message });
+        }
+      }
+      if (!match) return send(404, { message: `fakeSupabase: no route for ${url.pathname}` });
+
+      const table = match[1];
+      const prefer = req.headers.prefer || '';
+      const wantsObject = (req.headers.accept || '').includes('vnd.pgrst.object');
+      const input = body ? JSON.parse(body) : null;
+      requests.push({ method: req.method, table, query: url.search, body: input });
+
+      let result;
+      try {
+        const where = parseFilters(url.searchParams);
+        const rows = rowsOf(table);
+        const key = keyOf(table);
+
+        if (req.method === 'GET') {
+          result = sortRows(rows.filter(where), url.searchParams.get('order'));
+          const limit = url.searchParams.get('limit');
+          if (limit) result = result.slice(0, Number(limit));
+        } else if (req.method === 'POST') {
+          const upsert = prefer.includes('resolution=');
+          const conflictKey = url.searchParams.get('on_conflict') || key;
+          result = [];
+          for (const item of Array.isArray(input) ? input : [input]) {
+            const row = { ...item };
+            if (row[key] === undefined && key === 'id') row.id = randomUUID();
+            row.created_at ??= new Date().toISOString();
+            const existing = rows.find(r => r[conflictKey] != null && String(r[conflictKey]) === String(row[conflictKey]));
+            if (existing && !upsert) {
+              return send(409, { code: '23505', message: `duplicate key value violates unique constraint "${table}_pkey"` });
+            }
+            if (existing) {
+              if (prefer.includes('ignore-duplicates')) continue;
+              Object.assign(existing, item);
+              result.push(existing);
+            } else {
+              rows.push(row);
+              result.push(row);
+            }
+          }
+        } else if (req.method === 'PATCH') {
+          result = rows.filter(where);
+          for (const row of result) Object.assign(row, input);
+        } else if (req.method === 'DELETE') {
+          result = rows.filter(where);
+          tables[table] = rows.filter(r => !result.includes(r));
+        } else {
+          return send(405, { message: req.method });
+        }
+      } catch (e) {
+        return send(400, { message: e.message });
+      }
+
+      if (!prefer.includes('return=representation') && req.method !== 'GET') return send(201);
+      const copy = JSON.parse(JSON.stringify(result));
+      if (!wantsObject) return send(200, copy);
+      if (copy.length !== 1) {
+        return send(406, {
+          code: 'PGRST116',
+          details: `The result contains ${copy.length} rows`,
+          message: 'JSON object requested, multiple (or no) rows returned'
+        });
+      }
+      return send(200, copy[0]);
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  process.env.SUPABASE_URL = url;
+  process.env.SUPABASE_SERVICE_KEY = 'test-service-key';
+
+  return {
+    url,
+    tables,
+    requests,
+    jwks,
+    rpc,
+    reset() {
+      for (const name of Object.keys(tables)) delete tables[name];
+      requests.length = 0;
+    },
+    close: () => new Promise(resolve => server.close(() => resolve()))
+  };
+}
@@ -0,0 +1,120 @@
+// lib/imageIngest.js: magic-byte sniffing, HEIF declared size and processImage's rejections
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { IMAGE_LIMITS, heifDimensions, processImage, sniffImageType } from '../lib/imageIngest.js';
+
+function image(width, height, format = 'png', opts = {}) {
+  return sharp({ create: { width, height, channels: 3, background: '#8a6' } })[format]()
+    .withMetadata(opts)
+    .toBuffer();
+}
+
+// ISO-BMFF box; `full` adds the version/flags word of a full box
+function box(type, children = [], { full = false } = {}) {
+  const body = Buffer.concat([full ? Buffer.alloc(4) : Buffer.alloc(0), ...children]);
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(8 + body.length, 0);
+  head.write(type, 4, 'ascii');
+  return Buffer.concat([head, body]);
+}
+
+function ftyp(major, ...compatible) {
+  return box('ftyp', [Buffer.from(major), Buffer.alloc(4), ...compatible.map(b => Buffer.from(b))]);
+}
+
+function ispe(width, height) {
+  const size = Buffer.alloc(8);
+  size.writeUInt32BE(width, 0);
+  size.writeUInt32BE(height, 4);
+  return box('ispe', [size], { full: true });
+}
+
+// A HEIC header whose item properties declare these sizes (no image data)
+function heif(...sizes) {
+  return Buffer.concat([
+    ftyp('heic', 'mif1', 'heic'),
+    box('meta', [box('hdlr', [Buffer.alloc(20)], { full: true }), box('iprp', [box('ipco', sizes.map(([w, h]) => ispe(w, h)))])], { full: true })
+  ]);
+}
+
+async function rejects(buf, { code, status }, limits) {
+  await assert.rejects(processImage(buf, limits ? { limits: { ...IMAGE_LIMITS, ...limits } } : undefined), { code, status });
+}
+
+test('sniffImageType reads the magic bytes', async () => {
+  assert.equal(sniffImageType(await image(16, 16, 'jpeg')), 'jpeg');
+  assert.equal(sniffImageType(await image(16, 16, 'png')), 'png');
+  assert.equal(sniffImageType(await image(16, 16, 'webp')), 'webp');
+  assert.equal(sniffImageType(ftyp('heic', 'mif1')), 'heic');
+  assert.equal(sniffImageType(ftyp('mif1', 'miaf', 'heix')), 'heic');
+  assert.equal(sniffImageType(ftyp('avif', 'mif1', 'miaf')), 'avif');
+  // AVIF files also list mif1, which must not make them HEIC
+  assert.equal(sniffImageType(ftyp('mif1', 'avif')), 'avif');
+});
+
+test('sniffImageType rejects everything else', () => {
+  assert.equal(sniffImageType(ftyp('isom', 'mp41')), null);
+  assert.equal(sniffImageType(Buffer.from('GIF89a-not-accepted')), null);
+  assert.equal(sniffImageType(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>')), null);
+  assert.equal(sniffImageType(Buffer.from([0xff, 0xd8, 0xff])), null);
+  assert.equal(sniffImageType('\xff\xd8\xff\xe0 not a buffer'), null);
+  assert.equal(sniffImageType(null), null);
+});
+
+test('heifDimensions returns the largest declared image size', () => {
+  assert.deepEqual(heifDimensions(heif([320, 240], [4032, 3024])), { width: 4032, height: 3024 });
+  assert.deepEqual(heifDimensions(heif([3024, 4032])), { width: 3024, height: 4032 });
+});
+
+test('heifDimensions is null without meta/iprp/ipco/ispe or on truncated boxes', () => {
+  assert.equal(heifDimensions(ftyp('heic')), null);
+  assert.equal(heifDimensions(heif()), null);
+  assert.equal(heifDimensions(Buffer.concat([ftyp('heic'), box('meta', [box('iinf', [], { full: true })], { full: true })])), null);
+  const full = heif([4032, 3024]);
+  assert.equal(heifDimensions(full.subarray(0, full.length - 4)), null);
+});
+
+test('processImage renders JPEG variants without upscaling', async () => {
+  const { source, variants } = await processImage(await image(800, 400));
+  assert.deepEqual(source, { type: 'png', width: 800, height: 400, bytes: source.bytes, orientation: 1 });
+  assert.deepEqual(variants.map(v => [v.name, v.width, v.height, v.contentType]), [
+    ['full', 800, 400, 'image/jpeg'],
+    ['large', 800, 400, 'image/jpeg'],
+    ['thumb', 640, 320, 'image/jpeg']
+  ]);
+  assert.equal(sniffImageType(variants[0].buffer), 'jpeg');
+});
+
+test('processImage checks sides after EXIF rotation', async () => {
+  const rotated = await image(600, 400, 'jpeg', { orientation: 6 });
+  const { source, variants } = await processImage(rotated);
+  assert.deepEqual([source.width, source.height, source.orientation], [400, 600, 6]);
+  assert.deepEqual([variants[0].width, variants[0].height], [400, 600]);
+
+  await rejects(rotated, { code: 'image_too_small', status: 422 }, { minSide: 500 });
+});
+
+test('processImage rejects empty, oversized and unknown uploads before decoding', async () => {
+  await rejects(Buffer.alloc(0), { code: 'empty_image', status: 400 });
+  await rejects(await image(400, 400), { code: 'image_too_large', status: 413 }, { maxBytes: 100 });
+  await rejects(Buffer.from('GIF89a-not-accepted'), { code: 'unsupported_image_type', status: 415 });
+});
+
+test('processImage rejects images outside the side limits', async () => {
+  await rejects(await image(400, 300), { code: 'image_too_small', status: 422 });
+  await rejects(await image(600, 400), { code: 'image_dimensions_too_large', status: 422 }, { maxSide: 500 });
+  await rejects(await image(600, 400), { code: 'invalid_image', status: 422 }, { maxPixels: 1000 });
+});
+
+test('processImage checks the declared HEIC size before converting it', async () => {
+  await rejects(heif([20000, 15000]), { code: 'image_dimensions_too_large', status: 422 });
+  await rejects(heif([9000, 9000], [10000, 10000]), { code: 'image_dimensions_too_large', status: 422 }, { maxPixels: 50_000_000 });
+  await rejects(heif(), { code: 'invalid_image', status: 422 });
+  // A plausible size but no image data
+  await rejects(heif([4032, 3024]), { code: 'invalid_image', status: 422 });
+});
+
+test('processImage rejects files that only look like images', async () => {
+  await rejects(Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0]), Buffer.alloc(64, 7)]), { code: 'invalid_image', status: 422 });
+});
@@ -0,0 +1,172 @@
+// services/jobQueue.js: the worker's retry, backoff, wait, dead-letter and onDead bookkeeping
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeSupabase } from './helpers/fakeSupabase.js';
+
+process.env.JOB_POLL_MS = '10';
+delete process.env.JOB_WORKER;
+const db = await startFakeSupabase();
+const { backoffMs, registerJobHandler, startJobWorker, stopJobWorker } = await import('../services/jobQueue.js');
+
+// claim_jobs() from migrations/20261020_add_jobs.sql, minus the stale-lock reclaim
+db.rpc.claim_jobs = ({ p_worker, p_kinds, p_limit }) => {
+  const due = (db.tables.jobs || [])
+    .filter(j => j.status === 'queued' && Date.parse(j.run_at) <= Date.now() && (!p_kinds || p_kinds.includes(j.kind)))
+    .sort((a, b) => Date.parse(a.run_at) - Date.parse(b.run_at))
+    .slice(0, Math.max(p_limit, 1));
+  for (const j of due) {
+    Object.assign(j, { status: 'running', locked_by: p_worker, locked_at: new Date().toISOString(), attempts: j.attempts + 1 });
+  }
+  return due;
+};
+
+before(() => startJobWorker());
+after(() => {
+  stopJobWorker();
+  return db.close();
+});
+beforeEach(() => db.reset());
+
+function queue(kind, extra = {}) {
+  const job = {
+    id: `job-${kind}`,
+    kind,
+    project_id: 'p1',
+    user_id: 'u1',
+    payload: { step: 1 },
+    status: 'queued',
+    attempts: 0,
+    max_attempts: 3,
+    run_at: new Date(Date.now() - 1000).toISOString(),
+    locked_by: null,
+    locked_at: null,
+    last_error: null,
+    result: null,
+    finished_at: null,
+    ...extra
+  };
+  db.tables.jobs = [job];
+  return job;
+}
+
+async function until(check, ms = 3000) {
+  const end = Date.now() + ms;
+  while (!check()) {
+    if (Date.now() > end) throw new Error('timed out waiting for the worker');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('backoffMs doubles from 5 s per attempt up to 5 min, plus up to 1 s of jitter', () => {
+  for (const [attempts, base] of [[0, 5000], [1, 5000], [2, 10000], [3, 20000], [7, 300000], [30, 300000]]) {
+    const ms = backoffMs(attempts);
+    assert.ok(ms >= base && ms < base + 1000, `${attempts} attempts: ${ms}`);
+  }
+});
+
+test('a thrown error requeues the job with backoff and keeps the attempt', async () => {
+  const job = queue('retry');
+  let runs = 0;
+  registerJobHandler('retry', {
+    run: async () => {
+      runs++;
+      throw Object.assign(new Error('provider 503'), { payload: { step: 2 } });
+    }
+  });
+
+  const started = Date.now();
+  await until(() => job.last_error);
+  assert.equal(job.status, 'queued');
+  assert.equal(job.attempts, 1);
+  assert.equal(job.last_error, 'provider 503');
+  assert.deepEqual(job.payload, { step: 2 });
+  assert.equal(job.locked_by, null);
+  const delay = Date.parse(job.run_at) - started;
+  assert.ok(delay >= 4900 && delay < 7000, `retry in ${delay} ms`);
+
+  // Not due yet, so the worker leaves it alone
+  await sleep(50);
+  assert.equal(runs, 1);
+});
+
+test('a wait result requeues without spending an attempt', async () => {
+  const job = queue('wait', { attempts: 1 });
+  registerJobHandler('wait', { run: async () => ({ wait: 60_000, payload: { step: 3 } }) });
+
+  const started = Date.now();
+  await until(() => job.payload.step === 3);
+  assert.equal(job.status, 'queued');
+  assert.equal(job.attempts, 1);
+  assert.equal(job.locked_by, null);
+  const delay = Date.parse(job.run_at) - started;
+  assert.ok(delay >= 59_900 && delay < 61_000, `re-run in ${delay} ms`);
+});
+
+test('the last attempt dead-letters the job and runs onDead once', async () => {
+  const job = queue('last', { attempts: 2 });
+  const dead = [];
+  registerJobHandler('last', {
+    run: async () => { throw new Error('still failing'); },
+    onDead: async (j, err) => { dead.push([j.id, err.message]); }
+  });
+
+  await until(() => dead.length);
+  assert.equal(job.status, 'dead');
+  assert.equal(job.attempts, 3);
+  assert.equal(job.last_error, 'still failing');
+  assert.ok(job.finished_at);
+  assert.equal(job.locked_by, null);
+
+  await sleep(50);
+  assert.deepEqual(dead, [['job-last', 'still failing']]);
+});
+
+test('a permanent error dead-letters on the first attempt', async () => {
+  const job = queue('permanent', { max_attempts: 5 });
+  const dead = [];
+  registerJobHandler('permanent', {
+    run: async () => { throw Object.assign(new Error('bad input'), { permanent: true }); },
+    onDead: async (j, err) => { dead.push(err.permanent); }
+  });
+
+  await until(() => dead.length);
+  assert.equal(job.status, 'dead');
+  assert.equal(job.attempts, 1);
+  assert.equal(job.last_error, 'bad input');
+  await sleep(50);
+  assert.deepEqual(dead, [true]);
+});
+
+test('a failing onDead does not bring the job back', async () => {
+  const job = queue('deadfail', { max_attempts: 1 });
+  let calls = 0;
+  registerJobHandler('deadfail', {
+    run: async () => { throw new Error('boom'); },
+    onDead: async () => {
+      calls++;
+      throw new Error('refund failed');
+    }
+  });
+
+  await until(() => calls);
+  await sleep(50);
+  assert.equal(job.status, 'dead');
+  assert.equal(calls, 1);
+});
+
+test('bookkeeping is fenced on the lock, so a reclaimed job is not overwritten', async () => {
+  const job = queue('fenced');
+  registerJobHandler('fenced', {
+    run: async j => {
+      db.tables.jobs.find(r => r.id === j.id).locked_by = 'other-worker';
+      throw new Error('lost the lock');
+    }
+  });
+
+  await until(() => db.requests.some(r => r.method === 'PATCH' && r.body?.last_error === 'lost the lock'));
+  assert.equal(job.status, 'running');
+  assert.equal(job.locked_by, 'other-worker');
+  assert.equal(job.last_error, null);
+});
@@ -0,0 +1,29 @@
+// services/ownedTools.js: profiles.owned_tools
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeSupabase } from './helpers/fakeSupabase.js';
+
+const db = await startFakeSupabase({ profiles: { key: 'user_id' } });
+const { getOwnedTools, setOwnedTools } = await import('../services/ownedTools.js');
+
+after(() => db.close());
+beforeEach(() => db.reset());
+
+test('setOwnedTools trims and de-duplicates names case-insensitively', async () => {
+  db.tables.profiles = [{ user_id: 'u1', plan_tier: 'pro', owned_tools: [] }];
+  const saved = await setOwnedTools('u1', [' Drill ', 'drill', '', null, 'Circular saw', 'CIRCULAR SAW']);
+  assert.deepEqual(saved, ['Drill', 'Circular saw']);
+  assert.deepEqual(await getOwnedTools('u1'), ['Drill', 'Circular saw']);
+  assert.equal(db.tables.profiles[0].plan_tier, 'pro');
+});
+
+test('setOwnedTools saves for a user without a profile row yet', async () => {
+  assert.deepEqual(await setOwnedTools('new-user', ['Sander']), ['Sander']);
+  assert.deepEqual(await getOwnedTools('new-user'), ['Sander']);
+  assert.equal(db.tables.profiles.length, 1);
+});
+
+test('getOwnedTools is empty for unknown users', async () => {
+  assert.deepEqual(await getOwnedTools('nobody'), []);
+  assert.deepEqual(await getOwnedTools(null), []);
+});
@@ -0,0 +1,74 @@
+// lib/planDiff.js: matching list items between plan versions
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffPlans } from '../lib/planDiff.js';
+
+function plan({ materials = [], tools = [], cuts = [], steps = [], ...rest } = {}) {
+  return { title: 'Shelves', materials, tools, cuts, steps, ...rest };
+}
+
+test('identical plans have an empty diff', () => {
+  const p = plan({ materials: [{ name: 'Glue', qty: 1 }], steps: ['Cut', 'Glue'] });
+  const diff = diffPlans(p, p);
+  for (const name of ['materials', 'tools', 'cuts', 'steps']) {
+    assert.deepEqual(diff.summary[name], { added: 0, removed: 0, changed: 0 }, name);
+  }
+  assert.equal(diff.summary.overview, 0);
+});
+
+test('added, removed and changed items are reported by key', () => {
+  const diff = diffPlans(
+    plan({ materials: [{ name: 'Glue', qty: 1 }, { name: 'Stain', qty: 1 }], tools: ['Drill'] }),
+    plan({ materials: [{ name: 'glue ', qty: 2 }, { name: 'Screws', qty: 20 }], tools: ['Drill', 'Sander'] })
+  );
+  assert.deepEqual(diff.materials.changed, [{ key: 'glue', changes: { name: { from: 'Glue', to: 'glue' }, qty: { from: 1, to: 2 } } }]);
+  assert.deepEqual(diff.materials.added.map(m => m.name), ['Screws']);
+  assert.deepEqual(diff.materials.removed.map(m => m.name), ['Stain']);
+  assert.deepEqual(diff.tools.added.map(t => t.name), ['Sander']);
+});
+
+test('two cuts with the same item and material are compared one to one', () => {
+  const before = plan({ cuts: [
+    { item: 'Shelf', material: 'Pine', size: '24 x 8', qty: 2 },
+    { item: 'Shelf', material: 'Pine', size: '36 x 8', qty: 1 }
+  ] });
+  const after = plan({ cuts: [
+    { item: 'Shelf', material: 'Pine', size: '24 x 8', qty: 3 },
+    { item: 'Shelf', material: 'Pine', size: '36 x 8', qty: 1 }
+  ] });
+  const diff = diffPlans(before, after);
+  assert.deepEqual(diff.cuts.changed, [{ key: 'shelf|pine', changes: { qty: { from: 2, to: 3 } } }]);
+  assert.deepEqual(diff.summary.cuts, { added: 0, removed: 0, changed: 1 });
+
+  const second = diffPlans(before, plan({ cuts: [before.cuts[0], { ...before.cuts[1], qty: 4 }] }));
+  assert.deepEqual(second.cuts.changed, [{ key: 'shelf|pine#2', changes: { qty: { from: 1, to: 4 } } }]);
+});
+
+test('materials whose names differ only in case are not collapsed', () => {
+  const before = plan({ materials: [{ name: 'Screws', qty: 10 }, { name: 'screws', qty: 50 }] });
+  const diff = diffPlans(before, plan({ materials: [{ name: 'Screws', qty: 12 }, { name: 'screws', qty: 50 }] }));
+  assert.deepEqual(diff.materials.changed, [{ key: 'screws', changes: { qty: { from: 10, to: 12 } } }]);
+
+  const dropped = diffPlans(before, plan({ materials: [{ name: 'Screws', qty: 10 }] }));
+  assert.deepEqual(dropped.materials.removed, [{ name: 'screws', qty: 50, unit: null, unit_price: null, subtotal: null, notes: null }]);
+});
+
+test('steps are matched by order, and safety and tips by text', () => {
+  const diff = diffPlans(
+    plan({ steps: ['Measure', 'Cut'], safety: ['Goggles'], tips: ['Pre-drill'] }),
+    plan({ steps: ['Measure', 'Cut twice', 'Sand'], safety: ['Goggles', 'Mask'], tips: [] })
+  );
+  assert.deepEqual(diff.steps.changed, [{ key: 2, changes: { text: { from: 'Cut', to: 'Cut twice' } } }]);
+  assert.deepEqual(diff.steps.added.map(s => s.order), [3]);
+  assert.deepEqual(diff.safety, { added: ['Mask'], removed: [] });
+  assert.deepEqual(diff.tips, { added: [], removed: ['Pre-drill'] });
+});
+
+test('overview changes are listed field by field', () => {
+  const diff = diffPlans(plan({ estimatedCost: '$85' }), plan({ estimatedCost: '$120', title: 'Wall shelves' }));
+  assert.deepEqual(diff.overview, {
+    title: { from: 'Shelves', to: 'Wall shelves' },
+    est_cost: { from: '$85', to: '$120' }
+  });
+  assert.equal(diff.summary.overview, 2);
+});
@@ -0,0 +1,122 @@
+// lib/planSchema.js: legacy upgrade, schema validation and the strict write-path preparePlan
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PLAN_SCHEMA_VERSION, isCurrentPlan, planCounts, preparePlan, upgradePlan, validatePlan } from '../lib/planSchema.js';
+
+function currentPlan(extra = {}) {
+  return {
+    schema_version: PLAN_SCHEMA_VERSION,
+    overview: { title: 'Floating shelf', summary: null, est_time: '2h', est_cost: null, skill: 'beginner', notes: null, assumptions: [] },
+    materials: [{ name: 'Oak board', qty: 1, unit: 'pc', unit_price: 30, subtotal: 30, notes: null }],
+    tools: [{ name: 'Drill', optional: false, have: true, rent_price: null, buy_price: null, notes: null }],
+    cuts: [{ item: 'Shelf', material: 'Oak board', size: '24 x 8 in', qty: 1, notes: null }],
+    steps: [{ order: 1, title: 'Cut', text: 'Cut the board to length', duration_min: 10, depends_on: [], notes: null }],
+    safety: [],
+    tips: [],
+    estimation: null,
+    meta: {},
+    ...extra
+  };
+}
+
+function invalidPlan(input) {
+  try {
+    preparePlan(input);
+  } catch (err) {
+    assert.equal(err.code, 'invalid_plan');
+    assert.equal(err.status, 422);
+    assert.ok(Array.isArray(err.details) && err.details.length);
+    return err.details;
+  }
+  assert.fail('preparePlan accepted the input');
+}
+
+test('validatePlan accepts a current plan', () => {
+  assert.deepEqual(validatePlan(currentPlan()), { ok: true, errors: [] });
+  assert.equal(isCurrentPlan(currentPlan()), true);
+});
+
+test('validatePlan reports the path of each problem', () => {
+  const plan = currentPlan({ extra: 1 });
+  plan.materials[0].qty = -2;
+  plan.steps[0].text = '  ';
+  plan.overview.skill = 'wizard';
+  delete plan.tools;
+  const { ok, errors } = validatePlan(plan);
+  assert.equal(ok, false);
+  const byPath = Object.fromEntries(errors.map(e => [e.path, e.message]));
+  assert.equal(byPath['$.extra'], 'is not allowed');
+  assert.equal(byPath['$.materials[0].qty'], 'must be >= 0');
+  assert.equal(byPath['$.steps[0].text'], 'must not be empty');
+  assert.equal(byPath['$.tools'], 'is required');
+  assert.match(byPath['$.overview.skill'], /^must be one of/);
+});
+
+test('upgradePlan converts the legacy stub shape', () => {
+  const plan = upgradePlan({
+    title: 'Bench',
+    difficulty: 'Easy',
+    estimatedTime: '3 hours',
+    materials: ['2x4 lumber', { item: 'Screws', quantity: '24', price: '$5.50' }],
+    tools: 'Saw',
+    cut_list: [{ board: '2x4', dims: '48 in', quantity: 2 }],
+    steps: [{ n: 2, details: 'Assemble' }, { n: 1, title: 'Cut', description: 'Cut legs' }],
+    safety: [{ note: 'Wear goggles' }]
+  });
+  assert.equal(validatePlan(plan).ok, true);
+  assert.equal(plan.overview.title, 'Bench');
+  assert.equal(plan.overview.skill, 'beginner');
+  assert.deepEqual(plan.materials.map(m => m.name), ['2x4 lumber', 'Screws']);
+  assert.equal(plan.materials[1].qty, 24);
+  assert.equal(plan.materials[1].unit_price, 5.5);
+  assert.deepEqual(plan.tools.map(t => t.name), ['Saw']);
+  assert.deepEqual(plan.cuts[0], { item: '2x4', material: '2x4', size: '48 in', qty: 2, notes: null });
+  assert.deepEqual(plan.steps.map(s => [s.order, s.text]), [[1, 'Cut legs'], [2, 'Assemble']]);
+  assert.deepEqual(plan.safety, ['Wear goggles']);
+});
+
+test('upgradePlan returns current plans untouched unless forced', () => {
+  const plan = currentPlan({ stray: true });
+  assert.equal(upgradePlan(plan), plan);
+  assert.equal('stray' in upgradePlan(plan, { force: true }), false);
+});
+
+test('preparePlan returns the upgraded plan for valid input', () => {
+  const plan = preparePlan({ title: 'Shelf', steps: ['Measure', 'Cut'] });
+  assert.equal(plan.schema_version, PLAN_SCHEMA_VERSION);
+  assert.deepEqual(planCounts(plan), { materials: 0, tools: 0, cuts: 0, steps: 2 });
+  assert.deepEqual(preparePlan(currentPlan()), currentPlan());
+});
+
+test('preparePlan rejects anything that is not an object', () => {
+  for (const input of [null, undefined, 'plan', 42, ['steps'], true]) {
+    assert.deepEqual(invalidPlan(input), [{ path: '$', message: 'must be object' }], String(input));
+  }
+});
+
+test('preparePlan rejects a plan with nothing in it', () => {
+  assert.deepEqual(invalidPlan({}), [{ path: '$', message: 'must have at least one material, tool, cut or step' }]);
+  assert.deepEqual(invalidPlan(currentPlan({ materials: [], tools: [], cuts: [], steps: [] })),
+    [{ path: '$', message: 'must have at least one material, tool, cut or step' }]);
+});
+
+test('preparePlan rejects legacy items it would have to drop', () => {
+  const details = invalidPlan({
+    materials: ['Glue', { qty: 2 }],
+    tools: [{ name: '' }],
+    cut_list: [{ size: '10 in' }],
+    steps: ['Sand', { title: '' }]
+  });
+  assert.deepEqual(details, [
+    { path: '$.materials[1].name', message: 'is required' },
+    { path: '$.tools[0].name', message: 'is required' },
+    { path: '$.cut_list[0].item', message: 'is required' },
+    { path: '$.steps[1].text', message: 'is required' }
+  ]);
+});
+
+test('preparePlan rejects current plans that do not validate', () => {
+  const plan = currentPlan();
+  plan.cuts[0].qty = 0;
+  assert.deepEqual(invalidPlan(plan), [{ path: '$.cuts[0].qty', message: 'must be >= 1' }]);
+});
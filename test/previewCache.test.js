@@ -0,0 +1,86 @@
+// services/previewCache.js: cache keys ignore key order, prompt spacing and case; repeated styles stay distinct
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeSupabase } from './helpers/fakeSupabase.js';
+
+const db = await startFakeSupabase();
+const { imageCacheId, normalizePrompt, previewCacheKeys } = await import('../services/previewCache.js');
+
+after(() => db.close());
+
+const IMAGE_URL = 'https://cdn.test/room.jpg';
+
+function project(extra = {}) {
+  return {
+    input_image_url: IMAGE_URL,
+    image_variants: { hash: 'abc123' },
+    scale_px_per_in: 12.3456,
+    dimensions_json: { width_in: 96, height_in: 60, wall: { id: 'W1', openings: [{ kind: 'door', width_in: 36 }] } },
+    ...extra
+  };
+}
+
+function keys(p = project(), input = {}) {
+  return previewCacheKeys(p, {
+    imageUrl: IMAGE_URL,
+    prompt: 'Warm oak shelves',
+    roomType: 'living_room',
+    variants: [{ index: 0, designStyle: 'boho' }],
+    ...input
+  });
+}
+
+test('reordered AR context JSON gives the same keys', () => {
+  const reordered = project({
+    dimensions_json: { wall: { openings: [{ width_in: 36, kind: 'door' }], id: 'W1' }, height_in: 60, width_in: 96 }
+  });
+  assert.deepEqual(keys(reordered), keys());
+  // Array order still matters
+  const swapped = project({ dimensions_json: { ...project().dimensions_json, list: [1, 2] } });
+  const other = project({ dimensions_json: { ...project().dimensions_json, list: [2, 1] } });
+  assert.notDeepEqual(keys(swapped), keys(other));
+});
+
+test('prompt spacing and case do not change the keys', () => {
+  assert.equal(normalizePrompt('  Warm   OAK\n\tshelves '), 'warm oak shelves');
+  assert.deepEqual(keys(project(), { prompt: '  Warm   OAK\n\tshelves ' }), keys());
+  assert.notDeepEqual(keys(project(), { prompt: 'Cool oak shelves' }), keys());
+});
+
+test('scale is compared to two decimals', () => {
+  assert.deepEqual(keys(project({ scale_px_per_in: 12.3462 })), keys());
+  assert.notDeepEqual(keys(project({ scale_px_per_in: 12.34 })), keys());
+});
+
+test('room type, style and image change the keys', () => {
+  const base = keys();
+  assert.notDeepEqual(keys(project(), { roomType: 'bedroom' }), base);
+  assert.notDeepEqual(keys(project(), { variants: [{ index: 0, designStyle: 'modern' }] }), base);
+  assert.notDeepEqual(keys(project({ image_variants: { hash: 'def456' } })), base);
+});
+
+test('the uploaded image is identified by its hash, a linked one by its URL', () => {
+  assert.equal(imageCacheId(project(), IMAGE_URL), 'sha1:abc123');
+  assert.match(imageCacheId(project(), 'https://cdn.test/other.jpg'), /^url:[0-9a-f]{64}$/);
+  assert.match(imageCacheId(project({ image_variants: null }), IMAGE_URL), /^url:/);
+});
+
+test('repeated styles get distinct variant keys, stable across requests', () => {
+  const variants = [
+    { index: 0, designStyle: 'boho' },
+    { index: 1, designStyle: 'boho' },
+    { index: 2, designStyle: 'modern' },
+    { index: 3, designStyle: null },
+    { index: 4, designStyle: null }
+  ];
+  const { requestKey, variantKeys } = keys(project(), { variants });
+  assert.equal(new Set(variantKeys).size, 5);
+  // The first boho variant is the same image as a single-boho request
+  assert.equal(variantKeys[0], keys().variantKeys[0]);
+  assert.deepEqual(keys(project(), { variants }), { requestKey, variantKeys });
+
+  // Asking for fewer variants is a different request but shares the matching keys
+  const fewer = keys(project(), { variants: variants.slice(0, 2) });
+  assert.notEqual(fewer.requestKey, requestKey);
+  assert.deepEqual(fewer.variantKeys, variantKeys.slice(0, 2));
+});
@@ -0,0 +1,169 @@
+// services/projectLifecycle.js: the status transition table, client-settable statuses and
+// transitionProject's compare-and-set with history
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeSupabase } from './helpers/fakeSupabase.js';
+
+const db = await startFakeSupabase();
+const lifecycle = await import('../services/projectLifecycle.js');
+const { PROJECT_STATUSES, allowedTransitions, assertClientStatus, assertTransition, normalizeProjectStatus, transitionProject } = lifecycle;
+
+after(() => db.close());
+beforeEach(() => db.reset());
+
+function throwsCode(fn, status, code) {
+  assert.throws(fn, err => err.status === status && err.code === code);
+}
+
+// Every allowed move, spelled out; anything not listed (other than staying put) must be refused
+const ALLOWED = {
+  draft: ['preview_requested', 'ready', 'plan_requested', 'plan_ready', 'active'],
+  preview_requested: ['preview_ready', 'preview_error'],
+  preview_ready: ['preview_requested', 'ready', 'plan_requested', 'plan_ready', 'active'],
+  preview_error: ['preview_requested', 'ready', 'plan_requested', 'plan_ready', 'active'],
+  ready: ['preview_requested', 'plan_requested', 'plan_ready', 'active'],
+  plan_requested: ['plan_ready', 'plan_error'],
+  plan_ready: ['preview_requested', 'plan_requested', 'active'],
+  plan_error: ['preview_requested', 'ready', 'plan_requested', 'plan_ready', 'active'],
+  active: ['preview_requested', 'plan_requested', 'plan_ready']
+};
+
+test('the status list matches the transition table', () => {
+  assert.deepEqual([...PROJECT_STATUSES].sort(), Object.keys(ALLOWED).sort());
+});
+
+test('assertTransition allows exactly the moves in the table', () => {
+  for (const from of PROJECT_STATUSES) {
+    assert.deepEqual([...allowedTransitions(from)].sort(), [...ALLOWED[from]].sort(), from);
+    for (const to of PROJECT_STATUSES) {
+      if (from === to || ALLOWED[from].includes(to)) {
+        assert.doesNotThrow(() => assertTransition(from, to), `${from} -> ${to}`);
+      } else {
+        throwsCode(() => assertTransition(from, to), 409, 'invalid_status_transition');
+      }
+    }
+  }
+});
+
+test('waiting states only leave through their job outcome', () => {
+  throwsCode(() => assertTransition('preview_requested', 'draft'), 409, 'invalid_status_transition');
+  throwsCode(() => assertTransition('preview_requested', 'plan_requested'), 409, 'invalid_status_transition');
+  throwsCode(() => assertTransition('plan_requested', 'active'), 409, 'invalid_status_transition');
+  throwsCode(() => assertTransition('plan_requested', 'preview_requested'), 409, 'invalid_status_transition');
+});
+
+test('nothing moves back to draft', () => {
+  for (const from of PROJECT_STATUSES.filter(s => s !== 'draft')) {
+    throwsCode(() => assertTransition(from, 'draft'), 409, 'invalid_status_transition');
+  }
+});
+
+test('assertTransition refuses unknown targets, including inherited object keys', () => {
+  for (const to of ['done', 'new', 'planning', 'constructor', '__proto__', 'toString', '', undefined]) {
+    throwsCode(() => assertTransition('draft', to), 400, 'invalid_status');
+  }
+});
+
+test('legacy and unknown stored statuses are read as draft', () => {
+  assert.equal(normalizeProjectStatus('new'), 'draft');
+  assert.equal(normalizeProjectStatus('planning'), 'draft');
+  assert.equal(normalizeProjectStatus(' Plan_Ready '), 'plan_ready');
+  for (const raw of [null, undefined, '', 'archived', 'constructor', 'hasOwnProperty']) {
+    assert.equal(normalizeProjectStatus(raw), null, String(raw));
+  }
+  assert.doesNotThrow(() => assertTransition('planning', 'plan_requested'));
+  assert.doesNotThrow(() => assertTransition(null, 'preview_requested'));
+  assert.doesNotThrow(() => assertTransition('constructor', 'ready'));
+});
+
+test('clients may only set ready and active themselves', () => {
+  assert.doesNotThrow(() => assertClientStatus('ready'));
+  assert.doesNotThrow(() => assertClientStatus('active'));
+  assert.doesNotThrow(() => assertClientStatus('plan_ready', ['plan_ready']));
+  for (const to of ['draft', 'plan_ready', 'preview_ready', 'preview_requested', 'plan_requested', 'plan_error', 'bogus', 'constructor']) {
+    throwsCode(() => assertClientStatus(to), 400, 'invalid_status');
+  }
+});
+
+test('transitionProject writes the status with the patch and records history', async () => {
+  db.tables.projects = [{ id: 'p1', status: 'draft' }];
+  const out = await transitionProject('p1', 'preview_requested', {
+    actor: { type: 'user', id: 'u1' },
+    reason: 'preview_started',
+    patch: { preview_status: 'queued' },
+    meta: { job_id: 'j1' }
+  });
+  assert.deepEqual(out, { from: 'draft', to: 'preview_requested', changed: true });
+  assert.equal(db.tables.projects[0].status, 'preview_requested');
+  assert.equal(db.tables.projects[0].preview_status, 'queued');
+
+  const [history] = db.tables.project_status_history;
+  assert.equal(history.project_id, 'p1');
+  assert.equal(history.from_status, 'draft');
+  assert.equal(history.to_status, 'preview_requested');
+  assert.equal(history.actor_type, 'user');
+  assert.equal(history.actor_id, 'u1');
+  assert.equal(history.reason, 'preview_started');
+  assert.deepEqual(history.meta, { job_id: 'j1' });
+});
+
+test('transitionProject refuses a move the table does not allow', async () => {
+  db.tables.projects = [{ id: 'p1', status: 'plan_requested' }];
+  await assert.rejects(transitionProject('p1', 'active', { actor: { type: 'user', id: 'u1' } }),
+    err => err.status === 409 && err.code === 'invalid_status_transition');
+  assert.equal(db.tables.projects[0].status, 'plan_requested');
+  assert.equal(db.tables.project_status_history, undefined);
+});
+
+test('transitionProject 404s for a missing project', async () => {
+  await assert.rejects(transitionProject('nope', 'ready', { actor: { type: 'system' } }),
+    err => err.status === 404 && err.code === 'project_not_found');
+});
+
+test('staying in the same status writes the patch without a history row', async () => {
+  db.tables.projects = [{ id: 'p1', status: 'active' }];
+  const out = await transitionProject('p1', 'active', { actor: { type: 'user', id: 'u1' }, patch: { title: 'Shelf' } });
+  assert.equal(out.changed, false);
+  assert.equal(db.tables.projects[0].title, 'Shelf');
+  assert.equal(db.tables.project_status_history, undefined);
+});
+
+test('a legacy stored status moves on and keeps the raw value in history', async () => {
+  db.tables.projects = [{ id: 'p1', status: 'planning' }];
+  const out = await transitionProject('p1', 'plan_requested', { actor: { type: 'user', id: 'u1' } });
+  assert.deepEqual(out, { from: 'planning', to: 'plan_requested', changed: true });
+  assert.equal(db.tables.project_status_history[0].from_status, 'planning');
+});
+
+test('a job outcome for a project that has moved on only writes its patch', async () => {
+  db.tables.projects = [{ id: 'p1', status: 'ready' }];
+  const out = await transitionProject('p1', 'preview_ready', {
+    actor: { type: 'job', id: 'j1' },
+    expect: 'preview_requested',
+    patch: { preview_url: 'https://cdn.example.com/p.jpg' }
+  });
+  assert.deepEqual(out, { from: 'ready', to: 'ready', changed: false });
+  assert.equal(db.tables.projects[0].status, 'ready');
+  assert.equal(db.tables.projects[0].preview_url, 'https://cdn.example.com/p.jpg');
+  assert.equal(db.tables.project_status_history, undefined);
+});
+
+test('the status update is a compare-and-set on the status that was read', async () => {
+  db.tables.projects = [{ id: 'p1', status: 'draft' }];
+  await transitionProject('p1', 'ready', { actor: { type: 'user', id: 'u1' } });
+  const update = db.requests.find(r => r.method === 'PATCH' && r.table === 'projects');
+  assert.match(update.query, /status=eq\.draft/);
+});
+
+test('an exclusive move refuses a project already in the target status', async () => {
+  db.tables.projects = [{ id: 'p1', status: 'draft' }];
+  const claims = await Promise.allSettled([
+    transitionProject('p1', 'plan_requested', { actor: { type: 'user', id: 'u1' }, exclusive: true }),
+    transitionProject('p1', 'plan_requested', { actor: { type: 'user', id: 'u1' }, exclusive: true })
+  ]);
+  assert.deepEqual(claims.map(c => c.status).sort(), ['fulfilled', 'rejected']);
+  const lost = claims.find(c => c.status === 'rejected').reason;
+  assert.equal(lost.status, 409);
+  assert.equal(lost.code, 'already_in_status');
+  assert.equal(db.tables.project_status_history.length, 1);
+});
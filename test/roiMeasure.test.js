@@ -0,0 +1,106 @@
+// lib/roiMeasure.js: wall and object measurements from a RoomPlan scan
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { measureRoi } from '../lib/roiMeasure.js';
+
+// 4 x 3 m room; W1 is 4 x 2.5 m with a door at 0.55-1.45 m and a window at 2.5-3.5 m, 0.9-2.1 m up
+function capturedRoom() {
+  return JSON.parse(readFileSync(new URL('../fixtures/roomplan/captured-room.json', import.meta.url), 'utf8'));
+}
+
+const IMAGE = { width: 4000, height: 2500 };
+
+function measure(roi, image) {
+  const { measured_at, ...result } = measureRoi(capturedRoom(), roi, image);
+  assert.ok(!Number.isNaN(Date.parse(measured_at)));
+  return result;
+}
+
+function fails(roi, code, image) {
+  assert.throws(() => measureRoi(capturedRoom(), roi, image), err => {
+    assert.equal(err.code, code);
+    assert.equal(err.permanent, true);
+    return true;
+  });
+}
+
+test('a pixel ROI is normalised against the image size', () => {
+  const result = measure({ wall_id: 'W1', x: 2400, y: 300, w: 1200, h: 1400 }, IMAGE);
+  assert.equal(result.method, 'wall_roi');
+  assert.deepEqual(result.reference, { kind: 'wall', id: 'W1', width_in: 157.5, height_in: 98.4, confidence: 'high' });
+  assert.deepEqual(result.roi, { x: 0.6, y: 0.12, w: 0.3, h: 0.56 });
+  assert.equal(result.width_in, 47.2);
+  assert.equal(result.height_in, 55.1);
+  assert.equal(result.offset_in, 94.5);
+  assert.equal(result.from_floor_in, 31.5);
+  assert.equal(result.px_per_in, 25.4);
+  assert.deepEqual(result.openings.map(o => o.id), ['D1', 'N1']);
+  assert.deepEqual(result.within_roi.map(o => o.id), ['N1']);
+  assert.equal(result.confidence, 0.95);
+  assert.deepEqual(result.warnings, []);
+  assert.deepEqual(result.room, { walls: 4, doors: 1, windows: 1, objects: 2, width_in: 118.1, length_in: 157.5, height_in: 98.4 });
+});
+
+test('a normalised ROI measures the same as its pixel equivalent', () => {
+  assert.deepEqual(
+    measure({ wall_id: 'W1', x: 0.6, y: 0.12, w: 0.3, h: 0.56 }, IMAGE),
+    measure({ wall_id: 'W1', x: 2400, y: 300, w: 1200, h: 1400 }, IMAGE)
+  );
+});
+
+test('an ROI running off the wall is clipped and loses confidence', () => {
+  const result = measure({ wall_id: 'W1', x: 0.8, y: 0, w: 0.5, h: 1 });
+  assert.deepEqual(result.roi, { x: 0.8, y: 0, w: 0.2, h: 1 });
+  assert.equal(result.width_in, 31.5);
+  assert.equal(result.offset_in, 126);
+  assert.equal(result.px_per_in, null);
+  // Clipped (x0.85) and cutting through part of the window (x0.9)
+  assert.deepEqual(result.warnings, ['roi_clipped', 'roi_crosses_opening']);
+  assert.equal(result.confidence, 0.73);
+});
+
+test('without a wall_id the largest wall is used and confidence drops', () => {
+  const named = measure({ wall_id: 'W1', x: 0, y: 0, w: 1, h: 1 });
+  const guessed = measure({ x: 0, y: 0, w: 1, h: 1 });
+  assert.equal(guessed.reference.id, 'W1');
+  assert.equal(named.confidence, 0.95);
+  assert.equal(guessed.confidence, 0.71);
+  assert.deepEqual(named.warnings, []);
+  assert.deepEqual(guessed.warnings, ['reference_wall_guessed']);
+
+  const whole = measure(null);
+  assert.equal(whole.method, 'wall');
+  assert.equal(whole.width_in, 157.5);
+  assert.deepEqual(whole.within_roi.map(o => o.id), ['D1', 'N1']);
+  assert.equal(whole.confidence, 0.71);
+});
+
+test('an object is measured from the scan and scales the photo by the ROI width', () => {
+  const result = measure({ object_id: 'O1', x: 0.25, y: 0.5, w: 0.5, h: 0.3 }, { width: 1000, height: 800 });
+  assert.equal(result.method, 'object');
+  assert.deepEqual(result.reference, { kind: 'object', id: 'O1', category: 'sofa', confidence: 'high' });
+  assert.equal(result.width_in, 78.7);
+  assert.equal(result.height_in, 31.5);
+  assert.equal(result.depth_in, 35.4);
+  assert.equal(result.px_per_in, 6.35);
+  assert.equal(result.confidence, 0.95);
+});
+
+test('a zero-width object gives no pixel scale', () => {
+  const room = capturedRoom();
+  room.objects[0].dimensions = [0, 0.8, 0.9];
+  const result = measureRoi(room, { object_id: 'O1', x: 0.25, y: 0.5, w: 0.5, h: 0.3 }, { width: 1000, height: 800 });
+  assert.equal(result.width_in, 0);
+  assert.equal(result.px_per_in, null);
+});
+
+test('unknown references and unusable ROIs fail permanently', () => {
+  fails({ wall_id: 'W9' }, 'wall_not_found');
+  fails({ object_id: 'O9' }, 'object_not_found');
+  fails({ x: 0.2, y: 0.2, w: 0, h: 0.5 }, 'invalid_roi');
+  fails({ x: 1.2, y: 0, w: 0.5, h: 0.5 }, 'roi_needs_image_size');
+  fails({ x: 5000, y: 0, w: 100, h: 100 }, 'invalid_roi', IMAGE);
+  assert.throws(() => measureRoi({ walls: [] }), { code: 'no_reference_surface' });
+  assert.throws(() => measureRoi('{not json'), { code: 'invalid_roomplan' });
+});
@@ -0,0 +1,163 @@
+// lib/roomPlan.js: CapturedRoom validation, inch rows, floor area, clear wall spans and bounds
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parseRoomPlan, readRoomPlan, roomBounds, summarizeRoomPlan, validateRoomPlan } from '../lib/roomPlan.js';
+
+// A 4 x 3 m room, 2.5 m high, centred on the origin: W1 (south, door and window), W2 (east,
+// wall-mounted TV), W3 (north, sofa against it), W4 (west). Floor polygon is 3.9 x 2.9 m.
+function capturedRoom() {
+  return JSON.parse(readFileSync(new URL('../fixtures/roomplan/captured-room.json', import.meta.url), 'utf8'));
+}
+
+function invalid(input) {
+  const { ok, errors } = validateRoomPlan(input);
+  assert.equal(ok, false);
+  return errors.map(e => e.path);
+}
+
+test('validateRoomPlan accepts the fixture and a CapturedStructure wrapping it', () => {
+  assert.deepEqual(validateRoomPlan(capturedRoom()), { ok: true, errors: [] });
+  assert.deepEqual(validateRoomPlan({ rooms: [capturedRoom()] }), { ok: true, errors: [] });
+});
+
+test('validateRoomPlan reports the path of each problem', () => {
+  assert.deepEqual(invalid(null), ['$']);
+  assert.deepEqual(invalid([]), ['$']);
+  assert.deepEqual(invalid({ walls: [] }), ['$.walls']);
+  assert.deepEqual(invalid({ rooms: [] }), ['$.rooms']);
+  assert.deepEqual(invalid({ rooms: [{}] }), ['$.rooms[0].walls']);
+
+  const room = capturedRoom();
+  delete room.walls[0].identifier;
+  room.walls[1].dimensions = [3, 2.5, 101];
+  room.walls[2].transform = [1, 0, 0];
+  room.doors[0].confidence = 'certain';
+  room.objects[0].category = null;
+  room.windows = {};
+  assert.deepEqual(invalid(room), [
+    '$.walls[0].identifier',
+    '$.walls[1].dimensions',
+    '$.walls[2].transform',
+    '$.doors[0].confidence',
+    '$.windows',
+    '$.objects[0].category'
+  ]);
+});
+
+test('parseRoomPlan throws invalid_roomplan with the validation details', () => {
+  assert.throws(() => parseRoomPlan({ walls: [] }), err => {
+    assert.equal(err.code, 'invalid_roomplan');
+    assert.equal(err.status, 422);
+    assert.deepEqual(err.details, [{ path: '$.walls', message: 'must contain at least one wall' }]);
+    return true;
+  });
+});
+
+test('parseRoomPlan converts meters to inches and axes to yaw', () => {
+  const { room, elements } = parseRoomPlan(capturedRoom());
+  assert.equal(room.walls.length, 4);
+  assert.deepEqual(elements.map(e => e.element_id), ['W1', 'W2', 'W3', 'W4', 'D1', 'N1', 'F1', 'O1', 'O2']);
+
+  // Compared as stored: the yaw of a wall along +x is -0 until serialised
+  const byId = Object.fromEntries(elements.map(e => [e.element_id, JSON.parse(JSON.stringify(e))]));
+  assert.deepEqual(byId.W1, {
+    kind: 'wall',
+    element_id: 'W1',
+    category: 'wall',
+    width_in: 157.5,
+    height_in: 98.4,
+    depth_in: 0,
+    position_in: { x: 0, y: 49.2, z: -59.1 },
+    rotation_deg: 0,
+    parent_element_id: null,
+    story: 0,
+    confidence: 'high',
+    attributes: {}
+  });
+  // Column arrays and {x,y,z} dimensions read the same as flat ones
+  assert.equal(byId.W4.width_in, 118.1);
+  assert.deepEqual(byId.W4.position_in, { x: -78.7, y: 49.2, z: 0 });
+
+  assert.equal(byId.W2.rotation_deg, -90);
+  assert.equal(byId.W4.rotation_deg, 90);
+  assert.equal(byId.W3.confidence, 'medium');
+  assert.equal(byId.W4.confidence, 'low');
+
+  assert.equal(byId.D1.kind, 'door');
+  assert.equal(byId.D1.parent_element_id, 'W1');
+  assert.deepEqual(byId.D1.attributes, { isOpen: false });
+  assert.equal(byId.O1.kind, 'object');
+  assert.equal(byId.O1.category, 'sofa');
+  assert.equal(byId.O1.depth_in, 35.4);
+});
+
+test('summarizeRoomPlan prefers the floor polygon, then floor size, then wall bounds', () => {
+  const input = capturedRoom();
+  const fromPolygon = summarizeRoomPlan(input);
+  assert.equal(fromPolygon.floor_area_source, 'floor_polygon');
+  assert.equal(fromPolygon.floor_area_sqft, 121.7);
+
+  delete input.floors[0].polygonCorners;
+  const fromFloor = summarizeRoomPlan(input);
+  assert.equal(fromFloor.floor_area_source, 'floor');
+  assert.equal(fromFloor.floor_area_sqft, 129.2);
+
+  input.floors = [];
+  const fromWalls = summarizeRoomPlan(input);
+  assert.equal(fromWalls.floor_area_source, 'wall_bounds');
+  assert.equal(fromWalls.floor_area_sqft, 129.2);
+});
+
+test('summarizeRoomPlan sizes the room and counts its elements', () => {
+  const summary = summarizeRoomPlan(capturedRoom());
+  assert.equal(summary.perimeter_in, 551.2);
+  assert.equal(summary.ceiling_height_in, 98.4);
+  assert.equal(summary.width_in, 118.1);
+  assert.equal(summary.length_in, 157.5);
+  assert.deepEqual(summary.counts, { walls: 4, doors: 1, windows: 1, openings: 0, objects: 2 });
+  assert.deepEqual(summary.objects, { sofa: 1, television: 1 });
+});
+
+test('clear spans skip doors, windows and floor-standing objects but not wall-mounted ones', () => {
+  const summary = summarizeRoomPlan(capturedRoom());
+  const walls = Object.fromEntries(summary.walls.map(w => [w.id, w]));
+
+  assert.equal(walls.W1.doors, 1);
+  assert.equal(walls.W1.windows, 1);
+  assert.deepEqual(walls.W1.clear_spans, [
+    { start_in: 0, end_in: 21.7, length_in: 21.7 },
+    { start_in: 57.1, end_in: 98.4, length_in: 41.3 },
+    { start_in: 137.8, end_in: 157.5, length_in: 19.7 }
+  ]);
+  assert.equal(walls.W1.longest_clear_span_in, 41.3);
+
+  // The TV hangs 1.15 m up, so W2 stays clear
+  assert.deepEqual(walls.W2.clear_spans, [{ start_in: 0, end_in: 118.1, length_in: 118.1 }]);
+  assert.deepEqual(walls.W3.clear_spans, [
+    { start_in: 0, end_in: 39.4, length_in: 39.4 },
+    { start_in: 118.1, end_in: 157.5, length_in: 39.4 }
+  ]);
+  assert.equal(summary.longest_clear_span_in, 118.1);
+});
+
+test('clear spans shorter than 6 inches are dropped', () => {
+  const input = capturedRoom();
+  input.doors[0].transform[12] = -1.5; // door now runs 0.05-0.95 m along W1
+  const w1 = summarizeRoomPlan(input).walls.find(w => w.id === 'W1');
+  assert.equal(w1.clear_spans[0].start_in, 37.4);
+});
+
+test('roomBounds measures along the longest wall, whatever the room is turned to', () => {
+  const { walls } = readRoomPlan(capturedRoom());
+  assert.deepEqual(roomBounds(walls), { width_m: 3, length_m: 4, height_m: 2.5 });
+
+  const turn = Math.PI / 6;
+  const rotate = ([x, y, z]) => [x * Math.cos(turn) + z * Math.sin(turn), y, -x * Math.sin(turn) + z * Math.cos(turn)];
+  const turned = roomBounds(walls.map(w => ({ ...w, position: rotate(w.position), xAxis: rotate(w.xAxis) })));
+  assert.ok(Math.abs(turned.width_m - 3) < 1e-9);
+  assert.ok(Math.abs(turned.length_m - 4) < 1e-9);
+  assert.equal(turned.height_m, 2.5);
+
+  assert.equal(roomBounds([]), null);
+});
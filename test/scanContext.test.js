@@ -0,0 +1,63 @@
+// services/scanContext.js: which scans feed plan generation and when a plan is stale
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeSupabase } from './helpers/fakeSupabase.js';
+
+const db = await startFakeSupabase();
+const { latestScanContext, planScanStatus } = await import('../services/scanContext.js');
+
+after(() => db.close());
+beforeEach(() => db.reset());
+
+const MEASURED = { measure_status: 'done', measure_result: { width_in: 48, height_in: 30, confidence: 0.8, method: 'roomplan_wall' } };
+const SUMMARY = { summary: { floor_area_sqft: 120, width_in: 120, length_in: 144, longest_clear_span_in: 96, walls: [] } };
+
+function scan(id, minutesAgo, fields = {}) {
+  return { id, project_id: 'p1', created_at: new Date(Date.now() - minutesAgo * 60000).toISOString(), measure_status: null, measure_result: null, summary: null, ...fields };
+}
+
+test('uses the newest measurement and the newest summary, even from different scans', async () => {
+  db.tables.room_scans = [scan('old-measured', 30, MEASURED), scan('new-summary', 5, SUMMARY)];
+  const ctx = await latestScanContext('p1');
+  assert.equal(ctx.scan_id, 'new-summary');
+  assert.equal(ctx.measure_scan_id, 'old-measured');
+  assert.equal(ctx.room_scan_id, 'new-summary');
+  assert.equal(ctx.measurements.width_in, 48);
+  assert.equal(ctx.room.floor_area_sqft, 120);
+});
+
+test('a measurement that is not done is skipped for an older completed one', async () => {
+  db.tables.room_scans = [
+    scan('done', 30, MEASURED),
+    scan('running', 5, { measure_status: 'running', measure_result: { width_in: 10 } })
+  ];
+  const ctx = await latestScanContext('p1');
+  assert.equal(ctx.scan_id, 'done');
+  assert.equal(ctx.measurements.width_in, 48);
+  assert.equal(ctx.room, null);
+});
+
+test('no usable scan gives no context', async () => {
+  assert.equal(await latestScanContext('p1'), null);
+  db.tables.room_scans = [scan('pending', 1, { measure_status: 'queued' })];
+  assert.equal(await latestScanContext('p1'), null);
+});
+
+test('a plan is stale once a newer usable scan lands', async () => {
+  db.tables.room_scans = [scan('a', 30, MEASURED)];
+  assert.deepEqual(await planScanStatus('p1', 'a'), { scan_id: 'a', latest_scan_id: 'a', stale: false });
+
+  db.tables.room_scans.push(scan('b', 1, SUMMARY));
+  assert.deepEqual(await planScanStatus('p1', 'a'), { scan_id: 'a', latest_scan_id: 'b', stale: true });
+});
+
+test('a scan still being measured does not make a plan stale', async () => {
+  db.tables.room_scans = [scan('a', 30, MEASURED), scan('b', 1, { measure_status: 'running' })];
+  assert.deepEqual(await planScanStatus('p1', 'a'), { scan_id: 'a', latest_scan_id: 'a', stale: false });
+});
+
+test('a plan built without a scan is stale once one is usable', async () => {
+  assert.equal((await planScanStatus('p1', null)).stale, false);
+  db.tables.room_scans = [scan('a', 1, SUMMARY)];
+  assert.equal((await planScanStatus('p1', null)).stale, true);
+});
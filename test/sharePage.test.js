@@ -0,0 +1,121 @@
+// lib/sharePage.js and services/projectShares.js resolveShare: the public view whitelist,
+// page escaping and revoked/expired links
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeSupabase } from './helpers/fakeSupabase.js';
+import { PLAN_SCHEMA_VERSION } from '../lib/planSchema.js';
+import { publicProjectView, sharePageHtml, shareErrorHtml } from '../lib/sharePage.js';
+
+const db = await startFakeSupabase({ project_shares: { key: 'id' }, projects: { key: 'id' } });
+const { resolveShare } = await import('../services/projectShares.js');
+
+after(() => db.close());
+beforeEach(() => db.reset());
+
+const TOKEN = 'abcdefghijklmnopqrstuvwx';
+const SHARE = { id: 's1', project_id: 'p1', user_id: 'u1', token: TOKEN, expires_at: null, revoked_at: null };
+
+function project(extra = {}) {
+  return {
+    id: 'p1',
+    user_id: 'u1',
+    name: 'Shelf',
+    status: 'plan_ready',
+    input_image_url: 'https://cdn.test/in.jpg',
+    image_variants: { large: { url: 'https://cdn.test/in-large.jpg' } },
+    preview_url: 'https://cdn.test/preview.jpg',
+    preview_meta: { provider_job_id: 'secret-job' },
+    plan_json: {
+      schema_version: PLAN_SCHEMA_VERSION,
+      overview: { title: 'Floating shelf', summary: 'Hang it', est_time: '2h', est_cost: '$40', skill: 'beginner', notes: 'private note', assumptions: ['wall is drywall'] },
+      materials: [{ name: 'Oak board', qty: 1, unit: 'pc', unit_price: 30, subtotal: 30, notes: null }],
+      tools: [{ name: 'Drill', optional: false, have: true, rent_price: null, buy_price: 99, notes: null }],
+      cuts: [{ item: 'Shelf', material: 'Oak board', size: '24 x 8 in', qty: 1, notes: null }],
+      steps: [{ order: 1, title: 'Cut', text: 'Cut the board', duration_min: 10, depends_on: [], notes: 'x' }],
+      safety: ['Wear glasses'],
+      tips: ['Pre-drill'],
+      estimation: { total: 40 },
+      meta: { model: 'secret-model', scan_id: 'scan-1' }
+    },
+    updated_at: '2026-10-01T00:00:00Z',
+    ...extra
+  };
+}
+
+const keys = o => Object.keys(o).sort();
+
+test('publicProjectView exposes only the whitelisted keys', () => {
+  const view = publicProjectView(project(), { ...SHARE, expires_at: '2027-01-01T00:00:00Z' });
+  assert.deepEqual(keys(view), ['after_url', 'before_url', 'hero_image_url', 'name', 'plan', 'share', 'status', 'updated_at']);
+  assert.deepEqual(keys(view.plan), ['materials', 'overview', 'safety', 'steps', 'tips', 'tools']);
+  assert.deepEqual(keys(view.plan.overview), ['est_cost', 'est_time', 'skill', 'summary', 'title']);
+  assert.deepEqual(keys(view.plan.materials[0]), ['name', 'notes', 'qty', 'unit']);
+  assert.deepEqual(keys(view.plan.tools[0]), ['name', 'optional']);
+  assert.deepEqual(keys(view.plan.steps[0]), ['duration_min', 'order', 'text', 'title']);
+  assert.deepEqual(view.share, { expires_at: '2027-01-01T00:00:00Z' });
+
+  const json = JSON.stringify(view);
+  for (const secret of ['secret-job', 'secret-model', 'scan-1', 'private note', 'u1', 'p1', TOKEN]) {
+    assert.ok(!json.includes(secret), `${secret} leaked`);
+  }
+});
+
+test('publicProjectView picks the hero, before and after images', () => {
+  const view = publicProjectView(project(), SHARE);
+  assert.equal(view.before_url, 'https://cdn.test/in-large.jpg');
+  assert.equal(view.after_url, 'https://cdn.test/preview.jpg');
+  assert.equal(view.hero_image_url, 'https://cdn.test/preview.jpg');
+
+  const noPreview = publicProjectView(project({ preview_url: null, image_variants: null }), SHARE);
+  assert.equal(noPreview.before_url, 'https://cdn.test/in.jpg');
+  assert.equal(noPreview.after_url, null);
+  assert.equal(noPreview.hero_image_url, 'https://cdn.test/in.jpg');
+});
+
+test('publicProjectView has a null plan before one is generated', () => {
+  const view = publicProjectView(project({ plan_json: null }), SHARE);
+  assert.equal(view.plan, null);
+  assert.match(sharePageHtml(view), /not ready yet/);
+});
+
+test('sharePageHtml escapes every project-supplied field', () => {
+  const evil = '<script>alert("x")</script>';
+  const p = project({ name: evil, preview_url: 'https://cdn.test/a.jpg?a=1&b="><img src=x onerror=alert(1)>' });
+  p.plan_json.overview = { ...p.plan_json.overview, title: evil, summary: evil, est_time: evil };
+  p.plan_json.materials = [{ name: evil, qty: 1, unit: '<b>', unit_price: null, subtotal: null, notes: evil }];
+  p.plan_json.tools = [{ name: evil, optional: true, have: false, rent_price: null, buy_price: null, notes: null }];
+  p.plan_json.steps = [{ order: 1, title: evil, text: "it's <b>bold</b>", duration_min: null, depends_on: [], notes: null }];
+  p.plan_json.safety = [evil];
+
+  const html = sharePageHtml(publicProjectView(p, SHARE));
+  assert.ok(!html.includes('<script>'));
+  assert.ok(!html.includes('<b>bold'));
+  assert.ok(!html.includes('<img src=x'));
+  assert.ok(html.includes('&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;'));
+  assert.ok(html.includes('it&#39;s &lt;b&gt;bold&lt;/b&gt;'));
+  assert.ok(html.includes('a=1&amp;b=&quot;&gt;&lt;img'));
+  assert.ok(shareErrorHtml('<i>gone</i>').includes('&lt;i&gt;gone&lt;/i&gt;'));
+});
+
+test('resolveShare returns the share and project of an active link', async () => {
+  db.tables.project_shares = [{ ...SHARE, expires_at: new Date(Date.now() + 3600e3).toISOString() }];
+  db.tables.projects = [project()];
+  const { share, project: row } = await resolveShare(TOKEN);
+  assert.equal(share.id, 's1');
+  assert.equal(row.name, 'Shelf');
+});
+
+test('resolveShare answers 410 for revoked and expired links', async () => {
+  db.tables.projects = [project()];
+
+  db.tables.project_shares = [{ ...SHARE, revoked_at: '2026-10-01T00:00:00Z' }];
+  await assert.rejects(resolveShare(TOKEN), { status: 410, code: 'share_revoked' });
+
+  db.tables.project_shares = [{ ...SHARE, expires_at: new Date(Date.now() - 1000).toISOString() }];
+  await assert.rejects(resolveShare(TOKEN), { status: 410, code: 'share_expired' });
+});
+
+test('resolveShare answers 404 for malformed and unknown tokens', async () => {
+  await assert.rejects(resolveShare('short'), { status: 404, code: 'share_not_found' });
+  await assert.rejects(resolveShare(TOKEN), { status: 404, code: 'share_not_found' });
+});
@@ -0,0 +1,63 @@
+// lib/shoppingList.js: CSV formula-injection escaping and HTML escaping of the printable list
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildShoppingList, shoppingListCsv, shoppingListHtml } from '../lib/shoppingList.js';
+
+function hostileList() {
+  return buildShoppingList({
+    overview: { title: '<Shelf & "co">' },
+    materials: [
+      { name: '=HYPERLINK("http://evil.test","x")', qty: 2, unit: 'pcs', unit_price: 3, notes: 'a, "b"\nc' },
+      { name: '+1 screws', qty: 10, unit: 'box', notes: '@SUM(A1)' },
+      { name: '-2 oak board', qty: 1, unit: 'board' },
+      { name: '<img src=x onerror=alert(1)> glue', qty: 1, unit: 'ea', notes: "it's <b>strong</b>" }
+    ],
+    tools: [
+      { name: '@Drill', optional: false, buy_price: 50 },
+      { name: 'Sander <script>', optional: false, have: true }
+    ]
+  }, { ownedTools: ['Sander <script>'] });
+}
+
+test('CSV cells that start a formula are prefixed with a quote', () => {
+  const lines = shoppingListCsv(hostileList()).split('\n');
+  assert.equal(lines[0], 'department,item,qty,unit,est_cost,notes');
+  assert.ok(lines.includes("Lumber,'-2 oak board,1,board,,"));
+  assert.ok(lines.includes("Hardware,'+1 screws,10,box,,'@SUM(A1)"));
+  assert.ok(lines.includes("Tools,'@Drill,1,buy,50,"));
+});
+
+test('CSV quotes cells with commas, quotes and line breaks after the formula prefix', () => {
+  const csv = shoppingListCsv(hostileList());
+  assert.ok(csv.includes('Other,"\'=HYPERLINK(""http://evil.test"",""x"")",2,ea,6,"a, ""b""\nc"\n'));
+  assert.ok(csv.endsWith('\n'));
+});
+
+test('CSV prefixes cells starting with a tab or carriage return', () => {
+  const list = {
+    departments: [{ name: 'Other', items: [{ name: '\t=1+1', qty: 1, unit: 'ea', est_cost: null, notes: '\r=2' }] }],
+    tools: { buy: [], rent: [], owned: [], optional: [], unpriced: [] }
+  };
+  assert.equal(shoppingListCsv(list).split('\n')[1], "Other,'\t=1+1,1,ea,,\"'\r=2\"");
+});
+
+test('CSV leaves ordinary and numeric cells alone', () => {
+  const list = buildShoppingList({ materials: [{ name: 'Oak board', qty: 16, unit: 'ft', unit_price: 2.5 }] });
+  assert.equal(shoppingListCsv(list), 'department,item,qty,unit,est_cost,notes\nLumber,Oak board,2,board (8 ft),40,\n');
+});
+
+test('HTML escapes the title, names, notes and owned tools', () => {
+  const html = shoppingListHtml(hostileList());
+  assert.ok(!html.includes('<img src=x'));
+  assert.ok(!html.includes('<script>'));
+  assert.ok(!html.includes('<b>strong'));
+  assert.ok(html.includes('<title>&lt;Shelf &amp; &quot;co&quot;&gt; - DIY Genie</title>'));
+  assert.ok(html.includes('&lt;img src=x onerror=alert(1)&gt; glue'));
+  assert.ok(html.includes('it&#39;s &lt;b&gt;strong&lt;/b&gt;'));
+  assert.ok(html.includes('Already owned: Sander &lt;script&gt;'));
+});
+
+test('HTML prefers the project name for the title', () => {
+  const html = shoppingListHtml(hostileList(), { projectName: 'Tom & Jerry\'s <den>' });
+  assert.ok(html.includes('<h1>Tom &amp; Jerry&#39;s &lt;den&gt;</h1>'));
+});